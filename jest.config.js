@@ -4,6 +4,12 @@ module.exports = {
     NODE_ENV: 'test',
   },
   restoreMocks: true,
+  // jest 26 reads neither package "exports" nor "node:" imports: point axios at its CommonJS build
+  // and cheerio at its loader, which is all the scrapers use
+  moduleNameMapper: {
+    '^axios$': 'axios/dist/node/axios.cjs',
+    '^cheerio$': 'cheerio/dist/commonjs/load-parse.js',
+  },
   coveragePathIgnorePatterns: ['node_modules', 'src/config', 'src/app.js', 'tests'],
   coverageReporters: ['text', 'lcov', 'clover', 'html'],
 };
@@ -0,0 +1,63 @@
+/**
+ * Script to store the decoded access key on notas registered before it was tracked
+ * Notas whose key is already stored on another nota are reported as duplicates and left untouched
+ * Usage: node scripts/backfill-nota-access-keys.js
+ */
+
+if (!process.env.NODE_ENV) {
+  process.env.NODE_ENV = 'development';
+}
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const config = require('../src/config/config');
+const { Nota } = require('../src/models');
+const { parseAccessKey } = require('../src/utils/accessKey');
+
+async function backfillAccessKeys() {
+  try {
+    await mongoose.connect(config.mongoose.url, config.mongoose.options);
+    console.log('Connected to MongoDB');
+
+    const notas = await Nota.find({ accessKey: { $exists: false } });
+    console.log(`Found ${notas.length} notas without an access key`);
+
+    let updatedCount = 0;
+    let duplicateCount = 0;
+    let invalidCount = 0;
+
+    for (const nota of notas) {
+      let decoded;
+      try {
+        decoded = parseAccessKey(nota.url);
+      } catch (error) {
+        console.log(`Skipping nota ${nota._id}: ${error.message}`);
+        invalidCount++;
+        continue;
+      }
+
+      const { accessKey, ...accessKeyData } = decoded;
+      const duplicate = await Nota.findOne({ accessKey, _id: { $ne: nota._id } });
+      if (duplicate) {
+        console.log(`Nota ${nota._id} is a duplicate of nota ${duplicate._id} (${accessKey})`);
+        duplicateCount++;
+        continue;
+      }
+
+      await Nota.updateOne({ _id: nota._id }, { $set: { accessKey, accessKeyData } });
+      updatedCount++;
+    }
+
+    console.log(`\nSummary:`);
+    console.log(`- Updated ${updatedCount} notas`);
+    console.log(`- Found ${duplicateCount} duplicate notas`);
+    console.log(`- Skipped ${invalidCount} notas without a valid access key`);
+  } catch (error) {
+    console.error('Error backfilling access keys:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+backfillAccessKeys();
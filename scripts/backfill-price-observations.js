@@ -0,0 +1,54 @@
+/**
+ * Script to queue the item classification of notas read before prices were recorded
+ * The classifyItems job links every item to its canonical product and stores its price observation
+ * Usage: node scripts/backfill-price-observations.js
+ */
+
+if (!process.env.NODE_ENV) {
+  process.env.NODE_ENV = 'development';
+}
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const config = require('../src/config/config');
+const { Job, Nota, PriceObservation } = require('../src/models');
+const { jobService } = require('../src/services');
+
+async function backfillPriceObservations() {
+  try {
+    await mongoose.connect(config.mongoose.url, config.mongoose.options);
+    console.log('Connected to MongoDB');
+
+    const recorded = await PriceObservation.distinct('nota');
+    const notas = await Nota.find({
+      status: { $in: ['read', 'classified'] },
+      _id: { $nin: recorded },
+      'items.0': { $exists: true },
+    }).select('_id');
+    console.log(`Found ${notas.length} notas without price observations`);
+
+    let queuedCount = 0;
+    let skippedCount = 0;
+
+    for (const nota of notas) {
+      const active = await Job.findOne({ notaId: nota._id, type: 'classifyItems', status: { $in: ['queued', 'running'] } });
+      if (active) {
+        skippedCount++;
+        continue;
+      }
+      await jobService.enqueueJob('classifyItems', {}, { notaId: nota._id });
+      queuedCount++;
+    }
+
+    console.log(`\nSummary:`);
+    console.log(`- Queued ${queuedCount} classifyItems jobs`);
+    console.log(`- Skipped ${skippedCount} notas already in the queue`);
+  } catch (error) {
+    console.error('Error backfilling price observations:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+backfillPriceObservations();
@@ -11,6 +11,7 @@ if (!process.env.NODE_ENV) {
 require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
 const mongoose = require('mongoose');
 const config = require('../src/config/config');
+const { Nota } = require('../src/models');
 const { notaService } = require('../src/services');
 
 async function loadFirstNota() {
@@ -19,15 +20,13 @@ async function loadFirstNota() {
     await mongoose.connect(config.mongoose.url, config.mongoose.options);
     console.log('Connected to MongoDB');
 
-    // Find and load the first pending nota
-    const filter = { status: 'pending' };
-    const options = { sort: { createdAt: 1 }, limit: 1 };
-    
+    // Find the first pending nota and run its jobs right away instead of waiting for the worker
     console.log('\n🔍 Looking for first pending nota...');
-    const result = await notaService.loadNota(filter, options);
-    
-    if (result && result.existing) {
-      const nota = result.existing;
+    const pending = await Nota.findOne({ status: 'pending' }).sort({ createdAt: 1 });
+
+    if (pending) {
+      await notaService.scrapeNota(pending._id);
+      const nota = await Nota.findById(pending._id);
       console.log('\n✅ Nota loaded successfully!');
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
       console.log(`📄 Nota ID: ${nota._id}`);
@@ -37,34 +36,34 @@ async function loadFirstNota() {
       console.log(`🏪 Vendor: ${nota.vendorName || 'N/A'}`);
       console.log(`📦 Items: ${nota.items ? nota.items.length : 0}`);
       console.log(`✅ Status: ${nota.status}`);
-      
+
       if (nota.items && nota.items.length > 0) {
         console.log('\n📋 Items found:');
         nota.items.forEach((item, index) => {
-          console.log(`  ${index + 1}. ${item.product || item.name || 'Unknown'} - Qty: ${item.quantity || 'N/A'} - Price: R$ ${item.totalPrice || item.unitPrice || 'N/A'}`);
+          console.log(
+            `  ${index + 1}. ${item.product || item.name || 'Unknown'} - Qty: ${item.quantity || 'N/A'} - Price: R$ ${
+              item.totalPrice || item.unitPrice || 'N/A'
+            }`
+          );
         });
-        
+
         console.log('\n⏳ Processing items into canonical products...');
-        console.log('   (This happens asynchronously in the background)');
+        const { classified } = await notaService.classifyNotaItems(nota._id);
+        console.log(`   ${classified} items classified.`);
         console.log('   Check the canonicalproducts collection to see results.');
       } else {
         console.log('\n⚠️  No items found in this nota.');
       }
-      
+
       console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     } else {
       console.log('\n⚠️  No pending notas found in the collection.');
     }
 
-    // Wait a bit to allow async processing to start
-    console.log('\n⏳ Waiting 3 seconds for background processing to start...');
-    await new Promise(resolve => setTimeout(resolve, 3000));
-
     // Close MongoDB connection
     await mongoose.disconnect();
     console.log('\n✅ Disconnected from MongoDB');
     console.log('\n💡 Tip: Check the canonicalproducts collection to see the processed products.');
-    
   } catch (error) {
     console.error('\n❌ Error loading nota:', error);
     if (error.stack) {
@@ -84,4 +83,3 @@ loadFirstNota()
     console.error('\n💥 Unhandled error:', error);
     process.exit(1);
   });
-
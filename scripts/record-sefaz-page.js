@@ -0,0 +1,32 @@
+/**
+ * Script to record the SEFAZ page of a nota as a fixture for the scraper tests
+ * The page is saved as <accessKey>.html in tests/fixtures/sefaz (or the given directory)
+ * Usage: node scripts/record-sefaz-page.js "<QR code URL>" [fixturesDir]
+ */
+
+const path = require('path');
+const { SelectStateScraper } = require('../src/utils/scrapers/selectStateScraper');
+
+async function recordPage() {
+  const [url, dir] = process.argv.slice(2);
+  if (!url) {
+    console.error('Usage: node scripts/record-sefaz-page.js "<QR code URL>" [fixturesDir]');
+    process.exit(1);
+  }
+
+  const fixturesDir = dir || path.join(__dirname, '../tests/fixtures/sefaz');
+
+  try {
+    const scraper = await new SelectStateScraper(url).select();
+    scraper.useFixtures(fixturesDir, { record: true });
+    await scraper.readUrl();
+    console.log(`Recorded ${url}`);
+    console.log(`  -> ${scraper.getFixturePath()} (${scraper.constructor.name})`);
+    console.log('Anonymize the consumer CPF before committing the page.');
+  } catch (error) {
+    console.error('Error recording page:', error.message);
+    process.exit(1);
+  }
+}
+
+recordPage();
@@ -18,6 +18,9 @@ const logger = require('./config/logger');
 
 const app = express();
 
+// client IP of the rate limits, behind the configured proxies
+app.set('trust proxy', config.trustProxy);
+
 const corsOptions = {
   origin: config.cors.origin, // Replace with your local development URL
   optionsSuccessStatus: config.cors.status,
@@ -9,6 +9,9 @@ const envVarsSchema = Joi.object()
   .keys({
     NODE_ENV: Joi.string().valid('production', 'development', 'test').required(),
     PORT: Joi.number().default(3000),
+    TRUST_PROXY: Joi.number()
+      .default(0)
+      .description('proxies in front of the app, whose X-Forwarded-For gives the client IP used by the rate limits'),
     MONGODB_URL: Joi.string().required().description('Mongo DB url'),
     JWT_SECRET: Joi.string().required().description('JWT secret key'),
     JWT_ACCESS_EXPIRATION_MINUTES: Joi.number()
@@ -26,6 +29,51 @@ const envVarsSchema = Joi.object()
     SMTP_USERNAME: Joi.string().description('username for email server'),
     SMTP_PASSWORD: Joi.string().description('password for email server'),
     EMAIL_FROM: Joi.string().description('the from field in the emails sent by the app'),
+    JOB_WORKER_ENABLED: Joi.boolean().default(true).description('run the job queue worker in the API process'),
+    JOB_WORKER_POLL_INTERVAL_MS: Joi.number().default(5000).description('wait between two polls of an empty job queue'),
+    WHATSAPP_SESSION_TIMEOUT_MINUTES: Joi.number()
+      .default(30)
+      .description('minutes of inactivity after which a WhatsApp conversation starts over'),
+    WHATSAPP_SESSION_MAX_MESSAGES: Joi.number().default(20).description('messages kept in a WhatsApp conversation'),
+    WHATSAPP_RULES_MIN_CONFIDENCE: Joi.number()
+      .min(0)
+      .default(0.9)
+      .description('confidence from which WhatsApp commands are run by the rule-based parser instead of the model'),
+    WHATSAPP_MAX_MESSAGE_LENGTH: Joi.number().default(1000).description('longest WhatsApp text message answered'),
+    WHATSAPP_GUARDRAILS_TRIPWIRE_MESSAGE: Joi.string()
+      .default("Sorry, I can't help with that. I can add, remove and show items of your shopping lists.")
+      .description('answer to WhatsApp messages blocked by the guardrails'),
+    TWILIO_VALIDATE_SIGNATURE: Joi.boolean().default(true).description('reject Twilio webhooks without a valid signature'),
+    TWILIO_WEBHOOK_BASE_URL: Joi.string().description('public base URL of the API, as configured on Twilio'),
+    TELEGRAM_BOT_TOKEN: Joi.string().description('token of the Telegram bot'),
+    TELEGRAM_WEBHOOK_SECRET: Joi.string().description('secret_token the Telegram webhook was registered with'),
+    WHATSAPP_MESSAGE_RECORD_DAYS: Joi.number()
+      .default(7)
+      .description('days the processing record of a WhatsApp message is kept to answer Twilio retries'),
+    WHATSAPP_MESSAGE_PROCESSING_TIMEOUT_MINUTES: Joi.number()
+      .min(1)
+      .default(5)
+      .description('minutes after which a WhatsApp message still being processed is processed again on a retry'),
+    LIST_NOTIFICATIONS_DIGEST_MINUTES: Joi.number()
+      .min(0)
+      .default(10)
+      .description('minutes list changes are collected before a WhatsApp digest is sent to the other members'),
+    NOTIFICATIONS_TIMEZONE: Joi.string().default('America/Sao_Paulo').description('time zone of the quiet hours'),
+    NOTIFICATIONS_QUIET_HOURS_START: Joi.string()
+      .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .default('22:00')
+      .description('default start of the quiet hours, HH:mm'),
+    NOTIFICATIONS_QUIET_HOURS_END: Joi.string()
+      .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .default('08:00')
+      .description('default end of the quiet hours, HH:mm'),
+    OTP_EXPIRATION_MINUTES: Joi.number().default(10).description('minutes after which a verification code expires'),
+    OTP_COOLDOWN_SECONDS: Joi.number()
+      .default(30)
+      .description('wait before a new code can be sent to a phone number, doubled after each code of the day'),
+    OTP_PHONE_DAILY_LIMIT: Joi.number().default(5).description('verification codes sent to a phone number per day'),
+    OTP_IP_DAILY_LIMIT: Joi.number().default(20).description('verification codes requested from an IP address per day'),
+    OTP_MAX_FAILED_ATTEMPTS: Joi.number().default(3).description('wrong codes accepted before a code is invalidated'),
   })
   .unknown();
 
@@ -40,6 +88,7 @@ logger.info(`NODE_ENV: ${envVars.NODE_ENV}`);
 module.exports = {
   env: envVars.NODE_ENV,
   port: envVars.PORT,
+  trustProxy: envVars.TRUST_PROXY,
   mongoose: {
     url: envVars.MONGODB_URL + (envVars.NODE_ENV === 'test' ? '-test' : ''),
     options: {
@@ -66,10 +115,43 @@ module.exports = {
     },
     from: envVars.EMAIL_FROM,
   },
+  jobs: {
+    workerEnabled: envVars.JOB_WORKER_ENABLED && envVars.NODE_ENV !== 'test',
+    pollIntervalMs: envVars.JOB_WORKER_POLL_INTERVAL_MS,
+  },
+  whatsapp: {
+    sessionTimeoutMinutes: envVars.WHATSAPP_SESSION_TIMEOUT_MINUTES,
+    sessionMaxMessages: envVars.WHATSAPP_SESSION_MAX_MESSAGES,
+    rulesMinConfidence: envVars.WHATSAPP_RULES_MIN_CONFIDENCE,
+    maxMessageLength: envVars.WHATSAPP_MAX_MESSAGE_LENGTH,
+    tripwireMessage: envVars.WHATSAPP_GUARDRAILS_TRIPWIRE_MESSAGE,
+    messageRecordDays: envVars.WHATSAPP_MESSAGE_RECORD_DAYS,
+    messageProcessingTimeoutMinutes: envVars.WHATSAPP_MESSAGE_PROCESSING_TIMEOUT_MINUTES,
+  },
+  notifications: {
+    digestMinutes: envVars.LIST_NOTIFICATIONS_DIGEST_MINUTES,
+    timezone: envVars.NOTIFICATIONS_TIMEZONE,
+    quietHoursStart: envVars.NOTIFICATIONS_QUIET_HOURS_START,
+    quietHoursEnd: envVars.NOTIFICATIONS_QUIET_HOURS_END,
+  },
+  otp: {
+    expirationMinutes: envVars.OTP_EXPIRATION_MINUTES,
+    cooldownSeconds: envVars.OTP_COOLDOWN_SECONDS,
+    phoneDailyLimit: envVars.OTP_PHONE_DAILY_LIMIT,
+    ipDailyLimit: envVars.OTP_IP_DAILY_LIMIT,
+    maxFailedAttempts: envVars.OTP_MAX_FAILED_ATTEMPTS,
+  },
   twilio: {
     accountSid: process.env.TWILIO_ACCOUNTSID,
     authToken: process.env.TWILIO_AUTHTOKEN,
     phoneNumber: process.env.TWILIO_FROMWHATS,
+    smsNumber: process.env.TWILIO_FROMSMS,
+    validateSignature: envVars.TWILIO_VALIDATE_SIGNATURE,
+    webhookBaseUrl: envVars.TWILIO_WEBHOOK_BASE_URL,
+  },
+  telegram: {
+    botToken: envVars.TELEGRAM_BOT_TOKEN,
+    webhookSecret: envVars.TELEGRAM_WEBHOOK_SECRET,
   },
   WA: {
     authenticationId: process.env.WA_AUTHENTICATION_SID,
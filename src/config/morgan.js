@@ -3,6 +3,8 @@ const config = require('./config');
 const logger = require('./logger');
 
 morgan.token('message', (req, res) => res.locals.errorMessage || '');
+// the event streams take the access token in the query string (see middlewares/queryToken), kept out of the logs
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]access_token=)[^&]*/, '$1[REDACTED]'));
 
 const getIpFormat = () => (config.env === 'production' ? ':remote-addr - ' : '');
 const successResponseFormat = `${getIpFormat()}:method :url :status - :response-time ms`;
@@ -16,7 +16,7 @@ const register = catchAsync(async (req, res) => {
   }
   
   if (phoneNumber) {
-    await messagingService.sendMessageLogin(phoneNumber, oCode.code);
+    await messagingService.sendMessageLogin(phoneNumber, oCode.code, { ip: req.ip });
   }
   
   // Return user without tokens - tokens will be generated after phone verification
@@ -2,7 +2,7 @@ const httpStatus = require('http-status');
 const pick = require('../utils/pick');
 const ApiError = require('../utils/ApiError');
 const catchAsync = require('../utils/catchAsync');
-const { canonicalProductService } = require('../services');
+const { canonicalProductService, priceObservationService } = require('../services');
 
 const createCanonicalProduct = catchAsync(async (req, res) => {
   const product = await canonicalProductService.createCanonicalProduct(req.body);
@@ -34,6 +34,12 @@ const deleteCanonicalProduct = catchAsync(async (req, res) => {
   res.status(httpStatus.NO_CONTENT).send();
 });
 
+const getPriceHistory = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['groupId', 'vendorId', 'startDate', 'endDate']);
+  const result = await priceObservationService.getPriceHistory(req.params.id, filter, req.user.id);
+  res.status(httpStatus.OK).send(result);
+});
+
 const search = catchAsync(async (req, res) => {
   const { q: searchTerm } = req.query;
   const groupId = req.query.groupId || null;
@@ -70,6 +76,7 @@ module.exports = {
   getCanonicalProduct,
   updateCanonicalProduct,
   deleteCanonicalProduct,
+  getPriceHistory,
   search,
   createFromNotaItem,
 };
@@ -0,0 +1,25 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const { whatsappWebhookService } = require('../services');
+const { getChannel } = require('../services/channels');
+const logger = require('../config/logger');
+
+/**
+ * Handle an incoming message webhook of any messaging channel
+ * @route POST /v1/channels/:channel/webhook
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const handleWebhook = catchAsync(async (req, res) => {
+  try {
+    await whatsappWebhookService.receiveMessage(getChannel(req.params.channel), req.body);
+  } catch (error) {
+    logger.error(`Error in ${req.params.channel} webhook handler:`, error);
+  }
+  // Return 200 even on error, providers retry the other answers
+  res.status(httpStatus.OK).send('OK');
+});
+
+module.exports = {
+  handleWebhook,
+};
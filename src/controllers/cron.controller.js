@@ -1,6 +1,6 @@
 const httpStatus = require('http-status');
 const catchAsync = require('../utils/catchAsync');
-const { qrcodeService } = require('../services');
+const { qrcodeService, listTemplateService } = require('../services');
 
 const checkNotas = catchAsync(async (req, res) => {
   const qrCode = await qrcodeService.getQRcode(req.params.url);
@@ -11,6 +11,13 @@ const checkNotas = catchAsync(async (req, res) => {
   return res.status(httpStatus.BAD_REQUEST).send('Error when creating the QR code.');
 });
 
+// adds the items of the due recurring templates to the default lists; a run is applied once however often it is called
+const runListSchedules = catchAsync(async (req, res) => {
+  const result = await listTemplateService.runDueListTemplates();
+  res.send(result);
+});
+
 module.exports = {
   checkNotas,
+  runListSchedules,
 };
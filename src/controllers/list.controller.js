@@ -3,6 +3,56 @@ const pick = require('../utils/pick');
 const ApiError = require('../utils/ApiError');
 const catchAsync = require('../utils/catchAsync');
 const listService = require('../services/list.service');
+const listEventsService = require('../services/listEvents.service');
+const listSyncService = require('../services/listSync.service');
+
+// comments keep proxies from closing idle streams; every one also checks the member can still see the list
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// wait before EventSource reconnects a closed stream
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+// sends the events matching filter as Server-Sent Events until the client leaves or loses access
+const openEventStream = (req, res, filter, checkAccess) => {
+  res.writeHead(httpStatus.OK, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  const send = (chunk) => {
+    res.write(chunk);
+    // the compression middleware buffers the stream until flushed
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  };
+  const sendEvent = (type, data, id) => send(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  let heartbeat = null;
+  let unsubscribe = null;
+  const close = () => {
+    clearInterval(heartbeat);
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+      res.end();
+    }
+  };
+
+  send(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+  sendEvent('ready', filter);
+  unsubscribe = listEventsService.subscribe(filter, (event) => sendEvent(event.type, event, event.id));
+  heartbeat = setInterval(async () => {
+    try {
+      await checkAccess();
+      send(': ping\n\n');
+    } catch (error) {
+      sendEvent('error', { code: error.statusCode || httpStatus.INTERNAL_SERVER_ERROR, message: error.message });
+      close();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  req.on('close', close);
+};
 
 /**
  * @swagger
@@ -419,6 +469,48 @@ const getListItems = catchAsync(async (req, res) => {
   res.send(result);
 });
 
+/**
+ * @swagger
+ * /lists/{listId}/sections:
+ *   get:
+ *     summary: Get the open items of a list grouped by store section
+ *     description: Sections follow the aisle order of the vendor when given, else the one of the group, else the default order. Items without category come last.
+ *     tags: [List Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: List ID
+ *       - in: query
+ *         name: vendorId
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: Store the list is shopped at
+ *     responses:
+ *       200:
+ *         description: List sections retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - User is not a member of the group
+ *       404:
+ *         description: List or vendor not found
+ */
+const getListSections = catchAsync(async (req, res) => {
+  const { list, aisleOrder, sections, completedItems } = await listService.getListSections(
+    req.params.listId,
+    req.user.id,
+    pick(req.query, ['vendorId'])
+  );
+  res.send({ listId: list.id, name: list.name, aisleOrder, sections, completedItems });
+});
+
 /**
  * @swagger
  * /list-items/{itemId}:
@@ -467,6 +559,164 @@ const updateListItem = catchAsync(async (req, res) => {
   res.send(list);
 });
 
+/**
+ * @swagger
+ * /lists/{listId}/events:
+ *   get:
+ *     summary: Stream the item events of a list
+ *     description: Server-Sent Events stream of item.added, item.updated, item.completed and item.deleted events. EventSource cannot send headers, so the access token can be given as the access_token query parameter. The stream is closed with an error event once the user is no longer a member of the group.
+ *     tags: [List Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: List ID
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: Access token, when the Authorization header cannot be sent
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - User is not a member of the group
+ *       404:
+ *         description: List not found
+ */
+const streamListEvents = catchAsync(async (req, res) => {
+  const list = await listService.getListById(req.params.listId, req.user.id);
+  openEventStream(req, res, { listId: list.id }, () => listService.getListById(list._id, req.user.id));
+});
+
+/**
+ * @swagger
+ * /lists/groups/{groupId}/events:
+ *   get:
+ *     summary: Stream the item events of every list of a group
+ *     description: Same events as /lists/{listId}/events, for all the lists of the group.
+ *     tags: [List Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: Group ID
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: Access token, when the Authorization header cannot be sent
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - User is not a member of the group
+ */
+const streamGroupListEvents = catchAsync(async (req, res) => {
+  const { groupId } = req.params;
+  await listService.assertGroupMembership(groupId, req.user.id);
+  openEventStream(req, res, { groupId }, () => listService.assertGroupMembership(groupId, req.user.id));
+});
+
+/**
+ * @swagger
+ * /lists/{listId}/sync:
+ *   post:
+ *     summary: Sync the changes made to a list offline
+ *     description: Applies the operations in order and returns the changes since the sync token. Each field of an item keeps its latest change by the time of the operation (times ahead of the server count as now); on a tie the server value stays. A deleted item stays deleted and later operations on it are ignored. Without a sync token, or with one older than the tombstones kept, fullSync is true and the items replace the client's copy.
+ *     tags: [List Items]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: List ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               syncToken:
+ *                 type: string
+ *                 description: Token of the last sync
+ *               operations:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - type
+ *                     - at
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [add, update, delete]
+ *                     itemId:
+ *                       type: string
+ *                       format: objectId
+ *                     clientId:
+ *                       type: string
+ *                       description: Client id of an item added offline; required to add
+ *                     text:
+ *                       type: string
+ *                       description: Item to add
+ *                     fields:
+ *                       type: object
+ *                       description: Fields to update (text, isCompleted, order)
+ *                     at:
+ *                       type: string
+ *                       format: date-time
+ *                       description: When the change was made on the client
+ *                     baseVersion:
+ *                       type: integer
+ *                       description: Version of the item the client changed
+ *     responses:
+ *       200:
+ *         description: Outcome of each operation (added, merged, existing, applied, partial, ignored, deleted or not_found), the items changed since the sync token, the ids of the items deleted since it and the next sync token
+ *       400:
+ *         description: Bad request or invalid sync token
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - User is not a member of the group
+ *       404:
+ *         description: List not found
+ *       409:
+ *         description: The list kept changing during the sync
+ */
+const syncList = catchAsync(async (req, res) => {
+  const result = await listSyncService.syncList(req.params.listId, req.body, req.user);
+  res.send(result);
+});
+
 /**
  * @swagger
  * /list-items/{itemId}:
@@ -508,6 +758,10 @@ module.exports = {
   deleteList,
   createListItem,
   getListItems,
+  getListSections,
+  streamListEvents,
+  streamGroupListEvents,
+  syncList,
   updateListItem,
   deleteListItem,
 };
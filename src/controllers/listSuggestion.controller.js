@@ -0,0 +1,114 @@
+const pick = require('../utils/pick');
+const catchAsync = require('../utils/catchAsync');
+const listSuggestionService = require('../services/listSuggestion.service');
+
+/**
+ * @swagger
+ * /list-suggestions:
+ *   get:
+ *     summary: Get the products a group usually buys by now
+ *     description: Each regularly bought product's purchase interval is estimated from the group's notas. Products due for the default list are suggested with a confidence score and their last purchase date, unless they are already on the list or were answered since their last purchase.
+ *     tags: [List Suggestions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: Group ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         description: Maximum number of suggestions
+ *     responses:
+ *       200:
+ *         description: Suggestions, most confident first
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - User is not a member of the group
+ */
+const getListSuggestions = catchAsync(async (req, res) => {
+  const options = pick(req.query, ['limit']);
+  const suggestions = await listSuggestionService.getListSuggestions(req.query.groupId, req.user.id, options);
+  res.send({ results: suggestions });
+});
+
+/**
+ * @swagger
+ * /list-suggestions/{suggestionId}/accept:
+ *   post:
+ *     summary: Accept a suggestion, adding its product to the group's default list
+ *     tags: [List Suggestions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: suggestionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: Suggestion ID
+ *     responses:
+ *       200:
+ *         description: Suggestion accepted, with the updated list
+ *       400:
+ *         description: Suggestion already answered
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - User is not a member of the group
+ *       404:
+ *         description: Suggestion not found
+ */
+const acceptListSuggestion = catchAsync(async (req, res) => {
+  const result = await listSuggestionService.acceptListSuggestion(req.params.suggestionId, req.user);
+  res.send(result);
+});
+
+/**
+ * @swagger
+ * /list-suggestions/{suggestionId}/dismiss:
+ *   post:
+ *     summary: Dismiss a suggestion until its product is bought again
+ *     tags: [List Suggestions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: suggestionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: Suggestion ID
+ *     responses:
+ *       200:
+ *         description: Suggestion dismissed
+ *       400:
+ *         description: Suggestion already answered
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - User is not a member of the group
+ *       404:
+ *         description: Suggestion not found
+ */
+const dismissListSuggestion = catchAsync(async (req, res) => {
+  const suggestion = await listSuggestionService.dismissListSuggestion(req.params.suggestionId, req.user.id);
+  res.send(suggestion);
+});
+
+module.exports = {
+  getListSuggestions,
+  acceptListSuggestion,
+  dismissListSuggestion,
+};
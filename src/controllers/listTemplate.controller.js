@@ -0,0 +1,268 @@
+const httpStatus = require('http-status');
+const pick = require('../utils/pick');
+const catchAsync = require('../utils/catchAsync');
+const listTemplateService = require('../services/listTemplate.service');
+
+/**
+ * @swagger
+ * /list-templates:
+ *   post:
+ *     summary: Create a list template
+ *     description: A template with a schedule adds its items to the group's default list on every run.
+ *     tags: [List Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - groupId
+ *               - items
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               groupId:
+ *                 type: string
+ *                 format: objectId
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               schedule:
+ *                 type: object
+ *                 properties:
+ *                   frequency:
+ *                     type: string
+ *                     enum: [weekly, biweekly, monthly]
+ *                   dayOfWeek:
+ *                     type: integer
+ *                     minimum: 0
+ *                     maximum: 6
+ *                     description: Day of the week of the weekly and biweekly schedules, 0 is Sunday
+ *                   dayOfMonth:
+ *                     type: integer
+ *                     minimum: 1
+ *                     maximum: 28
+ *                     description: Day of the month of the monthly schedules
+ *                   isActive:
+ *                     type: boolean
+ *                     default: true
+ *     responses:
+ *       201:
+ *         description: List template created successfully
+ *       400:
+ *         description: Bad request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - User is not a member of the group
+ */
+const createListTemplate = catchAsync(async (req, res) => {
+  const template = await listTemplateService.createListTemplate(req.body, req.user.id);
+  res.status(httpStatus.CREATED).send(template);
+});
+
+/**
+ * @swagger
+ * /list-templates:
+ *   get:
+ *     summary: Get the list templates of a group
+ *     tags: [List Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: Group ID
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: Sort option in the format: sortField:(desc|asc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Maximum number of results per page
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Current page
+ *     responses:
+ *       200:
+ *         description: List templates retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - User is not a member of the group
+ */
+const getListTemplates = catchAsync(async (req, res) => {
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await listTemplateService.getListTemplatesByGroup(req.query.groupId, req.user.id, options);
+  res.send(result);
+});
+
+/**
+ * @swagger
+ * /list-templates/{templateId}:
+ *   get:
+ *     summary: Get a list template by ID
+ *     tags: [List Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: List template ID
+ *     responses:
+ *       200:
+ *         description: List template retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - User is not a member of the group
+ *       404:
+ *         description: List template not found
+ */
+const getListTemplate = catchAsync(async (req, res) => {
+  const template = await listTemplateService.getListTemplateById(req.params.templateId, req.user.id);
+  res.send(template);
+});
+
+/**
+ * @swagger
+ * /list-templates/{templateId}:
+ *   patch:
+ *     summary: Update a list template
+ *     description: Only the template creator or a group admin can update it. A null schedule removes it.
+ *     tags: [List Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: List template ID
+ *     responses:
+ *       200:
+ *         description: List template updated successfully
+ *       400:
+ *         description: Bad request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - User cannot update this template
+ *       404:
+ *         description: List template not found
+ */
+const updateListTemplate = catchAsync(async (req, res) => {
+  const template = await listTemplateService.updateListTemplateById(req.params.templateId, req.body, req.user.id);
+  res.send(template);
+});
+
+/**
+ * @swagger
+ * /list-templates/{templateId}:
+ *   delete:
+ *     summary: Delete a list template
+ *     tags: [List Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: List template ID
+ *     responses:
+ *       204:
+ *         description: List template deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - User cannot delete this template
+ *       404:
+ *         description: List template not found
+ */
+const deleteListTemplate = catchAsync(async (req, res) => {
+  await listTemplateService.deleteListTemplateById(req.params.templateId, req.user.id);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+/**
+ * @swagger
+ * /list-templates/{templateId}/instantiate:
+ *   post:
+ *     summary: Create a list with the items of a template
+ *     tags: [List Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *         description: List template ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Name of the list, the template's by default
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: List created successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - User is not a member of the group
+ *       404:
+ *         description: List template not found
+ */
+const instantiateListTemplate = catchAsync(async (req, res) => {
+  const list = await listTemplateService.instantiateListTemplate(req.params.templateId, req.body, req.user);
+  res.status(httpStatus.CREATED).send(list);
+});
+
+module.exports = {
+  createListTemplate,
+  getListTemplates,
+  getListTemplate,
+  updateListTemplate,
+  deleteListTemplate,
+  instantiateListTemplate,
+};
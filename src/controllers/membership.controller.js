@@ -150,6 +150,16 @@ const removeMember = catchAsync(async (req, res) => {
   res.status(httpStatus.OK).send(membership);
 });
 
+/**
+ * Mute or unmute the list change notifications of a group
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateNotifications = catchAsync(async (req, res) => {
+  const membership = await membershipService.setNotificationsMuted(req.params.membershipId, req.body.muted, req.user.id);
+  res.status(httpStatus.OK).send(membership);
+});
+
 /**
  * Get pending invitations for a group
  * @param {Object} req - Express request object
@@ -187,6 +197,7 @@ module.exports = {
   getMembership,
   updateRole,
   removeMember,
+  updateNotifications,
   getPendingInvitations,
   cleanupExpiredInvitations,
 };
@@ -1,15 +1,15 @@
 const httpStatus = require('http-status');
-// const pick = require('../utils/pick');
+const pick = require('../utils/pick');
 // const ApiError = require('../utils/ApiError');
 const catchAsync = require('../utils/catchAsync');
 const { sendMessage, sendMessageLogin, confirmWhatsCodeLogin } = require('../services/messaging.service');
-const { tokenService } = require('../services');
+const { tokenService, otpThrottleService } = require('../services');
 // const { createCheck } = require('../services/checkPhoneNumber.service');
 const CodeGenerator = require('../utils/generator');
 
 const sendCodeWhatsApp = catchAsync(async (req, res) => {
   const oCode = new CodeGenerator(5, 'number');
-  await sendMessage(req.body.phoneNumber, oCode.code, req.body.garantiaId || 'pending').then(() => {
+  await sendMessage(req.body.phoneNumber, oCode.code, { ip: req.ip }).then(() => {
     res.status(httpStatus.OK).send({ success: `Code sent to ${req.body.phoneNumber}.` });
   });
 });
@@ -17,7 +17,7 @@ const sendCodeWhatsApp = catchAsync(async (req, res) => {
 // snedWhats is a function that sends a code to a phone number
 const sendWhats = catchAsync(async (req, res) => {
   const oCode = new CodeGenerator(5, 'number');
-  await sendMessageLogin(req.body.phoneNumber, oCode.code).then(() => {
+  await sendMessageLogin(req.body.phoneNumber, oCode.code, { ip: req.ip }).then(() => {
     res.status(httpStatus.OK).send({ success: `Code sent to ${req.body.phoneNumber}.` });
   });
 });
@@ -49,10 +49,19 @@ const confirmCode = catchAsync(async (req, res) => {
   }
 });
 
+// lockouts of phone numbers and IP addresses that asked for too many codes, for support
+const getLockouts = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['phoneNumber', 'ip', 'reason']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await otpThrottleService.queryLockouts(filter, options);
+  res.send(result);
+});
+
 module.exports = {
   sendCodeWhatsApp,
   confirmCode,
   sendWhats,
+  getLockouts,
 };
 
 /* example:
@@ -11,6 +11,11 @@ const checkNota = catchAsync(async (req, res) => {
   res.status(httpStatus.CREATED).send({ nota });
 });
 
+const createManualNota = catchAsync(async (req, res) => {
+  const nota = await notaService.createManualNota(req.body, req.user.id);
+  res.status(httpStatus.CREATED).send({ nota });
+});
+
 const getAll = catchAsync(async (req, res) => {
   // const filter = pick(req.query, ['name', 'role']);
   const options = pick(req.query, ['sort', 'limit', 'page']);
@@ -22,11 +27,16 @@ const getAll = catchAsync(async (req, res) => {
 
 const loadNota = catchAsync(async (req, res) => {
   const filter = { status: 'pending' };
-  const options = { sort: { createdAt: 1 }, limit: 1 };
+  const options = { sort: { createdAt: 1 }, limit: 10 };
   const result = await notaService.loadNota(filter, options);
   res.send(result);
 });
 
+const getNotaJobs = catchAsync(async (req, res) => {
+  const result = await notaService.getNotaJobs(req.params.id, req.user.id);
+  res.send(result);
+});
+
 const getNotas = catchAsync(async (req, res) => {
   // const filter = pick(req.query, ['name', 'role']);
   const options = pick(req.query, ['sort', 'limit', 'page']);
@@ -44,6 +54,21 @@ const getNota = catchAsync(async (req, res) => {
   res.send({ nota });
 });
 
+const flagNota = catchAsync(async (req, res) => {
+  const nota = await notaService.flagNota(req.params.id, req.body.reason, req.user.id);
+  res.send({ nota });
+});
+
+const cancelNota = catchAsync(async (req, res) => {
+  const nota = await notaService.cancelNota(req.params.id, req.body.reason, req.user.id);
+  res.send({ nota });
+});
+
+const correctNotaItem = catchAsync(async (req, res) => {
+  const nota = await notaService.correctNotaItem(req.params.id, req.params.itemIndex, req.body, req.user.id);
+  res.send({ nota });
+});
+
 const updateNota = catchAsync(async (req, res) => {
   const nota = await notaService.updateNotaById(req.params.id, req.body);
   res.send(nota);
@@ -60,6 +85,12 @@ const getSpendingStatistics = catchAsync(async (req, res) => {
   res.status(httpStatus.OK).send(statistics);
 });
 
+const getSpendingByCategory = catchAsync(async (req, res) => {
+  const filter = { ...pick(req.query, ['groupId', 'month']), userId: req.user.id };
+  const breakdown = await notaService.getSpendingByCategory(filter);
+  res.status(httpStatus.OK).send(breakdown);
+});
+
 const getLast30DaysNotas = catchAsync(async (req, res) => {
   const filter = pick(req.query, ['userId', 'groupId']);
   const notas = await notaService.getLast30DaysNotas(filter);
@@ -68,12 +99,18 @@ const getLast30DaysNotas = catchAsync(async (req, res) => {
 
 module.exports = {
   checkNota,
+  createManualNota,
   getAll,
   getNotas,
   getNota,
   loadNota,
+  getNotaJobs,
+  flagNota,
+  cancelNota,
+  correctNotaItem,
   updateNota,
   deleteNota,
   getSpendingStatistics,
+  getSpendingByCategory,
   getLast30DaysNotas,
 };
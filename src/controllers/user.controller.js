@@ -2,7 +2,14 @@ const httpStatus = require('http-status');
 const pick = require('../utils/pick');
 const ApiError = require('../utils/ApiError');
 const catchAsync = require('../utils/catchAsync');
-const { userService } = require('../services');
+const { userService, channelLinkService } = require('../services');
+
+// channel links let the caller act as the user, and settings are personal: only the user can manage them
+const assertCallerIsUser = (req) => {
+  if (req.params.userId !== req.user.id) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Forbidden');
+  }
+};
 
 const createUser = catchAsync(async (req, res) => {
   // console.log({body: req.body});
@@ -58,6 +65,24 @@ const setActiveGroup = catchAsync(async (req, res) => {
   res.send(user);
 });
 
+const updateNotificationSettings = catchAsync(async (req, res) => {
+  assertCallerIsUser(req);
+  const user = await userService.updateNotificationSettings(req.params.userId, req.body);
+  res.send(user);
+});
+
+const createChannelLinkCode = catchAsync(async (req, res) => {
+  assertCallerIsUser(req);
+  const linkCode = await channelLinkService.createLinkCode(req.params.userId);
+  res.status(httpStatus.CREATED).send(linkCode);
+});
+
+const unlinkChannel = catchAsync(async (req, res) => {
+  assertCallerIsUser(req);
+  const user = await channelLinkService.unlinkChannel(req.params.userId, req.params.linkId);
+  res.send(user);
+});
+
 module.exports = {
   createUser,
   getUsers,
@@ -67,4 +92,7 @@ module.exports = {
   getUserMemberships,
   getUserGroups,
   setActiveGroup,
+  updateNotificationSettings,
+  createChannelLinkCode,
+  unlinkChannel,
 };
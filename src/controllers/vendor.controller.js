@@ -0,0 +1,18 @@
+const httpStatus = require('http-status');
+const catchAsync = require('../utils/catchAsync');
+const { vendorService } = require('../services');
+
+const compareVendors = catchAsync(async (req, res) => {
+  const comparison = await vendorService.compareVendors(req.body, req.user.id);
+  res.status(httpStatus.OK).send(comparison);
+});
+
+const updateAisleOrder = catchAsync(async (req, res) => {
+  const vendor = await vendorService.updateAisleOrder(req.params.vendorId, req.body.aisleOrder);
+  res.send(vendor);
+});
+
+module.exports = {
+  compareVendors,
+  updateAisleOrder,
+};
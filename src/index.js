@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const app = require('./app');
 const config = require('./config/config');
 const logger = require('./config/logger');
+const { jobService } = require('./services');
 // const { User } = require('./models');
 
 let server;
@@ -16,9 +17,13 @@ mongoose.connect(config.mongoose.url, config.mongoose.options).then(async () =>
   server = app.listen(config.port, () => {
     logger.info(`Listening to port ${config.port}`);
   });
+  if (config.jobs.workerEnabled) {
+    jobService.startWorker({ pollIntervalMs: config.jobs.pollIntervalMs });
+  }
 });
 
 const exitHandler = () => {
+  jobService.stopWorker();
   if (server) {
     server.close(() => {
       logger.info('Server closed');
@@ -39,6 +44,7 @@ process.on('unhandledRejection', unexpectedErrorHandler);
 
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received');
+  jobService.stopWorker();
   if (server) {
     server.close();
   }
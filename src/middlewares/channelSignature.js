@@ -0,0 +1,26 @@
+const httpStatus = require('http-status');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+const { getChannel } = require('../services/channels');
+
+/**
+ * Reject the webhook requests that were not sent by the channel provider (Twilio signature, Telegram secret token)
+ * Must run after the body parser, the form parameters are part of the Twilio signature
+ * @param {string} [channelName] - Channel of the route; defaults to the :channel route parameter
+ */
+const verifyChannelSignature = (channelName) => (req, res, next) => {
+  let channel;
+  try {
+    channel = getChannel(channelName || req.params.channel);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!channel.verifyRequest(req)) {
+    logger.warn('Rejected webhook with an invalid signature', { channel: channel.name, url: req.originalUrl });
+    return next(new ApiError(httpStatus.FORBIDDEN, 'Invalid request signature'));
+  }
+  return next();
+};
+
+module.exports = verifyChannelSignature;
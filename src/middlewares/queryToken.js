@@ -0,0 +1,12 @@
+/**
+ * Take the access token from the access_token query parameter when the request has no Authorization header
+ * Only for the event streams: EventSource cannot send headers. Put before auth()
+ */
+const queryToken = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+module.exports = queryToken;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
 const { toJSON } = require('./plugins');
 const ApiError = require('../utils/ApiError');
 const httpStatus = require('http-status');
@@ -21,9 +22,13 @@ const checkPhoneNumberSchema = mongoose.Schema(
       type: String,
       trim: true,
     },
-    code: {
-      type: Number,
-      default: false,
+    // codes are stored hashed, like passwords
+    codeHash: {
+      type: String,
+      private: true,
+    },
+    codeExpiresAt: {
+      type: Date,
     },
     countryCode: {
       type: Number,
@@ -77,40 +82,78 @@ checkPhoneNumberSchema.statics.getCheckById = async function (garantiaId) {
 };
 
 /**
- * Check if code matches the phoneNumber
- * @param {number} code - The code
- * @param {garantiaId} garantiaId - garantiaId
+ * Store a new code for a phone number, resetting its confirmation and failed attempts
+ * @param {number|string} phoneNumber - phoneNumber
+ * @param {number|string} code - The code, stored hashed
+ * @param {Date} expiresAt - Moment the code stops being accepted
+ * @returns {Promise}
+ */
+checkPhoneNumberSchema.statics.storeCode = async function (phoneNumber, code, expiresAt) {
+  const codeHash = await bcrypt.hash(String(code), 8);
+  return this.updateOne(
+    { phoneNumber },
+    { $set: { codeHash, codeExpiresAt: expiresAt, confirmed: false, count: 0 }, $unset: { code: 1 } },
+    // strict is off so the plaintext code of older records, no longer in the schema, is removed
+    { upsert: true, strict: false }
+  );
+};
+
+/**
+ * Check if a code matches the stored one and has not expired
+ * @param {number|string} code - The code
+ * @returns {Promise<boolean>}
+ */
+checkPhoneNumberSchema.methods.isCodeMatch = async function (code) {
+  const check = this;
+  if (!check.codeHash || !check.codeExpiresAt || check.codeExpiresAt <= new Date()) {
+    return false;
+  }
+  return bcrypt.compare(String(code), check.codeHash);
+};
+
+/**
+ * Check if code matches the check, counting the attempts
+ * The attempt is reserved before the code is compared, so parallel guesses cannot go past maxAttempts
+ * @param {Model} model - The CheckPhoneNumber model
+ * @param {Object} filter - Check to confirm
+ * @param {number|string} code - The code
+ * @param {number} maxAttempts - Attempts allowed per code
  * @returns {Promise<boolean>}
  */
-checkPhoneNumberSchema.statics.confirmCode = async function (code, garantiaId) {
-  console.log({code, garantiaId});
-  const check = await this.findOne({ code, garantiaId });
+const confirmCheck = async (model, filter, code, maxAttempts) => {
+  const check = await model.findOneAndUpdate(
+    { ...filter, confirmed: { $ne: true }, count: { $lt: maxAttempts } },
+    { $inc: { count: 1 } },
+    { new: true }
+  );
   if (check === null) {
-    await this.findOne({ garantiaId }).updateOne({ $inc: { count: 1 } });
-  } else if (check.confirmed === true) {
     return false;
   }
-  return !!check;
+  return check.isCodeMatch(code);
 };
 
 /**
  * Check if code matches the phoneNumber
  * @param {number} code - The code
  * @param {garantiaId} garantiaId - garantiaId
+ * @param {number} maxAttempts - Attempts allowed per code
  * @returns {Promise<boolean>}
  */
-checkPhoneNumberSchema.statics.confirmCodeLogin = async function (code, phoneNumber) {
-  // Convert code to number for proper matching since it's stored as Number in the schema
-  const codeAsNumber = parseInt(code, 10);
+checkPhoneNumberSchema.statics.confirmCode = async function (code, garantiaId, maxAttempts) {
+  return confirmCheck(this, { garantiaId }, code, maxAttempts);
+};
+
+/**
+ * Check if code matches the phoneNumber
+ * @param {number} code - The code
+ * @param {number|string} phoneNumber - phoneNumber
+ * @param {number} maxAttempts - Attempts allowed per code
+ * @returns {Promise<boolean>}
+ */
+checkPhoneNumberSchema.statics.confirmCodeLogin = async function (code, phoneNumber, maxAttempts) {
+  // phoneNumber is stored as Number in the schema
   const phoneNumberAsNumber = parseInt(phoneNumber, 10);
-  
-  const check = await this.findOne({ code: codeAsNumber, phoneNumber: phoneNumberAsNumber });
-  if (check === null) {
-    await this.findOne({ phoneNumber: phoneNumberAsNumber }).updateOne({ $inc: { count: 1 } });
-  } else if (check.confirmed === true) {
-    return false;
-  }
-  return !!check;
+  return confirmCheck(this, { phoneNumber: phoneNumberAsNumber }, code, maxAttempts);
 };
 
 /**
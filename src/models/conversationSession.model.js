@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+
+const sessionMessageSchema = mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: ['user', 'assistant'],
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const conversationSessionSchema = mongoose.Schema(
+  {
+    phoneNumber: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    messages: {
+      type: [sessionMessageSchema],
+      default: [],
+    },
+    lastActivityAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // sessions are removed by MongoDB once they expire
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+conversationSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// add plugin that converts mongoose to json
+conversationSessionSchema.plugin(toJSON);
+
+/**
+ * @typedef ConversationSession
+ */
+const ConversationSession = mongoose.model('ConversationSession', conversationSessionSchema);
+
+module.exports = ConversationSession;
@@ -40,6 +40,11 @@ const groupSchema = mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      // category_key values in the order the group walks its store, for the lists sorted by section
+      aisleOrder: {
+        type: [String],
+        default: undefined,
+      },
     },
     iconUrl: {
       type: String,
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+
+// processing record of a message received on a channel webhook, used to answer the provider's retries
+const inboundMessageSchema = mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      required: true,
+      default: 'whatsapp',
+    },
+    // message id on the channel: Twilio MessageSid, Telegram update_id
+    messageSid: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    from: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'completed', 'failed'],
+      default: 'processing',
+    },
+    // a message still processing long after this was abandoned, e.g. by a server that stopped, and is claimed again
+    processingStartedAt: {
+      type: Date,
+    },
+    // answer sent to the user, replayed instead of running the workflow again
+    responseText: {
+      type: String,
+    },
+    responseSent: {
+      type: Boolean,
+      default: false,
+    },
+    error: {
+      type: String,
+    },
+    // records are removed by MongoDB once the provider stopped retrying
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+inboundMessageSchema.index({ channel: 1, messageSid: 1 }, { unique: true });
+inboundMessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// add plugin that converts mongoose to json
+inboundMessageSchema.plugin(toJSON);
+
+/**
+ * @typedef InboundMessage
+ */
+const InboundMessage = mongoose.model('InboundMessage', inboundMessageSchema);
+
+module.exports = InboundMessage;
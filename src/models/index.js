@@ -11,3 +11,12 @@ module.exports.Group = require('./group.model');
 module.exports.Membership = require('./membership.model');
 module.exports.List = require('./list.model');
 module.exports.Referral = require('./referral.model');
+module.exports.Job = require('./job.model');
+module.exports.PriceObservation = require('./priceObservation.model');
+module.exports.ConversationSession = require('./conversationSession.model');
+module.exports.ListNotification = require('./listNotification.model');
+module.exports.InboundMessage = require('./inboundMessage.model');
+module.exports.OtpThrottle = require('./otpThrottle.model');
+module.exports.OtpLockout = require('./otpLockout.model');
+module.exports.ListTemplate = require('./listTemplate.model');
+module.exports.ListSuggestion = require('./listSuggestion.model');
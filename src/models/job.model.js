@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const jobSchema = mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    payload: {
+      type: Object,
+      default: {},
+    },
+    // set for the jobs working on a nota, so its job state can be looked up
+    notaId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Nota',
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'failed'],
+      default: 'queued',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    // the job is not picked up before this date (used for the retry backoff)
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lockedBy: {
+      type: String,
+    },
+    lastError: {
+      type: String,
+    },
+    result: {
+      type: Object,
+    },
+    completedAt: {
+      type: Date,
+    },
+    failedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+
+// add plugin that converts mongoose to json
+jobSchema.plugin(toJSON);
+jobSchema.plugin(paginate);
+
+/**
+ * @typedef Job
+ */
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
@@ -2,35 +2,85 @@ const mongoose = require('mongoose');
 const { toJSON, paginate } = require('./plugins');
 
 // List item subdocument schema
-const listItemSchema = new mongoose.Schema({
-  text: {
-    type: String,
-    required: [true, 'Item text is required'],
-    trim: true,
-    maxlength: 500,
-  },
-  isCompleted: {
-    type: Boolean,
-    default: false,
-  },
-  addedBy: {
-    type: String,
-    required: [true, 'Added by user firstName is required'],
-  },
-  completedBy: {
-    type: mongoose.SchemaTypes.ObjectId,
-    ref: 'User',
-  },
-  completedAt: {
-    type: Date,
-  },
-  order: {
-    type: Number,
-    default: 0,
+const listItemSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: [true, 'Item text is required'],
+      trim: true,
+      maxlength: 500,
+    },
+    // parsed from the text (see utils/listItemParser), e.g. "2kg de arroz" is 2 kg of "arroz"
+    quantity: {
+      type: Number,
+      default: null,
+    },
+    unit: {
+      type: String,
+      default: null,
+    },
+    product: {
+      type: String,
+      trim: true,
+    },
+    // set when the product matched a canonical product by name or synonym; items of the same product are merged
+    canonicalProductId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'CanonicalProduct',
+    },
+    category: {
+      type: String,
+      default: null,
+    },
+    categoryKey: {
+      type: String,
+      default: null,
+    },
+    isCompleted: {
+      type: Boolean,
+      default: false,
+    },
+    addedBy: {
+      type: String,
+      required: [true, 'Added by user firstName is required'],
+    },
+    completedBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+    },
+    completedAt: {
+      type: Date,
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+    // run of a scheduled template that added the item, so a retried run does not add it again
+    templateRun: {
+      type: String,
+    },
+    // version of the list when the item last changed, see the save hook below
+    version: {
+      type: Number,
+      default: 0,
+    },
+    // ids given by the clients that added the item offline, so a retried sync does not add it again
+    clientIds: {
+      type: [String],
+      default: undefined,
+      private: true,
+    },
+    // when each field synced offline last changed, for last-writer-wins (see services/listSync.service)
+    fieldUpdatedAt: {
+      text: Date,
+      isCompleted: Date,
+      order: Date,
+    },
   },
-}, {
-  timestamps: true,
-});
+  {
+    timestamps: true,
+  }
+);
 
 // Apply toJSON plugin to subdocument schema as well
 listItemSchema.plugin(toJSON);
@@ -73,6 +123,30 @@ const listSchema = mongoose.Schema(
       },
     },
     items: [listItemSchema],
+    // incremented on every change of the list or its items, the position sync tokens point to
+    version: {
+      type: Number,
+      default: 0,
+    },
+    // tombstones of the removed items, so offline clients learn about the deletions
+    deletedItems: {
+      type: [
+        {
+          _id: false,
+          itemId: mongoose.SchemaTypes.ObjectId,
+          clientIds: [String],
+          deletedAt: Date,
+          version: Number,
+        },
+      ],
+      private: true,
+    },
+    // newest version of a pruned tombstone; clients that synced before it need a full sync
+    syncHorizon: {
+      type: Number,
+      default: 0,
+      private: true,
+    },
   },
   {
     timestamps: true,
@@ -92,7 +166,7 @@ listSchema.pre('save', async function (next) {
       groupId: this.groupId,
       isDefault: true,
     });
-    
+
     if (existingDefault) {
       // If we're setting this as default, remove default from existing
       existingDefault.isDefault = false;
@@ -102,6 +176,67 @@ listSchema.pre('save', async function (next) {
   next();
 });
 
+// fields synced offline, merged field by field
+const SYNCED_ITEM_FIELDS = ['text', 'isCompleted', 'order'];
+// tombstones kept for clients that have not synced for a while
+const TOMBSTONE_TTL_DAYS = 30;
+
+/**
+ * Remove items from the list, leaving a tombstone for each so offline clients delete them too
+ * @param {Object[]} items - Items of the list
+ */
+listSchema.methods.removeItems = function (items) {
+  const deletedAt = new Date();
+  items.forEach((item) => {
+    this.deletedItems.push({ itemId: item._id, clientIds: item.clientIds || [], deletedAt });
+    this.items.pull(item._id);
+  });
+};
+
+// Every save of a change moves the list to its next version and stamps the items and tombstones it changed.
+// The save only succeeds from the version the list was loaded at, so two concurrent saves cannot share a
+// version; the later one fails with a DocumentNotFoundError
+listSchema.pre('save', function (next) {
+  if (!this.isNew && !this.isModified()) {
+    this.$where = null;
+    return next();
+  }
+  if (!this.isNew) {
+    // lists saved before versions were added have none
+    this.$where = { version: this.version || { $in: [0, null] } };
+  }
+  this.version = (this.version || 0) + 1;
+
+  const now = new Date();
+  this.items.forEach((item) => {
+    if (!item.isNew && !item.isModified()) {
+      return;
+    }
+    item.version = this.version; // eslint-disable-line no-param-reassign
+    if (!item.isNew) {
+      // changes made online win over offline changes made before them
+      SYNCED_ITEM_FIELDS.forEach((field) => {
+        if (item.isModified(field) && !item.isModified(`fieldUpdatedAt.${field}`)) {
+          item.set(`fieldUpdatedAt.${field}`, now);
+        }
+      });
+    }
+  });
+
+  const pruneBefore = now.getTime() - TOMBSTONE_TTL_DAYS * 24 * 60 * 60 * 1000;
+  const pruned = this.deletedItems.filter((tombstone) => tombstone.version && tombstone.deletedAt.getTime() < pruneBefore);
+  if (pruned.length) {
+    this.syncHorizon = Math.max(this.syncHorizon || 0, ...pruned.map((tombstone) => tombstone.version));
+    this.deletedItems = this.deletedItems.filter((tombstone) => !pruned.includes(tombstone));
+  }
+  this.deletedItems.forEach((tombstone) => {
+    if (!tombstone.version) {
+      tombstone.version = this.version; // eslint-disable-line no-param-reassign
+    }
+  });
+  next();
+});
+
 // add plugin that converts mongoose to json
 listSchema.plugin(toJSON);
 listSchema.plugin(paginate);
@@ -112,5 +247,3 @@ listSchema.plugin(paginate);
 const List = mongoose.model('List', listSchema);
 
 module.exports = List;
-
-
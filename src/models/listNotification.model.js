@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+
+const listChangeSchema = mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['added', 'completed'],
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    // first name of the member who made the change
+    by: {
+      type: String,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// changes of a list waiting to be sent to one member as a single WhatsApp digest
+const listNotificationSchema = mongoose.Schema(
+  {
+    listId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'List',
+      required: true,
+    },
+    recipientId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    groupId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Group',
+      required: true,
+    },
+    changes: {
+      type: [listChangeSchema],
+      default: [],
+    },
+    sendAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// one pending digest per list and member, new changes are added to it
+listNotificationSchema.index({ listId: 1, recipientId: 1 }, { unique: true });
+
+// add plugin that converts mongoose to json
+listNotificationSchema.plugin(toJSON);
+
+/**
+ * @typedef ListNotification
+ */
+const ListNotification = mongoose.model('ListNotification', listNotificationSchema);
+
+module.exports = ListNotification;
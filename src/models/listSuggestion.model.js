@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+// product a group is due to buy again, estimated from its notas; one per product and purchase cycle
+const listSuggestionSchema = mongoose.Schema(
+  {
+    groupId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Group',
+      required: true,
+    },
+    canonicalProductId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'CanonicalProduct',
+      required: true,
+    },
+    productName: {
+      type: String,
+      required: true,
+    },
+    // the purchase cycle: a new purchase of the product starts a new suggestion
+    lastPurchaseAt: {
+      type: Date,
+      required: true,
+    },
+    intervalDays: {
+      type: Number,
+      required: true,
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'dismissed'],
+      default: 'pending',
+    },
+    // members the suggestion was shown to
+    shownTo: [
+      {
+        type: mongoose.SchemaTypes.ObjectId,
+        ref: 'User',
+      },
+    ],
+    respondedBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+    },
+    respondedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+listSuggestionSchema.index({ groupId: 1, canonicalProductId: 1, lastPurchaseAt: 1 }, { unique: true });
+listSuggestionSchema.index({ shownTo: 1 });
+
+// add plugin that converts mongoose to json
+listSuggestionSchema.plugin(toJSON);
+listSuggestionSchema.plugin(paginate);
+
+/**
+ * @typedef ListSuggestion
+ */
+const ListSuggestion = mongoose.model('ListSuggestion', listSuggestionSchema);
+
+module.exports = ListSuggestion;
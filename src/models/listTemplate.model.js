@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const templateItemSchema = mongoose.Schema({
+  // as typed, parsed when the template is applied so the items link to the current canonical products
+  text: {
+    type: String,
+    required: [true, 'Item text is required'],
+    trim: true,
+    maxlength: 500,
+  },
+});
+
+templateItemSchema.plugin(toJSON);
+
+const scheduleSchema = mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: ['weekly', 'biweekly', 'monthly'],
+      required: true,
+    },
+    // 0 (Sunday) to 6, for the weekly and biweekly schedules
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6,
+    },
+    // 1 to 28, so every month has it
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 28,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // start of the day, in the notifications timezone, the next run adds the items on
+    nextRunAt: {
+      type: Date,
+    },
+    lastRunAt: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+
+// items a group buys together, e.g. "weekly basics", turned into a list on demand or added on a schedule
+const listTemplateSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Template name is required'],
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    groupId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Group',
+      required: [true, 'Group ID is required'],
+    },
+    createdBy: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: [true, 'Created by user ID is required'],
+    },
+    items: [templateItemSchema],
+    // the items are added to the group's default list on every run
+    schedule: {
+      type: scheduleSchema,
+      default: undefined,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+listTemplateSchema.index({ groupId: 1, name: 1 });
+// for the cron run, which looks up the due schedules
+listTemplateSchema.index({ 'schedule.isActive': 1, 'schedule.nextRunAt': 1 });
+
+// add plugin that converts mongoose to json
+listTemplateSchema.plugin(toJSON);
+listTemplateSchema.plugin(paginate);
+
+/**
+ * @typedef ListTemplate
+ */
+const ListTemplate = mongoose.model('ListTemplate', listTemplateSchema);
+
+module.exports = ListTemplate;
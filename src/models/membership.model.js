@@ -64,6 +64,10 @@ const membershipSchema = mongoose.Schema(
       type: Date,
       default: null, // Set when invitation is accepted
     },
+    notifications_muted: {
+      type: Boolean,
+      default: false, // Stops the list change digests of this group for the member
+    },
   },
   {
     timestamps: true, // Automatically adds createdAt and updatedAt
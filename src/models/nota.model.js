@@ -5,11 +5,70 @@ const { toJSON, paginate } = require('./plugins');
 // const ApiError = require('../utils/ApiError');
 // const httpStatus = require('http-status');
 
+// Manual change made to a nota (flag, cancellation, item correction)
+const notaAuditSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      required: true,
+      enum: ['flag', 'cancel', 'correctItem'],
+    },
+    user: {
+      type: String,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed },
+        to: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const notaSchema = mongoose.Schema(
   {
+    // 'manual' notas are typed by the user for purchases without an NFC-e, so they have no SEFAZ URL
+    source: {
+      type: String,
+      enum: ['nfce', 'manual'],
+      default: 'nfce',
+    },
     url: {
       type: String,
-      required: true,
+      required() {
+        return this.source !== 'manual';
+      },
+    },
+    accessKey: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+    },
+    accessKeyData: {
+      uf: { type: String },
+      ufCode: { type: String },
+      year: { type: Number },
+      month: { type: Number },
+      cnpj: { type: String },
+      model: { type: String },
+      series: { type: Number },
+      number: { type: Number },
+      emissionType: { type: Number },
+      numericCode: { type: String },
+      checkDigit: { type: Number },
     },
     user: {
       type: String,
@@ -30,11 +89,24 @@ const notaSchema = mongoose.Schema(
     status: {
       type: String,
       required: true,
-      enum: ['pending', 'read', 'canceled', 'flagged'],
+      // pending -> scraping -> read -> classified, or failed (see failureReason)
+      enum: ['pending', 'scraping', 'read', 'classified', 'failed', 'canceled', 'flagged'],
+    },
+    failureReason: {
+      type: String,
+    },
+    flagReason: {
+      type: String,
+    },
+    canceledAt: {
+      type: Date,
     },
     readAt: {
       type: Date,
     },
+    classifiedAt: {
+      type: Date,
+    },
     code: {
       type: String,
     },
@@ -51,6 +123,16 @@ const notaSchema = mongoose.Schema(
     vendorName: {
       type: String,
     },
+    auditTrail: {
+      type: [notaAuditSchema],
+      default: [],
+    },
+    // list items completed from the nota once it was classified, and the ones left for the members to confirm
+    listCompletion: {
+      completedAt: { type: Date },
+      completed: { type: Array },
+      ambiguous: { type: Array },
+    },
   },
   {
     timestamps: true,
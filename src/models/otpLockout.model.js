@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+// a phone number or IP address that was refused verification codes, kept for support
+const otpLockoutSchema = mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ['phone', 'ip'],
+      required: true,
+    },
+    value: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    reason: {
+      type: String,
+      enum: ['daily_limit', 'failed_attempts'],
+      required: true,
+    },
+    // request that caused the lockout
+    phoneNumber: {
+      type: String,
+      trim: true,
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+otpLockoutSchema.index({ kind: 1, value: 1, createdAt: -1 });
+
+// add plugin that converts mongoose to json
+otpLockoutSchema.plugin(toJSON);
+otpLockoutSchema.plugin(paginate);
+
+/**
+ * @typedef OtpLockout
+ */
+const OtpLockout = mongoose.model('OtpLockout', otpLockoutSchema);
+
+module.exports = OtpLockout;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+
+// verification codes sent to a phone number or requested from an IP address within the current day
+const otpThrottleSchema = mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ['phone', 'ip'],
+      required: true,
+    },
+    value: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    sentCount: {
+      type: Number,
+      default: 0,
+    },
+    // first code of the day; the record is removed by MongoDB a day later, which resets the counters
+    windowStartedAt: {
+      type: Date,
+      required: true,
+    },
+    nextSendAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+otpThrottleSchema.index({ kind: 1, value: 1 }, { unique: true });
+otpThrottleSchema.index({ windowStartedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// add plugin that converts mongoose to json
+otpThrottleSchema.plugin(toJSON);
+
+/**
+ * @typedef OtpThrottle
+ */
+const OtpThrottle = mongoose.model('OtpThrottle', otpThrottleSchema);
+
+module.exports = OtpThrottle;
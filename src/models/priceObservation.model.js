@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+// One nota item priced at a vendor on a date, linked to its canonical product
+const priceObservationSchema = mongoose.Schema(
+  {
+    canonicalProduct: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'CanonicalProduct',
+      required: true,
+    },
+    nota: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Nota',
+      required: true,
+    },
+    // position of the item in nota.items
+    itemIndex: {
+      type: Number,
+      required: true,
+    },
+    vendor: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Vendor',
+    },
+    vendorName: {
+      type: String,
+    },
+    groupId: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'Group',
+    },
+    user: {
+      type: String,
+    },
+    purchaseDate: {
+      type: Date,
+      required: true,
+    },
+    description: {
+      type: String,
+    },
+    code: {
+      type: String,
+    },
+    quantity: {
+      type: Number,
+    },
+    unit: {
+      type: String,
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+    },
+    totalPrice: {
+      type: Number,
+    },
+    // price per kg or per L, when the package size is known
+    normalizedUnit: {
+      type: String,
+      enum: ['kg', 'L', null],
+      default: null,
+    },
+    normalizedPrice: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+priceObservationSchema.index({ nota: 1, itemIndex: 1 }, { unique: true });
+priceObservationSchema.index({ canonicalProduct: 1, purchaseDate: -1 });
+
+// add plugin that converts mongoose to json
+priceObservationSchema.plugin(toJSON);
+priceObservationSchema.plugin(paginate);
+
+/**
+ * @typedef PriceObservation
+ */
+const PriceObservation = mongoose.model('PriceObservation', priceObservationSchema);
+
+module.exports = PriceObservation;
@@ -131,12 +131,61 @@ const userSchema = mongoose.Schema(
       type: Date,
       required: false,
     },
+    // messaging channels the user talks to the assistant from, besides the WhatsApp/SMS account phone number
+    channels: [
+      {
+        channel: {
+          type: String,
+          enum: ['whatsapp', 'sms', 'telegram', 'memory'],
+          required: true,
+        },
+        // sender address on the channel: phone number or Telegram chat id
+        address: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // one-time code sent from a channel to link it, see channelLink.service
+    channelLinkCode: {
+      type: String,
+      index: true,
+      sparse: true,
+      private: true,
+    },
+    channelLinkExpiresAt: {
+      type: Date,
+      private: true,
+    },
+    // WhatsApp digests of the changes other members make to shared lists (opt-in)
+    notificationSettings: {
+      whatsapp: {
+        type: Boolean,
+        default: false,
+      },
+      // HH:mm, local time; no digest is sent between the start and the end
+      quietHoursStart: {
+        type: String,
+        match: /^([01]\d|2[0-3]):[0-5]\d$/,
+      },
+      quietHoursEnd: {
+        type: String,
+        match: /^([01]\d|2[0-3]):[0-5]\d$/,
+      },
+    },
   },
   {
     timestamps: true,
   }
 );
 
+userSchema.index({ 'channels.channel': 1, 'channels.address': 1 });
+
 // add plugin that converts mongoose to json
 userSchema.plugin(toJSON);
 userSchema.plugin(paginate);
@@ -190,6 +239,16 @@ userSchema.statics.getUserByPhoneNumber = async function (phoneNumber) {
   return user;
 };
 
+/**
+ * Get the user who linked a channel address
+ * @param {string} channel - Channel name
+ * @param {string} address - Sender address on the channel
+ * @returns {Promise<User>}
+ */
+userSchema.statics.getUserByChannel = async function (channel, address) {
+  return this.findOne({ channels: { $elemMatch: { channel, address } } }).select('-policy -password -checkPhoneNumber');
+};
+
 /**
  * Get user by referral code
  * @param {string} referralCode - The referral code
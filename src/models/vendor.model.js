@@ -7,9 +7,10 @@ const vendorSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // vendors of manual notas (street markets, small shops) may have no CNPJ
   CNPJ: {
     type: String,
-    required: true,
+    required: false,
   },
   address: {
     street: { type: String, required: false },
@@ -22,6 +23,11 @@ const vendorSchema = new mongoose.Schema({
     latitude: { type: String, required: false },
     longitude: { type: String, required: false },
   },
+  // category_key values in the order of the store aisles, for the lists sorted by section
+  aisleOrder: {
+    type: [String],
+    default: undefined,
+  },
 });
 
 // add plugin that converts mongoose to json
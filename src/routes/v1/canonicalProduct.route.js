@@ -1,4 +1,5 @@
 const express = require('express');
+const auth = require('../../middlewares/auth');
 const validate = require('../../middlewares/validate');
 const canonicalProductValidation = require('../../validations/canonicalProduct.validation');
 const canonicalProductController = require('../../controllers/canonicalProduct.controller');
@@ -9,6 +10,12 @@ router.post('/', validate(canonicalProductValidation.createCanonicalProduct), ca
 router.get('/', validate(canonicalProductValidation.getAll), canonicalProductController.getAll);
 router.get('/search', validate(canonicalProductValidation.search), canonicalProductController.search);
 router.get('/:id', validate(canonicalProductValidation.getCanonicalProduct), canonicalProductController.getCanonicalProduct);
+router.get(
+  '/:id/price-history',
+  auth(),
+  validate(canonicalProductValidation.getPriceHistory),
+  canonicalProductController.getPriceHistory
+);
 router.patch('/:id', validate(canonicalProductValidation.updateCanonicalProduct), canonicalProductController.updateCanonicalProduct);
 router.delete('/:id', validate(canonicalProductValidation.deleteCanonicalProduct), canonicalProductController.deleteCanonicalProduct);
 router.post('/from-nota-item', validate(canonicalProductValidation.createFromNotaItem), canonicalProductController.createFromNotaItem);
@@ -0,0 +1,47 @@
+const express = require('express');
+const validate = require('../../middlewares/validate');
+const verifyChannelSignature = require('../../middlewares/channelSignature');
+const channelValidation = require('../../validations/channel.validation');
+const channelController = require('../../controllers/channel.controller');
+
+const router = express.Router();
+
+// Incoming messages of every channel (whatsapp, sms, telegram, and memory in tests); Twilio posts form data, Telegram JSON
+router.post(
+  '/:channel/webhook',
+  verifyChannelSignature(),
+  validate(channelValidation.handleWebhook),
+  channelController.handleWebhook
+);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Channels
+ *   description: Messaging channels the assistant answers on
+ */
+
+/**
+ * @swagger
+ * /channels/{channel}/webhook:
+ *   post:
+ *     summary: Receive a message
+ *     description: Webhook of a messaging channel. Requests must be signed by the provider (X-Twilio-Signature, X-Telegram-Bot-Api-Secret-Token). The answer is sent on the same channel.
+ *     tags: [Channels]
+ *     parameters:
+ *       - in: path
+ *         name: channel
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [whatsapp, sms, telegram]
+ *     responses:
+ *       "200":
+ *         description: Message received
+ *       "403":
+ *         description: Invalid request signature
+ *       "404":
+ *         description: Unknown channel
+ */
@@ -13,12 +13,16 @@ const cronRoute = require('./cron.route');
 const membershipRoute = require('./membership.route');
 const groupRoute = require('./group.route');
 const listRoute = require('./list.route');
+const listTemplateRoute = require('./listTemplate.route');
+const listSuggestionRoute = require('./listSuggestion.route');
 const hashiconRoute = require('./hashicon.route');
 const canonicalProductRoute = require('./canonicalProduct.route');
 const referralRoute = require('./referral.route');
 const userCommRoute = require('./userComm.route');
 const whatsappWebhookRoute = require('./whatsappWebhook.route');
+const channelRoute = require('./channel.route');
 const onboardingRoute = require('./onboarding.route');
+const vendorRoute = require('./vendor.route');
 const config = require('../../config/config');
 const logger = require('../../config/logger');
 
@@ -77,6 +81,14 @@ const defaultRoutes = [
     path: '/lists',
     route: listRoute,
   },
+  {
+    path: '/list-templates',
+    route: listTemplateRoute,
+  },
+  {
+    path: '/list-suggestions',
+    route: listSuggestionRoute,
+  },
   {
     path: '/hashicon',
     route: hashiconRoute,
@@ -97,10 +109,18 @@ const defaultRoutes = [
     path: '/whatsapp',
     route: whatsappWebhookRoute,
   },
+  {
+    path: '/channels',
+    route: channelRoute,
+  },
   {
     path: '/onboarding',
     route: onboardingRoute,
   },
+  {
+    path: '/vendors',
+    route: vendorRoute,
+  },
 ];
 
 const devRoutes = [
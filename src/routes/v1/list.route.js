@@ -1,6 +1,7 @@
 const express = require('express');
 const auth = require('../../middlewares/auth');
 const validate = require('../../middlewares/validate');
+const queryToken = require('../../middlewares/queryToken');
 const listValidation = require('../../validations/list.validation');
 const listController = require('../../controllers/list.controller');
 
@@ -19,22 +20,30 @@ router
   .delete(auth(), validate(listValidation.deleteList), listController.deleteList);
 
 // Group-specific list routes
-router
-  .route('/groups/:groupId/lists')
-  .get(auth(), validate(listValidation.getListsByGroup), listController.getListsByGroup);
+router.route('/groups/:groupId/lists').get(auth(), validate(listValidation.getListsByGroup), listController.getListsByGroup);
 
 router
   .route('/groups/:groupId/lists/default')
   .get(auth(), validate(listValidation.getDefaultListByGroup), listController.getDefaultListByGroup);
 
 // List items routes
+router.route('/items').post(auth(), validate(listValidation.createListItem), listController.createListItem);
+
+router.route('/:listId/items').get(auth(), validate(listValidation.getListItems), listController.getListItems);
+
+router.route('/:listId/sections').get(auth(), validate(listValidation.getListSections), listController.getListSections);
+
+// Real-time item events (Server-Sent Events)
 router
-  .route('/items')
-  .post(auth(), validate(listValidation.createListItem), listController.createListItem);
+  .route('/:listId/events')
+  .get(queryToken, auth(), validate(listValidation.streamListEvents), listController.streamListEvents);
 
 router
-  .route('/:listId/items')
-  .get(auth(), validate(listValidation.getListItems), listController.getListItems);
+  .route('/groups/:groupId/events')
+  .get(queryToken, auth(), validate(listValidation.streamGroupListEvents), listController.streamGroupListEvents);
+
+// Offline changes, applied with conflict resolution
+router.route('/:listId/sync').post(auth(), validate(listValidation.syncList), listController.syncList);
 
 router
   .route('/items/:itemId')
@@ -42,5 +51,3 @@ router
   .delete(auth(), validate(listValidation.deleteListItem), listController.deleteListItem);
 
 module.exports = router;
-
-
@@ -0,0 +1,23 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const listSuggestionValidation = require('../../validations/listSuggestion.validation');
+const listSuggestionController = require('../../controllers/listSuggestion.controller');
+
+const router = express.Router();
+
+router.get('/', auth(), validate(listSuggestionValidation.getListSuggestions), listSuggestionController.getListSuggestions);
+router.post(
+  '/:suggestionId/accept',
+  auth(),
+  validate(listSuggestionValidation.acceptListSuggestion),
+  listSuggestionController.acceptListSuggestion
+);
+router.post(
+  '/:suggestionId/dismiss',
+  auth(),
+  validate(listSuggestionValidation.dismissListSuggestion),
+  listSuggestionController.dismissListSuggestion
+);
+
+module.exports = router;
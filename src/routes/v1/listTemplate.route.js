@@ -0,0 +1,24 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const listTemplateValidation = require('../../validations/listTemplate.validation');
+const listTemplateController = require('../../controllers/listTemplate.controller');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .post(auth(), validate(listTemplateValidation.createListTemplate), listTemplateController.createListTemplate)
+  .get(auth(), validate(listTemplateValidation.getListTemplates), listTemplateController.getListTemplates);
+
+router
+  .route('/:templateId')
+  .get(auth(), validate(listTemplateValidation.getListTemplate), listTemplateController.getListTemplate)
+  .patch(auth(), validate(listTemplateValidation.updateListTemplate), listTemplateController.updateListTemplate)
+  .delete(auth(), validate(listTemplateValidation.deleteListTemplate), listTemplateController.deleteListTemplate);
+
+router
+  .route('/:templateId/instantiate')
+  .post(auth(), validate(listTemplateValidation.instantiateListTemplate), listTemplateController.instantiateListTemplate);
+
+module.exports = router;
@@ -27,6 +27,12 @@ router.get('/group/:groupId', auth(), canViewGroup(), validate(membershipValidat
 router.get('/user/:userId', auth(), validate(membershipValidation.getUserMemberships), membershipController.getUserMemberships);
 router.get('/:membershipId', auth(), isOwnerOrAdmin(), validate(membershipValidation.getMembership), membershipController.getMembership);
 router.patch('/:membershipId/role', auth(), canManageMembership(), validate(membershipValidation.updateRole), membershipController.updateRole);
+router.patch(
+  '/:membershipId/notifications',
+  auth(),
+  validate(membershipValidation.updateNotifications),
+  membershipController.updateNotifications
+);
 router.delete('/:membershipId', auth(), canManageMembership(), validate(membershipValidation.removeMember), membershipController.removeMember);
 
 // Utility endpoints
@@ -209,6 +215,46 @@ module.exports = router;
  *         description: Membership not found
  *
  * @swagger
+ * /memberships/{membershipId}/notifications:
+ *   patch:
+ *     summary: Mute or unmute group notifications
+ *     description: Stop or resume the WhatsApp digests of the changes other members make to the group's lists. Only the member can change it.
+ *     tags: [Memberships]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: membershipId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Membership ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - muted
+ *             properties:
+ *               muted:
+ *                 type: boolean
+ *             example:
+ *               muted: true
+ *     responses:
+ *       "200":
+ *         description: Notifications updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *                $ref: '#/components/schemas/Membership'
+ *       "403":
+ *         description: Not the member
+ *       "404":
+ *         description: Membership not found
+ *
+ * @swagger
  * /memberships/{membershipId}:
  *   delete:
  *     summary: Remove a member from a group
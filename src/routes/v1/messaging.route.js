@@ -1,5 +1,5 @@
 const express = require('express');
-// const auth = require('../../middlewares/auth');
+const auth = require('../../middlewares/auth');
 const validate = require('../../middlewares/validate');
 const messagingValidation = require('../../validations/messaging.validation');
 const messagingController = require('../../controllers/messaging.controller');
@@ -9,5 +9,6 @@ const router = express.Router();
 router.post('/sendCode', validate(messagingValidation.sendCodeWhatsApp), messagingController.sendCodeWhatsApp);
 router.post('/codeLogin', validate(messagingValidation.sendCodeWhatsApp), messagingController.sendWhats);
 router.post('/confirmCode', validate(messagingValidation.confirmCode), messagingController.confirmCode);
+router.get('/lockouts', auth('manageUsers'), validate(messagingValidation.getLockouts), messagingController.getLockouts);
 
 module.exports = router;
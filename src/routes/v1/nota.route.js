@@ -1,5 +1,5 @@
 const express = require('express');
-// const auth = require('../../middlewares/auth');
+const auth = require('../../middlewares/auth');
 const validate = require('../../middlewares/validate');
 const notaValidation = require('../../validations/nota.validation');
 const notaController = require('../../controllers/nota.controller');
@@ -7,10 +7,21 @@ const notaController = require('../../controllers/nota.controller');
 const router = express.Router();
 
 router.post('/check', validate(notaValidation.checkNota), notaController.checkNota);
+router.post('/manual', auth(), validate(notaValidation.createManualNota), notaController.createManualNota);
 router.get('/getAll', validate(notaValidation.getAll), notaController.getAll);
 router.get('/load', validate(notaValidation.loadNota), notaController.loadNota);
 router.get('/details/:id', validate(notaValidation.getNota), notaController.getNota);
+router.get('/jobs/:id', auth(), validate(notaValidation.getNotaJobs), notaController.getNotaJobs);
+router.post('/flag/:id', auth(), validate(notaValidation.flagNota), notaController.flagNota);
+router.post('/cancel/:id', auth(), validate(notaValidation.cancelNota), notaController.cancelNota);
+router.patch('/items/:id/:itemIndex', auth(), validate(notaValidation.correctNotaItem), notaController.correctNotaItem);
 router.get('/spending-statistics', validate(notaValidation.getSpendingStatistics), notaController.getSpendingStatistics);
+router.get(
+  '/spending-by-category',
+  auth(),
+  validate(notaValidation.getSpendingByCategory),
+  notaController.getSpendingByCategory
+);
 router.get('/last-30-days', validate(notaValidation.getLast30DaysNotas), notaController.getLast30DaysNotas);
 /*
 router.get('/getAll', validate(notaValidation.getnotas), notaController.getnotas);
@@ -1,5 +1,5 @@
 const express = require('express');
-// const auth = require('../../middlewares/auth');
+const auth = require('../../middlewares/auth');
 const validate = require('../../middlewares/validate');
 const userValidation = require('../../validations/user.validation');
 const userController = require('../../controllers/user.controller');
@@ -16,6 +16,19 @@ router.delete('/:userId', validate(userValidation.deleteUser), userController.de
 router.get('/:userId/memberships', validate(userValidation.getUserMemberships), userController.getUserMemberships);
 router.get('/:userId/groups', validate(userValidation.getUserGroups), userController.getUserGroups);
 router.patch('/:userId/active-group', validate(userValidation.setActiveGroup), userController.setActiveGroup);
+router.post(
+  '/:userId/channels/link-code',
+  auth(),
+  validate(userValidation.createChannelLinkCode),
+  userController.createChannelLinkCode
+);
+router.delete('/:userId/channels/:linkId', auth(), validate(userValidation.unlinkChannel), userController.unlinkChannel);
+router.patch(
+  '/:userId/notifications',
+  auth(),
+  validate(userValidation.updateNotificationSettings),
+  userController.updateNotificationSettings
+);
 /*
 router
   .route('/')
@@ -0,0 +1,18 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const vendorValidation = require('../../validations/vendor.validation');
+const vendorController = require('../../controllers/vendor.controller');
+
+const router = express.Router();
+
+router.post('/compare', auth(), validate(vendorValidation.compareVendors), vendorController.compareVendors);
+// vendors are shared by all groups, so their aisles are curated by admins
+router.patch(
+  '/:vendorId/aisle-order',
+  auth('manageUsers'),
+  validate(vendorValidation.updateAisleOrder),
+  vendorController.updateAisleOrder
+);
+
+module.exports = router;
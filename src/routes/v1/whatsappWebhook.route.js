@@ -1,5 +1,6 @@
 const express = require('express');
 const validate = require('../../middlewares/validate');
+const verifyChannelSignature = require('../../middlewares/channelSignature');
 const whatsappWebhookValidation = require('../../validations/whatsappWebhook.validation');
 const whatsappWebhookController = require('../../controllers/whatsappWebhook.controller');
 
@@ -10,6 +11,7 @@ const router = express.Router();
 router.post(
   '/webhook',
   express.urlencoded({ extended: true }), // Parse Twilio form-encoded data
+  verifyChannelSignature('whatsapp'),
   validate(whatsappWebhookValidation.handleWebhook),
   whatsappWebhookController.handleWebhook
 );
@@ -17,6 +19,7 @@ router.post(
 router.post(
   '/callback',
   express.urlencoded({ extended: true }), // Parse Twilio form-encoded data
+  verifyChannelSignature('whatsapp'),
   validate(whatsappWebhookValidation.handleCallback),
   whatsappWebhookController.handleCallback
 );
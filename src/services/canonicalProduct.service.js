@@ -550,10 +550,12 @@ const deleteCanonicalProductById = async (productId) => {
 const searchCanonicalProducts = async (searchTerm, options = {}) => {
   const { groupId = null, limit = 20 } = options;
   const normalizedSearch = normalizeText(searchTerm);
+  // the search term is matched literally
+  const escapedSearch = normalizedSearch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
   const filter = {
     $or: [
-      { canonical_name_normalized: { $regex: normalizedSearch, $options: 'i' } },
+      { canonical_name_normalized: { $regex: escapedSearch, $options: 'i' } },
       { synonyms_normalized: { $in: [normalizedSearch] } },
       { brand_normalized: normalizedSearch },
     ],
@@ -564,6 +566,37 @@ const searchCanonicalProducts = async (searchTerm, options = {}) => {
   return CanonicalProduct.find(filter).limit(limit).sort({ confidence: -1, createdAt: -1 });
 };
 
+/**
+ * Find the canonical product a list item refers to
+ * The products of the group are preferred to the global ones. A product named like the item, or with the item
+ * as a synonym, is an exact match; otherwise the best product containing the item in its name is returned,
+ * which tells the category of the item but may be a more specific product
+ * @param {string} productText - Product part of the list item, e.g. "arroz tio joão"
+ * @param {Object} [options]
+ * @param {ObjectId} [options.groupId] - Group of the list
+ * @returns {Promise<{product: CanonicalProduct, isExact: boolean}|null>}
+ */
+const findCanonicalProductForItem = async (productText, options = {}) => {
+  const normalizedProduct = normalizeText(productText);
+  if (!normalizedProduct) {
+    return null;
+  }
+
+  const scopes = options.groupId ? [options.groupId, null] : [null];
+  const results = await Promise.all(scopes.map((groupId) => searchCanonicalProducts(productText, { groupId, limit: 10 })));
+  const products = [].concat(...results);
+
+  const exact = products.find(
+    (product) =>
+      product.canonical_name_normalized === normalizedProduct ||
+      (product.synonyms_normalized || []).includes(normalizedProduct)
+  );
+  if (exact) {
+    return { product: exact, isExact: true };
+  }
+  return products.length ? { product: products[0], isExact: false } : null;
+};
+
 module.exports = {
   createCanonicalProduct,
   createOrUpdateFromNotaItem,
@@ -572,5 +605,7 @@ module.exports = {
   updateCanonicalProductById,
   deleteCanonicalProductById,
   searchCanonicalProducts,
+  findCanonicalProductForItem,
   classifyProductWithOpenAI,
+  loadCategoryTaxonomy,
 };
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const httpStatus = require('http-status');
+const { User } = require('../models');
+const ApiError = require('../utils/ApiError');
+
+const LINK_CODE_LENGTH = 6;
+const LINK_CODE_TTL_MS = 15 * 60 * 1000;
+// no 0/O or 1/I, codes are typed by hand
+const LINK_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+// "link ABC123", "vincular ABC123" or Telegram's "/start ABC123" deep link
+const LINK_COMMAND_REGEX = /^\/?(?:start|link|vincular)\s+([a-z0-9]{6})$/i;
+
+/**
+ * Create the one-time code a user sends from a channel to link it to their account
+ * @param {ObjectId} userId
+ * @returns {Promise<{code: string, expiresAt: Date}>}
+ */
+const createLinkCode = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
+  }
+
+  const code = Array.from(crypto.randomBytes(LINK_CODE_LENGTH), (byte) => LINK_CODE_ALPHABET[byte % 32]).join('');
+  const expiresAt = new Date(Date.now() + LINK_CODE_TTL_MS);
+  user.set({ channelLinkCode: code, channelLinkExpiresAt: expiresAt });
+  await user.save();
+
+  return { code, expiresAt };
+};
+
+/**
+ * Get the link code of a message, when the message is a link command
+ * @param {string} text
+ * @returns {string|null}
+ */
+const parseLinkCommand = (text) => {
+  const match = String(text || '')
+    .trim()
+    .match(LINK_COMMAND_REGEX);
+  return match ? match[1].toUpperCase() : null;
+};
+
+/**
+ * Link a channel address to the user who created a link code
+ * An address linked to another user is moved to this one
+ * @param {string} code
+ * @param {string} channel - Channel name
+ * @param {string} address - Sender address on the channel
+ * @returns {Promise<User>}
+ */
+const linkChannel = async (code, channel, address) => {
+  const user = await User.findOne({ channelLinkCode: code, channelLinkExpiresAt: { $gt: new Date() } });
+  if (!user) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid or expired link code');
+  }
+
+  await User.updateMany(
+    { _id: { $ne: user._id }, channels: { $elemMatch: { channel, address } } },
+    { $pull: { channels: { channel, address } } }
+  );
+
+  if (!user.channels.some((link) => link.channel === channel && link.address === address)) {
+    user.channels.push({ channel, address });
+  }
+  user.set({ channelLinkCode: undefined, channelLinkExpiresAt: undefined });
+  await user.save();
+
+  return user;
+};
+
+/**
+ * Remove a linked channel
+ * @param {ObjectId} userId
+ * @param {ObjectId} linkId - Id of the linked channel
+ * @returns {Promise<User>}
+ */
+const unlinkChannel = async (userId, linkId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
+  }
+  const link = user.channels.id(linkId);
+  if (!link) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Linked channel not found');
+  }
+
+  link.remove();
+  await user.save();
+
+  return user;
+};
+
+/**
+ * Get the account phone number of a message sender, which identifies the user in the agent workflow
+ * Linked addresses come first; otherwise the address itself is used on the channels with phone numbers
+ * @param {Channel} channel
+ * @param {string} address - Sender address on the channel
+ * @returns {Promise<number|null>} null when the sender is not linked to any account
+ */
+const resolvePhoneNumber = async (channel, address) => {
+  const user = await User.getUserByChannel(channel.name, address);
+  if (user && user.phoneNumber) {
+    return user.phoneNumber;
+  }
+  return channel.getPhoneNumber(address);
+};
+
+module.exports = {
+  createLinkCode,
+  parseLinkCommand,
+  linkChannel,
+  unlinkChannel,
+  resolvePhoneNumber,
+};
@@ -0,0 +1,57 @@
+const httpStatus = require('http-status');
+const config = require('../../config/config');
+const ApiError = require('../../utils/ApiError');
+const { createTwilioChannel } = require('./twilio.channel');
+const telegramChannel = require('./telegram.channel');
+const memoryChannel = require('./memory.channel');
+
+/**
+ * @typedef {Object} Channel
+ * @property {string} name - Channel name, used in the webhook URL and the linked channels of users
+ * @property {string} label - Name shown to users
+ * @property {Function} verifyRequest - (req) => boolean, whether a webhook request comes from the provider
+ * @property {Function} parseMessage - (body) => { id, from, text, media } or null when the request is not a message
+ * @property {Function} getPhoneNumber - (address) => phone number of a sender address, or null
+ * @property {Function} downloadMedia - async (media) => Buffer
+ * @property {Function} sendMessage - async (address, text) => provider response
+ */
+
+const channels = {
+  whatsapp: createTwilioChannel({
+    name: 'whatsapp',
+    label: 'WhatsApp',
+    addressPrefix: 'whatsapp:',
+    getSender: () => config.twilio.phoneNumber,
+  }),
+  sms: createTwilioChannel({
+    name: 'sms',
+    label: 'SMS',
+    addressPrefix: '',
+    getSender: () => config.twilio.smsNumber,
+  }),
+  telegram: telegramChannel,
+};
+
+// the memory channel trusts any sender, so its webhook only exists in tests
+if (config.env === 'test') {
+  channels.memory = memoryChannel;
+}
+
+const channelNames = Object.keys(channels);
+
+/**
+ * Get a messaging channel by name
+ * @param {string} name
+ * @returns {Channel}
+ */
+const getChannel = (name) => {
+  if (!channelNames.includes(name)) {
+    throw new ApiError(httpStatus.NOT_FOUND, `Unknown channel: ${name}`);
+  }
+  return channels[name];
+};
+
+module.exports = {
+  channelNames,
+  getChannel,
+};
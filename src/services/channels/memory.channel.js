@@ -0,0 +1,53 @@
+const config = require('../../config/config');
+const { fixPhoneNumber } = require('../../utils/phoneNumbers');
+
+// messages sent on the channel, oldest first
+const outbox = [];
+
+/**
+ * In-memory channel, to run the inbound flow and the agent workflow in tests without a provider
+ * Messages are posted as { id, from, text, media: { content (base64), contentType } } and answers are kept in
+ * the outbox. It is only registered when NODE_ENV is test (see ./index)
+ */
+const memoryChannel = {
+  name: 'memory',
+  label: 'test',
+  outbox,
+
+  verifyRequest() {
+    return config.env === 'test';
+  },
+
+  parseMessage(body) {
+    return {
+      id: body.id,
+      from: String(body.from || ''),
+      text: body.text || '',
+      media: body.media || null,
+    };
+  },
+
+  getPhoneNumber(address) {
+    try {
+      return fixPhoneNumber(address);
+    } catch (error) {
+      return null;
+    }
+  },
+
+  async downloadMedia(media) {
+    return Buffer.from(media.content, 'base64');
+  },
+
+  async sendMessage(address, text) {
+    const message = { address, text, sentAt: new Date() };
+    outbox.push(message);
+    return message;
+  },
+
+  clear() {
+    outbox.length = 0;
+  },
+};
+
+module.exports = memoryChannel;
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const httpStatus = require('http-status');
+const config = require('../../config/config');
+const logger = require('../../config/logger');
+const ApiError = require('../../utils/ApiError');
+
+const API_URL = 'https://api.telegram.org';
+
+const getBotUrl = () => `${API_URL}/bot${config.telegram.botToken}`;
+
+// the file of a message: voice notes and audio are transcribed, photos are receipts
+const getMedia = (message) => {
+  if (message.voice || message.audio) {
+    const audio = message.voice || message.audio;
+    return { fileId: audio.file_id, contentType: audio.mime_type || 'audio/ogg' };
+  }
+  if (message.photo && message.photo.length) {
+    // sizes are listed from the smallest to the largest
+    return { fileId: message.photo[message.photo.length - 1].file_id, contentType: 'image/jpeg' };
+  }
+  if (message.document) {
+    return { fileId: message.document.file_id, contentType: message.document.mime_type };
+  }
+  return null;
+};
+
+/**
+ * Telegram Bot API channel
+ * Webhooks must be registered with the secret_token TELEGRAM_WEBHOOK_SECRET, sent back in every request.
+ * Telegram chats have no phone number, so users link them to their account with a link code
+ */
+const telegramChannel = {
+  name: 'telegram',
+  label: 'Telegram',
+
+  verifyRequest(req) {
+    const secret = config.telegram.webhookSecret;
+    const token = req.get('X-Telegram-Bot-Api-Secret-Token');
+    if (!secret || !token || token.length !== secret.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(secret));
+  },
+
+  parseMessage(body) {
+    const message = body.message || body.edited_message;
+    // other updates (joins, callbacks...) are not messages
+    if (!message || !message.chat) {
+      return null;
+    }
+    return {
+      id: String(body.update_id),
+      from: String(message.chat.id),
+      text: message.text || message.caption || '',
+      media: getMedia(message),
+    };
+  },
+
+  getPhoneNumber() {
+    return null;
+  },
+
+  async downloadMedia(media) {
+    try {
+      const { data } = await axios.get(`${getBotUrl()}/getFile`, { params: { file_id: media.fileId }, timeout: 30000 });
+      const response = await axios.get(`${API_URL}/file/bot${config.telegram.botToken}/${data.result.file_path}`, {
+        responseType: 'arraybuffer',
+        maxContentLength: 20 * 1024 * 1024, // bots can download files up to 20MB
+        timeout: 30000,
+      });
+      return Buffer.from(response.data);
+    } catch (error) {
+      logger.error('Error downloading media from Telegram:', error);
+      throw new Error(`Failed to download media: ${error.message}`);
+    }
+  },
+
+  async sendMessage(address, text) {
+    try {
+      const { data } = await axios.post(`${getBotUrl()}/sendMessage`, { chat_id: address, text }, { timeout: 30000 });
+      return data.result;
+    } catch (error) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `Failed to send Telegram message: ${error.message}`);
+    }
+  },
+};
+
+module.exports = telegramChannel;
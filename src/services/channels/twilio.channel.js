@@ -0,0 +1,106 @@
+const axios = require('axios');
+const httpStatus = require('http-status');
+const Twilio = require('twilio');
+const config = require('../../config/config');
+const logger = require('../../config/logger');
+const ApiError = require('../../utils/ApiError');
+const { fixPhoneNumber } = require('../../utils/phoneNumbers');
+
+let client = null;
+
+// created on first use, so loading the channels does not need the Twilio credentials
+const getClient = () => {
+  if (!client) {
+    client = new Twilio(config.twilio.accountSid, config.twilio.authToken);
+  }
+  return client;
+};
+
+/**
+ * Check the X-Twilio-Signature of a webhook request
+ * Twilio signs the full webhook URL, so behind a proxy TWILIO_WEBHOOK_BASE_URL must be the public base URL
+ * @param {Object} req - Express request, with the form parameters parsed
+ * @returns {boolean}
+ */
+const isValidTwilioRequest = (req) => {
+  if (!config.twilio.validateSignature) {
+    return true;
+  }
+  const signature = req.get('X-Twilio-Signature');
+  const baseUrl = config.twilio.webhookBaseUrl || `${req.protocol}://${req.get('host')}`;
+  const url = `${baseUrl.replace(/\/$/, '')}${req.originalUrl}`;
+  return Boolean(
+    signature && config.twilio.authToken && Twilio.validateRequest(config.twilio.authToken, signature, url, req.body)
+  );
+};
+
+/**
+ * Create a channel for a Twilio messaging product; WhatsApp and SMS only differ by the address prefix and sender
+ * @param {Object} options
+ * @param {string} options.name - Channel name
+ * @param {string} options.label - Name shown to users
+ * @param {string} options.addressPrefix - Prefix of Twilio addresses, e.g. 'whatsapp:'
+ * @param {Function} options.getSender - () => Twilio sender of the outbound messages
+ * @returns {Object} Channel
+ */
+const createTwilioChannel = ({ name, label, addressPrefix, getSender }) => ({
+  name,
+  label,
+
+  verifyRequest: isValidTwilioRequest,
+
+  parseMessage(body) {
+    const from = body.From || body.from || '';
+    const numMedia = parseInt(body.NumMedia || '0', 10);
+    return {
+      id: body.MessageSid,
+      from: from.replace(addressPrefix, '').trim(),
+      text: body.Body || body.body || '',
+      media: numMedia > 0 ? { url: body.MediaUrl0, contentType: body.MediaContentType0 } : null,
+    };
+  },
+
+  getPhoneNumber(address) {
+    try {
+      return fixPhoneNumber(address);
+    } catch (error) {
+      return null;
+    }
+  },
+
+  async downloadMedia(media) {
+    try {
+      // Twilio media URLs require the account credentials
+      const auth = Buffer.from(`${config.twilio.accountSid}:${config.twilio.authToken}`).toString('base64');
+      const response = await axios.get(media.url, {
+        responseType: 'arraybuffer',
+        headers: {
+          Authorization: `Basic ${auth}`,
+        },
+        maxContentLength: 50 * 1024 * 1024, // 50MB max
+        timeout: 30000, // 30 second timeout
+      });
+      return Buffer.from(response.data);
+    } catch (error) {
+      logger.error('Error downloading media from Twilio:', error);
+      throw new Error(`Failed to download media: ${error.message}`);
+    }
+  },
+
+  async sendMessage(address, text) {
+    try {
+      return await getClient().messages.create({
+        body: text,
+        from: getSender(),
+        to: `${addressPrefix}${address}`,
+      });
+    } catch (error) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `Failed to send ${label} message: ${error.message}`);
+    }
+  },
+});
+
+module.exports = {
+  createTwilioChannel,
+  isValidTwilioRequest,
+};
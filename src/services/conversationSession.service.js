@@ -0,0 +1,92 @@
+const { ConversationSession } = require('../models');
+const config = require('../config/config');
+
+// messages that clear the conversation, compared without accents, case and punctuation
+const RESET_COMMANDS = [
+  'forget',
+  'reset',
+  'start over',
+  'new conversation',
+  'esquecer',
+  'esquece',
+  'esqueca',
+  'resetar',
+  'reiniciar',
+  'recomecar',
+  'nova conversa',
+  'limpar conversa',
+];
+
+const normalizeCommand = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z ]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const getTimeoutMs = () => config.whatsapp.sessionTimeoutMinutes * 60 * 1000;
+
+/**
+ * Check whether a message asks to forget the conversation
+ * @param {string} text
+ * @returns {boolean}
+ */
+const isResetCommand = (text) => RESET_COMMANDS.includes(normalizeCommand(text));
+
+/**
+ * Get the recent messages exchanged with a phone number
+ * A session inactive for longer than the timeout is discarded, so an old conversation is never replayed
+ * @param {number} phoneNumber
+ * @returns {Promise<Object[]>} [{ role, text, at }], oldest first
+ */
+const getSessionHistory = async (phoneNumber) => {
+  const session = await ConversationSession.findOne({ phoneNumber });
+  if (!session) {
+    return [];
+  }
+  // the TTL index only runs every minute, so expiry is checked here too
+  if (session.lastActivityAt.getTime() + getTimeoutMs() < Date.now()) {
+    await ConversationSession.deleteOne({ _id: session._id });
+    return [];
+  }
+  return session.messages.map(({ role, text, at }) => ({ role, text, at }));
+};
+
+/**
+ * Add messages to the session of a phone number, keeping only the most recent ones
+ * @param {number} phoneNumber
+ * @param {Object[]} messages - [{ role: 'user'|'assistant', text }]
+ * @returns {Promise<ConversationSession>}
+ */
+const appendToSession = async (phoneNumber, messages) => {
+  const now = new Date();
+  return ConversationSession.findOneAndUpdate(
+    { phoneNumber },
+    {
+      $push: {
+        messages: {
+          $each: messages.filter((message) => message.text).map((message) => ({ ...message, at: now })),
+          $slice: -config.whatsapp.sessionMaxMessages,
+        },
+      },
+      $set: { lastActivityAt: now, expiresAt: new Date(now.getTime() + getTimeoutMs()) },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Forget the conversation with a phone number
+ * @param {number} phoneNumber
+ * @returns {Promise}
+ */
+const clearSession = async (phoneNumber) => ConversationSession.deleteOne({ phoneNumber });
+
+module.exports = {
+  isResetCommand,
+  getSessionHistory,
+  appendToSession,
+  clearSession,
+};
@@ -3,6 +3,7 @@ const httpStatus = require('http-status');
 const { Group, Membership, List } = require('../models');
 const ApiError = require('../utils/ApiError');
 const { generateAndUploadHashicon } = require('../utils/hashicon');
+const listService = require('./list.service');
 
 /**
  * Create a group
@@ -215,6 +216,9 @@ const updateGroupSettings = async (groupId, settingsBody) => {
   if (!group.settings) {
     group.settings = {};
   }
+  if (settingsBody.aisleOrder) {
+    listService.assertAisleOrder(settingsBody.aisleOrder);
+  }
 
   Object.assign(group.settings, settingsBody);
   await group.save();
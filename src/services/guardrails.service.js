@@ -0,0 +1,162 @@
+const config = require('../config/config');
+const logger = require('../config/logger');
+const { extractAccessKey } = require('../utils/accessKey');
+
+// Attempts to override the agents' instructions, compared without accents and case
+const INJECTION_PATTERNS = [
+  /\b(?:ignore|disregard|forget|override)\b.{0,30}\b(?:previous|above|prior|earlier|all|your|system)\b.{0,20}\b(?:instructions?|prompts?|rules?|messages?)\b/,
+  /\b(?:ignore|ignora|ignorar|esqueca|esquece|desconsidere|desconsidera)\b.{0,30}\b(?:instrucoes|regras|prompt|mensagens)\b/,
+  /\b(?:you are now|from now on you are|act as|pretend to be|roleplay as|voce agora e|a partir de agora voce e|finja ser|aja como)\b/,
+  /\b(?:system prompt|developer mode|jailbreak|dan mode|do anything now|prompt do sistema|modo desenvolvedor)\b/,
+  /\b(?:reveal|show|print|repeat|tell me|revele|mostre|mostra|repita|diga)\b.{0,30}\b(?:your|the|suas|seu|o|as)\b.{0,20}\b(?:instructions|system prompt|prompt|instrucoes|regras)\b/,
+  /<\|?(?:im_start|im_end|system|endoftext)\|?>|^\s*(?:system|assistant)\s*:|###\s*(?:system|instruction)/m,
+];
+
+// Insults, slurs and threats, compared as whole words without accents and case
+const ABUSIVE_TERMS = [
+  'vai se foder',
+  'vai tomar no cu',
+  'filho da puta',
+  'fdp',
+  'arrombado',
+  'desgracado',
+  'otario',
+  'imbecil',
+  'idiota',
+  'vagabundo',
+  'vou te matar',
+  'fuck you',
+  'fucking',
+  'motherfucker',
+  'asshole',
+  'bitch',
+  'i will kill you',
+];
+// built from the constant list above, never from user input
+// eslint-disable-next-line security/detect-non-literal-regexp
+const ABUSE_REGEX = new RegExp(`\\b(?:${ABUSIVE_TERMS.join('|')})\\b`);
+
+// every repetition starts with a dot the previous one cannot match, so matching cannot backtrack exponentially
+// eslint-disable-next-line security/detect-unsafe-regex
+const EMAIL_REGEX = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const CPF_REGEX = /\b\d{3}\.?\d{3}\.?\d{3}-?\d{2}\b/g;
+// 13 to 19 digits, optionally grouped by spaces or dashes; a separator is always followed by a digit, so a
+// number can only be split one way
+// eslint-disable-next-line security/detect-unsafe-regex
+const CARD_REGEX = /\b\d(?:[ -]?\d){12,18}\b/g;
+// digits, optionally grouped by spaces, dots or dashes like typed access keys; captured, so a split keeps them
+// eslint-disable-next-line security/detect-unsafe-regex
+const NUMBER_REGEX = /(\d(?:[ .-]?\d)*)/;
+
+const normalize = (text) =>
+  text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ');
+
+const isValidCpf = (value) => {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length !== 11 || /^(\d)\1{10}$/.test(digits)) {
+    return false;
+  }
+  const checkDigit = (length) => {
+    let sum = 0;
+    for (let i = 0; i < length; i += 1) {
+      sum += parseInt(digits[i], 10) * (length + 1 - i);
+    }
+    const rest = (sum * 10) % 11;
+    return rest === 10 ? 0 : rest;
+  };
+  return checkDigit(9) === parseInt(digits[9], 10) && checkDigit(10) === parseInt(digits[10], 10);
+};
+
+const passesLuhn = (value) => {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * Mask the personal data of a message: CPFs, card numbers and emails
+ * Only numbers with valid check digits are masked, so quantities and prices are kept. NFC-e access keys are
+ * kept too: typed in blocks of 4 digits, some of their blocks would pass as a card number
+ * @param {string} text
+ * @returns {{text: string, masked: string[]}} Masked text and the kinds of data found
+ */
+const maskPii = (text) => {
+  const masked = [];
+  const maskWith = (label, isMatch) => (value) => {
+    if (isMatch && !isMatch(value)) {
+      return value;
+    }
+    masked.push(label);
+    return `[${label}]`;
+  };
+  const maskNumber = (number) =>
+    extractAccessKey(number)
+      ? number
+      : number.replace(CPF_REGEX, maskWith('CPF', isValidCpf)).replace(CARD_REGEX, maskWith('CARD', passesLuhn));
+  // the numbers are at the odd positions of the split
+  const result = text
+    .replace(EMAIL_REGEX, maskWith('EMAIL'))
+    .split(NUMBER_REGEX)
+    .map((part, index) => (index % 2 ? maskNumber(part) : part))
+    .join('');
+  return { text: result, masked: [...new Set(masked)] };
+};
+
+/**
+ * Screen an inbound message before it reaches the parser or the model
+ * Messages that are too long, look like a prompt injection or are abusive trip the guardrails and are answered
+ * with the configured tripwire message; personal data of the other messages is masked
+ * @param {string} text - Message text
+ * @param {Object} [meta] - Data logged with the blocked events, e.g. { phoneNumber }
+ * @returns {{hasTripwire: boolean, reason: string|null, safeText: string|null, masked: string[]}}
+ */
+const screenInput = (text, meta = {}) => {
+  const input = String(text || '');
+  const normalized = normalize(input);
+
+  let reason = null;
+  if (input.length > config.whatsapp.maxMessageLength) {
+    reason = 'length';
+  } else if (INJECTION_PATTERNS.some((pattern) => pattern.test(normalized))) {
+    reason = 'injection';
+  } else if (ABUSE_REGEX.test(normalized)) {
+    reason = 'abuse';
+  }
+
+  const { text: safeText, masked } = maskPii(input);
+
+  if (reason) {
+    // the masked text is logged, so blocked messages do not leak personal data to the logs
+    logger.warn('WhatsApp message blocked by guardrails', {
+      ...meta,
+      reason,
+      length: input.length,
+      excerpt: safeText.slice(0, 200),
+    });
+    return { hasTripwire: true, reason, safeText: null, masked };
+  }
+
+  if (masked.length) {
+    logger.info('Personal data masked in WhatsApp message', { ...meta, masked });
+  }
+  return { hasTripwire: false, reason: null, safeText, masked };
+};
+
+module.exports = {
+  maskPii,
+  screenInput,
+};
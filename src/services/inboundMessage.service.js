@@ -0,0 +1,80 @@
+const { InboundMessage } = require('../models');
+const config = require('../config/config');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Record that a message is being processed
+ * Providers retry a webhook with the same message id, so a message already recorded is a replay and must not be
+ * processed again, unless its processing failed or was abandoned (still processing after the processing timeout)
+ * @param {string} channel - Channel name
+ * @param {string} messageSid - Message id on the channel
+ * @param {string} from - Sender address
+ * @returns {Promise<{record: InboundMessage, isReplay: boolean}>}
+ */
+const claimMessage = async (channel, messageSid, from) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + config.whatsapp.messageRecordDays * 24 * 60 * 60 * 1000);
+  try {
+    const record = await InboundMessage.create({ channel, messageSid, from, processingStartedAt: now, expiresAt });
+    return { record, isReplay: false };
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY_ERROR) {
+      throw error;
+    }
+  }
+
+  const abandonedBefore = new Date(now.getTime() - config.whatsapp.messageProcessingTimeoutMinutes * 60 * 1000);
+  const retried = await InboundMessage.findOneAndUpdate(
+    {
+      channel,
+      messageSid,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', processingStartedAt: { $lt: abandonedBefore } },
+        // recorded before the processing start was
+        { status: 'processing', processingStartedAt: { $exists: false }, createdAt: { $lt: abandonedBefore } },
+      ],
+    },
+    { $set: { status: 'processing', processingStartedAt: now }, $unset: { error: 1 } },
+    { new: true }
+  );
+  if (retried) {
+    return { record: retried, isReplay: false };
+  }
+  return { record: await InboundMessage.findOne({ channel, messageSid }), isReplay: true };
+};
+
+/**
+ * Record the answer of a processed message
+ * @param {InboundMessage} record
+ * @param {Object} outcome
+ * @param {string} [outcome.responseText] - Answer for the user
+ * @param {boolean} outcome.responseSent - Whether the answer reached Twilio
+ * @returns {Promise}
+ */
+const completeMessage = async (record, { responseText, responseSent }) =>
+  InboundMessage.updateOne({ _id: record._id }, { $set: { status: 'completed', responseText, responseSent } });
+
+/**
+ * Record that a message could not be processed, so a retry processes it again
+ * @param {InboundMessage} record
+ * @param {Error} error
+ * @returns {Promise}
+ */
+const failMessage = async (record, error) =>
+  InboundMessage.updateOne({ _id: record._id }, { $set: { status: 'failed', error: error.message } });
+
+/**
+ * Record that the answer of a message was sent on a replay
+ * @param {InboundMessage} record
+ * @returns {Promise}
+ */
+const markResponseSent = async (record) => InboundMessage.updateOne({ _id: record._id }, { $set: { responseSent: true } });
+
+module.exports = {
+  claimMessage,
+  completeMessage,
+  failMessage,
+  markResponseSent,
+};
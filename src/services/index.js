@@ -9,10 +9,25 @@ module.exports.filesService = require('./files.service');
 module.exports.qrcodeService = require('./qrcode.service');
 module.exports.skuService = require('./sku.service');
 module.exports.callService = require('./call.service');
+module.exports.jobService = require('./job.service');
 module.exports.notaService = require('./nota.service');
 module.exports.membershipService = require('./membership.service');
 module.exports.groupService = require('./group.service');
+module.exports.listNotificationService = require('./listNotification.service');
 module.exports.canonicalProductService = require('./canonicalProduct.service');
+module.exports.priceObservationService = require('./priceObservation.service');
+module.exports.vendorService = require('./vendor.service');
+module.exports.receiptImageService = require('./receiptImage.service');
 module.exports.userCommService = require('./userComm.service');
+module.exports.conversationSessionService = require('./conversationSession.service');
+module.exports.whatsappCommandService = require('./whatsappCommand.service');
+module.exports.inboundMessageService = require('./inboundMessage.service');
+module.exports.channelLinkService = require('./channelLink.service');
+module.exports.guardrailsService = require('./guardrails.service');
 module.exports.whatsappWebhookService = require('./whatsappWebhook.service');
 module.exports.onboardingService = require('./onboarding.service');
+module.exports.otpThrottleService = require('./otpThrottle.service');
+module.exports.listTemplateService = require('./listTemplate.service');
+module.exports.listSuggestionService = require('./listSuggestion.service');
+module.exports.listEventsService = require('./listEvents.service');
+module.exports.listSyncService = require('./listSync.service');
@@ -0,0 +1,202 @@
+const os = require('os');
+const httpStatus = require('http-status');
+const { Job } = require('../models');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// a running job whose worker died is picked up again after this long
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// job type -> { handler, onFailed }
+const handlers = {};
+
+const workerId = `${os.hostname()}:${process.pid}`;
+let workerTimer = null;
+let workerRunning = false;
+
+/**
+ * Register the function that runs the jobs of a type
+ * @param {string} type - Job type, e.g. 'scrapeNota'
+ * @param {Function} handler - async (job) => result, throwing to fail the attempt
+ * @param {Object} [options]
+ * @param {Function} [options.onFailed] - async (job, error), called once the job has no attempts left
+ */
+const registerJobHandler = (type, handler, { onFailed = null } = {}) => {
+  handlers[type] = { handler, onFailed };
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type
+ * @param {Object} [payload]
+ * @param {Object} [options]
+ * @param {ObjectId} [options.notaId] - Nota the job works on
+ * @param {Date} [options.runAt] - Do not run before this date
+ * @param {number} [options.maxAttempts]
+ * @returns {Promise<Job>}
+ */
+const enqueueJob = async (type, payload = {}, options = {}) => {
+  if (!handlers[type]) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Unknown job type: ${type}`);
+  }
+  const { notaId, runAt = new Date(), maxAttempts } = options;
+  return Job.create({ type, payload, notaId, runAt, ...(maxAttempts ? { maxAttempts } : {}) });
+};
+
+/**
+ * Delay before the next attempt: 30s, 1min, 2min, 4min... capped at 1 hour
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} milliseconds
+ */
+const getRetryDelay = (attempts) => Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+
+// client errors (unsupported state, nota not found...) fail the same way on every attempt
+const isRetryable = (error) => !(error instanceof ApiError && error.statusCode < 500);
+
+/**
+ * Lock the next due job for this worker
+ * @param {Object} [filter] - Only claim the jobs matching this Mongo filter, e.g. { notaId }
+ * @returns {Promise<Job|null>}
+ */
+const claimNextJob = async (filter = {}) => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Object.keys(handlers) },
+      ...filter,
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: 'running', lockedAt: now, lockedBy: workerId }, $inc: { attempts: 1 } },
+    { new: true, sort: { runAt: 1 } }
+  );
+};
+
+/**
+ * Run a claimed job and record the outcome: completed, queued again with a backoff, or failed
+ * @param {Job} job
+ * @returns {Promise<Job>}
+ */
+const runJob = async (job) => {
+  const { handler, onFailed } = handlers[job.type];
+  try {
+    const result = await handler(job);
+    job.set({ status: 'completed', result, completedAt: new Date(), lockedAt: null, lockedBy: null });
+    return job.save();
+  } catch (error) {
+    job.set({ lastError: error.message, lockedAt: null, lockedBy: null });
+
+    if (isRetryable(error) && job.attempts < job.maxAttempts) {
+      const delay = getRetryDelay(job.attempts);
+      logger.warn(
+        `Job ${job.id} (${job.type}) attempt ${job.attempts} failed, retrying in ${delay / 1000}s: ${error.message}`
+      );
+      job.set({ status: 'queued', runAt: new Date(Date.now() + delay) });
+      return job.save();
+    }
+
+    logger.error(`Job ${job.id} (${job.type}) failed after ${job.attempts} attempt(s): ${error.message}`);
+    job.set({ status: 'failed', failedAt: new Date() });
+    await job.save();
+    if (onFailed) {
+      try {
+        await onFailed(job, error);
+      } catch (hookError) {
+        logger.error(`Job ${job.id} (${job.type}) failure handler threw: ${hookError.message}`);
+      }
+    }
+    return job;
+  }
+};
+
+/**
+ * Run the due jobs one after the other
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of jobs to run (default = 10)
+ * @param {Object} [options.filter] - Only run the jobs matching this Mongo filter
+ * @returns {Promise<Object>} Count of jobs per outcome
+ */
+const processJobs = async ({ limit = 10, filter = {} } = {}) => {
+  const summary = { processed: 0, completed: 0, retried: 0, failed: 0 };
+  for (let i = 0; i < limit; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const job = await claimNextJob(filter);
+    if (!job) {
+      break;
+    }
+    // eslint-disable-next-line no-await-in-loop
+    const { status } = await runJob(job);
+    summary.processed += 1;
+    if (status === 'completed') {
+      summary.completed += 1;
+    } else if (status === 'queued') {
+      summary.retried += 1;
+    } else {
+      summary.failed += 1;
+    }
+  }
+  return summary;
+};
+
+/**
+ * Start polling the queue in this process
+ * @param {Object} [options]
+ * @param {number} [options.pollIntervalMs] - Wait between two polls when the queue is empty (default = 5s)
+ */
+const startWorker = ({ pollIntervalMs = 5000 } = {}) => {
+  if (workerRunning) {
+    return;
+  }
+  workerRunning = true;
+
+  const tick = async () => {
+    try {
+      const { processed } = await processJobs();
+      // keep draining while there is work, otherwise wait for the next poll
+      workerTimer = setTimeout(tick, processed ? 0 : pollIntervalMs);
+    } catch (error) {
+      logger.error(`Job worker error: ${error.message}`);
+      workerTimer = setTimeout(tick, pollIntervalMs);
+    }
+    if (!workerRunning) {
+      clearTimeout(workerTimer);
+    }
+  };
+
+  logger.info(`Job worker ${workerId} started`);
+  workerTimer = setTimeout(tick, 0);
+};
+
+/**
+ * Stop polling the queue; the job being run, if any, still finishes
+ */
+const stopWorker = () => {
+  workerRunning = false;
+  if (workerTimer) {
+    clearTimeout(workerTimer);
+    workerTimer = null;
+  }
+};
+
+/**
+ * Get the jobs of a nota, newest first
+ * @param {ObjectId} notaId
+ * @returns {Promise<Job[]>}
+ */
+const getJobsByNotaId = async (notaId) => Job.find({ notaId }).sort({ createdAt: -1 });
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  getRetryDelay,
+  claimNextJob,
+  runJob,
+  processJobs,
+  startWorker,
+  stopWorker,
+  getJobsByNotaId,
+};
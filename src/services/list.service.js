@@ -1,7 +1,311 @@
 /* eslint-disable no-param-reassign */
+const mongoose = require('mongoose');
 const httpStatus = require('http-status');
-const { List, Membership, User } = require('../models');
+const { CanonicalProduct, List, Membership, User, Group, Vendor } = require('../models');
 const ApiError = require('../utils/ApiError');
+const { parseListItem, formatListItem } = require('../utils/listItemParser');
+const listNotificationService = require('./listNotification.service');
+const listEventsService = require('./listEvents.service');
+const canonicalProductService = require('./canonicalProduct.service');
+// after the services, which load the config the logger depends on
+const logger = require('../config/logger');
+
+const normalizeProduct = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim();
+
+// items added before they were parsed only have their text
+const getItemProduct = (item) => item.product || parseListItem(item.text).product;
+
+/**
+ * Check if a list item is the one a text refers to
+ * The text matches the item text, or names the same product: "arroz" matches "2kg de arroz"
+ * @param {Object} item - List item
+ * @param {string} text
+ * @returns {boolean}
+ */
+const isSameItem = (item, text) =>
+  item.text.trim().toLowerCase() === text.trim().toLowerCase() ||
+  normalizeProduct(getItemProduct(item)) === normalizeProduct(parseListItem(text).product);
+
+/**
+ * Parse item texts into quantity, unit and product, and link them to their canonical product
+ * A failed lookup leaves the item unlinked instead of failing the addition
+ * @param {string[]} texts - Item texts, trimmed
+ * @param {ObjectId} groupId - Group of the list, whose products are preferred
+ * @returns {Promise<Object[]>} Fields of the list items
+ */
+const parseListItems = async (texts, groupId) =>
+  Promise.all(
+    texts.map(async (text) => {
+      const parsed = parseListItem(text);
+      let match = null;
+      try {
+        match = await canonicalProductService.findCanonicalProductForItem(parsed.product, { groupId });
+      } catch (error) {
+        logger.warn(`Could not link list item "${text}" to a canonical product: ${error.message}`);
+      }
+      return {
+        text,
+        ...parsed,
+        // only an exact match is linked, a partial one may be a more specific product
+        canonicalProductId: match && match.isExact ? match.product._id : undefined,
+        category: match ? match.product.category : null,
+        categoryKey: match ? match.product.category_key : null,
+      };
+    })
+  );
+
+const isSameProduct = (item, parsed) =>
+  (item.canonicalProductId &&
+    parsed.canonicalProductId &&
+    String(item.canonicalProductId) === String(parsed.canonicalProductId)) ||
+  normalizeProduct(getItemProduct(item)) === normalizeProduct(parsed.product);
+
+/**
+ * Find the list item a parsed item is merged into or duplicates: an open item of the same product, or else a
+ * bought one
+ * @param {List} list
+ * @param {Object} parsed - Item of parseListItems
+ * @returns {Object|undefined} List item
+ */
+const findListItem = (list, parsed) =>
+  list.items.find((item) => !item.isCompleted && isSameProduct(item, parsed)) ||
+  list.items.find((item) => isSameProduct(item, parsed));
+
+/**
+ * Add parsed items to a list, merging the ones already on it
+ * An open item of the same product takes the new quantity: quantities in the same unit are added up, and
+ * items without a quantity get the new one. Other items of a product already on the list are duplicates
+ * @param {List} list - List, saved by the caller
+ * @param {Object[]} parsedItems - Result of parseListItems
+ * @param {string} addedBy - firstName of the member adding them
+ * @returns {{added: string[], merged: string[], duplicates: string[], changedItems: Object}} Texts of the items, by
+ * outcome, and the list items added and merged ({ added, merged })
+ */
+const mergeListItems = (list, parsedItems, addedBy) => {
+  const result = { added: [], merged: [], duplicates: [], changedItems: { added: [], merged: [] } };
+  let nextOrder = list.items.length > 0 ? Math.max(...list.items.map((item) => item.order || 0)) + 1 : 1;
+
+  parsedItems.forEach((parsed) => {
+    const existing = findListItem(list, parsed);
+
+    if (!existing) {
+      list.items.push({ ...parsed, addedBy, order: nextOrder, isCompleted: false });
+      nextOrder += 1;
+      result.added.push(parsed.text);
+      result.changedItems.added.push(list.items[list.items.length - 1]);
+      return;
+    }
+
+    const canMerge = !existing.isCompleted && parsed.quantity && (!existing.quantity || existing.unit === parsed.unit);
+    if (!canMerge) {
+      result.duplicates.push(parsed.text);
+      return;
+    }
+    if (existing.quantity) {
+      const product = getItemProduct(existing);
+      existing.quantity += parsed.quantity;
+      existing.text = formatListItem({ quantity: existing.quantity, unit: existing.unit, product });
+      existing.product = product;
+    } else {
+      Object.assign(existing, { text: parsed.text, quantity: parsed.quantity, unit: parsed.unit, product: parsed.product });
+    }
+    if (!existing.canonicalProductId && parsed.canonicalProductId) {
+      Object.assign(existing, {
+        canonicalProductId: parsed.canonicalProductId,
+        category: parsed.category,
+        categoryKey: parsed.categoryKey,
+      });
+    }
+    result.merged.push(parsed.text);
+    if (!result.changedItems.merged.includes(existing)) {
+      result.changedItems.merged.push(existing);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Add the items of a scheduled template run to a list
+ * Products still open on the list are left as they are, bought ones are reopened with the template quantity;
+ * a run already applied to the list adds nothing, so retrying a run never adds its items twice
+ * @param {List} list - List, saved by the caller
+ * @param {Object[]} parsedItems - Result of parseListItems
+ * @param {string} addedBy - firstName shown as the author of the items
+ * @param {string} runKey - Identifies the template run
+ * @returns {{added: string[], reopened: string[], skipped: string[], changedItems: Object}} Texts of the items, by
+ * outcome, and the list items added and reopened ({ added, reopened })
+ */
+const addRecurringItems = (list, parsedItems, addedBy, runKey) => {
+  const result = { added: [], reopened: [], skipped: [], changedItems: { added: [], reopened: [] } };
+  if (list.items.some((item) => item.templateRun === runKey)) {
+    result.skipped = parsedItems.map((parsed) => parsed.text);
+    return result;
+  }
+  let nextOrder = list.items.length > 0 ? Math.max(...list.items.map((item) => item.order || 0)) + 1 : 1;
+
+  parsedItems.forEach((parsed) => {
+    if (list.items.some((item) => !item.isCompleted && isSameProduct(item, parsed))) {
+      result.skipped.push(parsed.text);
+      return;
+    }
+    const bought = list.items.find((item) => isSameProduct(item, parsed));
+    if (bought) {
+      Object.assign(bought, {
+        ...parsed,
+        isCompleted: false,
+        completedBy: undefined,
+        completedAt: undefined,
+        templateRun: runKey,
+      });
+      result.reopened.push(parsed.text);
+      result.changedItems.reopened.push(bought);
+      return;
+    }
+    list.items.push({ ...parsed, addedBy, order: nextOrder, isCompleted: false, templateRun: runKey });
+    nextOrder += 1;
+    result.added.push(parsed.text);
+    result.changedItems.added.push(list.items[list.items.length - 1]);
+  });
+
+  return result;
+};
+
+/**
+ * Find the product of a nota an open list item was bought as
+ * A linked item matches its canonical product; otherwise the item's product is compared with the name and
+ * synonyms of the nota products: an exact match wins, then a name starting with it ("leite" for "leite
+ * integral"). Several candidates, or a product only containing it ("arroz" in "farinha de arroz"), are ambiguous
+ * @param {Object} item - Open list item
+ * @param {CanonicalProduct[]} products - Canonical products of the nota items
+ * @returns {{product: CanonicalProduct|null, candidates: CanonicalProduct[]}} product when the match is certain
+ */
+const matchNotaProduct = (item, products) => {
+  if (item.canonicalProductId) {
+    const linked = products.find((product) => String(product._id) === String(item.canonicalProductId));
+    if (linked) {
+      return { product: linked, candidates: [linked] };
+    }
+  }
+  const itemProduct = normalizeProduct(getItemProduct(item));
+  if (!itemProduct) {
+    return { product: null, candidates: [] };
+  }
+  const namesOf = (product) => [product.canonical_name_normalized, ...(product.synonyms_normalized || [])].filter(Boolean);
+  const matching = (isMatch) => products.filter((product) => namesOf(product).some(isMatch));
+
+  const exact = matching((name) => name === itemProduct);
+  const prefixed = matching((name) => name.startsWith(`${itemProduct} `));
+  const candidates = exact.length ? exact : prefixed;
+  if (candidates.length === 1) {
+    return { product: candidates[0], candidates };
+  }
+  if (candidates.length) {
+    return { product: null, candidates };
+  }
+  return { product: null, candidates: matching((name) => ` ${name} `.includes(` ${itemProduct} `)) };
+};
+
+const findListById = async (id) =>
+  List.findById(id).populate('groupId', 'name iconUrl').populate('createdBy', 'firstName lastName');
+
+// a change whose save lost the race with another change of the list is applied again to the new version
+const MAX_SAVE_ATTEMPTS = 3;
+
+/**
+ * Apply a change to a list and save it
+ * A save only succeeds from the version the list was loaded at (see the List pre-save hook), so when another
+ * member changed the list meanwhile, the list is loaded again and the change applied again to it
+ * @param {List} list
+ * @param {Function} applyChange - (list) => result; changes the list without saving it, and may run more than once
+ * @param {number} [attempt]
+ * @returns {Promise<{list: List, result: *}>} The saved list and what the change returned for it
+ */
+const saveListChange = async (list, applyChange, attempt = 1) => {
+  const result = applyChange(list);
+  if (!list.isModified()) {
+    return { list, result };
+  }
+  try {
+    await list.save();
+    return { list, result };
+  } catch (error) {
+    // changes of an item of the array also carry the mongoose version key, so they fail with a VersionError
+    if (!(error instanceof mongoose.Error.DocumentNotFoundError || error instanceof mongoose.Error.VersionError)) {
+      throw error;
+    }
+    if (attempt >= MAX_SAVE_ATTEMPTS) {
+      throw new ApiError(httpStatus.CONFLICT, 'The list kept changing, try again');
+    }
+    const reloaded = await findListById(list._id);
+    if (!reloaded) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'List not found');
+    }
+    return saveListChange(reloaded, applyChange, attempt + 1);
+  }
+};
+
+/**
+ * Complete the open items of a group's lists bought in a nota
+ * Items are completed by the nota's user at the purchase date; items with several possible products, or
+ * only a loose one, are left open for the members to confirm
+ * @param {Nota} nota - Classified nota, whose items carry a canonicalProductId
+ * @returns {Promise<Object>} { completed, ambiguous }: [{ listId, listName, itemId, text, products }]
+ */
+const completeItemsFromNota = async (nota) => {
+  const summary = { completed: [], ambiguous: [] };
+  const productIds = nota.items.map((item) => item.canonicalProductId).filter(Boolean);
+  if (!nota.groupId || !productIds.length) {
+    return summary;
+  }
+  const [products, lists] = await Promise.all([
+    CanonicalProduct.find({ _id: { $in: productIds } }),
+    List.find({ groupId: nota.groupId, 'items.isCompleted': false }),
+  ]);
+  const completedAt = nota.purchaseDate || new Date();
+
+  await Promise.all(
+    lists.map(async (loaded) => {
+      const { list, result } = await saveListChange(loaded, (current) => {
+        const change = { completedItems: [], completed: [], ambiguous: [] };
+        current.items
+          .filter((item) => !item.isCompleted)
+          .forEach((item) => {
+            const { product, candidates } = matchNotaProduct(item, products);
+            const entry = {
+              listId: current._id,
+              listName: current.name,
+              itemId: item._id,
+              text: item.text,
+              products: candidates.map((candidate) => candidate.canonical_name),
+            };
+            if (product) {
+              Object.assign(item, { isCompleted: true, completedBy: nota.user, completedAt });
+              change.completedItems.push(item);
+              change.completed.push(entry);
+            } else if (candidates.length) {
+              change.ambiguous.push(entry);
+            }
+          });
+        return change;
+      });
+      const { completedItems } = result;
+      summary.completed.push(...result.completed);
+      summary.ambiguous.push(...result.ambiguous);
+      if (completedItems.length) {
+        listEventsService.publishListEvent(list, 'item.completed', completedItems, nota.user);
+        const completedTexts = completedItems.map((item) => item.text);
+        await listNotificationService.notifyListChange(list, nota.user, 'completed', completedTexts);
+      }
+    })
+  );
+  return summary;
+};
 
 /**
  * Create a list
@@ -49,7 +353,7 @@ const queryLists = async (filter, options) => {
  * @returns {Promise<List>}
  */
 const getListById = async (id, userId = null) => {
-  const list = await List.findById(id).populate('groupId', 'name iconUrl').populate('createdBy', 'firstName lastName');
+  const list = await findListById(id);
 
   if (!list) {
     throw new ApiError(httpStatus.NOT_FOUND, 'List not found');
@@ -71,6 +375,129 @@ const getListById = async (id, userId = null) => {
   return list;
 };
 
+// sections in the order they are usually walked in a supermarket, when neither the group nor the vendor set one
+const DEFAULT_AISLE_ORDER = [
+  'produce',
+  'bakery',
+  'meat',
+  'dairy',
+  'frozen',
+  'grocery',
+  'canned',
+  'beverages',
+  'cleaning',
+  'personal_care',
+  'baby',
+  'pet',
+];
+// items without category, always the last section
+const OTHER_SECTION = 'other';
+
+/**
+ * Check that an aisle order only names categories of the taxonomy
+ * @param {string[]} aisleOrder - category_key values
+ * @throws {ApiError} 400 for unknown categories
+ */
+const assertAisleOrder = (aisleOrder) => {
+  const { categories } = canonicalProductService.loadCategoryTaxonomy();
+  const unknown = aisleOrder.filter((categoryKey) => !categories[categoryKey]);
+  if (unknown.length) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Unknown categories in the aisle order: ${unknown.join(', ')}`);
+  }
+};
+
+/**
+ * Group the open items of a list by store section
+ * Sections follow the aisle order, then the default order for the categories it leaves out; items without
+ * category come last. Items keep their manual order within a section
+ * @param {Object[]} items - List items
+ * @param {string[]} [aisleOrder] - category_key values
+ * @returns {Object[]} [{ categoryKey, label, items }]
+ */
+const groupItemsBySection = (items, aisleOrder = []) => {
+  const { categories } = canonicalProductService.loadCategoryTaxonomy();
+  const order = [...new Set([...aisleOrder, ...DEFAULT_AISLE_ORDER])];
+  const rank = (categoryKey) => {
+    if (categoryKey === OTHER_SECTION) {
+      return order.length + 1;
+    }
+    return order.includes(categoryKey) ? order.indexOf(categoryKey) : order.length;
+  };
+
+  const sections = new Map();
+  items
+    .filter((item) => !item.isCompleted)
+    .sort((a, b) => (a.order || 0) - (b.order || 0))
+    .forEach((item) => {
+      const categoryKey = item.categoryKey || OTHER_SECTION;
+      if (!sections.has(categoryKey)) {
+        const category = categories[categoryKey];
+        const label = category ? category.label : item.category || 'Outros';
+        sections.set(categoryKey, { categoryKey, label, items: [] });
+      }
+      sections.get(categoryKey).items.push(item);
+    });
+
+  return [...sections.values()].sort((a, b) => rank(a.categoryKey) - rank(b.categoryKey));
+};
+
+/**
+ * Get the aisle order a list is sorted by: the vendor's when shopping at one that has it, else the group's
+ * @param {List} list
+ * @param {ObjectId} [vendorId]
+ * @returns {Promise<string[]>}
+ */
+const getAisleOrder = async (list, vendorId) => {
+  if (vendorId) {
+    const vendor = await Vendor.findById(vendorId);
+    if (!vendor) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'Vendor not found');
+    }
+    if (vendor.aisleOrder && vendor.aisleOrder.length) {
+      return vendor.aisleOrder;
+    }
+  }
+  const group = await Group.findById(list.groupId._id || list.groupId);
+  if (group && group.settings && group.settings.aisleOrder && group.settings.aisleOrder.length) {
+    return group.settings.aisleOrder;
+  }
+  return DEFAULT_AISLE_ORDER;
+};
+
+/**
+ * Get a list sorted by store section
+ * @param {ObjectId} listId
+ * @param {ObjectId} userId - User ID for membership validation
+ * @param {Object} [options]
+ * @param {ObjectId} [options.vendorId] - Store the list is shopped at, whose aisle order is preferred
+ * @returns {Promise<Object>} { list, aisleOrder, sections, completedItems }
+ */
+const getListSections = async (listId, userId, options = {}) => {
+  const list = await getListById(listId, userId);
+  const aisleOrder = await getAisleOrder(list, options.vendorId);
+  return {
+    list,
+    aisleOrder,
+    sections: groupItemsBySection(list.items, aisleOrder),
+    completedItems: list.items.filter((item) => item.isCompleted),
+  };
+};
+
+/**
+ * Check that a user is an active member of a group
+ * @param {ObjectId} groupId
+ * @param {ObjectId} userId
+ * @returns {Promise<Membership>}
+ * @throws {ApiError} 403 for non-members
+ */
+const assertGroupMembership = async (groupId, userId) => {
+  const membership = await Membership.findOne({ user_id: userId, group_id: groupId, status: 'active' });
+  if (!membership) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'You are not a member of this group');
+  }
+  return membership;
+};
+
 /**
  * Get lists by group
  * @param {ObjectId} groupId
@@ -157,9 +584,8 @@ const updateListById = async (listId, updateBody, userId) => {
     await List.updateMany({ groupId: list.groupId, isDefault: true, _id: { $ne: listId } }, { isDefault: false });
   }
 
-  Object.assign(list, updateBody);
-  await list.save();
-  return list;
+  const { list: saved } = await saveListChange(list, (current) => Object.assign(current, updateBody));
+  return saved;
 };
 
 /**
@@ -191,6 +617,39 @@ const deleteListById = async (listId, userId) => {
   await list.remove();
 };
 
+/**
+ * Remove the completed items of a list
+ * Removes several items at once, so like a list update it is restricted to the list creator and group admins
+ * @param {ObjectId} listId
+ * @param {ObjectId} userId - User ID for permission validation
+ * @returns {Promise<Object>} The list and the number of items removed
+ */
+const clearCompletedItems = async (listId, userId) => {
+  const list = await getListById(listId, userId);
+
+  const membership = await Membership.findOne({
+    user_id: userId,
+    group_id: list.groupId,
+    status: 'active',
+  });
+
+  const creatorId = list.createdBy && list.createdBy._id ? list.createdBy._id : list.createdBy;
+  if (!membership || (String(creatorId) !== userId.toString() && membership.role !== 'admin')) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'You do not have permission to clear this list');
+  }
+
+  const { list: saved, result: removedItems } = await saveListChange(list, (current) => {
+    const completedItems = current.items.filter((item) => item.isCompleted);
+    current.removeItems(completedItems);
+    return completedItems;
+  });
+  const removedCount = removedItems.length;
+  if (removedCount > 0) {
+    listEventsService.publishListEvent(saved, 'item.deleted', removedItems, userId);
+  }
+  return { list: saved, removedCount };
+};
+
 /**
  * Create a list item
  * @param {Object} itemBody
@@ -207,33 +666,21 @@ const createListItem = async (itemBody, userId) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
   }
 
-  // Normalize the new item text for comparison (trim and lowercase)
-  const normalizedText = itemBody.text.trim().toLowerCase();
-
-  // Get existing items (normalized for comparison - lowercase, trimmed)
-  const existingItems = list.items.map((item) => item.text.trim().toLowerCase());
-
-  // Check if item already exists (case-insensitive)
-  if (existingItems.includes(normalizedText)) {
-    throw new ApiError(httpStatus.BAD_REQUEST, 'This item already exists in the list');
-  }
-
-  // Get the next order number
-  const nextOrder = list.items.length > 0 ? Math.max(...list.items.map((item) => item.order || 0)) + 1 : 1;
-
-  // Create the new item
-  const newItem = {
-    text: itemBody.text.trim(),
-    addedBy: user.firstName,
-    order: nextOrder,
-    isCompleted: false,
-  };
+  // "2kg de arroz" is merged into an open "arroz"; an item already on the list is refused
+  const parsedItems = await parseListItems([itemBody.text.trim()], list.groupId._id || list.groupId);
+  const { list: saved, result } = await saveListChange(list, (current) => {
+    const merge = mergeListItems(current, parsedItems, user.firstName);
+    if (merge.duplicates.length) {
+      throw new ApiError(httpStatus.BAD_REQUEST, 'This item already exists in the list');
+    }
+    return merge;
+  });
 
-  // Add the item to the list
-  list.items.push(newItem);
-  await list.save();
+  listEventsService.publishListEvent(saved, 'item.added', result.changedItems.added, userId);
+  listEventsService.publishListEvent(saved, 'item.updated', result.changedItems.merged, userId);
+  await listNotificationService.notifyListChange(saved, userId, 'added', [itemBody.text.trim()]);
 
-  return list;
+  return saved;
 };
 
 /**
@@ -294,12 +741,6 @@ const updateListItemById = async (itemId, updateBody, userId) => {
   // Validate list access
   await getListById(list._id, userId);
 
-  // Find the specific item
-  const item = list.items.id(itemId);
-  if (!item) {
-    throw new ApiError(httpStatus.NOT_FOUND, 'List item not found');
-  }
-
   // Check if user can update this item - any group member can update any item
   const membership = await Membership.findOne({
     user_id: userId,
@@ -311,20 +752,60 @@ const updateListItemById = async (itemId, updateBody, userId) => {
     throw new ApiError(httpStatus.FORBIDDEN, 'You do not have permission to update this item');
   }
 
-  // If marking as completed, set completedBy and completedAt
-  if (updateBody.isCompleted && !item.isCompleted) {
-    updateBody.completedBy = userId;
-    updateBody.completedAt = new Date();
+  const { list: saved, result } = await saveListChange(list, (current) => {
+    // Find the specific item
+    const item = current.items.id(itemId);
+    if (!item) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'List item not found');
+    }
+    // If marking as completed, set completedBy and completedAt
+    const isBeingCompleted = updateBody.isCompleted && !item.isCompleted;
+    Object.assign(item, updateBody, isBeingCompleted && { completedBy: userId, completedAt: new Date() });
+    return { item, isBeingCompleted };
+  });
+  const { item, isBeingCompleted } = result;
+  listEventsService.publishListEvent(saved, isBeingCompleted ? 'item.completed' : 'item.updated', [item], userId);
+  if (isBeingCompleted) {
+    await listNotificationService.notifyListChange(saved, userId, 'completed', [item.text]);
   }
 
-  // Update the item
-  Object.assign(item, updateBody);
-  await list.save();
-
   // Populate user details for completedBy only (addedBy is now a string)
-  await list.populate([{ path: 'items.completedBy', select: 'firstName lastName' }]);
+  await saved.populate([{ path: 'items.completedBy', select: 'firstName lastName' }]);
 
-  return list;
+  return saved;
+};
+
+/**
+ * Mark several open items of a list as bought at once
+ * The items are saved together and reach the other members as one event and one notification
+ * @param {List} list - List loaded with getListById for the user, who must be an active member
+ * @param {ListItem[]} items - Open items of the list
+ * @param {ObjectId} userId
+ * @returns {Promise<{list: List, items: ListItem[]}>} The list and the items completed, without the ones
+ * another member deleted or completed meanwhile
+ */
+const completeListItems = async (list, items, userId) => {
+  if (!items.length) {
+    return { list, items };
+  }
+  const completedAt = new Date();
+  const { list: saved, result: completedItems } = await saveListChange(list, (current) => {
+    const openItems = items.map((item) => current.items.id(item._id)).filter((item) => item && !item.isCompleted);
+    openItems.forEach((item) => Object.assign(item, { isCompleted: true, completedBy: userId, completedAt }));
+    return openItems;
+  });
+  if (completedItems.length) {
+    listEventsService.publishListEvent(saved, 'item.completed', completedItems, userId);
+    await listNotificationService.notifyListChange(
+      saved,
+      userId,
+      'completed',
+      completedItems.map((item) => item.text)
+    );
+  }
+
+  await saved.populate([{ path: 'items.completedBy', select: 'firstName lastName' }]);
+  return { list: saved, items: completedItems };
 };
 
 /**
@@ -344,12 +825,6 @@ const deleteListItemById = async (itemId, userId) => {
   // Validate list access
   await getListById(list._id, userId);
 
-  // Find the specific item
-  const item = list.items.id(itemId);
-  if (!item) {
-    throw new ApiError(httpStatus.NOT_FOUND, 'List item not found');
-  }
-
   // Check if user can delete this item - any group member can delete any item
   const membership = await Membership.findOne({
     user_id: userId,
@@ -361,21 +836,42 @@ const deleteListItemById = async (itemId, userId) => {
     throw new ApiError(httpStatus.FORBIDDEN, 'You do not have permission to delete this item');
   }
 
-  // Remove the item from the list
-  item.remove();
-  await list.save();
+  const { list: saved, result: item } = await saveListChange(list, (current) => {
+    // Find the specific item
+    const listItem = current.items.id(itemId);
+    if (!listItem) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'List item not found');
+    }
+    // Remove the item from the list, leaving a tombstone for offline clients
+    current.removeItems([listItem]);
+    return listItem;
+  });
+  listEventsService.publishListEvent(saved, 'item.deleted', [item], userId);
 };
 
 module.exports = {
   createList,
   queryLists,
   getListById,
+  saveListChange,
+  assertGroupMembership,
+  assertAisleOrder,
+  groupItemsBySection,
+  getListSections,
   getListsByGroup,
   getDefaultListByGroup,
   updateListById,
   deleteListById,
+  clearCompletedItems,
+  isSameItem,
+  parseListItems,
+  findListItem,
+  mergeListItems,
+  addRecurringItems,
+  completeItemsFromNota,
   createListItem,
   getListItems,
   updateListItemById,
+  completeListItems,
   deleteListItemById,
 };
@@ -0,0 +1,67 @@
+const { EventEmitter } = require('events');
+
+const LIST_EVENT = 'listEvent';
+
+// the events only reach the clients connected to this process, which is enough while the API runs on one server
+const emitter = new EventEmitter();
+// one listener per connected client
+emitter.setMaxListeners(0);
+
+let lastEventId = 0;
+
+const toId = (value) => {
+  if (!value) {
+    return null;
+  }
+  return String(value._id || value);
+};
+
+const serializeItem = (item) => (typeof item.toJSON === 'function' ? item.toJSON() : item);
+
+/**
+ * Push a change of list items to the clients subscribed to the list or its group
+ * @param {List} list - List the items belong to, with its group populated or not
+ * @param {string} type - 'item.added', 'item.updated', 'item.completed' or 'item.deleted'
+ * @param {Object[]} items - Items changed; for deleted items their last state
+ * @param {ObjectId} [actorId] - User who made the change
+ * @returns {Object|null} Event pushed, null when there were no items
+ */
+const publishListEvent = (list, type, items, actorId) => {
+  if (!items.length) {
+    return null;
+  }
+  lastEventId += 1;
+  const event = {
+    id: lastEventId,
+    type,
+    listId: toId(list),
+    groupId: toId(list.groupId),
+    actorId: toId(actorId),
+    items: items.map(serializeItem),
+    at: new Date().toISOString(),
+  };
+  emitter.emit(LIST_EVENT, event);
+  return event;
+};
+
+/**
+ * Receive the events of a list, or of every list of a group
+ * @param {Object} filter - { listId } or { groupId }
+ * @param {Function} listener - (event) => void
+ * @returns {Function} Unsubscribes the listener
+ */
+const subscribe = ({ listId, groupId }, listener) => {
+  const handler = (event) => {
+    if ((listId && event.listId !== toId(listId)) || (groupId && event.groupId !== toId(groupId))) {
+      return;
+    }
+    listener(event);
+  };
+  emitter.on(LIST_EVENT, handler);
+  return () => emitter.removeListener(LIST_EVENT, handler);
+};
+
+module.exports = {
+  publishListEvent,
+  subscribe,
+};
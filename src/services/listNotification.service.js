@@ -0,0 +1,206 @@
+const { ListNotification, List, Membership, User } = require('../models');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const jobService = require('./job.service');
+const { sendWhatsAppMessage } = require('./messaging.service');
+
+const SEND_LIST_DIGEST_JOB = 'sendListDigest';
+// items named per line of a digest, the others are counted
+const MAX_ITEMS_PER_LINE = 10;
+const MINUTES_PER_DAY = 24 * 60;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map((part) => parseInt(part, 10));
+  return hours * 60 + minutes;
+};
+
+const getLocalMinutes = (date) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: config.notifications.timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const valueOf = (type) => parseInt(parts.find((part) => part.type === type).value, 10);
+  return valueOf('hour') * 60 + valueOf('minute');
+};
+
+/**
+ * Get the first moment a member can receive a digest
+ * @param {User} user - Recipient, whose quiet hours default to the configured ones
+ * @param {Date} date - Earliest send time
+ * @returns {Date} date itself, or the end of the quiet hours when date falls within them
+ */
+const getNextSendTime = (user, date) => {
+  const settings = user.notificationSettings || {};
+  const start = toMinutes(settings.quietHoursStart || config.notifications.quietHoursStart);
+  const end = toMinutes(settings.quietHoursEnd || config.notifications.quietHoursEnd);
+  const now = getLocalMinutes(date);
+
+  // quiet hours usually span midnight (22:00 to 08:00)
+  const isQuiet = start < end ? now >= start && now < end : start > end && (now >= start || now < end);
+  if (!isQuiet) {
+    return date;
+  }
+  const minutesLeft = (end - now + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return new Date(date.getTime() + minutesLeft * 60 * 1000 - (date.getSeconds() * 1000 + date.getMilliseconds()));
+};
+
+const formatItems = (texts) => {
+  const unique = [...new Set(texts)];
+  if (unique.length <= MAX_ITEMS_PER_LINE) {
+    return unique.join(', ');
+  }
+  return `${unique.slice(0, MAX_ITEMS_PER_LINE).join(', ')} and ${unique.length - MAX_ITEMS_PER_LINE} more`;
+};
+
+/**
+ * Build the WhatsApp digest of the changes made to a list
+ * Consecutive changes of the same kind by the same member are shown on one line
+ * @param {Object} list - List, with its group populated
+ * @param {Object[]} changes - [{ type, text, by }]
+ * @returns {string}
+ */
+const formatDigest = (list, changes) => {
+  const lines = [];
+  changes.forEach((change) => {
+    const last = lines[lines.length - 1];
+    if (last && last.type === change.type && last.by === change.by) {
+      last.texts.push(change.text);
+    } else {
+      lines.push({ type: change.type, by: change.by, texts: [change.text] });
+    }
+  });
+
+  const groupName = list.groupId && list.groupId.name ? ` (${list.groupId.name})` : '';
+  const verbs = { added: 'added', completed: 'bought' };
+  return [
+    `*${list.name}*${groupName} was updated:`,
+    ...lines.map((line) => `• ${line.by || 'Someone'} ${verbs[line.type]} ${formatItems(line.texts)}`),
+  ].join('\n');
+};
+
+/**
+ * Queue a change of a shared list for the other members of its group
+ * Members who opted in get one digest per list, sent once the digest period is over and outside their
+ * quiet hours; the changes made in the meantime are added to it. Failures are logged and never fail
+ * the change itself
+ * @param {List} list
+ * @param {ObjectId} actorId - Member who made the change, who is not notified
+ * @param {string} type - 'added' or 'completed'
+ * @param {string[]} itemTexts - Items added or completed
+ * @returns {Promise<number>} Number of members the change was queued for
+ */
+const notifyListChange = async (list, actorId, type, itemTexts) => {
+  if (!itemTexts.length) {
+    return 0;
+  }
+  try {
+    const groupId = list.groupId && list.groupId._id ? list.groupId._id : list.groupId;
+    const memberships = await Membership.find({
+      group_id: groupId,
+      status: 'active',
+      user_id: { $ne: actorId },
+      notifications_muted: { $ne: true },
+    });
+    const [actor, recipients] = await Promise.all([
+      User.findById(actorId),
+      User.find({
+        _id: { $in: memberships.map((membership) => membership.user_id) },
+        'notificationSettings.whatsapp': true,
+        phoneNumber: { $exists: true, $ne: null },
+      }),
+    ]);
+
+    const now = new Date();
+    const changes = itemTexts.map((text) => ({ type, text, by: actor ? actor.firstName : undefined, at: now }));
+    const digestEnd = new Date(now.getTime() + config.notifications.digestMinutes * 60 * 1000);
+
+    await Promise.all(
+      recipients.map(async (recipient) => {
+        const sendAt = getNextSendTime(recipient, digestEnd);
+        const result = await ListNotification.findOneAndUpdate(
+          { listId: list._id, recipientId: recipient._id },
+          { $push: { changes: { $each: changes } }, $setOnInsert: { groupId, sendAt } },
+          { upsert: true, new: true, rawResult: true }
+        );
+        // the job of a digest is queued once, with the changes made until it runs
+        if (!result.lastErrorObject.updatedExisting) {
+          await jobService.enqueueJob(SEND_LIST_DIGEST_JOB, { notificationId: result.value._id }, { runAt: sendAt });
+        }
+      })
+    );
+    return recipients.length;
+  } catch (error) {
+    logger.error(`Could not queue the notifications of list ${list._id}: ${error.message}`);
+    return 0;
+  }
+};
+
+/**
+ * Send a pending digest
+ * Digests of members who muted the group, opted out or left are dropped; digests that fall within the
+ * member's quiet hours are postponed to their end
+ * @param {Job} job - sendListDigest job, payload { notificationId }
+ * @returns {Promise<Object>}
+ */
+const sendListDigest = async (job) => {
+  // a retried attempt sends the digest built by the first one, whose changes were already taken
+  if (job.payload.message) {
+    await sendWhatsAppMessage(job.payload.phoneNumber, job.payload.message);
+    return { sent: true };
+  }
+
+  const notification = await ListNotification.findById(job.payload.notificationId);
+  if (!notification) {
+    return { sent: false };
+  }
+
+  const [recipient, membership, list] = await Promise.all([
+    User.findById(notification.recipientId),
+    Membership.findOne({ user_id: notification.recipientId, group_id: notification.groupId, status: 'active' }),
+    List.findById(notification.listId).populate('groupId', 'name'),
+  ]);
+  const canReceive =
+    recipient &&
+    recipient.phoneNumber &&
+    recipient.notificationSettings &&
+    recipient.notificationSettings.whatsapp &&
+    membership &&
+    !membership.notifications_muted &&
+    list;
+  if (!canReceive) {
+    await ListNotification.deleteOne({ _id: notification._id });
+    return { sent: false };
+  }
+
+  const now = new Date();
+  const sendAt = getNextSendTime(recipient, now);
+  if (sendAt > now) {
+    await ListNotification.updateOne({ _id: notification._id }, { $set: { sendAt } });
+    await jobService.enqueueJob(SEND_LIST_DIGEST_JOB, { notificationId: notification._id }, { runAt: sendAt });
+    return { sent: false, postponedTo: sendAt };
+  }
+
+  // taking the digest out lets the changes made from now on start a new one
+  const digest = await ListNotification.findOneAndDelete({ _id: notification._id });
+  if (!digest || !digest.changes.length) {
+    return { sent: false };
+  }
+
+  const message = formatDigest(list, digest.changes);
+  job.set('payload', { ...job.payload, phoneNumber: recipient.phoneNumber, message });
+  await job.save();
+
+  await sendWhatsAppMessage(recipient.phoneNumber, message);
+  return { sent: true, changes: digest.changes.length };
+};
+
+jobService.registerJobHandler(SEND_LIST_DIGEST_JOB, sendListDigest);
+
+module.exports = {
+  getNextSendTime,
+  formatDigest,
+  notifyListChange,
+  sendListDigest,
+};
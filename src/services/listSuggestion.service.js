@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const { CanonicalProduct, List, ListSuggestion, Membership, PriceObservation } = require('../models');
+const ApiError = require('../utils/ApiError');
+const listService = require('./list.service');
+const listNotificationService = require('./listNotification.service');
+const listEventsService = require('./listEvents.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// purchases looked at, so the interval follows the current habits of the group
+const HISTORY_DAYS = 365;
+// a product needs two intervals between purchases before it is suggested
+const MIN_PURCHASES = 3;
+// intervals after which the history no longer lowers the confidence
+const FULL_HISTORY_INTERVALS = 5;
+// a product is due a little before its interval is over, so it is on the list for the next trip
+const DUE_RATIO = 0.85;
+const MIN_CONFIDENCE = 0.2;
+const DEFAULT_LIMIT = 10;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Estimate how often a product is bought from its purchase dates
+ * Purchases on the same day count once. The interval is the median of the days between purchases, so a
+ * single late purchase does not move it; the regularity drops as the intervals vary
+ * @param {Date[]} purchaseDates
+ * @returns {{intervalDays: number, regularity: number, intervals: number, lastPurchaseAt: Date}|null} null
+ * when the product was bought fewer than MIN_PURCHASES times
+ */
+const estimatePurchaseInterval = (purchaseDates) => {
+  const days = [...new Set(purchaseDates.map((date) => Math.floor(new Date(date).getTime() / DAY_MS)))].sort(
+    (a, b) => a - b
+  );
+  if (days.length < MIN_PURCHASES) {
+    return null;
+  }
+  const intervals = days.slice(1).map((day, index) => day - days[index]);
+  const mean = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+  const deviation = Math.sqrt(intervals.reduce((sum, interval) => sum + (interval - mean) ** 2, 0) / intervals.length);
+  return {
+    intervalDays: median(intervals),
+    regularity: 1 / (1 + deviation / mean),
+    intervals: intervals.length,
+    lastPurchaseAt: new Date(days[days.length - 1] * DAY_MS),
+  };
+};
+
+/**
+ * Score how likely a group is to want a due product on its list
+ * Regular purchases with a long history score higher; accepted suggestions of the product raise the score and
+ * dismissed ones lower it
+ * @param {Object} estimate - Result of estimatePurchaseInterval
+ * @param {Object} [feedback] - { accepted, dismissed } suggestions of the product in the group
+ * @returns {number} 0 to 1
+ */
+const getConfidence = (estimate, { accepted = 0, dismissed = 0 } = {}) => {
+  const history = Math.min(estimate.intervals / FULL_HISTORY_INTERVALS, 1);
+  // 1 without feedback, from 0 (always dismissed) to 2 (always accepted)
+  const feedback = (2 * (accepted + 1)) / (accepted + dismissed + 2);
+  return round(Math.min(estimate.regularity * history * feedback, 1));
+};
+
+const assertMembership = async (userId, groupId) => {
+  const membership = await Membership.findOne({ user_id: userId, group_id: groupId, status: 'active' });
+  if (!membership) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'You are not a member of this group');
+  }
+};
+
+const getFeedbackByProduct = async (groupId) => {
+  const counts = await ListSuggestion.aggregate([
+    { $match: { groupId, status: { $in: ['accepted', 'dismissed'] } } },
+    { $group: { _id: { product: '$canonicalProductId', status: '$status' }, count: { $sum: 1 } } },
+  ]);
+  return counts.reduce((feedback, { _id, count }) => {
+    const key = _id.product.toString();
+    feedback[key] = { ...feedback[key], [_id.status]: count }; // eslint-disable-line no-param-reassign
+    return feedback;
+  }, {});
+};
+
+/**
+ * Get the products a group usually buys by now and that are not on its default list
+ * The suggestions are recorded as shown to the member; a suggestion answered in the current purchase cycle of
+ * its product is not shown again until the product is bought again
+ * @param {ObjectId} groupId
+ * @param {ObjectId} userId - User ID for membership validation
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of suggestions (default = 10)
+ * @param {Date} [options.now]
+ * @returns {Promise<Object[]>} Suggestions, most confident first
+ */
+const getListSuggestions = async (groupId, userId, { limit = DEFAULT_LIMIT, now = new Date() } = {}) => {
+  await assertMembership(userId, groupId);
+  const groupObjectId = mongoose.Types.ObjectId(groupId.toString());
+
+  const observations = await PriceObservation.find({
+    groupId: groupObjectId,
+    purchaseDate: { $gte: new Date(now.getTime() - HISTORY_DAYS * DAY_MS), $lte: now },
+  }).select('canonicalProduct purchaseDate');
+  const datesByProduct = {};
+  observations.forEach((observation) => {
+    const key = observation.canonicalProduct.toString();
+    datesByProduct[key] = datesByProduct[key] || [];
+    datesByProduct[key].push(observation.purchaseDate);
+  });
+
+  const feedbackByProduct = await getFeedbackByProduct(groupObjectId);
+  const due = Object.keys(datesByProduct)
+    .map((productId) => {
+      const estimate = estimatePurchaseInterval(datesByProduct[productId]);
+      if (!estimate) {
+        return null;
+      }
+      const daysSinceLastPurchase = Math.floor((now.getTime() - estimate.lastPurchaseAt.getTime()) / DAY_MS);
+      const confidence = getConfidence(estimate, feedbackByProduct[productId]);
+      if (daysSinceLastPurchase < estimate.intervalDays * DUE_RATIO || confidence < MIN_CONFIDENCE) {
+        return null;
+      }
+      return { productId, ...estimate, daysSinceLastPurchase, confidence };
+    })
+    .filter(Boolean);
+  if (!due.length) {
+    return [];
+  }
+
+  const [products, defaultList, answered] = await Promise.all([
+    CanonicalProduct.find({ _id: { $in: due.map((candidate) => candidate.productId) } }),
+    List.findOne({ groupId: groupObjectId, isDefault: true }),
+    ListSuggestion.find({
+      groupId: groupObjectId,
+      canonicalProductId: { $in: due.map((candidate) => candidate.productId) },
+      status: { $ne: 'pending' },
+    }),
+  ]);
+  const productsById = new Map(products.map((product) => [product._id.toString(), product]));
+  const isAnswered = (candidate) =>
+    answered.some(
+      (suggestion) =>
+        suggestion.canonicalProductId.toString() === candidate.productId &&
+        suggestion.lastPurchaseAt.getTime() === candidate.lastPurchaseAt.getTime()
+    );
+  const openItems = defaultList ? defaultList.items.filter((item) => !item.isCompleted) : [];
+  const isOnList = (product) =>
+    openItems.some(
+      (item) =>
+        (item.canonicalProductId && item.canonicalProductId.toString() === product._id.toString()) ||
+        listService.isSameItem(item, product.canonical_name)
+    );
+
+  const candidates = due
+    .filter((candidate) => productsById.has(candidate.productId) && !isAnswered(candidate))
+    .filter((candidate) => !isOnList(productsById.get(candidate.productId)))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+
+  return Promise.all(
+    candidates.map(async (candidate) => {
+      const product = productsById.get(candidate.productId);
+      const suggestion = await ListSuggestion.findOneAndUpdate(
+        { groupId: groupObjectId, canonicalProductId: product._id, lastPurchaseAt: candidate.lastPurchaseAt },
+        {
+          $set: {
+            productName: product.canonical_name,
+            intervalDays: candidate.intervalDays,
+            confidence: candidate.confidence,
+          },
+          $addToSet: { shownTo: userId },
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      return {
+        id: suggestion.id,
+        canonicalProductId: product.id,
+        name: product.canonical_name,
+        category: product.category,
+        lastPurchaseAt: candidate.lastPurchaseAt,
+        intervalDays: candidate.intervalDays,
+        daysSinceLastPurchase: candidate.daysSinceLastPurchase,
+        confidence: candidate.confidence,
+      };
+    })
+  );
+};
+
+const getPendingSuggestion = async (suggestionId, userId) => {
+  const suggestion = await ListSuggestion.findById(suggestionId);
+  if (!suggestion) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Suggestion not found');
+  }
+  await assertMembership(userId, suggestion.groupId);
+  if (suggestion.status !== 'pending') {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Suggestion already ${suggestion.status}`);
+  }
+  return suggestion;
+};
+
+/**
+ * Accept a suggestion, adding its product to the group's default list
+ * @param {ObjectId} suggestionId
+ * @param {Object} user - Member accepting it
+ * @returns {Promise<Object>} { suggestion, list }
+ */
+const acceptListSuggestion = async (suggestionId, user) => {
+  const suggestion = await getPendingSuggestion(suggestionId, user.id);
+  const defaultList = await listService.getDefaultListByGroup(suggestion.groupId, user.id);
+
+  const parsedItems = await listService.parseListItems([suggestion.productName], suggestion.groupId);
+  const { list, result } = await listService.saveListChange(defaultList, (current) =>
+    listService.mergeListItems(current, parsedItems, user.firstName)
+  );
+  const { added, changedItems } = result;
+  if (added.length) {
+    listEventsService.publishListEvent(list, 'item.added', changedItems.added, user.id);
+    await listNotificationService.notifyListChange(list, user.id, 'added', added);
+  }
+
+  Object.assign(suggestion, { status: 'accepted', respondedBy: user.id, respondedAt: new Date() });
+  await suggestion.save();
+  return { suggestion, list };
+};
+
+/**
+ * Dismiss a suggestion; it is not shown again until the product is bought again
+ * @param {ObjectId} suggestionId
+ * @param {ObjectId} userId
+ * @returns {Promise<ListSuggestion>}
+ */
+const dismissListSuggestion = async (suggestionId, userId) => {
+  const suggestion = await getPendingSuggestion(suggestionId, userId);
+  Object.assign(suggestion, { status: 'dismissed', respondedBy: userId, respondedAt: new Date() });
+  await suggestion.save();
+  return suggestion;
+};
+
+module.exports = {
+  estimatePurchaseInterval,
+  getConfidence,
+  getListSuggestions,
+  acceptListSuggestion,
+  dismissListSuggestion,
+};
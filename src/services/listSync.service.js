@@ -0,0 +1,259 @@
+const httpStatus = require('http-status');
+const ApiError = require('../utils/ApiError');
+const listService = require('./list.service');
+const listNotificationService = require('./listNotification.service');
+const listEventsService = require('./listEvents.service');
+
+const encodeSyncToken = (list) => Buffer.from(`${list._id}:${list.version || 0}`).toString('base64url');
+
+const decodeSyncToken = (syncToken, list) => {
+  if (!syncToken) {
+    return null;
+  }
+  const [listId, version] = Buffer.from(syncToken, 'base64url').toString().split(':');
+  if (listId !== list._id.toString() || !/^\d+$/.test(version || '')) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid sync token');
+  }
+  return parseInt(version, 10);
+};
+
+// items saved before fields had clocks changed last when the item did
+const getFieldClock = (item, field) =>
+  (item.fieldUpdatedAt && item.fieldUpdatedAt[field]) || item.updatedAt || item.createdAt || new Date(0);
+
+const findItem = (list, operation) =>
+  operation.itemId
+    ? list.items.id(operation.itemId)
+    : list.items.find((item) => (item.clientIds || []).includes(operation.clientId));
+
+const findTombstone = (list, operation) =>
+  list.deletedItems.find((tombstone) =>
+    operation.itemId
+      ? String(tombstone.itemId) === String(operation.itemId)
+      : (tombstone.clientIds || []).includes(operation.clientId)
+  );
+
+const addOnce = (items, item) => {
+  if (!items.includes(item)) {
+    items.push(item);
+  }
+};
+
+const applyAdd = (list, operation, at, user, changes) => {
+  if (findTombstone(list, operation)) {
+    return { status: 'deleted' };
+  }
+  // a retried sync finds the item its first attempt added
+  const known = findItem(list, operation);
+  if (known) {
+    return { status: 'existing', itemId: known.id };
+  }
+
+  const { changedItems } = listService.mergeListItems(list, [operation.parsed], user.firstName);
+  let item;
+  let status;
+  if (changedItems.added.length) {
+    [item] = changedItems.added;
+    status = 'added';
+    item.fieldUpdatedAt = { text: at, isCompleted: at, order: at };
+    changes.added.push(item);
+  } else if (changedItems.merged.length) {
+    [item] = changedItems.merged;
+    status = 'merged';
+    addOnce(changes.updated, item);
+  } else {
+    item = listService.findListItem(list, operation.parsed);
+    status = 'existing';
+  }
+  item.clientIds = [...(item.clientIds || []), operation.clientId];
+  return { status, itemId: item.id };
+};
+
+const applyUpdate = (list, operation, at, user, changes) => {
+  const item = findItem(list, operation);
+  if (!item) {
+    return { status: findTombstone(list, operation) ? 'deleted' : 'not_found' };
+  }
+  const wasCompleted = item.isCompleted;
+  const rejectedFields = [];
+  let isChanged = false;
+  Object.keys(operation.fields).forEach((field) => {
+    // the later change of a field wins; on a tie the value already on the server stays
+    if (at.getTime() <= new Date(getFieldClock(item, field)).getTime()) {
+      rejectedFields.push(field);
+      return;
+    }
+    if (item[field] === operation.fields[field]) {
+      return;
+    }
+    item[field] = operation.fields[field];
+    item.set(`fieldUpdatedAt.${field}`, at);
+    isChanged = true;
+    if (field === 'isCompleted') {
+      Object.assign(
+        item,
+        item.isCompleted ? { completedBy: user.id, completedAt: at } : { completedBy: null, completedAt: null }
+      );
+    }
+  });
+
+  if (isChanged) {
+    addOnce(!wasCompleted && item.isCompleted ? changes.completed : changes.updated, item);
+  }
+  let status = 'applied';
+  if (rejectedFields.length) {
+    status = rejectedFields.length === Object.keys(operation.fields).length ? 'ignored' : 'partial';
+  }
+  return {
+    status,
+    itemId: item.id,
+    ...(rejectedFields.length && { rejectedFields }),
+    // the item changed on the server since the client last saw it
+    conflict: operation.baseVersion !== undefined && item.version > operation.baseVersion,
+  };
+};
+
+const applyDelete = (list, operation, changes) => {
+  const item = findItem(list, operation);
+  if (!item) {
+    return { status: findTombstone(list, operation) ? 'deleted' : 'not_found' };
+  }
+  // a deletion wins over the changes of the item, made before or after it
+  list.removeItems([item]);
+  changes.deleted.push(item);
+  return { status: 'applied', itemId: item.id };
+};
+
+/**
+ * Apply offline operations to a list, in order, without saving it
+ * Fields are merged last-writer-wins by the time of the operation; times after now count as now, so a client
+ * clock ahead does not win every later change. Deleted items keep a tombstone and ignore later operations
+ * @param {List} list
+ * @param {Object[]} operations - { type, itemId|clientId, text, fields, at, baseVersion }; adds carry their
+ * parseListItems result as parsed
+ * @param {User} user - Member syncing
+ * @param {Date} [now]
+ * @returns {{results: Object[], changes: Object}} Outcome of each operation ({ status, itemId, rejectedFields,
+ * conflict }) and the items changed ({ added, updated, completed, deleted })
+ */
+const applySyncOperations = (list, operations, user, now = new Date()) => {
+  const changes = { added: [], updated: [], completed: [], deleted: [] };
+  const results = operations.map((operation) => {
+    const at = new Date(Math.min(new Date(operation.at).getTime(), now.getTime()));
+    let result;
+    if (operation.type === 'add') {
+      result = applyAdd(list, operation, at, user, changes);
+    } else if (operation.type === 'update') {
+      result = applyUpdate(list, operation, at, user, changes);
+    } else {
+      result = applyDelete(list, operation, changes);
+    }
+    return { type: operation.type, ...(operation.clientId && { clientId: operation.clientId }), ...result };
+  });
+
+  // items added and deleted in the same batch were never seen by the other members
+  const isDeleted = (item) => changes.deleted.includes(item);
+  return {
+    results,
+    changes: {
+      added: changes.added.filter((item) => !isDeleted(item)),
+      updated: changes.updated.filter(
+        (item) => !isDeleted(item) && !changes.added.includes(item) && !changes.completed.includes(item)
+      ),
+      completed: changes.completed.filter((item) => !isDeleted(item) && !changes.added.includes(item)),
+      deleted: changes.deleted.filter((item) => !changes.added.includes(item)),
+    },
+  };
+};
+
+/**
+ * Get the changes of a list since a version
+ * Clients that never synced, or last synced before the oldest tombstone kept, get every item and replace
+ * their copy of the list
+ * @param {List} list
+ * @param {number|null} sinceVersion - Version of the client's sync token
+ * @returns {Object} { syncToken, fullSync, list, items, deletedItemIds }
+ */
+const getSyncDelta = (list, sinceVersion) => {
+  const fullSync = sinceVersion === null || sinceVersion < (list.syncHorizon || 0) || sinceVersion > (list.version || 0);
+  return {
+    syncToken: encodeSyncToken(list),
+    fullSync,
+    list: {
+      id: list.id,
+      name: list.name,
+      description: list.description,
+      isDefault: list.isDefault,
+      settings: list.settings,
+      version: list.version,
+    },
+    items: Array.from(list.items)
+      .filter((item) => fullSync || item.version > sinceVersion)
+      .sort((a, b) => (a.order || 0) - (b.order || 0)),
+    deletedItemIds: fullSync
+      ? []
+      : Array.from(list.deletedItems)
+          .filter((tombstone) => tombstone.version > sinceVersion)
+          .map((tombstone) => String(tombstone.itemId)),
+  };
+};
+
+/**
+ * Apply a batch of offline changes to a list and get the changes the client has not seen yet
+ * The changes reach the other members as item events and list notifications, like the ones made online
+ * @param {ObjectId} listId
+ * @param {Object} syncBody - { syncToken, operations }
+ * @param {User} user - Member syncing
+ * @returns {Promise<Object>} Outcome of each operation, and the delta since the sync token with the next one
+ */
+const syncList = async (listId, syncBody, user) => {
+  const { syncToken, operations = [] } = syncBody;
+  const loaded = await listService.getListById(listId, user.id);
+  const sinceVersion = decodeSyncToken(syncToken, loaded);
+
+  // parsed once, as the items added online are; a retried save reuses them
+  const addOperations = operations.filter((operation) => operation.type === 'add');
+  const parsedItems = await listService.parseListItems(
+    addOperations.map((operation) => operation.text),
+    loaded.groupId._id || loaded.groupId
+  );
+  const prepared = operations.map((operation) =>
+    operation.type === 'add' ? { ...operation, parsed: parsedItems[addOperations.indexOf(operation)] } : operation
+  );
+
+  // a save that lost the race with another change of the list applies the operations again to the new version
+  const now = new Date();
+  const { list, result } = await listService.saveListChange(loaded, (current) =>
+    applySyncOperations(current, prepared, user, now)
+  );
+  const { results, changes } = result;
+
+  listEventsService.publishListEvent(list, 'item.added', changes.added, user.id);
+  listEventsService.publishListEvent(list, 'item.updated', changes.updated, user.id);
+  listEventsService.publishListEvent(list, 'item.completed', changes.completed, user.id);
+  listEventsService.publishListEvent(list, 'item.deleted', changes.deleted, user.id);
+  if (changes.added.length) {
+    await listNotificationService.notifyListChange(
+      list,
+      user.id,
+      'added',
+      changes.added.map((item) => item.text)
+    );
+  }
+  if (changes.completed.length) {
+    await listNotificationService.notifyListChange(
+      list,
+      user.id,
+      'completed',
+      changes.completed.map((item) => item.text)
+    );
+  }
+
+  return { results, ...getSyncDelta(list, sinceVersion) };
+};
+
+module.exports = {
+  applySyncOperations,
+  getSyncDelta,
+  syncList,
+};
@@ -0,0 +1,283 @@
+const httpStatus = require('http-status');
+const { ListTemplate, List, Membership, User } = require('../models');
+const ApiError = require('../utils/ApiError');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const jobService = require('./job.service');
+const listService = require('./list.service');
+const listNotificationService = require('./listNotification.service');
+const listEventsService = require('./listEvents.service');
+
+const RUN_LIST_TEMPLATE_JOB = 'runListTemplate';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// due schedules queued per cron run, the others are queued by the next one
+const MAX_DUE_SCHEDULES = 100;
+
+// milliseconds to add to a UTC time to get the time in the notifications timezone
+const getTimezoneOffset = (date) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: config.notifications.timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const valueOf = (type) => parseInt(parts.find((part) => part.type === type).value, 10);
+  const local = Date.UTC(valueOf('year'), valueOf('month') - 1, valueOf('day'), valueOf('hour'), valueOf('minute'));
+  return local - (date.getTime() - (date.getTime() % (60 * 1000)));
+};
+
+/**
+ * Get the day a schedule runs on next, at the start of the day in the notifications timezone
+ * Weekly and biweekly schedules run on their day of the week, monthly ones on their day of the month
+ * @param {Object} schedule - { frequency, dayOfWeek, dayOfMonth }
+ * @param {Date} from - Now, or the day of the last run
+ * @param {Object} [options]
+ * @param {boolean} [options.inclusive] - The day of from itself can be the next run (default = false)
+ * @returns {Date}
+ */
+const getNextRunAt = (schedule, from, { inclusive = false } = {}) => {
+  const offset = getTimezoneOffset(from);
+  const local = new Date(from.getTime() + offset);
+  const year = local.getUTCFullYear();
+  const month = local.getUTCMonth();
+  const date = local.getUTCDate();
+
+  let next;
+  if (schedule.frequency === 'monthly') {
+    const isThisMonth = inclusive ? date <= schedule.dayOfMonth : date < schedule.dayOfMonth;
+    next = Date.UTC(year, isThisMonth ? month : month + 1, schedule.dayOfMonth);
+  } else {
+    let days = (schedule.dayOfWeek - local.getUTCDay() + 7) % 7;
+    if (!days && !inclusive) {
+      days = schedule.frequency === 'biweekly' ? 14 : 7;
+    }
+    next = Date.UTC(year, month, date) + days * DAY_MS;
+  }
+  return new Date(next - getTimezoneOffset(new Date(next)));
+};
+
+const withNextRun = (schedule) => {
+  if (!schedule) {
+    return schedule;
+  }
+  return { ...schedule, nextRunAt: getNextRunAt(schedule, new Date(), { inclusive: true }) };
+};
+
+const assertMembership = async (userId, groupId) => {
+  const membership = await Membership.findOne({ user_id: userId, group_id: groupId, status: 'active' });
+  if (!membership) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'You are not a member of this group');
+  }
+  return membership;
+};
+
+/**
+ * Create a list template
+ * @param {Object} templateBody - { groupId, name, description, items: string[], schedule }
+ * @param {ObjectId} userId
+ * @returns {Promise<ListTemplate>}
+ */
+const createListTemplate = async (templateBody, userId) => {
+  await assertMembership(userId, templateBody.groupId);
+  return ListTemplate.create({
+    ...templateBody,
+    items: (templateBody.items || []).map((text) => ({ text })),
+    schedule: withNextRun(templateBody.schedule),
+    createdBy: userId,
+  });
+};
+
+/**
+ * Get the list templates of a group
+ * @param {ObjectId} groupId
+ * @param {ObjectId} userId - User ID for membership validation
+ * @param {Object} options - Query options
+ * @returns {Promise<QueryResult>}
+ */
+const getListTemplatesByGroup = async (groupId, userId, options = {}) => {
+  await assertMembership(userId, groupId);
+  return ListTemplate.paginate({ groupId }, options);
+};
+
+/**
+ * Get list template by id
+ * @param {ObjectId} templateId
+ * @param {ObjectId} userId - User ID for membership validation
+ * @returns {Promise<ListTemplate>}
+ */
+const getListTemplateById = async (templateId, userId) => {
+  const template = await ListTemplate.findById(templateId);
+  if (!template) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'List template not found');
+  }
+  await assertMembership(userId, template.groupId);
+  return template;
+};
+
+// like lists, templates are changed by their creator or a group admin
+const getEditableTemplate = async (templateId, userId) => {
+  const template = await ListTemplate.findById(templateId);
+  if (!template) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'List template not found');
+  }
+  const membership = await assertMembership(userId, template.groupId);
+  if (template.createdBy.toString() !== userId.toString() && membership.role !== 'admin') {
+    throw new ApiError(httpStatus.FORBIDDEN, 'You do not have permission to change this template');
+  }
+  return template;
+};
+
+/**
+ * Update list template by id
+ * A new schedule runs next on its first day from today; a null schedule removes it
+ * @param {ObjectId} templateId
+ * @param {Object} updateBody
+ * @param {ObjectId} userId - User ID for permission validation
+ * @returns {Promise<ListTemplate>}
+ */
+const updateListTemplateById = async (templateId, updateBody, userId) => {
+  const template = await getEditableTemplate(templateId, userId);
+  const { items, schedule, ...fields } = updateBody;
+  Object.assign(template, fields);
+  if (items) {
+    template.items = items.map((text) => ({ text }));
+  }
+  if (schedule !== undefined) {
+    template.schedule = schedule ? withNextRun(schedule) : undefined;
+  }
+  await template.save();
+  return template;
+};
+
+/**
+ * Delete list template by id
+ * @param {ObjectId} templateId
+ * @param {ObjectId} userId - User ID for permission validation
+ * @returns {Promise<void>}
+ */
+const deleteListTemplateById = async (templateId, userId) => {
+  const template = await getEditableTemplate(templateId, userId);
+  await template.remove();
+};
+
+/**
+ * Create a list with the items of a template
+ * @param {ObjectId} templateId
+ * @param {Object} listBody - { name, description }, the template's by default
+ * @param {Object} user - Member creating the list
+ * @returns {Promise<List>}
+ */
+const instantiateListTemplate = async (templateId, listBody, user) => {
+  const template = await getListTemplateById(templateId, user.id);
+  const list = await listService.createList({
+    name: listBody.name || template.name,
+    description: listBody.description || template.description,
+    groupId: template.groupId,
+    createdBy: user.id,
+  });
+  const parsedItems = await listService.parseListItems(
+    template.items.map((item) => item.text),
+    template.groupId
+  );
+  const { list: saved } = await listService.saveListChange(list, (current) =>
+    listService.mergeListItems(current, parsedItems, user.firstName)
+  );
+  return saved;
+};
+
+/**
+ * Add the items of a template to its group's default list, for one run of its schedule
+ * @param {Job} job - runListTemplate job, payload { templateId, runKey }
+ * @returns {Promise<Object>} { listId, added, reopened, skipped }
+ */
+const runListTemplate = async (job) => {
+  const template = await ListTemplate.findById(job.payload.templateId);
+  if (!template) {
+    return { added: 0 };
+  }
+  let list = await List.findOne({ groupId: template.groupId, isDefault: true });
+  if (!list) {
+    list = await List.create({
+      name: 'Default List',
+      description: 'Default list for this group',
+      groupId: template.groupId,
+      isDefault: true,
+      createdBy: template.createdBy,
+    });
+  }
+  // the items are shown as added by the template creator, or by the template once they left
+  const creator = await User.findById(template.createdBy);
+
+  const parsedItems = await listService.parseListItems(
+    template.items.map((item) => item.text),
+    template.groupId
+  );
+  const { list: saved, result } = await listService.saveListChange(list, (current) =>
+    listService.addRecurringItems(current, parsedItems, creator ? creator.firstName : template.name, job.payload.runKey)
+  );
+  const changed = [...result.added, ...result.reopened];
+  if (changed.length) {
+    listEventsService.publishListEvent(saved, 'item.added', result.changedItems.added, template.createdBy);
+    listEventsService.publishListEvent(saved, 'item.updated', result.changedItems.reopened, template.createdBy);
+    await listNotificationService.notifyListChange(saved, template.createdBy, 'added', changed);
+  }
+  return { listId: saved._id, added: result.added.length, reopened: result.reopened.length, skipped: result.skipped.length };
+};
+
+/**
+ * Queue the runs of the schedules that are due, and run them
+ * Each due run is claimed by moving the schedule to its next run, so concurrent cron calls queue it once
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { queued, jobs } with the count of jobs per outcome
+ */
+const runDueListTemplates = async (now = new Date()) => {
+  const dueTemplates = await ListTemplate.find({ 'schedule.isActive': true, 'schedule.nextRunAt': { $lte: now } })
+    .sort({ 'schedule.nextRunAt': 1 })
+    .limit(MAX_DUE_SCHEDULES);
+
+  let queued = 0;
+  for (let i = 0; i < dueTemplates.length; i += 1) {
+    const template = dueTemplates[i];
+    const { nextRunAt } = template.schedule;
+    let followingRunAt = getNextRunAt(template.schedule, nextRunAt);
+    // runs missed while the cron was down are not made up
+    if (followingRunAt <= now) {
+      followingRunAt = getNextRunAt(template.schedule, now);
+    }
+    // eslint-disable-next-line no-await-in-loop
+    const claimed = await ListTemplate.findOneAndUpdate(
+      { _id: template._id, 'schedule.nextRunAt': nextRunAt },
+      { $set: { 'schedule.nextRunAt': followingRunAt, 'schedule.lastRunAt': now } }
+    );
+    if (claimed) {
+      const runKey = `${template._id}:${nextRunAt.toISOString()}`;
+      // eslint-disable-next-line no-await-in-loop
+      await jobService.enqueueJob(RUN_LIST_TEMPLATE_JOB, { templateId: template._id, runKey });
+      queued += 1;
+    }
+  }
+  if (queued) {
+    logger.info(`Queued ${queued} scheduled list template run(s)`);
+  }
+
+  // also runs the earlier runs whose retry is due
+  const jobs = await jobService.processJobs({ limit: queued + 10, filter: { type: RUN_LIST_TEMPLATE_JOB } });
+  return { queued, jobs };
+};
+
+jobService.registerJobHandler(RUN_LIST_TEMPLATE_JOB, runListTemplate);
+
+module.exports = {
+  getNextRunAt,
+  createListTemplate,
+  getListTemplatesByGroup,
+  getListTemplateById,
+  updateListTemplateById,
+  deleteListTemplateById,
+  instantiateListTemplate,
+  runListTemplate,
+  runDueListTemplates,
+};
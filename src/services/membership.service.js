@@ -313,6 +313,29 @@ const removeMember = async (membershipId, removerId) => {
   return membership;
 };
 
+/**
+ * Mute or unmute the list change notifications of a group for a member
+ * @param {ObjectId} membershipId
+ * @param {boolean} muted
+ * @param {ObjectId} userId - ID of the user making the change, who must own the membership
+ * @returns {Promise<Membership>}
+ */
+const setNotificationsMuted = async (membershipId, muted, userId) => {
+  const membership = await Membership.findById(membershipId);
+  if (!membership) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Membership not found');
+  }
+
+  if (!membership.user_id || membership.user_id.toString() !== userId.toString()) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'Only the member can change their notifications');
+  }
+
+  membership.notifications_muted = muted;
+  await membership.save();
+
+  return membership;
+};
+
 /**
  * Cancel a pending invitation
  * @param {ObjectId} membershipId
@@ -423,6 +446,7 @@ module.exports = {
   getUserMemberships,
   updateMembershipRole,
   removeMember,
+  setNotificationsMuted,
   cancelInvitation,
   resendInvitation,
   getPendingInvitations,
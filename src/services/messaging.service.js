@@ -6,48 +6,48 @@ const config = require('../config/config');
 // const { Garantia } = require('../models');
 const { CheckPhoneNumber } = require('../models');
 const { User } = require('../models');
+const { getChannel } = require('./channels');
+const { reserveCodeSend, recordLockout } = require('./otpThrottle.service');
 
 const messagingClient = new Twilio(config.twilio.accountSid, config.twilio.authToken);
 
+// explain why a code was not confirmed; codes tried too many times are invalidated and the phone number locked out
+const rejectCode = async (filter) => {
+  const countFails = await CheckPhoneNumber.findOne(filter);
+  if (countFails === null) {
+    throw new ApiError(httpStatus.NOT_FOUND, `Code doesn't match, please request a new one.`);
+  } else if (countFails.confirmed === true) {
+    throw new ApiError(httpStatus.ALREADY_REPORTED, `This code was already confirmed, please request a new one.`);
+  } else if (countFails.count >= config.otp.maxFailedAttempts) {
+    await CheckPhoneNumber.deleteOne(filter);
+    await recordLockout('phone', countFails.phoneNumber, 'failed_attempts', { phoneNumber: countFails.phoneNumber });
+    throw new ApiError(httpStatus.TOO_MANY_REQUESTS, `Code doesn't match, please request a new one.`);
+  } else if (!countFails.codeExpiresAt || countFails.codeExpiresAt <= new Date()) {
+    throw new ApiError(httpStatus.GONE, `This code has expired, please request a new one.`);
+  } else {
+    throw new ApiError(httpStatus.PRECONDITION_REQUIRED, `Code doesn't match. ${countFails.count} failed attempts.`);
+  }
+};
+
 const confirmWhatsCode = async (code, garantiaId) => {
-  const confirmPhoneNumberCode = await CheckPhoneNumber.confirmCode(code, garantiaId);
+  const confirmPhoneNumberCode = await CheckPhoneNumber.confirmCode(code, garantiaId, config.otp.maxFailedAttempts);
 
   if (!confirmPhoneNumberCode) {
-    const countFails = await CheckPhoneNumber.findOne({ garantiaId });
-    if (countFails === null) {
-      throw new ApiError(httpStatus.NOT_FOUND, `Code doesn't match, please request a new one.`);
-    } else if (countFails.confirmed === true) {
-      throw new ApiError(httpStatus.ALREADY_REPORTED, `This code was already confirmed, please request a new one.`);
-    } else if (countFails.count > 3) {
-      await CheckPhoneNumber.deleteOne({ garantiaId });
-      throw new ApiError(httpStatus.TOO_MANY_REQUESTS, `Code doesn't match, please request a new one.`);
-    } else {
-      throw new ApiError(httpStatus.PRECONDITION_REQUIRED, `Code doesn't match. ${countFails.count} failed attempts.`);
-    }
+    await rejectCode({ garantiaId });
   } else {
-    await CheckPhoneNumber.findOneAndUpdate({ code, garantiaId }, { $set: { confirmed: true } }, { upsert: true });
+    await CheckPhoneNumber.updateOne({ garantiaId }, { $set: { confirmed: true } });
   }
 
   return true;
 };
 
 const confirmWhatsCodeLogin = async (code, phoneNumber) => {
-  const confirmPhoneNumberCode = await CheckPhoneNumber.confirmCodeLogin(code, phoneNumber);
+  const confirmPhoneNumberCode = await CheckPhoneNumber.confirmCodeLogin(code, phoneNumber, config.otp.maxFailedAttempts);
 
   if (!confirmPhoneNumberCode) {
-    const countFails = await CheckPhoneNumber.findOne({ phoneNumber });
-    if (countFails === null) {
-      throw new ApiError(httpStatus.NOT_FOUND, `Code doesn't match, please request a new one.`);
-    } else if (countFails.confirmed === true) {
-      throw new ApiError(httpStatus.ALREADY_REPORTED, `This code was already confirmed, please request a new one.`);
-    } else if (countFails.count > 3) {
-      await CheckPhoneNumber.deleteOne({ phoneNumber });
-      throw new ApiError(httpStatus.TOO_MANY_REQUESTS, `Code doesn't match, please request a new one.`);
-    } else {
-      throw new ApiError(httpStatus.PRECONDITION_REQUIRED, `Code doesn't match. ${countFails.count} failed attempts.`);
-    }
+    await rejectCode({ phoneNumber });
   } else {
-    await CheckPhoneNumber.findOneAndUpdate({ code, phoneNumber }, { $set: { confirmed: true } }, { upsert: true });
+    await CheckPhoneNumber.updateOne({ phoneNumber }, { $set: { confirmed: true } });
   }
   // Convert phoneNumber to number for proper matching since User model stores it as Number
   const phoneNumberAsNumber = parseInt(phoneNumber, 10);
@@ -65,24 +65,21 @@ const confirmWhatsCodeLogin = async (code, phoneNumber) => {
   return { user, phoneNumber, confirmed: true };
 };
 
-const sendMessage = async (phoneNumber, message) => {
-  const toPhoneNumber = `whatsapp:${phoneNumber}`;
+const getCodeExpiration = () => new Date(Date.now() + config.otp.expirationMinutes * 60 * 1000);
 
-  const checkExists = await CheckPhoneNumber.checkExists({ phoneNumber });
+/**
+ * Send a verification code on WhatsApp
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {number} message - The code
+ * @param {Object} [options]
+ * @param {string} [options.ip] - Address the code was requested from, throttled like the phone number
+ * @returns {Promise}
+ */
+const sendMessage = async (phoneNumber, message, { ip } = {}) => {
+  const toPhoneNumber = `whatsapp:${phoneNumber}`;
 
-  if (!checkExists) {
-    await CheckPhoneNumber.create({
-      code: message,
-      phoneNumber,
-      count: 0,
-    });
-  } else {
-    await CheckPhoneNumber.updateOne(
-      { phoneNumber },
-      { $set: { code: message, confirmed: false, count: 0, phoneNumber } },
-      { upsert: true }
-    );
-  }
+  await reserveCodeSend(phoneNumber, ip);
+  await CheckPhoneNumber.storeCode(phoneNumber, message, getCodeExpiration());
 
   try {
     const response = await messagingClient.messages
@@ -102,26 +99,12 @@ const sendMessage = async (phoneNumber, message) => {
 };
 
 // this function sends an authentication to the user's phone number
-const sendMessageLogin = async (phoneNumber, message) => {
+// options.ip is the address the code was requested from, throttled like the phone number
+const sendMessageLogin = async (phoneNumber, message, { ip } = {}) => {
   const toPhoneNumber = `whatsapp:${phoneNumber}`;
 
-  const checkExists = await CheckPhoneNumber.checkExists({ phoneNumber }); // is the number on the db already?
-
-  if (!checkExists) {
-    // if not, create a new entry
-    await CheckPhoneNumber.create({
-      code: message,
-      phoneNumber,
-      count: 0,
-    });
-  } else {
-    // if it is, update the entry with the new code
-    await CheckPhoneNumber.updateOne(
-      { phoneNumber },
-      { $set: { code: message, confirmed: false, count: 0 } },
-      { upsert: true }
-    );
-  }
+  await reserveCodeSend(phoneNumber, ip);
+  await CheckPhoneNumber.storeCode(phoneNumber, message, getCodeExpiration());
 
   try {
     // send the code via whatsapp.
@@ -146,31 +129,28 @@ const sendMessageLogin = async (phoneNumber, message) => {
   // return true;
 };
 
+/**
+ * Send a message on a messaging channel
+ * @param {string} channelName - whatsapp, sms, telegram...
+ * @param {string} address - Recipient address on the channel (phone number, Telegram chat id)
+ * @param {string} message - Message text to send
+ * @returns {Promise<Object>} Provider response
+ */
+const sendChannelMessage = async (channelName, address, message) => getChannel(channelName).sendMessage(address, message);
+
 /**
  * Send a regular WhatsApp message (not a verification code)
  * @param {string} phoneNumber - Recipient phone number (without whatsapp: prefix)
  * @param {string} message - Message text to send
  * @returns {Promise<Object>} Twilio message response
  */
-const sendWhatsAppMessage = async (phoneNumber, message) => {
-  const toPhoneNumber = `whatsapp:${phoneNumber}`;
-
-  try {
-    const response = await messagingClient.messages.create({
-      body: message,
-      from: config.twilio.phoneNumber,
-      to: toPhoneNumber,
-    });
-    return response;
-  } catch (error) {
-    throw new ApiError(httpStatus.BAD_REQUEST, `Failed to send WhatsApp message: ${error.message}`);
-  }
-};
+const sendWhatsAppMessage = async (phoneNumber, message) => sendChannelMessage('whatsapp', phoneNumber, message);
 
 module.exports = {
   sendMessage,
   confirmWhatsCode,
   sendMessageLogin,
   confirmWhatsCodeLogin,
+  sendChannelMessage,
   sendWhatsAppMessage,
 };
@@ -1,17 +1,36 @@
-// const httpStatus = require('http-status');
-const { Nota, User, Vendor } = require('../models');
-// const ApiError = require('../utils/ApiError');
+const httpStatus = require('http-status');
+const { Job, Membership, Nota, PriceObservation, User, Vendor } = require('../models');
+const ApiError = require('../utils/ApiError');
 const CodeGenerator = require('../utils/generator');
-const { SelectStateScraper } = require('../utils/scrapers/selectStateScraper');
+const { parseAccessKey } = require('../utils/accessKey');
+const { SelectStateScraper, buildConsultationUrl } = require('../utils/scrapers/selectStateScraper');
 const canonicalProductService = require('./canonicalProduct.service');
+const jobService = require('./job.service');
+const listService = require('./list.service');
+const priceObservationService = require('./priceObservation.service');
+
+const SCRAPE_NOTA_JOB = 'scrapeNota';
+const CLASSIFY_ITEMS_JOB = 'classifyItems';
+const COMPLETE_LIST_ITEMS_JOB = 'completeListItems';
+// statuses of the notas whose purchase counts in the statistics (never canceled or failed ones)
+const SPENDING_STATUSES = ['read', 'classified', 'flagged'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
 
 /**
  * check a nota
+ * The access key is read from the QR code URL (or typed manually) and used as the deduplication key,
+ * so the same purchase scanned from two different URLs is registered only once
  * @param {Object} notaBody
+ * @param {string} [notaBody.notaUrl] - QR code URL
+ * @param {string} [notaBody.accessKey] - 44-digit access key typed by the user
  * @returns {Promise<Nota>}
  */
 const checkNota = async (notaBody) => {
-  const exists = await Nota.findOne({ notaUrl: notaBody.notaUrl });
+  const { accessKey, ...accessKeyData } = parseAccessKey(notaBody.accessKey || notaBody.notaUrl);
+
+  // notas registered before the access key was stored can only be matched by their URL
+  const exists = await Nota.findOne(notaBody.notaUrl ? { $or: [{ accessKey }, { url: notaBody.notaUrl }] } : { accessKey });
 
   // Find the user by userId
   const user = await User.findById(notaBody.userId);
@@ -23,15 +42,100 @@ const checkNota = async (notaBody) => {
     return exists; // if it already exists, return it (or should it be an error?)
   }
 
-  const newNota = await Nota.create({
-    url: notaBody.notaUrl,
+  const url = notaBody.notaUrl || buildConsultationUrl(accessKey);
+  if (!url) {
+    throw new ApiError(httpStatus.UNPROCESSABLE_ENTITY, `State not supported: ${accessKeyData.uf || accessKeyData.ufCode}`);
+  }
+
+  try {
+    const newNota = await Nota.create({
+      url,
+      accessKey,
+      accessKeyData,
+      user: user._id,
+      groupId: user.activeGroupId, // Include the user's active group ID
+      status: 'pending',
+      registeredAt: new Date(),
+      code: new CodeGenerator(9, 'string', 'm').code,
+    });
+    await jobService.enqueueJob(SCRAPE_NOTA_JOB, {}, { notaId: newNota._id });
+    return newNota;
+  } catch (error) {
+    // the same key was registered concurrently (unique index on accessKey)
+    if (error.code === 11000) {
+      return Nota.findOne({ accessKey });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Find the vendor of a nota, creating it on its first purchase
+ * Vendors are matched by CNPJ; manually entered ones, which usually have none, by name
+ * @param {Object} vendorData - name, CNPJ and address
+ * @returns {Promise<Vendor>}
+ */
+const findOrCreateVendor = async ({ name, CNPJ, address }) => {
+  // collation strength 2 compares names case- and accent-insensitively
+  const existingVendor = CNPJ
+    ? await Vendor.findOne({ CNPJ })
+    : await Vendor.findOne({ name: name.trim() }).collation({ locale: 'pt', strength: 2 });
+  if (existingVendor) {
+    return existingVendor;
+  }
+  return Vendor.create({ CNPJ, name: name.trim(), address });
+};
+
+/**
+ * Register a purchase without an NFC-e (street markets, small shops) from the data typed by the user
+ * The nota is created as read and its items go through the same classification job as scraped ones
+ * @param {Object} notaBody
+ * @param {string} notaBody.vendorName
+ * @param {string} [notaBody.vendorCNPJ]
+ * @param {Date} notaBody.purchaseDate
+ * @param {Object[]} notaBody.items - product, quantity, unit, unitPrice and/or totalPrice
+ * @param {ObjectId} userId
+ * @returns {Promise<Nota>}
+ */
+const createManualNota = async (notaBody, userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
+  }
+
+  const vendor = await findOrCreateVendor({ name: notaBody.vendorName, CNPJ: notaBody.vendorCNPJ });
+  const purchaseDate = new Date(notaBody.purchaseDate);
+  const items = notaBody.items.map((item) => {
+    const quantity = item.quantity || 1;
+    const totalPrice = item.totalPrice !== undefined ? item.totalPrice : roundMoney(quantity * item.unitPrice);
+    return {
+      product: item.product,
+      code: item.code || null,
+      quantity,
+      unit: item.unit ? String(item.unit).toUpperCase() : null,
+      unitPrice: item.unitPrice !== undefined ? item.unitPrice : roundMoney(totalPrice / quantity),
+      totalPrice,
+      purchaseDate,
+      vendor: vendor.CNPJ || null,
+    };
+  });
+
+  const nota = await Nota.create({
+    source: 'manual',
     user: user._id,
-    groupId: user.activeGroupId, // Include the user's active group ID
-    status: 'pending',
+    groupId: user.activeGroupId,
+    status: 'read',
     registeredAt: new Date(),
+    readAt: new Date(),
     code: new CodeGenerator(9, 'string', 'm').code,
+    vendor: vendor._id,
+    vendorName: vendor.name,
+    purchaseDate,
+    items,
+    total: roundMoney(items.reduce((sum, item) => sum + item.totalPrice, 0)),
   });
-  return newNota;
+  await jobService.enqueueJob(CLASSIFY_ITEMS_JOB, {}, { notaId: nota._id });
+  return nota;
 };
 
 /**
@@ -69,78 +173,331 @@ const queryNotas = async (filter, options) => {
 };
 
 /**
- * load a nota:::: To-do from here
- * @param {Object} notaBody
- * @returns {Promise<Nota>}
+ * Scrape a nota from the SEFAZ page and store its vendor, date, items and total
+ * Runs as a 'scrapeNota' job; on success the item classification is queued as a 'classifyItems' job
+ * @param {ObjectId} notaId
+ * @returns {Promise<Object>} Summary stored as the job result
  */
-const loadNota = async (filter, options) => {
-  const existing = await Nota.findOne(filter, {}, options);
-
-  if (!existing) {
-    throw new Error('Nota not found');
+const scrapeNota = async (notaId) => {
+  const nota = await Nota.findById(notaId);
+  if (!nota) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Nota not found');
   }
-  const selector = new SelectStateScraper(existing.url);
+  if (nota.status === 'canceled' || nota.source === 'manual') {
+    return { skipped: nota.source === 'manual' ? 'manual' : 'canceled' };
+  }
+
+  nota.status = 'scraping';
+  await nota.save();
+
+  const selector = new SelectStateScraper(nota.url);
   const notaData = await selector.select();
   await notaData.readUrl();
-  await notaData.readNota(existing);
-
-  let existingVendor = await Vendor.findOne({ CNPJ: notaData.vendor.CNPJ });
-  if (!existingVendor) {
-    existingVendor = await Vendor.create({
-      CNPJ: notaData.vendor.CNPJ,
-      name: notaData.vendor.name,
-      address: notaData.vendor.address,
-    });
-  }
+  await notaData.readNota(nota);
 
-  await existing.update({
+  const existingVendor = await findOrCreateVendor(notaData.vendor);
+
+  Object.assign(nota, {
     status: 'read',
-    updatedAt: new Date(),
+    readAt: new Date(),
+    failureReason: null,
     vendor: existingVendor,
     purchaseDate: notaData.purchaseDate,
     items: notaData.items,
     total: notaData.total,
     vendorName: existingVendor.name,
   });
+  await nota.save();
 
-  // Extract and save products from nota items
-  // Process items asynchronously to avoid blocking
-  if (notaData.items && Array.isArray(notaData.items) && notaData.items.length > 0) {
-    const userId = existing.user?.toString() || 'system';
-    const groupId = existing.groupId?.toString() || null;
-
-    // Process items in parallel, but limit concurrency to avoid overwhelming OpenAI API
-    const processItems = async () => {
-      const batchSize = 5; // Process 5 items at a time
-      for (let i = 0; i < notaData.items.length; i += batchSize) {
-        const batch = notaData.items.slice(i, i + batchSize);
-        await Promise.all(
-          batch.map(async (item) => {
-            try {
-              // Only process items with a product name
-              if (item.product || item.name) {
-                await canonicalProductService.createOrUpdateFromNotaItem(item, {
-                  userId,
-                  groupId,
-                  useOpenAI: true, // Enable OpenAI classification
-                });
-              }
-            } catch (error) {
-              // Log error but don't fail the entire nota processing
-              console.error(`Error processing product from nota item:`, error);
-            }
-          })
-        );
-      }
-    };
+  if (nota.items && nota.items.length > 0) {
+    await jobService.enqueueJob(CLASSIFY_ITEMS_JOB, {}, { notaId: nota._id });
+  }
 
-    // Process items asynchronously (don't await to avoid blocking)
-    processItems().catch((error) => {
-      console.error('Error processing nota items for canonical products:', error);
-    });
+  return { items: nota.items.length, total: nota.total, vendor: nota.vendorName };
+};
+
+/**
+ * Link the items of a read nota to their canonical products (classified with OpenAI) and record their prices
+ * Runs as a 'classifyItems' job. Classified items keep their canonicalProductId, so a retry only
+ * processes the items that failed
+ * @param {ObjectId} notaId
+ * @returns {Promise<Object>} Summary stored as the job result
+ */
+const classifyNotaItems = async (notaId) => {
+  const nota = await Nota.findById(notaId);
+  if (!nota) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Nota not found');
+  }
+  if (nota.status === 'canceled') {
+    return { skipped: 'canceled' };
+  }
+
+  const userId = nota.user ? nota.user.toString() : 'system';
+  const groupId = nota.groupId ? nota.groupId.toString() : null;
+  const pending = nota.items.filter((item) => !item.canonicalProductId && (item.product || item.name));
+  const errors = [];
+
+  // Limit concurrency to avoid overwhelming the OpenAI API
+  const batchSize = 5;
+  for (let i = 0; i < pending.length; i += batchSize) {
+    const batch = pending.slice(i, i + batchSize);
+    // eslint-disable-next-line no-await-in-loop
+    await Promise.all(
+      batch.map(async (item) => {
+        try {
+          const product = await canonicalProductService.createOrUpdateFromNotaItem(item, {
+            userId,
+            groupId,
+            useOpenAI: true,
+          });
+          Object.assign(item, { canonicalProductId: product._id });
+        } catch (error) {
+          errors.push(`${item.product || item.name}: ${error.message}`);
+        }
+      })
+    );
+  }
+
+  // items is a plain array, so mongoose does not see the changes made to its elements
+  nota.markModified('items');
+  await nota.save();
+  const observations = await priceObservationService.recordNotaObservations(nota);
+  if (errors.length) {
+    throw new Error(`${errors.length} of ${pending.length} items could not be classified (${errors.join('; ')})`);
+  }
+
+  // a nota flagged while its items were being classified stays flagged
+  if (nota.status === 'read') {
+    nota.status = 'classified';
   }
+  Object.assign(nota, { classifiedAt: new Date(), failureReason: null });
+  await nota.save();
+  if (nota.status === 'classified' && nota.groupId && !nota.listCompletion.completedAt) {
+    await jobService.enqueueJob(COMPLETE_LIST_ITEMS_JOB, {}, { notaId: nota._id });
+  }
+  return { classified: pending.length, observations };
+};
+
+/**
+ * Complete the open items of the group's lists that were bought in a classified nota
+ * Runs as a 'completeListItems' job once the items are linked to their canonical products. The summary is
+ * stored on the nota; the ambiguous items are left open
+ * @param {ObjectId} notaId
+ * @returns {Promise<Object>} Summary stored as the job result
+ */
+const completeListItems = async (notaId) => {
+  const nota = await Nota.findById(notaId);
+  if (!nota) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Nota not found');
+  }
+  // flagged and canceled notas may not be the group's purchase
+  if (nota.status !== 'classified') {
+    return { skipped: nota.status };
+  }
+
+  const { completed, ambiguous } = await listService.completeItemsFromNota(nota);
+  nota.listCompletion = { completedAt: new Date(), completed, ambiguous };
+  await nota.save();
+  return { completed: completed.length, ambiguous: ambiguous.length };
+};
+
+const markNotaFailed = async (job, error) => {
+  await Nota.updateOne({ _id: job.notaId }, { status: 'failed', failureReason: error.message });
+};
+
+jobService.registerJobHandler(SCRAPE_NOTA_JOB, (job) => scrapeNota(job.notaId), { onFailed: markNotaFailed });
+jobService.registerJobHandler(CLASSIFY_ITEMS_JOB, (job) => classifyNotaItems(job.notaId), {
+  // the purchase was read, so the nota stays in the statistics; only the reason is recorded
+  onFailed: (job, error) =>
+    Nota.updateOne({ _id: job.notaId }, { failureReason: `Item classification failed: ${error.message}` }),
+});
+jobService.registerJobHandler(COMPLETE_LIST_ITEMS_JOB, (job) => completeListItems(job.notaId));
+
+/**
+ * Queue the scraping of the pending notas that have no job yet (notas registered before the queue existed)
+ * and run the due jobs. Called by the cron, so the queue also moves where no worker process is running.
+ * The list items completed by the notas loaded in the run are returned as listCompletion
+ * @param {Object} filter - Mongo filter of the notas to queue
+ * @param {Object} options - Query options
+ * @param {number} [options.limit] - Maximum number of notas to queue and jobs to run
+ * @returns {Promise<Object>}
+ */
+const loadNota = async (filter, options) => {
+  const notas = await Nota.find(filter, {}, options);
+  const jobs = await Job.find({ notaId: { $in: notas.map((nota) => nota._id) } }).distinct('notaId');
+  const withJob = jobs.map((id) => id.toString());
+
+  const orphans = notas.filter((nota) => !withJob.includes(nota._id.toString()));
+  await Promise.all(orphans.map((nota) => jobService.enqueueJob(SCRAPE_NOTA_JOB, {}, { notaId: nota._id })));
+
+  const startedAt = new Date();
+  const summary = await jobService.processJobs({ limit: options.limit });
+
+  // list items completed by the notas loaded in this run
+  const completedNotas = await Nota.find({ 'listCompletion.completedAt': { $gte: startedAt } }).select('listCompletion');
+  const listCompletion = completedNotas.map((nota) => ({
+    notaId: nota.id,
+    completed: nota.listCompletion.completed,
+    ambiguous: nota.listCompletion.ambiguous,
+  }));
+  return { enqueued: orphans.length, ...summary, listCompletion };
+};
 
-  return { existing };
+/**
+ * Get a nota of the user, or of a group they are an active member of
+ * @param {ObjectId} id
+ * @param {ObjectId} userId
+ * @returns {Promise<Nota>}
+ */
+const getNotaForMember = async (id, userId) => {
+  const nota = await Nota.findById(id);
+  if (!nota) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Nota not found');
+  }
+  if (nota.user !== userId.toString()) {
+    const membership = nota.groupId
+      ? await Membership.findOne({ user_id: userId, group_id: nota.groupId, status: 'active' })
+      : null;
+    if (!membership) {
+      throw new ApiError(httpStatus.FORBIDDEN, 'You cannot access this nota');
+    }
+  }
+  return nota;
+};
+
+/**
+ * Get the processing state of a nota and its jobs
+ * @param {ObjectId} id
+ * @param {ObjectId} userId - User ID for access validation
+ * @returns {Promise<Object>}
+ */
+const getNotaJobs = async (id, userId) => {
+  const nota = await getNotaForMember(id, userId);
+  const jobs = await jobService.getJobsByNotaId(nota._id);
+  return {
+    nota: { id: nota.id, status: nota.status, failureReason: nota.failureReason, listCompletion: nota.listCompletion },
+    jobs,
+  };
+};
+
+/**
+ * Get a nota the user may change: their own, or one of a group they are an active member of
+ * @param {ObjectId} id
+ * @param {ObjectId} userId
+ * @returns {Promise<Nota>}
+ */
+const getNotaForUpdate = async (id, userId) => {
+  const nota = await getNotaForMember(id, userId);
+  if (nota.status === 'canceled') {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Nota is canceled');
+  }
+  return nota;
+};
+
+/**
+ * Flag a nota whose data looks wrong; it keeps counting in the statistics until it is canceled
+ * @param {ObjectId} id
+ * @param {string} reason
+ * @param {ObjectId} userId
+ * @returns {Promise<Nota>}
+ */
+const flagNota = async (id, reason, userId) => {
+  const nota = await getNotaForUpdate(id, userId);
+  if (['pending', 'scraping'].includes(nota.status)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Nota has not been read yet');
+  }
+
+  nota.auditTrail.push({
+    action: 'flag',
+    user: userId.toString(),
+    reason,
+    changes: [
+      { field: 'status', from: nota.status, to: 'flagged' },
+      { field: 'flagReason', from: nota.flagReason || null, to: reason },
+    ],
+  });
+  Object.assign(nota, { status: 'flagged', flagReason: reason });
+  await nota.save();
+  return nota;
+};
+
+/**
+ * Cancel a nota: it is excluded from the statistics and its prices from the price history
+ * @param {ObjectId} id
+ * @param {string} [reason]
+ * @param {ObjectId} userId
+ * @returns {Promise<Nota>}
+ */
+const cancelNota = async (id, reason, userId) => {
+  const nota = await getNotaForUpdate(id, userId);
+
+  nota.auditTrail.push({
+    action: 'cancel',
+    user: userId.toString(),
+    reason,
+    changes: [{ field: 'status', from: nota.status, to: 'canceled' }],
+  });
+  Object.assign(nota, { status: 'canceled', canceledAt: new Date() });
+  await nota.save();
+  await priceObservationService.deleteNotaObservations(nota._id);
+  return nota;
+};
+
+/**
+ * Correct the product name, quantity or prices of a nota item and recompute the nota total
+ * When only the quantity or the unit price changes, the item total is recomputed from them. A new product
+ * name drops the price observation of the item until the item is classified again
+ * @param {ObjectId} id
+ * @param {number} itemIndex - Position of the item in nota.items
+ * @param {Object} updateBody - product, quantity, unitPrice and/or totalPrice, and an optional reason
+ * @param {ObjectId} userId
+ * @returns {Promise<Nota>}
+ */
+const correctNotaItem = async (id, itemIndex, updateBody, userId) => {
+  const nota = await getNotaForUpdate(id, userId);
+  if (!SPENDING_STATUSES.includes(nota.status)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Only read notas can be corrected');
+  }
+  const item = nota.items[itemIndex];
+  if (!item) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Item not found');
+  }
+
+  const { reason, ...fields } = updateBody;
+  const corrected = { ...item, ...fields };
+  if (fields.totalPrice === undefined && (fields.quantity !== undefined || fields.unitPrice !== undefined)) {
+    corrected.totalPrice = roundMoney(corrected.quantity * corrected.unitPrice);
+  }
+  const productChanged = fields.product !== undefined && fields.product !== item.product;
+  if (productChanged) {
+    // the new name is linked to its canonical product again by the classifyItems job
+    delete corrected.canonicalProductId;
+  }
+
+  const changes = ['product', 'quantity', 'unitPrice', 'totalPrice']
+    .filter((field) => corrected[field] !== item[field])
+    .map((field) => ({ field: `items.${itemIndex}.${field}`, from: item[field], to: corrected[field] }));
+  if (!changes.length) {
+    return nota;
+  }
+
+  nota.items.set(itemIndex, corrected);
+  const total = roundMoney(nota.items.reduce((sum, notaItem) => sum + (notaItem.totalPrice || 0), 0));
+  if (total !== nota.total) {
+    changes.push({ field: 'total', from: nota.total, to: total });
+    nota.total = total;
+  }
+  nota.auditTrail.push({ action: 'correctItem', user: userId.toString(), reason, changes });
+  await nota.save();
+
+  if (productChanged) {
+    // the price stays out of the history until the item is linked to its new product
+    await priceObservationService.deleteItemObservation(nota._id, itemIndex);
+    await jobService.enqueueJob(CLASSIFY_ITEMS_JOB, {}, { notaId: nota._id });
+  } else {
+    await priceObservationService.recordNotaObservations(nota);
+  }
+  return nota;
 };
 
 /**
@@ -154,10 +511,10 @@ const getSpendingStatistics = async (filter) => {
   const groupId = filter.groupId;
 
   // Build base filter - ensure purchaseDate exists and is not null
-  // Only count notas with status 'read' that have a purchaseDate and total > 0
+  // Only count notas that were read (classified and flagged ones included) that have a purchaseDate and total > 0
   const baseFilter = {
     user: userId,
-    status: 'read',
+    status: { $in: SPENDING_STATUSES },
     total: { $exists: true, $gt: 0 },
     purchaseDate: { $exists: true, $ne: null },
   };
@@ -317,6 +674,131 @@ const getSpendingStatistics = async (filter) => {
   return result;
 };
 
+const UNCATEGORIZED_LABEL = 'Sem categoria';
+
+// share of the total, in percent
+const getShare = (value, total) => (total > 0 ? Math.round((value / total) * 1000) / 10 : 0);
+
+// change from the previous month, in percent; null when nothing was spent in the previous month
+const getChange = (current, previous) => (previous > 0 ? Math.round(((current - previous) / previous) * 1000) / 10 : null);
+
+/**
+ * Sum the item prices of the read notas of a period per category and subcategory
+ * Items not linked to a canonical product yet are counted as uncategorized, so the breakdown adds up to the nota totals
+ * @param {Object} baseFilter - Nota filter
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {Promise<Object>} total and { 'categoryKey|subcategory': total }
+ */
+const sumSpendingByCategory = async (baseFilter, start, end) => {
+  const notas = await Nota.find({ ...baseFilter, purchaseDate: { $gte: start, $lte: end } }).select('_id total');
+  const total = notas.reduce((sum, nota) => sum + nota.total, 0);
+
+  const rows = await PriceObservation.aggregate([
+    { $match: { nota: { $in: notas.map((nota) => nota._id) } } },
+    { $lookup: { from: 'canonicalproducts', localField: 'canonicalProduct', foreignField: '_id', as: 'product' } },
+    { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+    {
+      $group: {
+        _id: { categoryKey: '$product.category_key', subcategory: '$product.subcategory' },
+        total: { $sum: '$totalPrice' },
+      },
+    },
+  ]);
+
+  const totals = {};
+  let categorized = 0;
+  rows.forEach((row) => {
+    const key = `${row._id.categoryKey || ''}|${row._id.subcategory || ''}`;
+    totals[key] = (totals[key] || 0) + row.total;
+    categorized += row.total;
+  });
+  if (total - categorized >= 0.01) {
+    totals['|'] = (totals['|'] || 0) + (total - categorized);
+  }
+  return { total, totals };
+};
+
+/**
+ * Break the spending of a month down by category and subcategory of the canonical product taxonomy
+ * @param {Object} filter - Filter object with userId, optionally groupId and month (YYYY-MM, default = current month)
+ * @returns {Promise<Object>} Each category's total, share of the month's spending and change from the previous month
+ */
+const getSpendingByCategory = async (filter) => {
+  const { userId, groupId, month } = filter;
+  const baseFilter = {
+    user: userId,
+    status: { $in: SPENDING_STATUSES },
+    total: { $exists: true, $gt: 0 },
+  };
+  if (groupId) {
+    const membership = await Membership.findOne({ user_id: userId, group_id: groupId, status: 'active' });
+    if (!membership) {
+      throw new ApiError(httpStatus.FORBIDDEN, 'You are not a member of this group');
+    }
+    baseFilter.groupId = groupId;
+  }
+
+  const now = new Date();
+  const [year, monthIndex] = month
+    ? month.split('-').map((part) => parseInt(part, 10))
+    : [now.getFullYear(), now.getMonth() + 1];
+  const currentMonthStart = new Date(year, monthIndex - 1, 1);
+  const currentMonthEnd = new Date(year, monthIndex, 0, 23, 59, 59, 999);
+  const previousMonthStart = new Date(year, monthIndex - 2, 1);
+  const previousMonthEnd = new Date(year, monthIndex - 1, 0, 23, 59, 59, 999);
+
+  const [current, previous] = await Promise.all([
+    sumSpendingByCategory(baseFilter, currentMonthStart, currentMonthEnd),
+    sumSpendingByCategory(baseFilter, previousMonthStart, previousMonthEnd),
+  ]);
+
+  const { categories: taxonomy } = canonicalProductService.loadCategoryTaxonomy();
+  const categories = {};
+  new Set([...Object.keys(current.totals), ...Object.keys(previous.totals)]).forEach((key) => {
+    const [categoryKey, subcategory] = key.split('|');
+    if (!categories[categoryKey]) {
+      categories[categoryKey] = {
+        category_key: categoryKey || null,
+        category: categoryKey ? (taxonomy[categoryKey] && taxonomy[categoryKey].label) || categoryKey : UNCATEGORIZED_LABEL,
+        total: 0,
+        previousTotal: 0,
+        subcategories: [],
+      };
+    }
+    const category = categories[categoryKey];
+    const total = current.totals[key] || 0;
+    const previousTotal = previous.totals[key] || 0;
+    category.total += total;
+    category.previousTotal += previousTotal;
+    category.subcategories.push({
+      subcategory: subcategory || null,
+      total: roundMoney(total),
+      previousTotal: roundMoney(previousTotal),
+      share: getShare(total, current.total),
+      change: getChange(total, previousTotal),
+    });
+  });
+
+  const byTotal = (a, b) => b.total - a.total;
+  return {
+    month: `${year}-${String(monthIndex).padStart(2, '0')}`,
+    total: roundMoney(current.total),
+    previousTotal: roundMoney(previous.total),
+    change: getChange(current.total, previous.total),
+    categories: Object.values(categories)
+      .map((category) => ({
+        ...category,
+        total: roundMoney(category.total),
+        previousTotal: roundMoney(category.previousTotal),
+        share: getShare(category.total, current.total),
+        change: getChange(category.total, category.previousTotal),
+        subcategories: category.subcategories.sort(byTotal),
+      }))
+      .sort(byTotal),
+  };
+};
+
 /**
  * Get nota by id
  * @param {ObjectId} id
@@ -345,7 +827,7 @@ const getLast30DaysNotas = async (filter) => {
 
   const baseFilter = {
     user: userId,
-    status: 'read',
+    status: { $in: SPENDING_STATUSES },
     purchaseDate: { $gte: last30DaysStart, $lte: now },
   };
 
@@ -368,9 +850,18 @@ const getLast30DaysNotas = async (filter) => {
 
 module.exports = {
   checkNota,
+  createManualNota,
   queryNotas,
   loadNota,
+  scrapeNota,
+  classifyNotaItems,
+  completeListItems,
+  getNotaJobs,
+  flagNota,
+  cancelNota,
+  correctNotaItem,
   getNotaById,
   getSpendingStatistics,
+  getSpendingByCategory,
   getLast30DaysNotas,
 };
@@ -4,6 +4,7 @@ const { User } = require('../models');
 const { Group } = require('../models');
 const { Membership } = require('../models');
 const { List } = require('../models');
+const { ListSuggestion } = require('../models');
 
 /**
  * Get onboarding status for a user
@@ -122,7 +123,7 @@ const completeOnboarding = async (userId) => {
  * Check if user is activated
  * A user is considered activated if:
  * - They have interacted with at least 1 group (list, invite, or nota)
- * - They have received at least 1 contextual suggestion
+ * - They have received at least 1 contextual suggestion (a purchase-based list suggestion)
  * @param {string} userId - User ID
  * @returns {Promise<Object>}
  */
@@ -154,10 +155,10 @@ const checkUserActivation = async (userId) => {
   // For now, we'll consider list interaction as the main indicator
   const hasGroupInteraction = hasListInteraction || hasInviteInteraction;
 
-  // Check for contextual suggestions
-  // TODO: Implement actual suggestion tracking when suggestion system is available
-  // For now, we'll assume suggestions are received if user has completed onboarding
-  const hasReceivedSuggestions = user.onboardingCompleted;
+  // Check for contextual suggestions: purchase-based list suggestions shown to the user (see listSuggestion.service)
+  const suggestionsReceived = await ListSuggestion.countDocuments({ shownTo: user._id });
+  const suggestionsAnswered = await ListSuggestion.countDocuments({ respondedBy: user._id });
+  const hasReceivedSuggestions = suggestionsReceived > 0;
 
   const isActivated = hasGroupInteraction && hasReceivedSuggestions;
 
@@ -168,6 +169,8 @@ const checkUserActivation = async (userId) => {
     details: {
       hasListInteraction,
       hasInviteInteraction,
+      suggestionsReceived,
+      suggestionsAnswered,
     },
   };
 };
@@ -0,0 +1,120 @@
+const httpStatus = require('http-status');
+const { OtpThrottle, OtpLockout } = require('../models');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toPhoneKey = (phoneNumber) => String(phoneNumber).replace(/\D/g, '');
+
+const tooManyRequests = (until, now) => {
+  const seconds = Math.ceil((until.getTime() - now.getTime()) / 1000);
+  const wait = seconds < 120 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+  return new ApiError(httpStatus.TOO_MANY_REQUESTS, `Too many codes requested, please try again in ${wait}.`);
+};
+
+const getThrottle = async (kind, value, now) => {
+  const throttle = await OtpThrottle.findOne({ kind, value });
+  // MongoDB removes expired records once a minute, so a finished day can still be read
+  if (throttle && throttle.windowStartedAt.getTime() + DAY_MS <= now.getTime()) {
+    await OtpThrottle.deleteOne({ _id: throttle._id });
+    return null;
+  }
+  return throttle;
+};
+
+/**
+ * Record that a phone number or IP address was refused verification codes
+ * @param {string} kind - 'phone' or 'ip'
+ * @param {string} value - Phone number or IP address locked out
+ * @param {string} reason - 'daily_limit' or 'failed_attempts'
+ * @param {Object} [details] - { phoneNumber, ip, lockedUntil }
+ * @returns {Promise<OtpLockout>}
+ */
+const recordLockout = async (kind, value, reason, details = {}) => {
+  const key = kind === 'phone' ? toPhoneKey(value) : value;
+  logger.warn(`Verification codes locked out for ${kind} ${key}: ${reason}`);
+  return OtpLockout.create({
+    kind,
+    value: key,
+    reason,
+    phoneNumber: details.phoneNumber ? toPhoneKey(details.phoneNumber) : undefined,
+    ip: details.ip,
+    lockedUntil: details.lockedUntil,
+  });
+};
+
+/**
+ * Count a verification code about to be sent, or refuse it
+ * Phone numbers wait a cooldown between codes, doubled after each code of the day. Phone numbers and IP
+ * addresses over their daily limit are locked out until their day is over, and the lockout is recorded
+ * @param {string|number} phoneNumber - Recipient of the code
+ * @param {string} [ip] - Address the code was requested from
+ * @returns {Promise}
+ * @throws {ApiError} 429 when the code cannot be sent yet
+ */
+const reserveCodeSend = async (phoneNumber, ip) => {
+  const now = new Date();
+  const keys = [{ kind: 'phone', value: toPhoneKey(phoneNumber), limit: config.otp.phoneDailyLimit }];
+  if (ip) {
+    keys.push({ kind: 'ip', value: ip, limit: config.otp.ipDailyLimit });
+  }
+  const throttles = await Promise.all(keys.map((key) => getThrottle(key.kind, key.value, now)));
+
+  // every key is checked before any is counted, so refused requests do not count
+  for (let i = 0; i < keys.length; i += 1) {
+    const { kind, value, limit } = keys[i];
+    const throttle = throttles[i];
+    if (throttle && throttle.lockedUntil && throttle.lockedUntil > now) {
+      throw tooManyRequests(throttle.lockedUntil, now);
+    }
+    if (throttle && throttle.sentCount >= limit) {
+      const lockedUntil = new Date(throttle.windowStartedAt.getTime() + DAY_MS);
+      // eslint-disable-next-line no-await-in-loop
+      await OtpThrottle.updateOne({ _id: throttle._id }, { $set: { lockedUntil } });
+      // eslint-disable-next-line no-await-in-loop
+      await recordLockout(kind, value, 'daily_limit', { phoneNumber, ip, lockedUntil });
+      throw tooManyRequests(lockedUntil, now);
+    }
+    if (throttle && throttle.nextSendAt && throttle.nextSendAt > now) {
+      throw tooManyRequests(throttle.nextSendAt, now);
+    }
+  }
+
+  await Promise.all(
+    keys.map(({ kind, value }, i) => {
+      const update = { $inc: { sentCount: 1 }, $setOnInsert: { windowStartedAt: now } };
+      // only phone numbers wait between codes, many users can share an IP address
+      if (kind === 'phone') {
+        const sentCount = (throttles[i] ? throttles[i].sentCount : 0) + 1;
+        const cooldownSeconds = config.otp.cooldownSeconds * 2 ** (sentCount - 1);
+        update.$set = { nextSendAt: new Date(now.getTime() + cooldownSeconds * 1000) };
+      }
+      return OtpThrottle.updateOne({ kind, value }, update, { upsert: true });
+    })
+  );
+};
+
+/**
+ * Query for verification code lockouts
+ * @param {Object} filter - { phoneNumber, ip, reason }, phoneNumber in any format
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryLockouts = async (filter, options) => {
+  const query = { ...filter };
+  if (query.phoneNumber) {
+    query.phoneNumber = toPhoneKey(query.phoneNumber);
+  }
+  return OtpLockout.paginate(query, { sortBy: 'createdAt:desc', ...options });
+};
+
+module.exports = {
+  recordLockout,
+  reserveCodeSend,
+  queryLockouts,
+};
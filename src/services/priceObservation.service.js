@@ -0,0 +1,168 @@
+const httpStatus = require('http-status');
+const { CanonicalProduct, Membership, PriceObservation } = require('../models');
+const ApiError = require('../utils/ApiError');
+const { normalizeUnitPrice } = require('../utils/unitPrice');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const summarize = (prices) => {
+  if (!prices.length) {
+    return { count: 0, min: null, avg: null, max: null };
+  }
+  return {
+    count: prices.length,
+    min: Math.min(...prices),
+    avg: round(prices.reduce((sum, price) => sum + price, 0) / prices.length),
+    max: Math.max(...prices),
+  };
+};
+
+/**
+ * Store the priced items of a nota that are linked to a canonical product
+ * Observations are keyed by nota and item position, so recording a nota again updates them
+ * @param {Nota} nota - Read nota whose items carry a canonicalProductId
+ * @returns {Promise<number>} Number of observations recorded
+ */
+const recordNotaObservations = async (nota) => {
+  const linked = nota.items
+    .map((item, itemIndex) => ({ item, itemIndex }))
+    .filter(({ item }) => item.canonicalProductId && typeof item.unitPrice === 'number');
+  if (!linked.length || !nota.purchaseDate) {
+    return 0;
+  }
+
+  const products = await CanonicalProduct.find({ _id: { $in: linked.map(({ item }) => item.canonicalProductId) } }).select(
+    'quantity unit'
+  );
+  const packageSizes = {};
+  products.forEach((product) => {
+    packageSizes[product._id.toString()] = { quantity: product.quantity, unit: product.unit };
+  });
+
+  const operations = linked.map(({ item, itemIndex }) => {
+    const description = item.product || item.name;
+    const normalized = normalizeUnitPrice(
+      { unitPrice: item.unitPrice, unit: item.unit, description },
+      packageSizes[item.canonicalProductId.toString()]
+    );
+    return {
+      updateOne: {
+        filter: { nota: nota._id, itemIndex },
+        update: {
+          $set: {
+            canonicalProduct: item.canonicalProductId,
+            vendor: nota.vendor && nota.vendor._id ? nota.vendor._id : nota.vendor,
+            vendorName: nota.vendorName,
+            groupId: nota.groupId,
+            user: nota.user,
+            purchaseDate: nota.purchaseDate,
+            description,
+            code: item.code,
+            quantity: item.quantity,
+            unit: item.unit,
+            unitPrice: item.unitPrice,
+            totalPrice: item.totalPrice,
+            normalizedUnit: normalized ? normalized.normalizedUnit : null,
+            normalizedPrice: normalized ? normalized.normalizedPrice : null,
+          },
+        },
+        upsert: true,
+      },
+    };
+  });
+  await PriceObservation.bulkWrite(operations);
+  return operations.length;
+};
+
+/**
+ * Remove the observations of a nota, e.g. once it is canceled
+ * @param {ObjectId} notaId
+ * @returns {Promise}
+ */
+const deleteNotaObservations = async (notaId) => PriceObservation.deleteMany({ nota: notaId });
+
+/**
+ * Remove the observation of a nota item, e.g. once it is corrected to another product
+ * @param {ObjectId} notaId
+ * @param {number} itemIndex - Position of the item in nota.items
+ * @returns {Promise}
+ */
+const deleteItemObservation = async (notaId, itemIndex) => PriceObservation.deleteOne({ nota: notaId, itemIndex });
+
+/**
+ * Get the prices a group paid for a canonical product over time
+ * @param {ObjectId} canonicalProductId
+ * @param {Object} filter
+ * @param {string} filter.groupId - Group of the purchases
+ * @param {string} [filter.vendorId] - Only purchases at this vendor
+ * @param {Date} [filter.startDate] - Purchases from this date
+ * @param {Date} [filter.endDate] - Purchases up to this date
+ * @param {ObjectId} userId - User ID for membership validation
+ * @returns {Promise<Object>} Price history, min/avg/max unit price and min/avg/max price per kg or L
+ */
+const getPriceHistory = async (canonicalProductId, filter, userId) => {
+  const membership = await Membership.findOne({ user_id: userId, group_id: filter.groupId, status: 'active' });
+  if (!membership) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'You are not a member of this group');
+  }
+  const product = await CanonicalProduct.findById(canonicalProductId);
+  if (!product) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'CanonicalProduct not found');
+  }
+
+  const query = { canonicalProduct: product._id, groupId: filter.groupId };
+  if (filter.vendorId) {
+    query.vendor = filter.vendorId;
+  }
+  if (filter.startDate || filter.endDate) {
+    query.purchaseDate = {};
+    if (filter.startDate) {
+      query.purchaseDate.$gte = new Date(filter.startDate);
+    }
+    if (filter.endDate) {
+      query.purchaseDate.$lte = new Date(filter.endDate);
+    }
+  }
+
+  const observations = await PriceObservation.find(query).sort({ purchaseDate: 1 });
+
+  // a product may be bought both by weight and packaged, so the normalized prices are grouped by unit
+  const normalized = {};
+  observations
+    .filter((observation) => observation.normalizedUnit)
+    .forEach((observation) => {
+      normalized[observation.normalizedUnit] = normalized[observation.normalizedUnit] || [];
+      normalized[observation.normalizedUnit].push(observation.normalizedPrice);
+    });
+
+  return {
+    product: {
+      id: product.id,
+      canonical_name: product.canonical_name,
+      brand: product.brand,
+      unit: product.unit,
+      quantity: product.quantity,
+    },
+    unitPrice: summarize(observations.map((observation) => observation.unitPrice)),
+    normalizedPrice: Object.keys(normalized).map((unit) => ({ unit, ...summarize(normalized[unit]) })),
+    history: observations.map((observation) => ({
+      date: observation.purchaseDate,
+      nota: observation.nota,
+      vendor: observation.vendor,
+      vendorName: observation.vendorName,
+      quantity: observation.quantity,
+      unit: observation.unit,
+      unitPrice: observation.unitPrice,
+      totalPrice: observation.totalPrice,
+      normalizedUnit: observation.normalizedUnit,
+      normalizedPrice: observation.normalizedPrice,
+    })),
+  };
+};
+
+module.exports = {
+  recordNotaObservations,
+  deleteNotaObservations,
+  deleteItemObservation,
+  getPriceHistory,
+};
@@ -0,0 +1,206 @@
+const httpStatus = require('http-status');
+const jsQR = require('jsqr');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const { OpenAI } = require('openai');
+const { Nota, User } = require('../models');
+const ApiError = require('../utils/ApiError');
+const logger = require('../config/logger');
+const { extractAccessKey, isValidAccessKey, parseAccessKey } = require('../utils/accessKey');
+const { fixPhoneNumber } = require('../utils/phoneNumbers');
+const notaService = require('./nota.service');
+
+const OCR_MODEL = 'gpt-4o-mini';
+
+const OCR_INSTRUCTIONS = `You read photos of Brazilian store receipts (cupom fiscal, NFC-e or handwritten notes).
+Answer with a JSON object with the fields:
+- vendorName: store name as printed
+- vendorCNPJ: 14-digit CNPJ of the store, digits only, or null
+- purchaseDate: purchase date as YYYY-MM-DD, or null
+- accessKey: 44-digit "chave de acesso", digits only, or null
+- items: [{ product, quantity, unit, unitPrice, totalPrice }] one entry per purchased line, prices as numbers
+Do not invent values: use null for anything that cannot be read.`;
+
+const toNumber = (value) => {
+  const number = typeof value === 'string' ? parseFloat(value.replace(',', '.')) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Decode an image into RGBA pixels
+ * @param {Buffer} imageBuffer
+ * @param {string} contentType - image/jpeg or image/png
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}|null} null for unsupported formats
+ */
+const decodeImage = (imageBuffer, contentType) => {
+  const type = String(contentType || '').toLowerCase();
+  if (type === 'image/jpeg' || type === 'image/jpg') {
+    const { data, width, height } = jpeg.decode(imageBuffer, { useTArray: true });
+    return { data: new Uint8ClampedArray(data.buffer), width, height };
+  }
+  if (type === 'image/png') {
+    const { data, width, height } = PNG.sync.read(imageBuffer);
+    return { data: new Uint8ClampedArray(data.buffer), width, height };
+  }
+  return null;
+};
+
+/**
+ * Read the QR code printed on a receipt photo
+ * @param {Buffer} imageBuffer
+ * @param {string} contentType
+ * @returns {string|null} QR code content (the NFC-e URL), or null when there is no readable QR code
+ */
+const decodeQRCode = (imageBuffer, contentType) => {
+  try {
+    const image = decodeImage(imageBuffer, contentType);
+    if (!image) {
+      return null;
+    }
+    const code = jsQR(image.data, image.width, image.height);
+    return code ? code.data : null;
+  } catch (error) {
+    logger.warn(`Could not decode receipt image: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Extract the vendor, date and line items of a receipt photo with OpenAI vision
+ * @param {Buffer} imageBuffer
+ * @param {string} contentType
+ * @returns {Promise<Object>} vendorName, vendorCNPJ, purchaseDate, accessKey and items
+ */
+const extractReceiptWithOCR = async (imageBuffer, contentType) => {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY is not set');
+  }
+  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+
+  const completion = await openai.chat.completions.create({
+    model: OCR_MODEL,
+    response_format: { type: 'json_object' },
+    messages: [
+      { role: 'system', content: OCR_INSTRUCTIONS },
+      {
+        role: 'user',
+        content: [{ type: 'image_url', image_url: { url: `data:${contentType};base64,${imageBuffer.toString('base64')}` } }],
+      },
+    ],
+  });
+  const receipt = JSON.parse(completion.choices[0].message.content || '{}');
+
+  const items = (Array.isArray(receipt.items) ? receipt.items : [])
+    .map((item) => ({
+      product: item.product ? String(item.product).trim() : '',
+      quantity: toNumber(item.quantity),
+      unit: item.unit || undefined,
+      unitPrice: toNumber(item.unitPrice),
+      totalPrice: toNumber(item.totalPrice),
+    }))
+    .filter((item) => item.product && (item.unitPrice !== undefined || item.totalPrice !== undefined));
+
+  const purchaseDate = receipt.purchaseDate ? new Date(receipt.purchaseDate) : null;
+  const hasValidDate = purchaseDate && !Number.isNaN(purchaseDate.getTime()) && purchaseDate <= new Date();
+  const cnpj = receipt.vendorCNPJ ? String(receipt.vendorCNPJ).replace(/\D/g, '') : '';
+
+  return {
+    vendorName: receipt.vendorName ? String(receipt.vendorName).trim() : null,
+    vendorCNPJ: cnpj.length === 14 ? cnpj : undefined,
+    // an unreadable or misread date is recorded as the day the photo was sent
+    purchaseDate: hasValidDate ? purchaseDate : new Date(),
+    accessKey: extractAccessKey(receipt.accessKey),
+    items,
+  };
+};
+
+/**
+ * Register a nota from its QR code URL or access key
+ * The nota is read by its queued scraping job, so it is returned as pending. A nota registered before is only
+ * returned to the user who registered it: for anyone else it is just already registered
+ * @param {Object} notaBody - notaUrl or accessKey
+ * @param {User} user
+ * @returns {Promise<Object>} The nota (null when registered by someone else) and whether it was already registered
+ */
+const registerScannedNota = async (notaBody, user) => {
+  // checkNota returns the existing nota for an access key registered before, without telling it apart
+  const { accessKey } = parseAccessKey(notaBody.accessKey || notaBody.notaUrl);
+  const existing = await Nota.findOne({ accessKey });
+  if (existing) {
+    return { nota: existing.user === user._id.toString() ? existing : null, duplicate: true };
+  }
+
+  const nota = await notaService.checkNota({ ...notaBody, userId: user._id });
+  // registered meanwhile, or before its access key was stored, by someone else
+  if (nota.user !== user._id.toString()) {
+    return { nota: null, duplicate: true };
+  }
+  return { nota, duplicate: false };
+};
+
+/**
+ * Register the receipt photographed by a WhatsApp user
+ * The NFC-e QR code is used when it can be read; otherwise the receipt is read with OCR and
+ * registered through its access key if one was printed, or else as a manual nota
+ * @param {Buffer} imageBuffer
+ * @param {string} contentType
+ * @param {string} phoneNumber - Sender phone number
+ * @returns {Promise<Object>} The nota, how it was read (qrcode, accessKey or ocr) and whether it was already registered
+ */
+const processReceiptImage = async (imageBuffer, contentType, phoneNumber) => {
+  const user = await User.getUserByPhoneNumber(fixPhoneNumber(phoneNumber));
+  if (!user) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Phone number is not linked to any user');
+  }
+
+  const qrCode = decodeQRCode(imageBuffer, contentType);
+  if (qrCode && extractAccessKey(qrCode)) {
+    return { ...(await registerScannedNota({ notaUrl: qrCode }, user)), via: 'qrcode' };
+  }
+
+  const receipt = await extractReceiptWithOCR(imageBuffer, contentType);
+  if (receipt.accessKey && isValidAccessKey(receipt.accessKey)) {
+    return { ...(await registerScannedNota({ accessKey: receipt.accessKey }, user)), via: 'accessKey' };
+  }
+  if (!receipt.vendorName || !receipt.items.length) {
+    throw new ApiError(httpStatus.UNPROCESSABLE_ENTITY, 'Could not read the receipt items');
+  }
+
+  const nota = await notaService.createManualNota(receipt, user._id);
+  return { nota, duplicate: false, via: 'ocr' };
+};
+
+/**
+ * Build the WhatsApp confirmation of a processed receipt
+ * @param {Object} result - Result of processReceiptImage
+ * @returns {string}
+ */
+const formatReceiptConfirmation = ({ nota, duplicate, via }) => {
+  if (!nota) {
+    return 'This receipt was already registered.';
+  }
+  const itemCount = nota.items ? nota.items.length : 0;
+  const total = typeof nota.total === 'number' ? `R$ ${nota.total.toFixed(2).replace('.', ',')}` : null;
+
+  if (!['read', 'classified', 'flagged'].includes(nota.status)) {
+    return duplicate
+      ? 'This receipt was already sent and is still being read. You will see it in the app soon.'
+      : 'Receipt received! It is being read from the SEFAZ site and will show up in the app once it is read.';
+  }
+
+  const summary = `${nota.vendorName ? `${nota.vendorName}: ` : ''}${itemCount} item(s)${total ? `, total ${total}` : ''}`;
+  if (duplicate) {
+    return `This receipt was already registered. ${summary}.`;
+  }
+  if (via === 'ocr') {
+    return `Receipt registered from the photo. ${summary}. Please check the items in the app, photos can be misread.`;
+  }
+  return `Receipt registered! ${summary}.`;
+};
+
+module.exports = {
+  decodeQRCode,
+  extractReceiptWithOCR,
+  processReceiptImage,
+  formatReceiptConfirmation,
+};
@@ -450,6 +450,26 @@ const setActiveGroup = async (userId, groupId) => {
   return user;
 };
 
+/**
+ * Update the WhatsApp notification settings of a user
+ * @param {ObjectId} userId
+ * @param {Object} settings - whatsapp (opt-in), quietHoursStart and quietHoursEnd (HH:mm)
+ * @returns {Promise<User>}
+ */
+const updateNotificationSettings = async (userId, settings) => {
+  const user = await getUserById(userId);
+  if (!user) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
+  }
+
+  Object.keys(settings).forEach((key) => {
+    user.set(`notificationSettings.${key}`, settings[key]);
+  });
+  await user.save();
+
+  return user;
+};
+
 /**
  * Get user referral statistics
  * @param {ObjectId} userId
@@ -560,6 +580,7 @@ module.exports = {
   getUserMemberships,
   getUserGroups,
   setActiveGroup,
+  updateNotificationSettings,
   getUserReferralStats,
   getReferralRankings,
 };
@@ -2,6 +2,9 @@ const httpStatus = require('http-status');
 const { User, Membership, List } = require('../models');
 const ApiError = require('../utils/ApiError');
 const listService = require('./list.service');
+const userService = require('./user.service');
+const listNotificationService = require('./listNotification.service');
+const listEventsService = require('./listEvents.service');
 const { fixPhoneNumber } = require('../utils/phoneNumbers');
 /**
  * Get user context by phone number
@@ -69,10 +72,11 @@ const getUserContext = async (phoneNumber) => {
 
 /**
  * Add items to a list
+ * Items of a product already on the list are merged into it (see listService.mergeListItems)
  * @param {string} listId - List ID
  * @param {string|number} phoneNumber - User's phone number
  * @param {Array<string>} items - Array of item texts to add
- * @returns {Promise<List>} Updated list
+ * @returns {Promise<Object>} Updated list and the items added, merged and skipped
  */
 const addItemsToList = async (listId, phoneNumber, items) => {
   // Convert phoneNumber to number for proper matching since User model stores it as Number
@@ -105,37 +109,26 @@ const addItemsToList = async (listId, phoneNumber, items) => {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Items array is required and must not be empty');
   }
 
-  // Get existing items (normalized for comparison - lowercase, trimmed)
-  const existingItems = list.items.map((item) => item.text.trim().toLowerCase());
-
-  // Separate items into new items and duplicates
-  const itemsToAdd = [];
-  const duplicateItems = [];
-
   items.forEach((itemText, index) => {
     if (typeof itemText !== 'string' || !itemText.trim()) {
       throw new ApiError(httpStatus.BAD_REQUEST, `Item at index ${index} must be a non-empty string`);
     }
-
-    const normalizedText = itemText.trim().toLowerCase();
-
-    // Check if item already exists (case-insensitive)
-    if (existingItems.includes(normalizedText)) {
-      duplicateItems.push(itemText.trim());
-    } else {
-      itemsToAdd.push({
-        text: itemText.trim(),
-        normalizedText,
-      });
-      // Add to existing items to prevent duplicates within the same batch
-      existingItems.push(normalizedText);
-    }
   });
 
+  // items are parsed into quantity, unit and product, so "2kg de arroz" is merged into an open "arroz"
+  const parsedItems = await listService.parseListItems(
+    items.map((itemText) => itemText.trim()),
+    list.groupId._id
+  );
+  const { list: saved, result } = await listService.saveListChange(list, (current) =>
+    listService.mergeListItems(current, parsedItems, user.firstName)
+  );
+  const { added, merged, duplicates: duplicateItems, changedItems } = result;
+
   // If no new items to add, return early with duplicate information
-  if (itemsToAdd.length === 0) {
+  if (added.length === 0 && merged.length === 0) {
     return {
-      list,
+      list: saved,
       itemsAdded: 0,
       itemsSkipped: duplicateItems.length,
       duplicateItems,
@@ -146,35 +139,30 @@ const addItemsToList = async (listId, phoneNumber, items) => {
     };
   }
 
-  // Get the next order number
-  const nextOrder = list.items.length > 0 ? Math.max(...list.items.map((item) => item.order || 0)) + 1 : 1;
-
-  // Add only new items to the list
-  itemsToAdd.forEach((item, index) => {
-    const newItem = {
-      text: item.text,
-      addedBy: user.firstName,
-      order: nextOrder + index,
-      isCompleted: false,
-    };
+  listEventsService.publishListEvent(saved, 'item.added', changedItems.added, user._id);
+  listEventsService.publishListEvent(saved, 'item.updated', changedItems.merged, user._id);
+  await listNotificationService.notifyListChange(saved, user._id, 'added', [...added, ...merged]);
 
-    list.items.push(newItem);
-  });
-
-  await list.save();
+  const messages = [];
+  if (added.length > 0) {
+    messages.push(`Added ${added.length} item(s) to the list`);
+  }
+  if (merged.length > 0) {
+    messages.push(`Updated the quantity of ${merged.length} item(s) already in list: ${merged.join(', ')}`);
+  }
+  if (duplicateItems.length > 0) {
+    messages.push(`${duplicateItems.length} item(s) already in list: ${duplicateItems.join(', ')}`);
+  }
 
-  // Return list with information about what was added and what was skipped
+  // Return list with information about what was added, merged and skipped
   return {
-    list,
-    itemsAdded: itemsToAdd.length,
+    list: saved,
+    itemsAdded: added.length,
+    itemsMerged: merged.length,
     itemsSkipped: duplicateItems.length,
+    mergedItems: merged.length > 0 ? merged : undefined,
     duplicateItems: duplicateItems.length > 0 ? duplicateItems : undefined,
-    message:
-      itemsToAdd.length > 0 && duplicateItems.length > 0
-        ? `Added ${itemsToAdd.length} item(s). ${duplicateItems.length} item(s) already in list: ${duplicateItems.join(
-            ', '
-          )}`
-        : `Added ${itemsToAdd.length} item(s) to the list`,
+    message: messages.join('. '),
   };
 };
 
@@ -182,7 +170,7 @@ const addItemsToList = async (listId, phoneNumber, items) => {
  * Remove items from a list
  * @param {string} listId - List ID
  * @param {string|number} phoneNumber - User's phone number
- * @param {Array<string>} itemTexts - Array of item texts to remove (matches by text)
+ * @param {Array<string>} itemTexts - Array of item texts to remove (matches by text or product)
  * @returns {Promise<List>} Updated list
  */
 const removeItemsFromList = async (listId, phoneNumber, itemTexts) => {
@@ -216,25 +204,22 @@ const removeItemsFromList = async (listId, phoneNumber, itemTexts) => {
     throw new ApiError(httpStatus.BAD_REQUEST, 'Item texts array is required and must not be empty');
   }
 
-  // Remove items matching the texts (case-insensitive, trimmed)
-  const itemsToRemove = itemTexts.map((text) => text.trim().toLowerCase());
-  const initialLength = list.items.length;
-
-  list.items = list.items.filter((item) => {
-    const itemTextLower = item.text.trim().toLowerCase();
-    return !itemsToRemove.includes(itemTextLower);
+  // Remove items matching the texts (case-insensitive, trimmed) or naming the same product
+  const isRemoved = (item) => itemTexts.some((text) => listService.isSameItem(item, text));
+  const { list: saved, result: removedItems } = await listService.saveListChange(list, (current) => {
+    const matchingItems = current.items.filter(isRemoved);
+    if (matchingItems.length === 0) {
+      throw new ApiError(httpStatus.NOT_FOUND, 'No matching items found to remove');
+    }
+    current.removeItems(matchingItems);
+    return matchingItems;
   });
 
-  const removedCount = initialLength - list.items.length;
-
-  if (removedCount === 0) {
-    throw new ApiError(httpStatus.NOT_FOUND, 'No matching items found to remove');
-  }
-
-  await list.save();
+  const removedCount = removedItems.length;
+  listEventsService.publishListEvent(saved, 'item.deleted', removedItems, user._id);
 
   return {
-    list,
+    list: saved,
     removedCount,
     message: `Removed ${removedCount} item(s) from the list`,
   };
@@ -244,7 +229,7 @@ const removeItemsFromList = async (listId, phoneNumber, itemTexts) => {
  * Get complete list by list ID
  * @param {string} listId - List ID
  * @param {string|number} phoneNumber - User's phone number
- * @returns {Promise<List>} Complete list with items
+ * @returns {Promise<Object>} Complete list with items, and the texts of its open items by store section
  */
 const getListById = async (listId, phoneNumber) => {
   // Convert phoneNumber to number for proper matching since User model stores it as Number
@@ -255,8 +240,8 @@ const getListById = async (listId, phoneNumber) => {
     throw new ApiError(httpStatus.NOT_FOUND, 'Phone number is not linked to any user');
   }
 
-  // Get list and validate membership
-  const list = await listService.getListById(listId, user._id);
+  // Get list and validate membership, with its open items grouped by store section
+  const { list, sections } = await listService.getListSections(listId, user._id);
 
   // Sort items by order
   const sortedItems = list.items.sort((a, b) => (a.order || 0) - (b.order || 0));
@@ -275,8 +260,136 @@ const getListById = async (listId, phoneNumber) => {
       isCompleted: item.isCompleted,
       addedBy: item.addedBy,
       order: item.order || 0,
+      category: item.category,
       completedAt: item.completedAt,
     })),
+    sections: sections.map((section) => ({
+      categoryKey: section.categoryKey,
+      label: section.label,
+      items: section.items.map((item) => item.text),
+    })),
+  };
+};
+
+/**
+ * Find the user linked to a phone number
+ * @param {string|number} phoneNumber
+ * @returns {Promise<User>}
+ */
+const getUserByPhone = async (phoneNumber) => {
+  const user = await User.getUserByPhoneNumber(fixPhoneNumber(phoneNumber));
+  if (!user) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Phone number is not linked to any user');
+  }
+  return user;
+};
+
+/**
+ * Mark items of a list as bought
+ * Any active member can check items off, as with the list item endpoint
+ * @param {string} listId - List ID
+ * @param {string|number} phoneNumber - User's phone number
+ * @param {Array<string>} itemTexts - Texts of the items bought (matched case-insensitively, or by product)
+ * @returns {Promise<Object>} Updated list, items marked and texts that matched no open item
+ */
+const markItemsAsBought = async (listId, phoneNumber, itemTexts) => {
+  const user = await getUserByPhone(phoneNumber);
+
+  if (!Array.isArray(itemTexts) || itemTexts.length === 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Item texts array is required and must not be empty');
+  }
+
+  const list = await listService.getListById(listId, user._id);
+  const openItems = list.items.filter((item) => !item.isCompleted);
+  const marked = [];
+  const notFound = [];
+  itemTexts.forEach((text) => {
+    const item = openItems.find((openItem) => listService.isSameItem(openItem, text) && !marked.includes(openItem));
+    if (item) {
+      marked.push(item);
+    } else {
+      notFound.push(text.trim());
+    }
+  });
+
+  // items another member completed or deleted meanwhile are left out
+  const { list: saved, items: completed } = await listService.completeListItems(list, marked, user._id);
+
+  return {
+    list: saved,
+    markedCount: completed.length,
+    markedItems: completed.map((item) => item.text),
+    notFound,
+    message: `Marked ${completed.length} item(s) as bought${notFound.length ? `. Not found: ${notFound.join(', ')}` : ''}`,
+  };
+};
+
+/**
+ * Remove the items already bought from a list
+ * Restricted to the list creator and group admins, as list updates are
+ * @param {string} listId - List ID
+ * @param {string|number} phoneNumber - User's phone number
+ * @returns {Promise<Object>} Updated list and number of items removed
+ */
+const clearCompletedItems = async (listId, phoneNumber) => {
+  const user = await getUserByPhone(phoneNumber);
+  const { list, removedCount } = await listService.clearCompletedItems(listId, user._id);
+  return {
+    list,
+    removedCount,
+    message: removedCount ? `Removed ${removedCount} bought item(s) from the list` : 'There are no bought items to clear',
+  };
+};
+
+/**
+ * Create a list in one of the user's groups
+ * @param {string|number} phoneNumber - User's phone number
+ * @param {string} name - List name
+ * @param {string} [groupId] - Group of the list (default = the user's active group)
+ * @returns {Promise<Object>} Created list
+ */
+const createList = async (phoneNumber, name, groupId) => {
+  const user = await getUserByPhone(phoneNumber);
+  const listName = typeof name === 'string' ? name.trim() : '';
+  if (!listName) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'List name is required');
+  }
+
+  const targetGroupId = groupId || user.activeGroupId;
+  if (!targetGroupId) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'User has no active group');
+  }
+
+  const existing = await List.findOne({ groupId: targetGroupId, name: listName }).collation({ locale: 'pt', strength: 2 });
+  if (existing) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `A list named "${existing.name}" already exists in this group`);
+  }
+
+  // listService.createList checks the active membership
+  const list = await listService.createList({ name: listName, groupId: targetGroupId, createdBy: user._id });
+  return { list, message: `Created the list "${list.name}"` };
+};
+
+/**
+ * Change the user's active group, whose default list is used when no list is named
+ * @param {string|number} phoneNumber - User's phone number
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} The new active group
+ */
+const switchActiveGroup = async (phoneNumber, groupId) => {
+  const user = await getUserByPhone(phoneNumber);
+  const membership = await Membership.findOne({ user_id: user._id, group_id: groupId, status: 'active' }).populate(
+    'group_id',
+    'name'
+  );
+  if (!membership) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'User is not a member of this group');
+  }
+
+  await userService.setActiveGroup(user._id, membership.group_id._id);
+  return {
+    group: { id: membership.group_id._id.toString(), name: membership.group_id.name },
+    message: `Switched to the group "${membership.group_id.name}"`,
   };
 };
 
@@ -285,4 +398,8 @@ module.exports = {
   addItemsToList,
   removeItemsFromList,
   getListById,
+  markItemsAsBought,
+  clearCompletedItems,
+  createList,
+  switchActiveGroup,
 };
@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const httpStatus = require('http-status');
+const { CanonicalProduct, Membership, PriceObservation, Vendor } = require('../models');
+const ApiError = require('../utils/ApiError');
+const { getUnitConversion } = require('../utils/unitPrice');
+const canonicalProductService = require('./canonicalProduct.service');
+const listService = require('./list.service');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Find the canonical product a list item refers to, preferring the group's own products
+ * Only a product named like the item, or with the item as a synonym, is used: a product merely containing it
+ * ("doce de leite" for "leite") would price something else
+ * @param {string} text - List item text
+ * @param {ObjectId} groupId
+ * @returns {Promise<CanonicalProduct|null>}
+ */
+const matchListItem = async (text, groupId) => {
+  const match = await canonicalProductService.findCanonicalProductForItem(text, { groupId });
+  return match && match.isExact ? match.product : null;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Price a basket product with the latest price observed at a vendor
+ * Amounts by weight or volume are priced per kg or L. Products counted in units are priced per unit where
+ * they are sold per unit; where they are sold by weight, the amount the group usually buys is priced
+ * @returns {number|null} null when the product cannot be priced in comparable terms
+ */
+const priceBasketProduct = (product, price) => {
+  let total = 0;
+  if (product.amount) {
+    if (price.normalizedUnit !== product.amountUnit || price.normalizedPrice == null) {
+      return null;
+    }
+    total += product.amount * price.normalizedPrice;
+  }
+  if (product.quantity) {
+    if (!getUnitConversion(price.unit)) {
+      total += product.quantity * price.unitPrice;
+    } else if (product.usualAmount && price.normalizedPrice != null) {
+      total += product.usualAmount * price.normalizedPrice;
+    } else {
+      return null;
+    }
+  }
+  return roundMoney(total);
+};
+
+/**
+ * Estimate the cost of a basket at every vendor the group has bought from
+ * Each product is priced with the most recent price observed at the vendor; products never bought
+ * there, or bought in a way that cannot be compared (by weight for an amount in liters), are listed as
+ * missing, so incomplete estimates are not mistaken for cheaper ones
+ * @param {Object} basket
+ * @param {ObjectId} basket.groupId
+ * @param {Object[]} basket.products - [{ canonicalProductId, quantity, unit }]; a weight or volume unit (kg, g,
+ * L, mL) makes the quantity an amount, other units count items
+ * @returns {Promise<Object>} Products, ids that match no canonical product and vendors ranked by estimated total
+ */
+const estimateBasket = async ({ groupId, products }) => {
+  const quantities = {};
+  products.forEach(({ canonicalProductId, quantity = 1, unit }) => {
+    const id = canonicalProductId.toString();
+    quantities[id] = quantities[id] || { quantity: 0, amount: 0, amountUnit: null };
+    const conversion = getUnitConversion(unit);
+    if (conversion) {
+      quantities[id].amount += quantity * conversion[1];
+      [quantities[id].amountUnit] = conversion;
+    } else {
+      quantities[id].quantity += quantity;
+    }
+  });
+
+  const canonicalProducts = await CanonicalProduct.find({ _id: { $in: Object.keys(quantities) } }).select('canonical_name');
+  const unknownProducts = Object.keys(quantities).filter((id) => !canonicalProducts.some((product) => product.id === id));
+  const groupObjectId = mongoose.Types.ObjectId(groupId.toString());
+  const productIds = canonicalProducts.map((product) => product._id);
+
+  const [vendors, latestPrices, purchases] = await Promise.all([
+    PriceObservation.aggregate([
+      { $match: { groupId: groupObjectId, vendor: { $ne: null } } },
+      { $sort: { purchaseDate: -1 } },
+      { $group: { _id: '$vendor', name: { $first: '$vendorName' }, lastPurchase: { $first: '$purchaseDate' } } },
+    ]),
+    PriceObservation.aggregate([
+      { $match: { groupId: groupObjectId, vendor: { $ne: null }, canonicalProduct: { $in: productIds } } },
+      { $sort: { purchaseDate: -1 } },
+      {
+        $group: {
+          _id: { vendor: '$vendor', canonicalProduct: '$canonicalProduct' },
+          unitPrice: { $first: '$unitPrice' },
+          unit: { $first: '$unit' },
+          normalizedUnit: { $first: '$normalizedUnit' },
+          normalizedPrice: { $first: '$normalizedPrice' },
+          observedAt: { $first: '$purchaseDate' },
+        },
+      },
+    ]),
+    PriceObservation.find({ groupId: groupObjectId, canonicalProduct: { $in: productIds } }).select(
+      'canonicalProduct quantity unit'
+    ),
+  ]);
+
+  // amount bought each time a product was sold by weight or volume, in kg or L
+  const amountsBought = {};
+  purchases.forEach((purchase) => {
+    const conversion = getUnitConversion(purchase.unit);
+    if (conversion && purchase.quantity > 0) {
+      const id = purchase.canonicalProduct.toString();
+      amountsBought[id] = amountsBought[id] || [];
+      amountsBought[id].push(purchase.quantity * conversion[1]);
+    }
+  });
+
+  const basketProducts = canonicalProducts.map((product) => {
+    const { quantity, amount, amountUnit } = quantities[product.id];
+    return {
+      canonicalProduct: product.id,
+      name: product.canonical_name,
+      quantity,
+      ...(amount && { amount, amountUnit }),
+      ...(quantity && amountsBought[product.id] && { usualAmount: median(amountsBought[product.id]) }),
+    };
+  });
+
+  const prices = {};
+  latestPrices.forEach(({ _id, ...price }) => {
+    prices[`${_id.vendor}|${_id.canonicalProduct}`] = price;
+  });
+
+  const estimates = vendors.map((vendor) => {
+    const items = [];
+    const missingProducts = [];
+    basketProducts.forEach((product) => {
+      const price = prices[`${vendor._id}|${product.canonicalProduct}`];
+      const total = price ? priceBasketProduct(product, price) : null;
+      if (total === null) {
+        missingProducts.push({ canonicalProduct: product.canonicalProduct, name: product.name });
+        return;
+      }
+      items.push({
+        ...product,
+        unitPrice: price.unitPrice,
+        unit: price.unit,
+        normalizedPrice: price.normalizedPrice,
+        normalizedUnit: price.normalizedUnit,
+        total,
+        observedAt: price.observedAt,
+      });
+    });
+    return {
+      vendor: vendor._id,
+      name: vendor.name,
+      lastPurchase: vendor.lastPurchase,
+      estimatedTotal: roundMoney(items.reduce((sum, item) => sum + item.total, 0)),
+      pricedCount: items.length,
+      missingCount: missingProducts.length,
+      complete: missingProducts.length === 0,
+      items,
+      missingProducts,
+    };
+  });
+
+  // complete baskets first, then the ones missing the fewest products, cheapest first
+  estimates.sort((a, b) => a.missingCount - b.missingCount || a.estimatedTotal - b.estimatedTotal);
+
+  return { products: basketProducts, unknownProducts, vendors: estimates };
+};
+
+/**
+ * Compare vendors for a basket given as a list or as a set of canonical products
+ * List items count with their parsed quantity and unit; items linked to a canonical product use it, the
+ * others are matched by their product name
+ * @param {Object} comparisonBody
+ * @param {ObjectId} [comparisonBody.listId] - Compare the open items of this list
+ * @param {ObjectId} [comparisonBody.groupId] - Group whose purchases are used (required with products)
+ * @param {Object[]} [comparisonBody.products] - [{ canonicalProductId, quantity, unit }]
+ * @param {ObjectId} userId - User ID for membership validation
+ * @returns {Promise<Object>}
+ */
+const compareVendors = async (comparisonBody, userId) => {
+  if (comparisonBody.listId) {
+    const list = await listService.getListById(comparisonBody.listId, userId);
+    const groupId = list.groupId._id || list.groupId;
+
+    const openItems = list.items.filter((item) => !item.isCompleted);
+    const matches = await Promise.all(
+      openItems.map((item) =>
+        item.canonicalProductId ? { _id: item.canonicalProductId } : matchListItem(item.product || item.text, groupId)
+      )
+    );
+    const products = [];
+    const unmatchedItems = [];
+    matches.forEach((product, index) => {
+      const item = openItems[index];
+      if (product) {
+        products.push({ canonicalProductId: product._id, quantity: item.quantity || 1, unit: item.unit });
+      } else {
+        unmatchedItems.push(item.text);
+      }
+    });
+
+    const estimate = await estimateBasket({ groupId, products });
+    return { groupId, listId: list.id, ...estimate, unmatchedItems };
+  }
+
+  const membership = await Membership.findOne({ user_id: userId, group_id: comparisonBody.groupId, status: 'active' });
+  if (!membership) {
+    throw new ApiError(httpStatus.FORBIDDEN, 'You are not a member of this group');
+  }
+  const estimate = await estimateBasket({ groupId: comparisonBody.groupId, products: comparisonBody.products });
+  return { groupId: comparisonBody.groupId, ...estimate, unmatchedItems: [] };
+};
+
+/**
+ * Set the order of the store aisles of a vendor, used by the lists sorted by section when shopping there
+ * @param {ObjectId} vendorId
+ * @param {string[]} aisleOrder - category_key values
+ * @returns {Promise<Vendor>}
+ */
+const updateAisleOrder = async (vendorId, aisleOrder) => {
+  const vendor = await Vendor.findById(vendorId);
+  if (!vendor) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Vendor not found');
+  }
+  listService.assertAisleOrder(aisleOrder);
+  vendor.aisleOrder = aisleOrder;
+  await vendor.save();
+  return vendor;
+};
+
+module.exports = {
+  estimateBasket,
+  compareVendors,
+  updateAisleOrder,
+};
@@ -1,6 +1,8 @@
 /* eslint-disable import/no-extraneous-dependencies */
-const { userCommService } = require('./index');
+const { userCommService, conversationSessionService, whatsappCommandService, guardrailsService } = require('./index');
+const config = require('../config/config');
 const logger = require('../config/logger');
+const { parseIntent } = require('../utils/intentParser');
 
 // Model configuration with environment variable support
 // Trim model names to remove any trailing comments or whitespace from .env files
@@ -8,6 +10,17 @@ const mainModel = (process.env.OPENAI_PRIMARY_MODEL || 'gpt-4o-mini').trim().spl
 const fallbackModel = (process.env.OPENAI_FALLBACK_MODEL || 'gpt-4o').trim().split(/\s+#/)[0].trim();
 const useFallback = process.env.OPENAI_USE_FALLBACK !== 'false'; // Default to true
 
+// Without the model, commands the rule-based parser only partly understood are still run from this confidence
+const RULES_FALLBACK_MIN_CONFIDENCE = 0.5;
+const AGENT_PARTIAL_FAILURE_TEXT =
+  'Sorry, something went wrong halfway through your request. Check your list before sending it again.';
+const RULES_HELP_TEXT = `I didn't understand that. You can send, for example:
+• "adicionar arroz e feijão"
+• "tirar leite"
+• "comprei arroz" or "limpar comprados"
+• "mostrar lista" or "lista do mercado"
+• "cria uma lista pra churrasco" or "mudar para o grupo casa"`;
+
 // Dynamically load OpenAI packages with error handling
 let agents;
 let z;
@@ -31,6 +44,25 @@ if (!process.env.OPENAI_API_KEY) {
 // Extract required functions from agents package
 const { tool, Agent, Runner, withTrace } = agents;
 
+/**
+ * Define a tool that changes lists or groups
+ * Its calls are recorded in the run context, as a failed run that already called it must not be run again: the
+ * fallback model or the rule-based parser would make the same changes twice
+ * @param {Object} definition - Tool definition
+ * @returns {Object} Tool
+ */
+const mutatingTool = (definition) =>
+  tool({
+    ...definition,
+    execute: (input, runContext) => {
+      const { mutatingToolCalls } = (runContext && runContext.context) || {};
+      if (mutatingToolCalls) {
+        mutatingToolCalls.push(definition.name);
+      }
+      return definition.execute(input, runContext);
+    },
+  });
+
 // Tool definitions
 const getUserInfoByPhone = tool({
   name: 'getUserInfoByPhone',
@@ -56,7 +88,7 @@ const getUserInfoByPhone = tool({
   },
 });
 
-const addItemsToList = tool({
+const addItemsToList = mutatingTool({
   name: 'addItemsToList',
   description: 'Add one or more items to a specific list. Requires list_id and an array of item texts.',
   parameters: z.object({
@@ -118,7 +150,7 @@ const addItemsToList = tool({
   },
 });
 
-const removeItemsFromList = tool({
+const removeItemsFromList = mutatingTool({
   name: 'removeItemsFromList',
   description:
     'Remove one or more items from a specific list by matching item text. Requires list_id and an array of item texts to remove.',
@@ -173,25 +205,133 @@ const getListById = tool({
   },
 });
 
-// Shared client for OpenAI (for future guardrails implementation)
-// const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const markItemsAsBought = mutatingTool({
+  name: 'markItemsAsBought',
+  description: 'Mark one or more items of a list as bought (checked off). Requires list_id and an array of item texts.',
+  parameters: z.object({
+    list_id: z.string(),
+    phone_number: z.string(),
+    items: z.array(z.string()),
+  }),
+  execute: async (input) => {
+    try {
+      const result = await userCommService.markItemsAsBought(input.list_id, input.phone_number, input.items);
+      return {
+        success: true,
+        message: result.message,
+        data: {
+          listId: result.list._id.toString(),
+          listName: result.list.name,
+          markedItems: result.markedItems,
+          notFound: result.notFound,
+        },
+      };
+    } catch (error) {
+      logger.error('Error in markItemsAsBought tool:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to mark items as bought',
+      };
+    }
+  },
+});
 
-// Guardrails configuration (simplified - you may need to install @openai/guardrails)
-// const guardrailsConfig = {
-//   guardrails: [
-//     { name: 'Jailbreak', config: { model: 'gpt-4o-mini', confidence_threshold: 0.7 } },
-//   ],
-// };
+const clearCompletedItems = mutatingTool({
+  name: 'clearCompletedItems',
+  description: 'Remove all the items already bought (completed) from a list. Requires list_id.',
+  parameters: z.object({
+    list_id: z.string(),
+    phone_number: z.string(),
+  }),
+  execute: async (input) => {
+    try {
+      const result = await userCommService.clearCompletedItems(input.list_id, input.phone_number);
+      return {
+        success: true,
+        message: result.message,
+        data: {
+          listId: result.list._id.toString(),
+          listName: result.list.name,
+          itemsRemoved: result.removedCount,
+        },
+      };
+    } catch (error) {
+      logger.error('Error in clearCompletedItems tool:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to clear the completed items',
+      };
+    }
+  },
+});
 
-// Simplified guardrails check (if @openai/guardrails is not available, this will be a no-op)
-async function runAndApplyGuardrails(inputText) {
-  // TODO: Implement guardrails if @openai/guardrails package is installed
-  // For now, return safe defaults
+const createList = mutatingTool({
+  name: 'createList',
+  description: "Create a new list. Uses the user's active group unless a group_id is given.",
+  parameters: z.object({
+    phone_number: z.string(),
+    name: z.string(),
+    group_id: z.string().nullable(),
+  }),
+  execute: async (input) => {
+    try {
+      const result = await userCommService.createList(input.phone_number, input.name, input.group_id || undefined);
+      return {
+        success: true,
+        message: result.message,
+        data: {
+          listId: result.list._id.toString(),
+          listName: result.list.name,
+          groupId: result.list.groupId.toString(),
+        },
+      };
+    } catch (error) {
+      logger.error('Error in createList tool:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to create the list',
+      };
+    }
+  },
+});
+
+const switchActiveGroup = mutatingTool({
+  name: 'switchActiveGroup',
+  description: "Change the user's active group, whose default list is used when no list is named. Requires group_id.",
+  parameters: z.object({
+    phone_number: z.string(),
+    group_id: z.string(),
+  }),
+  execute: async (input) => {
+    try {
+      const result = await userCommService.switchActiveGroup(input.phone_number, input.group_id);
+      return {
+        success: true,
+        message: result.message,
+        data: result.group,
+      };
+    } catch (error) {
+      logger.error('Error in switchActiveGroup tool:', error);
+      return {
+        success: false,
+        message: error.message || 'Failed to switch group',
+      };
+    }
+  },
+});
+
+/**
+ * Screen an inbound message with the guardrails
+ * @param {string} inputText
+ * @param {string} phoneNumber
+ * @returns {{hasTripwire: boolean, safeText: string|null, failOutput: Object|null}}
+ */
+function runAndApplyGuardrails(inputText, phoneNumber) {
+  const { hasTripwire, reason, safeText } = guardrailsService.screenInput(inputText, { phoneNumber });
   return {
-    hasTripwire: false,
-    safeText: inputText,
-    failOutput: null,
-    passOutput: { safe_text: inputText },
+    hasTripwire,
+    safeText,
+    failOutput: hasTripwire ? { success: true, response: config.whatsapp.tripwireMessage, guardrail: { reason } } : null,
   };
 }
 
@@ -212,6 +352,8 @@ async function runAgentWithFallback(runner, primaryAgent, fallbackAgent, convers
     return runner.run(primaryAgent, [...conversationHistory], { context });
   }
 
+  const mutatingToolCalls = context.mutatingToolCalls || [];
+  const callsBefore = mutatingToolCalls.length;
   try {
     const result = await runner.run(primaryAgent, [...conversationHistory], { context });
 
@@ -225,6 +367,10 @@ async function runAgentWithFallback(runner, primaryAgent, fallbackAgent, convers
 
     return result;
   } catch (error) {
+    if (mutatingToolCalls.length > callsBefore) {
+      // the fallback would make the changes of the primary agent again
+      throw error;
+    }
     logger.warn('Primary agent failed, falling back to more powerful model', {
       agentName: primaryAgent.name,
       error: error.message,
@@ -236,7 +382,19 @@ async function runAgentWithFallback(runner, primaryAgent, fallbackAgent, convers
 
 // Schema definitions
 const ClassificationAgentSchema = z.object({
-  classifications: z.array(z.enum(['add_to_list', 'remove_from_list', 'show_list'])).min(1),
+  classifications: z
+    .array(
+      z.enum([
+        'add_to_list',
+        'remove_from_list',
+        'show_list',
+        'mark_bought',
+        'clear_completed',
+        'create_list',
+        'switch_group',
+      ])
+    )
+    .min(1),
 });
 
 const IsphonenumberauserSchema = z.object({
@@ -282,6 +440,12 @@ Classification categories:
 1. "add_to_list" - Any request to add an item to a list (e.g., "add", "include", "put in")
 2. "remove_from_list" - Any request to remove an item from a list (e.g., "remove", "delete", "take out")
 3. "show_list" - Any request to view/see/display the list
+4. "mark_bought" - Marking items as bought or done (e.g., "check off", "I bought", "comprei", "marcar como comprado")
+5. "clear_completed" - Removing all items already bought from a list (e.g., "clear done items", "limpar comprados")
+6. "create_list" - Creating a new list (e.g., "create a list for the barbecue", "cria uma lista pra churrasco")
+7. "switch_group" - Changing the active group (e.g., "switch to the family group", "mudar para o grupo trabalho")
+
+Earlier messages of the conversation may come before it. Use them to understand follow-ups and corrections such as "actually make it two" or "to the other list", but only classify the latest message.
 
 Return an array with all applicable classifications. If the message contains multiple different actions, include all of them in the array.`;
 };
@@ -440,7 +604,7 @@ const showListAgent = new Agent({
 When a user wants to see a list, you should:
 1. Identify which list they want to see (use default list if not specified)
 2. Use the getListById tool with the list_id and phone_number
-3. Format the list items in a readable way
+3. Show the open items grouped under the label of their section, in the order of the sections returned by the tool
 4. Respond with a friendly message showing the list`,
   model: mainModel,
   tools: [getUserInfoByPhone, getListById],
@@ -460,7 +624,7 @@ const showListAgentFallback = useFallback
 When a user wants to see a list, you should:
 1. Identify which list they want to see (use default list if not specified)
 2. Use the getListById tool with the list_id and phone_number
-3. Format the list items in a readable way
+3. Show the open items grouped under the label of their section, in the order of the sections returned by the tool
 4. Respond with a friendly message showing the list`,
       model: fallbackModel,
       tools: [getUserInfoByPhone, getListById],
@@ -473,6 +637,79 @@ When a user wants to see a list, you should:
     })
   : null;
 
+/**
+ * Append the user's lists and groups to the instructions of an agent
+ * @param {string} instructions
+ * @returns {Function} Instructions function of the agent
+ */
+const withUserLists = (instructions) => (runContext) => {
+  const { userContext } = runContext.context || {};
+  if (!userContext) {
+    return `${instructions}\n\nIf you need the user's lists or groups, use the getUserInfoByPhone tool first.`;
+  }
+  return `${instructions}\n\nAvailable lists:\n${JSON.stringify(userContext.lists, null, 2)}\n\nGroups:\n${JSON.stringify(
+    userContext.groups,
+    null,
+    2
+  )}\n\nUse the default list (isDefault: true) of the active group (isDefault: true) if no list is specified.`;
+};
+
+const markBoughtInstructions = withUserLists(`You are an assistant that helps users check off the items they bought.
+When a user says they bought items or asks to mark them as done, you should:
+1. Identify which list they refer to (use default list if not specified)
+2. Extract the items they bought
+3. Use the markItemsAsBought tool with the list_id, phone_number, and items array
+4. Respond with a friendly confirmation, mentioning the items that were not found on the list`);
+
+const clearCompletedInstructions = withUserLists(`You are an assistant that helps users tidy up their shopping lists.
+When a user asks to clear the items already bought, you should:
+1. Identify which list they refer to (use default list if not specified)
+2. Use the clearCompletedItems tool with the list_id and phone_number
+3. Respond with a friendly confirmation; if the tool fails because of permissions, explain that only the list creator or a group admin can do it`);
+
+const createListInstructions = withUserLists(`You are an assistant that helps users create shopping lists.
+When a user asks for a new list, you should:
+1. Extract the name of the list (e.g., "cria uma lista pra churrasco" -> "Churrasco"), capitalized
+2. Use the group the user names, or the active group otherwise (pass group_id as null)
+3. Use the createList tool with the phone_number, name and group_id
+4. Respond with a friendly confirmation mentioning the list name`);
+
+const switchGroupInstructions = withUserLists(`You are an assistant that helps users change their active group.
+When a user asks to switch group, you should:
+1. Find the group they name among their groups
+2. If no group matches, tell them which groups they can switch to
+3. Otherwise use the switchActiveGroup tool with the phone_number and group_id
+4. Respond with a friendly confirmation mentioning the group name`);
+
+const listManagementModelSettings = {
+  temperature: 1,
+  topP: 1,
+  maxTokens: 2048,
+  store: true,
+};
+
+// Agents (and their fallbacks) for the list management intents, by classification
+const listManagementAgents = {};
+[
+  ['mark_bought', 'markBoughtAgent', markBoughtInstructions, [getUserInfoByPhone, markItemsAsBought]],
+  ['clear_completed', 'clearCompletedAgent', clearCompletedInstructions, [getUserInfoByPhone, clearCompletedItems]],
+  ['create_list', 'createListAgent', createListInstructions, [getUserInfoByPhone, createList]],
+  ['switch_group', 'switchGroupAgent', switchGroupInstructions, [getUserInfoByPhone, switchActiveGroup]],
+].forEach(([classification, name, instructions, tools]) => {
+  listManagementAgents[classification] = {
+    agent: new Agent({ name, instructions, model: mainModel, tools, modelSettings: listManagementModelSettings }),
+    fallbackAgent: useFallback
+      ? new Agent({
+          name: `${name}Fallback`,
+          instructions,
+          model: fallbackModel,
+          tools,
+          modelSettings: listManagementModelSettings,
+        })
+      : null,
+  };
+});
+
 /**
  * Execute a single agent based on classification
  * @param {Runner} runner - The agent runner instance
@@ -480,12 +717,21 @@ When a user wants to see a list, you should:
  * @param {Array} conversationHistory - Current conversation history
  * @param {Object} userContextData - User context data
  * @param {string} phoneNumber - User's phone number
+ * @param {string[]} mutatingToolCalls - Tools that changed lists or groups during the run, see mutatingTool
  * @returns {Promise<Object>} Result with output_text and updated conversation history
  */
-async function executeAgentByClassification(runner, classification, conversationHistory, userContextData, phoneNumber) {
+async function executeAgentByClassification(
+  runner,
+  classification,
+  conversationHistory,
+  userContextData,
+  phoneNumber,
+  mutatingToolCalls
+) {
   const context = {
     phoneNumber,
     userContext: userContextData,
+    mutatingToolCalls,
   };
 
   if (classification === 'add_to_list') {
@@ -499,7 +745,7 @@ async function executeAgentByClassification(runner, classification, conversation
       additem2list,
       additem2listFallback,
       [...conversationHistory],
-      { context },
+      context,
       (result) => {
         const newItems = result.newItems || [];
         const toolCalls = newItems.filter(
@@ -551,7 +797,7 @@ async function executeAgentByClassification(runner, classification, conversation
       removeItemAgent,
       removeItemAgentFallback,
       [...conversationHistory],
-      { context }
+      context
     );
 
     const updatedHistory = [...conversationHistory, ...removeItemResultTemp.newItems.map((item) => item.rawItem)];
@@ -576,7 +822,7 @@ async function executeAgentByClassification(runner, classification, conversation
       showListAgent,
       showListAgentFallback,
       [...conversationHistory],
-      { context }
+      context
     );
 
     const updatedHistory = [...conversationHistory, ...showListResultTemp.newItems.map((item) => item.rawItem)];
@@ -591,34 +837,84 @@ async function executeAgentByClassification(runner, classification, conversation
     };
   }
 
+  if (listManagementAgents[classification]) {
+    const { agent, fallbackAgent } = listManagementAgents[classification];
+    logger.info(`Running ${agent.name}`, {
+      phoneNumber,
+      hasUserContext: !!userContextData,
+    });
+
+    const resultTemp = await runAgentWithFallback(runner, agent, fallbackAgent, [...conversationHistory], context);
+
+    const updatedHistory = [...conversationHistory, ...resultTemp.newItems.map((item) => item.rawItem)];
+
+    if (!resultTemp.finalOutput) {
+      throw new Error('Agent result is undefined');
+    }
+
+    return {
+      output_text: resultTemp.finalOutput || '',
+      conversationHistory: updatedHistory,
+    };
+  }
+
   throw new Error(`Unknown classification: ${classification}`);
 }
 
 /**
- * Main workflow function
- * @param {Object} workflow - Workflow input
- * @param {string} workflow.input_as_text - The user's message text
- * @param {string} workflow.phone_number - The user's phone number
- * @returns {Promise<Object>} Workflow result
+ * Turn the stored session messages into agent input items
+ * @param {Object[]} messages - Session messages [{ role, text }]
+ * @returns {Array} Conversation history items
  */
-const runWorkflow = async (workflow) => {
-  // Validate API key is set (packages are already validated at module load)
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY is not set. Please configure the OpenAI API key in your environment variables.');
+const toConversationHistory = (messages) =>
+  messages.map((message) =>
+    message.role === 'assistant'
+      ? { role: 'assistant', status: 'completed', content: [{ type: 'output_text', text: message.text }] }
+      : { role: 'user', content: [{ type: 'input_text', text: message.text }] }
+  );
+
+/**
+ * Store a message and its answer in the phone number's session
+ * @param {number} phoneNumber
+ * @param {string} text - User message
+ * @param {string} response - Answer sent back
+ * @returns {Promise<void>}
+ */
+const saveConversationTurn = async (phoneNumber, text, response) => {
+  try {
+    await conversationSessionService.appendToSession(phoneNumber, [
+      { role: 'user', text },
+      { role: 'assistant', text: response },
+    ]);
+  } catch (error) {
+    // losing the context must not lose the answer
+    logger.warn('Could not save the WhatsApp conversation session', { error: error.message });
   }
+};
 
+/**
+ * Run the agents on a message
+ * The previous messages of the phone number's session are replayed before the new one, so agents can
+ * resolve follow-ups ("actually make it two", "to the other list")
+ * @param {Object} workflow - Workflow input, see runWorkflow
+ * @param {Object} [run] - State of the run, kept by the caller when the run fails
+ * @param {string[]} run.mutatingToolCalls - Tools that changed lists or groups, see mutatingTool
+ * @param {string[]} run.responses - Answers of the classifications already run
+ * @returns {Promise<Object>} Workflow result
+ */
+const runAgentWorkflow = async (workflow, run = { mutatingToolCalls: [], responses: [] }) => {
   // Remove unnecessary 'await' on return value per lint warning
   return withTrace('New agent', async () => {
     const state = {
       phone_number: workflow.phone_number || null,
     };
 
-    const conversationHistory = [
-      {
-        role: 'user',
-        content: [{ type: 'input_text', text: workflow.input_as_text }],
-      },
-    ];
+    const sessionMessages = state.phone_number ? await conversationSessionService.getSessionHistory(state.phone_number) : [];
+    const inputMessage = {
+      role: 'user',
+      content: [{ type: 'input_text', text: workflow.input_as_text }],
+    };
+    const conversationHistory = [...toConversationHistory(sessionMessages), inputMessage];
 
     const runner = new Runner({
       traceMetadata: {
@@ -627,22 +923,9 @@ const runWorkflow = async (workflow) => {
       },
     });
 
-    const guardrailsInputText = workflow.input_as_text;
-    const {
-      hasTripwire: guardrailsHasTripwire,
-      failOutput: guardrailsFailOutput,
-      passOutput: guardrailsPassOutput,
-    } = await runAndApplyGuardrails(guardrailsInputText);
-
-    // FIX: Use correct 'guardrailsPassOutput' instead of undefined 'passOutput'
-    const guardrailsOutput = guardrailsHasTripwire ? guardrailsFailOutput : guardrailsPassOutput;
-
-    if (guardrailsHasTripwire) {
-      return guardrailsOutput;
-    }
-
     // Check if phone number is a user
-    const isphonenumberauserResultTemp = await runner.run(isphonenumberauser, [...conversationHistory], {
+    // the user lookup does not need the previous messages
+    const isphonenumberauserResultTemp = await runner.run(isphonenumberauser, [inputMessage], {
       context: {
         statePhoneNumber: state.phone_number,
       },
@@ -702,7 +985,7 @@ const runWorkflow = async (workflow) => {
       });
 
       // Execute each classification sequentially
-      const responses = [];
+      const { responses } = run;
       let currentConversationHistory = [...conversationHistory];
 
       // eslint-disable-next-line no-plusplus
@@ -720,7 +1003,8 @@ const runWorkflow = async (workflow) => {
             classification,
             currentConversationHistory,
             userContextData,
-            state.phone_number
+            state.phone_number,
+            run.mutatingToolCalls
           );
 
           responses.push(agentResult.output_text);
@@ -736,6 +1020,8 @@ const runWorkflow = async (workflow) => {
       // If there's only one response, use it as-is. Otherwise, combine them.
       const combinedResponse = responses.length === 1 ? responses[0] : responses.filter((r) => r && r.trim()).join('\n\n');
 
+      await saveConversationTurn(state.phone_number, workflow.input_as_text, combinedResponse);
+
       return {
         success: true,
         classifications,
@@ -750,6 +1036,92 @@ const runWorkflow = async (workflow) => {
   });
 };
 
+/**
+ * Run the commands recognized by the rule-based parser
+ * @param {Object} workflow - Workflow input, see runWorkflow
+ * @param {Object[]} intents - Parsed intents
+ * @returns {Promise<Object>} Workflow result
+ */
+const runRulesWorkflow = async (workflow, intents) => {
+  const result = await whatsappCommandService.runCommands(intents, workflow.phone_number);
+  if (result.success) {
+    await saveConversationTurn(workflow.phone_number, workflow.input_as_text, result.response);
+  }
+  return result;
+};
+
+/**
+ * Run a screened message with the rule-based parser or the agents
+ * @param {Object} workflow - Workflow input, see runWorkflow
+ * @returns {Promise<Object>} Workflow result
+ */
+const routeWorkflow = async (workflow) => {
+  const parsed = parseIntent(workflow.input_as_text);
+  const canFallBackToRules = parsed.intents.length > 0 && parsed.confidence >= RULES_FALLBACK_MIN_CONFIDENCE;
+
+  if (parsed.intents.length > 0 && parsed.confidence >= config.whatsapp.rulesMinConfidence) {
+    logger.info('Running WhatsApp commands with the rule-based parser', {
+      phoneNumber: workflow.phone_number,
+      classifications: parsed.intents.map((command) => command.intent),
+    });
+    return runRulesWorkflow(workflow, parsed.intents);
+  }
+
+  if (!process.env.OPENAI_API_KEY) {
+    if (canFallBackToRules) {
+      return runRulesWorkflow(workflow, parsed.intents);
+    }
+    return { success: true, response: RULES_HELP_TEXT };
+  }
+
+  const run = { mutatingToolCalls: [], responses: [] };
+  try {
+    return await runAgentWorkflow(workflow, run);
+  } catch (error) {
+    if (run.mutatingToolCalls.length > 0) {
+      // the rule-based parser would make the changes the agents already made again
+      logger.error('Agent workflow failed after changing lists or groups', {
+        error: error.message,
+        tools: run.mutatingToolCalls,
+      });
+      return { success: true, response: [...run.responses, AGENT_PARTIAL_FAILURE_TEXT].join('\n\n'), error: error.message };
+    }
+    if (!canFallBackToRules) {
+      throw error;
+    }
+    logger.warn('Agent workflow failed, running the commands with the rule-based parser', { error: error.message });
+    return runRulesWorkflow(workflow, parsed.intents);
+  }
+};
+
+/**
+ * Main workflow function
+ * Common commands ("adicionar arroz e feijão", "mostrar lista") are recognized by a rule-based parser and run
+ * without the model when it is confident enough. The model handles everything else; when it is not configured
+ * or fails, the parser's reading is used if it is good enough. A reset command clears the conversation session.
+ * Messages are screened by the guardrails first: refused messages get the tripwire answer and personal data
+ * is masked before reaching the parser, the model or the session
+ * @param {Object} workflow - Workflow input
+ * @param {string} workflow.input_as_text - The user's message text
+ * @param {string} workflow.phone_number - The user's phone number
+ * @returns {Promise<Object>} Workflow result
+ */
+const runWorkflow = async (workflow) => {
+  if (workflow.phone_number && conversationSessionService.isResetCommand(workflow.input_as_text)) {
+    await conversationSessionService.clearSession(workflow.phone_number);
+    return {
+      success: true,
+      response: "Done, I've forgotten our conversation. How can I help you with your lists?",
+    };
+  }
+
+  const guardrails = runAndApplyGuardrails(workflow.input_as_text, workflow.phone_number);
+  if (guardrails.hasTripwire) {
+    return guardrails.failOutput;
+  }
+  return routeWorkflow({ ...workflow, input_as_text: guardrails.safeText });
+};
+
 module.exports = {
   runWorkflow,
 };
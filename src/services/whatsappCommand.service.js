@@ -0,0 +1,206 @@
+const httpStatus = require('http-status');
+const userCommService = require('./userComm.service');
+
+const normalizeName = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim();
+
+/**
+ * Pick the list a command refers to
+ * A named list is matched by name (exact first, then partial); otherwise the default list of the
+ * user's active group is used
+ * @param {Object} userContext - Result of userCommService.getUserContext
+ * @param {string|null} listName
+ * @returns {Object|null} List of the user context
+ */
+const findList = ({ lists, groups }, listName) => {
+  if (listName) {
+    const name = normalizeName(listName);
+    return (
+      lists.find((list) => normalizeName(list.name) === name) ||
+      lists.find((list) => normalizeName(list.name).includes(name)) ||
+      null
+    );
+  }
+  const activeGroup = groups.find((group) => group.isDefault);
+  const defaultLists = lists.filter((list) => list.isDefault);
+  return (
+    (activeGroup && defaultLists.find((list) => list.groupId === activeGroup.id)) || defaultLists[0] || lists[0] || null
+  );
+};
+
+// open items by store section, in aisle order, so the list can be followed through the supermarket
+const formatList = (list) => {
+  const openItems = list.items.filter((item) => !item.isCompleted);
+  const completedItems = list.items.filter((item) => item.isCompleted);
+  if (!list.items.length) {
+    return `Your list ${list.name} is empty.`;
+  }
+  const sections = list.sections || [{ categoryKey: 'other', items: openItems.map((item) => item.text) }];
+  // a single section of items without category needs no title
+  const showTitles = sections.some((section) => section.categoryKey !== 'other');
+  const lines = [`*${list.name}*`];
+  sections.forEach((section) => {
+    if (showTitles) {
+      lines.push(`_${section.label}_`);
+    }
+    lines.push(...section.items.map((text) => `• ${text}`));
+  });
+  if (completedItems.length) {
+    lines.push(`✓ ${completedItems.length} item(s) already bought`);
+  }
+  return lines.join('\n');
+};
+
+const findGroup = ({ groups }, groupName) => {
+  const name = normalizeName(groupName);
+  return (
+    groups.find((group) => normalizeName(group.name) === name) ||
+    groups.find((group) => normalizeName(group.name).includes(name)) ||
+    null
+  );
+};
+
+// permission and validation errors are answered to the user, anything else is a failure
+const answerClientError = (error, message) => {
+  if (error.statusCode === httpStatus.FORBIDDEN) {
+    return message;
+  }
+  if (error.statusCode === httpStatus.BAD_REQUEST) {
+    return `${error.message}.`;
+  }
+  throw error;
+};
+
+const runCommand = async ({ intent, items, listName, groupName }, userContext, phoneNumber) => {
+  if (intent === 'create_list') {
+    try {
+      const { list } = await userCommService.createList(phoneNumber, listName);
+      return `Created the list ${list.name}.`;
+    } catch (error) {
+      return answerClientError(error, "You can't create lists in this group.");
+    }
+  }
+
+  if (intent === 'switch_group') {
+    const group = findGroup(userContext, groupName);
+    if (!group) {
+      const names = userContext.groups.map((userGroup) => userGroup.name).join(', ');
+      return `I couldn't find a group called "${groupName}". Your groups: ${names}.`;
+    }
+    const result = await userCommService.switchActiveGroup(phoneNumber, group.id);
+    return `Switched to the group ${result.group.name}.`;
+  }
+
+  const list = findList(userContext, listName);
+  if (!list) {
+    const names = userContext.lists.map((userList) => userList.name).join(', ');
+    return listName ? `I couldn't find a list called "${listName}". Your lists: ${names}.` : "You don't have any list yet.";
+  }
+
+  if (intent === 'show_list') {
+    return formatList(await userCommService.getListById(list.id, phoneNumber));
+  }
+
+  if (intent === 'clear_completed') {
+    try {
+      const { removedCount } = await userCommService.clearCompletedItems(list.id, phoneNumber);
+      return removedCount
+        ? `Removed ${removedCount} bought item(s) from ${list.name}.`
+        : `Nothing bought on ${list.name} yet.`;
+    } catch (error) {
+      return answerClientError(error, `Only the creator of ${list.name} or a group admin can clear it.`);
+    }
+  }
+
+  if (!items.length) {
+    const questions = {
+      add_to_list: 'What should I add to the list?',
+      remove_from_list: 'What should I remove from the list?',
+      mark_bought: 'Which items did you buy?',
+    };
+    return questions[intent];
+  }
+
+  if (intent === 'mark_bought') {
+    const result = await userCommService.markItemsAsBought(list.id, phoneNumber, items);
+    const messages = [];
+    if (result.markedCount) {
+      messages.push(`Checked off ${result.markedItems.join(', ')} on ${list.name}.`);
+    }
+    if (result.notFound.length) {
+      messages.push(`Not on ${list.name}: ${result.notFound.join(', ')}.`);
+    }
+    return messages.join(' ');
+  }
+
+  if (intent === 'add_to_list') {
+    const result = await userCommService.addItemsToList(list.id, phoneNumber, items);
+    const duplicates = (result.duplicateItems || []).map((item) => item.toLowerCase());
+    const merged = (result.mergedItems || []).map((item) => item.toLowerCase());
+    const added = items.filter((item) => ![...duplicates, ...merged].includes(item.trim().toLowerCase()));
+    const messages = [];
+    if (added.length) {
+      messages.push(`Added ${added.join(', ')} to ${list.name}.`);
+    }
+    if (merged.length) {
+      messages.push(`Updated the quantity of ${result.mergedItems.join(', ')} on ${list.name}.`);
+    }
+    if (duplicates.length) {
+      messages.push(`Already on ${list.name}: ${result.duplicateItems.join(', ')}.`);
+    }
+    return messages.join(' ');
+  }
+
+  try {
+    const result = await userCommService.removeItemsFromList(list.id, phoneNumber, items);
+    return `Removed ${result.removedCount} item(s) from ${list.name}.`;
+  } catch (error) {
+    if (error.statusCode === httpStatus.NOT_FOUND) {
+      return `I couldn't find ${items.join(', ')} on ${list.name}.`;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Run list commands recognized without a model (see utils/intentParser)
+ * @param {Object[]} intents - [{ intent, items, listName }]
+ * @param {string|number} phoneNumber
+ * @returns {Promise<Object>} Workflow result, in the same shape as the agent workflow
+ */
+const runCommands = async (intents, phoneNumber) => {
+  let userContext;
+  try {
+    userContext = await userCommService.getUserContext(phoneNumber);
+  } catch (error) {
+    // unknown phone number or no active group, answered like the agent workflow does
+    if (!error.statusCode) {
+      throw error;
+    }
+    return { success: false, message: error.message };
+  }
+
+  const responses = [];
+  // commands run in message order, so "add milk and show the list" shows the milk
+  for (let i = 0; i < intents.length; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    responses.push(await runCommand(intents[i], userContext, phoneNumber));
+  }
+
+  return {
+    success: true,
+    classifications: intents.map((command) => command.intent),
+    response: responses.join('\n\n'),
+    classifier: 'rules',
+  };
+};
+
+module.exports = {
+  findList,
+  findGroup,
+  runCommands,
+};
@@ -1,40 +1,15 @@
-const axios = require('axios');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
 // eslint-disable-next-line import/no-extraneous-dependencies
 const { OpenAI } = require('openai');
-const config = require('../config/config');
 const logger = require('../config/logger');
-const { fixPhoneNumber } = require('../utils/phoneNumbers');
 const { runWorkflow } = require('./whatsappAgent.service');
-const { sendWhatsAppMessage } = require('./messaging.service');
-/**
- * Download media file from Twilio
- * @param {string} mediaUrl - Twilio media URL
- * @returns {Promise<Buffer>} Media file as buffer
- */
-const downloadMediaFromTwilio = async (mediaUrl) => {
-  try {
-    // Twilio media URLs require authentication
-    // Use Twilio account SID and auth token for basic auth
-    const auth = Buffer.from(`${config.twilio.accountSid}:${config.twilio.authToken}`).toString('base64');
-
-    const response = await axios.get(mediaUrl, {
-      responseType: 'arraybuffer',
-      headers: {
-        Authorization: `Basic ${auth}`,
-      },
-      maxContentLength: 50 * 1024 * 1024, // 50MB max
-      timeout: 30000, // 30 second timeout
-    });
+const { processReceiptImage, formatReceiptConfirmation } = require('./receiptImage.service');
+const inboundMessageService = require('./inboundMessage.service');
+const channelLinkService = require('./channelLink.service');
 
-    return Buffer.from(response.data);
-  } catch (error) {
-    logger.error('Error downloading media from Twilio:', error);
-    throw new Error(`Failed to download media: ${error.message}`);
-  }
-};
+const NOT_LINKED_TEXT = 'Sorry, your phone number is not linked to an active account. Please contact support.';
 
 /**
  * Get file extension from content type
@@ -110,58 +85,68 @@ const transcribeAudio = async (audioBuffer, contentType) => {
 };
 
 /**
- * Process incoming WhatsApp message from Twilio
- * @param {Object} messageData - Twilio webhook data
- * @param {string} messageData.Body - Message body text
- * @param {string} messageData.From - Sender phone number (e.g., "whatsapp:+5511999999999")
- * @param {number} messageData.NumMedia - Number of media attachments
- * @param {string} messageData.MediaUrl0 - URL of first media file
- * @param {string} messageData.MediaContentType0 - Content type of first media file
+ * Process a message received on a messaging channel
+ * Audio is transcribed and images are registered as receipts; text runs the agent workflow, with the sender
+ * identified by the phone number of their account. Link commands link the channel to an account
+ * @param {Object} message - Message parsed by the channel: { id, from, text, media }
+ * @param {Channel} channel - Channel the message was received on
  * @returns {Promise<Object>} Response to send back to user
  */
-const processIncomingMessage = async (messageData) => {
+const processIncomingMessage = async (message, channel) => {
   try {
-    const fromNumber = messageData.From || messageData.from || '';
-    // Extract phone number from Twilio format (whatsapp:+5511999999999 -> +5511999999999)
-    const phoneNumber = fixPhoneNumber(fromNumber.replace(/^whatsapp:/, '').trim());
+    const linkCode = channelLinkService.parseLinkCommand(message.text);
+    if (linkCode) {
+      try {
+        const user = await channelLinkService.linkChannel(linkCode, channel.name, message.from);
+        return {
+          success: true,
+          responseText: `Done, ${user.firstName}! This ${channel.label} account is now linked. You can manage your lists from here.`,
+        };
+      } catch (error) {
+        if (!error.statusCode) {
+          throw error;
+        }
+        return { success: true, responseText: 'This link code is invalid or expired. Please create a new one in the app.' };
+      }
+    }
+
+    const phoneNumber = await channelLinkService.resolvePhoneNumber(channel, message.from);
 
     if (!phoneNumber) {
-      logger.warn('Missing phone number', { messageData });
+      logger.warn('Message from an unlinked sender', { channel: channel.name, from: message.from });
       return {
-        success: false,
-        message: 'Missing phone number',
+        success: true,
+        responseText: `This ${channel.label} account is not linked yet. Create a link code in the app and send "link <code>" here.`,
       };
     }
 
-    let messageBody = messageData.Body || messageData.body || '';
-    const numMedia = parseInt(messageData.NumMedia || '0', 10);
+    let messageBody = message.text;
 
     // Handle media messages (audio, voice notes, etc.)
-    if (numMedia > 0) {
-      const mediaUrl = messageData.MediaUrl0;
-      const contentType = messageData.MediaContentType0;
+    if (message.media) {
+      const { contentType } = message.media;
 
-      if (!mediaUrl || !contentType) {
-        logger.warn('Media message missing URL or content type', { messageData });
+      if (!contentType) {
+        logger.warn('Media message missing content type', { channel: channel.name, messageId: message.id });
         return {
           success: false,
           message: 'Media message is missing required information',
         };
       }
 
-      // Check if it's an audio file that can be transcribed
+      // Audio is transcribed and handled as text; images are receipt photos
       const isAudio = contentType.startsWith('audio/');
 
       if (isAudio) {
         try {
           logger.info('Processing audio media message', {
-            mediaUrl,
+            channel: channel.name,
             contentType,
             phoneNumber,
           });
 
           // Download the media file
-          const audioBuffer = await downloadMediaFromTwilio(mediaUrl);
+          const audioBuffer = await channel.downloadMedia(message.media);
 
           // Transcribe audio using OpenAI Whisper API
           const transcription = await transcribeAudio(audioBuffer, contentType);
@@ -181,29 +166,60 @@ const processIncomingMessage = async (messageData) => {
             error: error.message,
           };
         }
+      } else if (contentType.startsWith('image/')) {
+        // Images are receipt photos: register them as notas and confirm, without going through the agent
+        try {
+          logger.info('Processing receipt image', { contentType, phoneNumber });
+
+          const imageBuffer = await channel.downloadMedia(message.media);
+          const receipt = await processReceiptImage(imageBuffer, contentType, phoneNumber);
+
+          logger.info('Receipt image processed', {
+            phoneNumber,
+            notaId: receipt.nota && receipt.nota.id,
+            via: receipt.via,
+            duplicate: receipt.duplicate,
+          });
+          return {
+            success: true,
+            responseText: formatReceiptConfirmation(receipt),
+            receipt,
+          };
+        } catch (error) {
+          logger.error('Error processing receipt image:', error);
+          return {
+            success: true,
+            responseText:
+              error.statusCode === 404
+                ? NOT_LINKED_TEXT
+                : 'Sorry, I could not read this receipt. Please send a sharper photo with the QR code visible.',
+            error: error.message,
+          };
+        }
       } else {
-        // Non-audio media (images, videos, documents)
-        logger.info('Received non-audio media message', {
+        // Other media (videos, documents)
+        logger.info('Received unsupported media message', {
           contentType,
           phoneNumber,
         });
         return {
           success: false,
-          message: 'Sorry, I can only process text and audio messages. Please send a text or voice message.',
+          message: 'Sorry, I can only process text, audio and receipt photos. Please send a text, voice message or image.',
         };
       }
     }
 
     // If no message body after processing media, return error
     if (!messageBody || messageBody.trim().length === 0) {
-      logger.warn('Missing message body after processing', { messageData });
+      logger.warn('Missing message body after processing', { channel: channel.name, messageId: message.id });
       return {
         success: false,
         message: 'Message body is required',
       };
     }
 
-    logger.info('Processing WhatsApp message', {
+    logger.info('Processing message', {
+      channel: channel.name,
       phoneNumber,
       messageLength: messageBody.length,
     });
@@ -219,8 +235,7 @@ const processIncomingMessage = async (messageData) => {
 
     if (workflowResult.success === false) {
       // User not found or inactive
-      responseText =
-        workflowResult.message || 'Sorry, your phone number is not linked to an active account. Please contact support.';
+      responseText = workflowResult.message || NOT_LINKED_TEXT;
     } else if (workflowResult.response) {
       // Agent provided a response
       responseText = workflowResult.response;
@@ -238,7 +253,7 @@ const processIncomingMessage = async (messageData) => {
       workflowResult,
     };
   } catch (error) {
-    logger.error('Error processing WhatsApp message:', error);
+    logger.error('Error processing message:', error);
     return {
       success: false,
       responseText: 'Sorry, I encountered an error processing your message. Please try again later.',
@@ -248,23 +263,83 @@ const processIncomingMessage = async (messageData) => {
 };
 
 /**
- * Send response message via WhatsApp
- * @param {string} phoneNumber - Recipient phone number (without whatsapp: prefix)
- * @param {string} message - Message to send
- * @returns {Promise<void>}
+ * Send an answer on the channel a message came from
+ * @param {Channel} channel
+ * @param {string} address - Recipient address on the channel
+ * @param {string} text
+ * @returns {Promise<boolean>} Whether the answer was sent
  */
-const sendWhatsAppResponse = async (phoneNumber, message) => {
+const sendResponse = async (channel, address, text) => {
   try {
-    // sendWhatsAppMessage already adds whatsapp: prefix, so just pass the clean number
-    await sendWhatsAppMessage(fixPhoneNumber(phoneNumber), message);
-    logger.info('WhatsApp response sent', { phoneNumber });
+    await channel.sendMessage(address, text);
+    logger.info('Response sent', { channel: channel.name, address });
+    return true;
   } catch (error) {
-    logger.error('Error sending WhatsApp response:', error);
+    logger.error(`Failed to send ${channel.label} response:`, error);
+    return false;
+  }
+};
+
+/**
+ * Handle a webhook request of a messaging channel: process the message and answer on the same channel
+ * Messages are recorded by id, so a provider retry gets the original answer instead of running the workflow again
+ * @param {Channel} channel
+ * @param {Object} body - Webhook request body
+ * @returns {Promise<Object>} Processing result; replayed messages are not processed again
+ */
+const receiveMessage = async (channel, body) => {
+  const message = channel.parseMessage(body);
+  if (!message) {
+    return { success: false, message: 'Not a message' };
+  }
+
+  logger.info('Received message', {
+    channel: channel.name,
+    messageId: message.id,
+    from: message.from,
+    body: message.text ? message.text.substring(0, 100) : 'No body',
+    hasMedia: Boolean(message.media),
+  });
+
+  let record = null;
+  if (message.id) {
+    const claim = await inboundMessageService.claimMessage(channel.name, message.id, message.from);
+    record = claim.record;
+    if (claim.isReplay) {
+      logger.info('Replayed message, not processing it again', { channel: channel.name, messageId: message.id });
+      // the stored answer is only sent again if it could not be sent the first time
+      if (record.status === 'completed' && !record.responseSent && record.responseText) {
+        if (await sendResponse(channel, message.from, record.responseText)) {
+          await inboundMessageService.markResponseSent(record);
+        }
+      }
+      // a message still being processed has no answer yet: the processing that claimed it sends it
+      return {
+        success: true,
+        replay: true,
+        status: record.status,
+        ...(record.responseText && { responseText: record.responseText }),
+      };
+    }
+  }
+
+  try {
+    const result = await processIncomingMessage(message, channel);
+    const responseSent =
+      result.success && result.responseText ? await sendResponse(channel, message.from, result.responseText) : false;
+    if (record) {
+      await inboundMessageService.completeMessage(record, { responseText: result.responseText, responseSent });
+    }
+    return result;
+  } catch (error) {
+    if (record) {
+      await inboundMessageService.failMessage(record, error);
+    }
     throw error;
   }
 };
 
 module.exports = {
   processIncomingMessage,
-  sendWhatsAppResponse,
+  receiveMessage,
 };
@@ -0,0 +1,133 @@
+const httpStatus = require('http-status');
+const ApiError = require('./ApiError');
+
+// IBGE codes used as the first two digits of the NFC-e access key
+const UF_CODES = {
+  11: 'RO',
+  12: 'AC',
+  13: 'AM',
+  14: 'RR',
+  15: 'PA',
+  16: 'AP',
+  17: 'TO',
+  21: 'MA',
+  22: 'PI',
+  23: 'CE',
+  24: 'RN',
+  25: 'PB',
+  26: 'PE',
+  27: 'AL',
+  28: 'SE',
+  29: 'BA',
+  31: 'MG',
+  32: 'ES',
+  33: 'RJ',
+  35: 'SP',
+  41: 'PR',
+  42: 'SC',
+  43: 'RS',
+  50: 'MS',
+  51: 'MT',
+  52: 'GO',
+  53: 'DF',
+};
+
+const ACCESS_KEY_LENGTH = 44;
+
+/**
+ * Find the 44-digit access key (chave de acesso) in a QR code URL or in a manually typed key
+ * Typed keys are usually grouped in blocks of 4 digits, so spaces, dots and dashes are ignored
+ * @param {string} input - QR code URL (…?p=<key>|2|1|…) or the key itself
+ * @returns {string|null} The access key digits, or null if none was found
+ */
+const extractAccessKey = (input) => {
+  if (!input) {
+    return null;
+  }
+  const text = String(input);
+
+  // QR code URLs carry the key as the first field of the p parameter
+  const param = text.match(/[?&]p=([^&]+)/i);
+  if (param) {
+    const [key] = decodeURIComponent(param[1]).split('|');
+    if (/^\d{44}$/.test(key)) {
+      return key;
+    }
+  }
+
+  const inUrl = text.match(/\d{44}/);
+  if (inUrl) {
+    return inUrl[0];
+  }
+
+  const digits = text.replace(/[\s.\-/]/g, '');
+  return /^\d{44}$/.test(digits) ? digits : null;
+};
+
+/**
+ * Compute the check digit (DV) of an access key: modulo 11 with weights 2 to 9 applied from the right
+ * @param {string} key - The first 43 digits of the access key
+ * @returns {number}
+ */
+const computeCheckDigit = (key) => {
+  let weight = 2;
+  let sum = 0;
+  for (let i = key.length - 1; i >= 0; i -= 1) {
+    sum += parseInt(key[i], 10) * weight;
+    weight = weight === 9 ? 2 : weight + 1;
+  }
+  const remainder = sum % 11;
+  return remainder < 2 ? 0 : 11 - remainder;
+};
+
+/**
+ * Check whether an access key has 44 digits and a valid check digit
+ * @param {string} key
+ * @returns {boolean}
+ */
+const isValidAccessKey = (key) => {
+  if (!key || !/^\d{44}$/.test(key)) {
+    return false;
+  }
+  return computeCheckDigit(key.slice(0, ACCESS_KEY_LENGTH - 1)) === parseInt(key[ACCESS_KEY_LENGTH - 1], 10);
+};
+
+/**
+ * Decode an access key into its parts
+ * Layout: cUF(2) AAMM(4) CNPJ(14) mod(2) serie(3) nNF(9) tpEmis(1) cNF(8) cDV(1)
+ * @param {string} input - QR code URL or access key
+ * @returns {Object} Decoded access key
+ */
+const parseAccessKey = (input) => {
+  const key = extractAccessKey(input);
+  if (!key) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Could not find a 44-digit access key');
+  }
+  if (!isValidAccessKey(key)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Invalid access key: check digit does not match');
+  }
+
+  const ufCode = key.slice(0, 2);
+  return {
+    accessKey: key,
+    ufCode,
+    uf: UF_CODES[ufCode] || null,
+    year: 2000 + parseInt(key.slice(2, 4), 10),
+    month: parseInt(key.slice(4, 6), 10),
+    cnpj: key.slice(6, 20),
+    model: key.slice(20, 22),
+    series: parseInt(key.slice(22, 25), 10),
+    number: parseInt(key.slice(25, 34), 10),
+    emissionType: parseInt(key.slice(34, 35), 10),
+    numericCode: key.slice(35, 43),
+    checkDigit: parseInt(key.slice(43), 10),
+  };
+};
+
+module.exports = {
+  UF_CODES,
+  extractAccessKey,
+  computeCheckDigit,
+  isValidAccessKey,
+  parseAccessKey,
+};
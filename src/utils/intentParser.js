@@ -0,0 +1,304 @@
+/* eslint-disable security/detect-unsafe-regex, security/detect-non-literal-regexp */
+// the patterns only run on single WhatsApp messages, which are a few hundred characters long
+
+// verbs of each intent, without accents; longer forms first so the alternation matches them whole
+const INTENT_VERBS = {
+  add_to_list: [
+    'adicionar',
+    'adicione',
+    'adiciona',
+    'acrescentar',
+    'acrescente',
+    'acrescenta',
+    'incluir',
+    'inclua',
+    'inclui',
+    'colocar',
+    'coloque',
+    'coloca',
+    'botar',
+    'bote',
+    'bota',
+    'ponha',
+    'poe',
+    'include',
+    'add',
+    'put',
+  ],
+  remove_from_list: [
+    'remover',
+    'remova',
+    'remove',
+    'retirar',
+    'retire',
+    'retira',
+    'tirar',
+    'tire',
+    'tira',
+    'excluir',
+    'exclua',
+    'exclui',
+    'apagar',
+    'apague',
+    'apaga',
+    'deletar',
+    'deleta',
+    'delete',
+    'take out',
+    'take off',
+    'drop',
+  ],
+  show_list: ['mostrar', 'mostre', 'mostra', 'exibir', 'exiba', 'exibe', 'veja', 'ver', 'display', 'show', 'view', 'see'],
+  mark_bought: ['marcar', 'marque', 'marca', 'comprei', 'peguei', 'check off', 'check', 'bought'],
+};
+
+// commands that take the whole message: "limpar comprados", "cria uma lista pra churrasco", "mudar para o grupo casa"
+const CLEAR_COMPLETED_REGEX =
+  /^(?:limpar|limpa|limpe|apagar|apaga|remover|remove|tirar|tira|clear|delete)\s+(?:(?:os|o|the|all|all the|todos os)\s+)?(?:(?:itens|items)\s+)?(?:comprados|concluidos|marcados|feitos|completed|done|bought|checked)(?:\s+(?:itens|items))?\b\s*(.*)$/;
+const CREATE_LIST_REGEX =
+  /^(?:cria|crie|criar|create|make|faz|faca|fazer|nova|new)\s+(?:(?:uma|a)\s+)?(?:(?:nova|new)\s+)?(?:lista|list)\b\s*(?:(?:pra|para|de|do|da|for|called|named|chamada)\s+(?:(?:o|a|the)\s+)?)?(.+)$/;
+const SWITCH_GROUP_REGEX =
+  /^(?:mudar|muda|mude|trocar|troca|troque|usar|usa|use|switch|change|ir)\s+(?:(?:de|o|the|my)\s+)?(?:(?:grupo|group)\s+)?(?:para|pra|pro|to)\s+(?:(?:o|the)\s+)?(?:(?:grupo|group)\s+)?(?:d[aeo]s?\s+)?(.+)$/;
+// greetings before a command: "oi, pode criar uma lista..."
+const PREAMBLE_REGEX = /^(?:(?:oi|ola|hi|hello|hey|por favor|please|pode|voce pode|can you|could you)\b[\s,]*)+/;
+// "marcar arroz como comprado", "check off milk as done"
+const BOUGHT_SUFFIX_REGEX = /\s+(?:como|as)\s+(?:comprad[oa]s?|feit[oa]s?|concluid[oa]s?|bought|done|completed?)$/;
+
+const VERB_INTENTS = {};
+Object.keys(INTENT_VERBS).forEach((intent) => {
+  INTENT_VERBS[intent].forEach((verb) => {
+    VERB_INTENTS[verb] = intent;
+  });
+});
+
+const VERB_REGEX = new RegExp(`(^|[^\\w-])(${Object.keys(VERB_INTENTS).join('|')})(?=$|[^\\w-])`, 'g');
+
+// greetings and polite words that may come before or after a command
+const FILLER_REGEX =
+  /^(?:\s|[,.!?:;]|\b(?:oi|ola|bom dia|boa tarde|boa noite|hi|hello|hey|por favor|pfv|pf|please|pls|pode|podes|voce pode|can you|could you|me|ai|also|tambem|e|and)\b)*$/;
+
+// "na lista do mercado", "da lista", "para a minha lista de casa"
+const PT_LIST_REGEX =
+  /(?:^|\s)(?:(?:n[ao]s?|d[ao]s?|para a|para|pra|a|em)\s+)?(?:minha\s+|nossa\s+|sua\s+)?lista\b\s*(?:(?:d[aeo]s?|de)\s+)?(.*)$/;
+// "to my list", "from list party"
+const EN_LIST_REGEX = /(?:^|\s(?:to|from|on|in|into|of)\s+)(?:the\s+|my\s+|our\s+)?list\b\s*(.*)$/;
+// "to the party list"
+const EN_NAMED_LIST_REGEX = /\s(?:to|from|on|in|into|of)\s+(?:the\s+|my\s+|our\s+)?(.+?)\s+list$/;
+// "show the party list"
+const EN_SHOWN_LIST_REGEX = /^(?:the\s+|my\s+|our\s+)?(.+?)\s+list$/;
+// a message that is only a list name: "lista", "minha lista", "lista do mercado", "my list"
+const BARE_LIST_REGEX = /^(?:a\s+|minha\s+|nossa\s+|my\s+|the\s+)?(?:lista|list)\b\s*(?:(?:d[aeo]s?|de|of|for)\s+(.+))?$/;
+// questions about the content of a list: "o que tem na lista?", "what's on my list?"
+const SHOW_QUESTION_REGEX = /^(?:o que (?:tem|falta|ha)|what(?:'s| is)? on)\b.*\b(?:lista|list)\b/;
+
+const ITEM_SEPARATOR_REGEX = /\s*(?:,|;|\n|\s+e\s+|\s+and\s+|\s+\+\s+)\s*/g;
+const LEADING_ARTICLE_REGEX = /^(?:(?:o|a|os|as|um|uma|uns|umas|the|some|an?)\s+)+/;
+
+// words that only make sense with the previous messages ("make it two", "remove that")
+const FOLLOW_UP_REGEX =
+  /^(?:it|that|this|them|those|isso|isto|esse|essa|esses|essas|ele|ela|eles|elas|tudo|everything|mais|more|outr[ao]s?|other|another)\b/;
+
+const HIGH_CONFIDENCE = 1;
+const PARTIAL_CONFIDENCE = 0.6;
+const LOW_CONFIDENCE = 0.3;
+
+/**
+ * Lowercase and strip accents, keeping the length of the string so indexes match the original text
+ * @param {string} text - NFC normalized text
+ * @returns {string}
+ */
+const normalize = (text) =>
+  text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+
+const isFiller = (text) => FILLER_REGEX.test(text);
+
+const cleanItem = (original, normalized) => {
+  const article = normalized.match(LEADING_ARTICLE_REGEX);
+  const start = article ? article[0].length : 0;
+  return {
+    text: original
+      .slice(start)
+      .replace(/^[\s"'“”.:!?-]+|[\s"'“”.:!?]+$/g, '')
+      .trim(),
+    normalized: normalized
+      .slice(start)
+      .replace(/[^\w\s]/g, '')
+      .trim(),
+  };
+};
+
+/**
+ * Find the list named in a clause and cut it out of the clause
+ * @returns {{rest: string, restNormalized: string, listName: string|null, hasList: boolean}}
+ */
+const extractList = (original, normalized) => {
+  const match = normalized.match(PT_LIST_REGEX) || normalized.match(EN_LIST_REGEX) || normalized.match(EN_NAMED_LIST_REGEX);
+  if (!match) {
+    return { rest: original, restNormalized: normalized, listName: null, hasList: false };
+  }
+  const name = match[1];
+  const nameStart = name ? normalized.lastIndexOf(name) : -1;
+  const listName = nameStart >= 0 ? cleanItem(original.slice(nameStart, nameStart + name.length), name).text : '';
+  return {
+    rest: original.slice(0, match.index),
+    restNormalized: normalized.slice(0, match.index),
+    listName: listName || null,
+    hasList: true,
+  };
+};
+
+const splitItems = (original, normalized) => {
+  const items = [];
+  let start = 0;
+  const addItem = (end) => {
+    const item = cleanItem(original.slice(start, end), normalized.slice(start, end));
+    if (item.text && !isFiller(item.normalized)) {
+      items.push(item);
+    }
+  };
+  normalized.replace(ITEM_SEPARATOR_REGEX, (separator, offset) => {
+    addItem(offset);
+    start = offset + separator.length;
+    return separator;
+  });
+  addItem(original.length);
+  return items;
+};
+
+const parseClause = (intent, original, normalized) => {
+  const { rest, restNormalized, listName, hasList } = extractList(original, normalized);
+
+  if (intent === 'show_list') {
+    const shown = hasList ? null : restNormalized.match(EN_SHOWN_LIST_REGEX);
+    if (shown) {
+      return {
+        intent,
+        items: [],
+        listName: extractList(` in ${rest}`, ` in ${restNormalized}`).listName,
+        confidence: HIGH_CONFIDENCE,
+      };
+    }
+    const leftover = restNormalized.replace(/\b(?:a|o|as|os|minha|my|the|me)\b/g, '');
+    return {
+      intent,
+      items: [],
+      listName,
+      confidence: hasList || isFiller(leftover) ? HIGH_CONFIDENCE : PARTIAL_CONFIDENCE,
+    };
+  }
+
+  const suffix = intent === 'mark_bought' ? restNormalized.match(BOUGHT_SUFFIX_REGEX) : null;
+  const itemsEnd = suffix ? suffix.index : rest.length;
+  const items = splitItems(rest.slice(0, itemsEnd), restNormalized.slice(0, itemsEnd));
+  let confidence = HIGH_CONFIDENCE;
+  if (!items.length) {
+    confidence = LOW_CONFIDENCE;
+  } else if (
+    items.some((item) => FOLLOW_UP_REGEX.test(item.normalized)) ||
+    FOLLOW_UP_REGEX.test(normalize(listName || ''))
+  ) {
+    confidence = LOW_CONFIDENCE;
+  }
+  return { intent, items: items.map((item) => item.text), listName, confidence };
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Recognize the commands that take the whole message: clearing bought items, creating a list, switching group
+ * @returns {Object|null} Intent
+ */
+const parseWholeMessageCommand = (original, normalized) => {
+  const clear = normalized.match(CLEAR_COMPLETED_REGEX);
+  if (clear) {
+    const start = normalized.length - clear[1].length;
+    const { listName } = extractList(original.slice(start), clear[1]);
+    return { intent: 'clear_completed', items: [], listName };
+  }
+
+  const create = normalized.match(CREATE_LIST_REGEX);
+  if (create) {
+    const name = cleanItem(original.slice(normalized.length - create[1].length), create[1]).text;
+    return name ? { intent: 'create_list', items: [], listName: capitalize(name) } : null;
+  }
+
+  const switchGroup = normalized.match(SWITCH_GROUP_REGEX);
+  if (switchGroup) {
+    // "switch to the family group"
+    const name = switchGroup[1].replace(/\s+(?:group|grupo)$/, '');
+    const start = normalized.length - switchGroup[1].length;
+    const groupName = cleanItem(original.slice(start, start + name.length), name).text;
+    return groupName ? { intent: 'switch_group', items: [], listName: null, groupName } : null;
+  }
+  return null;
+};
+
+/**
+ * Parse the common list commands of a WhatsApp message without calling a model
+ * Understands Portuguese and English commands such as "adicionar arroz e feijão", "tirar leite da lista do mercado",
+ * "mostrar lista", "lista do mercado", "add eggs to the party list", "comprei arroz", "limpar comprados",
+ * "cria uma lista pra churrasco" or "mudar para o grupo casa". Messages that depend on the previous
+ * messages ("make it two", "to the other list") are returned with a low confidence, and messages with several
+ * commands with a partial one, for the model to handle
+ * @param {string} text - Message text
+ * @returns {{intents: Object[], confidence: number}} intents: [{ intent, items, listName, groupName? }], in message order;
+ * confidence is 0 when no command was recognized
+ */
+const parseIntent = (text) => {
+  const original = String(text || '')
+    .normalize('NFC')
+    .trim()
+    .replace(/[.!?]+$/, '');
+  const normalized = normalize(original);
+
+  const preamble = normalized.match(PREAMBLE_REGEX);
+  const commandStart = preamble ? preamble[0].length : 0;
+  const command = parseWholeMessageCommand(original.slice(commandStart), normalized.slice(commandStart));
+  if (command) {
+    return { intents: [command], confidence: HIGH_CONFIDENCE };
+  }
+
+  if (BARE_LIST_REGEX.test(normalized) || SHOW_QUESTION_REGEX.test(normalized)) {
+    const { listName } = extractList(original, normalized);
+    return { intents: [{ intent: 'show_list', items: [], listName }], confidence: HIGH_CONFIDENCE };
+  }
+
+  const verbs = [];
+  normalized.replace(VERB_REGEX, (match, prefix, verb, offset) => {
+    verbs.push({ verb, start: offset + prefix.length, end: offset + prefix.length + verb.length });
+    return match;
+  });
+  if (!verbs.length) {
+    return { intents: [], confidence: 0 };
+  }
+
+  const clauses = verbs.map(({ verb, end }, index) => {
+    const clauseEnd = index + 1 < verbs.length ? verbs[index + 1].start : original.length;
+    // "... e remover leite": the connector belongs to the next clause
+    const connector = normalized.slice(end, clauseEnd).match(/(?:[\s,;]+(?:e|and|tambem|also|depois|then))?[\s,;]*$/);
+    const bodyEnd = clauseEnd - (connector ? connector[0].length : 0);
+    const politeEnd = normalized.slice(end, bodyEnd).match(/(?:[\s,]+(?:por favor|please|pfv|pls))?\s*$/);
+    const cleanEnd = bodyEnd - (politeEnd ? politeEnd[0].length : 0);
+    return parseClause(VERB_INTENTS[verb], original.slice(end, cleanEnd).trim(), normalized.slice(end, cleanEnd).trim());
+  });
+
+  // text before the first command that is not a greeting may change its meaning, and a verb after the
+  // first one may be part of an item: "adicionar papel toalha e tira manchas" adds a stain remover
+  const confidence = Math.min(
+    ...clauses.map((clause) => clause.confidence),
+    isFiller(normalized.slice(0, verbs[0].start)) ? HIGH_CONFIDENCE : PARTIAL_CONFIDENCE,
+    verbs.length > 1 ? PARTIAL_CONFIDENCE : HIGH_CONFIDENCE
+  );
+
+  return {
+    intents: clauses.map(({ intent, items, listName }) => ({ intent, items, listName })),
+    confidence,
+  };
+};
+
+module.exports = {
+  parseIntent,
+};
@@ -0,0 +1,124 @@
+/* eslint-disable security/detect-unsafe-regex, security/detect-non-literal-regexp */
+// the patterns only run on single list items, which are at most a few hundred characters long
+
+// unit -> words and abbreviations it is written as, in PT and EN
+const UNIT_WORDS = {
+  kg: ['kg', 'kgs', 'quilos', 'quilo', 'kilos', 'kilo'],
+  g: ['gramas', 'grama', 'gr', 'g'],
+  L: ['litros', 'litro', 'lts', 'lt', 'l', 'liters', 'liter'],
+  mL: ['ml'],
+  un: ['unidades', 'unidade', 'unid', 'und', 'un', 'units', 'unit'],
+  pacote: ['pacotes', 'pacote', 'pct', 'packs', 'pack'],
+  caixa: ['caixas', 'caixa', 'cx', 'boxes', 'box'],
+  lata: ['latas', 'lata', 'cans', 'can'],
+  garrafa: ['garrafas', 'garrafa', 'bottles', 'bottle'],
+  dúzia: ['dúzias', 'duzias', 'dúzia', 'duzia', 'dz', 'dozen'],
+  maço: ['maços', 'macos', 'maço', 'maco', 'bunches', 'bunch'],
+  bandeja: ['bandejas', 'bandeja'],
+  rolo: ['rolos', 'rolo', 'rolls', 'roll'],
+  fardo: ['fardos', 'fardo'],
+  saco: ['sacos', 'saco', 'bags', 'bag'],
+};
+
+const NUMBER_WORDS = {
+  um: 1,
+  uma: 1,
+  one: 1,
+  dois: 2,
+  duas: 2,
+  two: 2,
+  três: 3,
+  tres: 3,
+  three: 3,
+  quatro: 4,
+  four: 4,
+  cinco: 5,
+  five: 5,
+  seis: 6,
+  six: 6,
+  sete: 7,
+  seven: 7,
+  oito: 8,
+  eight: 8,
+  nove: 9,
+  nine: 9,
+  dez: 10,
+  ten: 10,
+  meio: 0.5,
+  meia: 0.5,
+  half: 0.5,
+};
+
+const UNIT_BY_WORD = Object.keys(UNIT_WORDS).reduce((units, unit) => {
+  UNIT_WORDS[unit].forEach((word) => {
+    units[word] = unit; // eslint-disable-line no-param-reassign
+  });
+  return units;
+}, {});
+
+// longer words first so the alternations match them whole
+const byLength = (a, b) => b.length - a.length;
+const UNIT_PATTERN = Object.keys(UNIT_BY_WORD).sort(byLength).join('|');
+const NUMBER_WORD_PATTERN = Object.keys(NUMBER_WORDS).sort(byLength).join('|');
+const NUMBER_PATTERN = '\\d+(?:[.,]\\d+)?';
+
+// "2kg de arroz", "3 latas de cerveja", "uma dúzia de ovos", "2x sabão", "2 leites"
+const LEADING_QUANTITY_REGEX = new RegExp(
+  `^(?:(${NUMBER_PATTERN})|(${NUMBER_WORD_PATTERN})(?=\\s))\\s*(?:(${UNIT_PATTERN})(?=\\s|\\.|$)\\.?|x(?=\\s))?\\s*(?:(?:de|do|da|dos|das|of)\\s+)?(.+)$`
+);
+// "arroz tio joão 5kg", "leite 2 caixas"; a trailing number needs its unit
+const TRAILING_QUANTITY_REGEX = new RegExp(`^(.+?)\\s+(${NUMBER_PATTERN})\\s*(${UNIT_PATTERN})\\.?$`);
+
+const toNumber = (value) => parseFloat(value.replace(',', '.'));
+
+/**
+ * Split a list item into its quantity, unit and product
+ * Items without a quantity keep their whole text as the product; a quantity without unit is counted in units
+ * @param {string} text - Item as typed, e.g. "2kg de arroz tio joão"
+ * @returns {{quantity: number|null, unit: string|null, product: string}}
+ */
+const parseListItem = (text) => {
+  const item = String(text || '')
+    .trim()
+    .replace(/\s+/g, ' ');
+  // lowercased without removing accents, so indexes still match the original text
+  const lowered = item.toLowerCase();
+
+  const leading = lowered.match(LEADING_QUANTITY_REGEX);
+  if (leading) {
+    const [, digits, word, unitWord, rest] = leading;
+    const product = item.slice(item.length - rest.length).trim();
+    if (product) {
+      return {
+        quantity: digits ? toNumber(digits) : NUMBER_WORDS[word],
+        unit: unitWord ? UNIT_BY_WORD[unitWord] : 'un',
+        product,
+      };
+    }
+  }
+
+  const trailing = lowered.match(TRAILING_QUANTITY_REGEX);
+  if (trailing) {
+    const [, rest, digits, unitWord] = trailing;
+    return { quantity: toNumber(digits), unit: UNIT_BY_WORD[unitWord], product: item.slice(0, rest.length).trim() };
+  }
+
+  return { quantity: null, unit: null, product: item };
+};
+
+/**
+ * Write a parsed item back as text, e.g. "3 kg arroz", "2 leite"
+ * @param {{quantity: number|null, unit: string|null, product: string}} item
+ * @returns {string}
+ */
+const formatListItem = ({ quantity, unit, product }) => {
+  if (!quantity) {
+    return product;
+  }
+  return unit && unit !== 'un' ? `${quantity} ${unit} ${product}` : `${quantity} ${product}`;
+};
+
+module.exports = {
+  parseListItem,
+  formatListItem,
+};
@@ -1,15 +1,56 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { extractAccessKey } = require('../accessKey');
 
 class Scraper {
   constructor(url) {
     this.url = url;
     this.items = [];
     this.vendor = {};
+    // SCRAPER_FIXTURES_DIR makes every scraper read recorded pages instead of hitting SEFAZ
+    this.fixturesDir = process.env.SCRAPER_FIXTURES_DIR || null;
+    this.recordFixtures = process.env.SCRAPER_RECORD_FIXTURES === 'true';
+  }
+
+  /**
+   * Read the page from a directory of recorded HTML snapshots instead of the SEFAZ site
+   * @param {string} dir - Directory holding <accessKey>.html files
+   * @param {Object} [options]
+   * @param {boolean} [options.record] - Fetch the live page and save it in the directory
+   * @returns {Scraper}
+   */
+  useFixtures(dir, { record = false } = {}) {
+    this.fixturesDir = dir;
+    this.recordFixtures = record;
+    return this;
+  }
+
+  // snapshots are named after the access key, so every URL variant of a nota shares one file
+  getFixturePath() {
+    const name = extractAccessKey(this.url) || crypto.createHash('sha1').update(String(this.url)).digest('hex');
+    return path.join(this.fixturesDir, `${name}.html`);
   }
 
   async readUrl() {
-    const { data } = await axios.get(this.url);
+    let data;
+    if (this.fixturesDir && !this.recordFixtures) {
+      const fixturePath = this.getFixturePath();
+      try {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        data = await fs.promises.readFile(fixturePath, 'utf8');
+      } catch (error) {
+        throw new Error(`No recorded page for ${this.url} (${fixturePath})`);
+      }
+    } else {
+      ({ data } = await axios.get(this.url));
+      if (this.fixturesDir) {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        await fs.promises.writeFile(this.getFixturePath(), data);
+      }
+    }
     const $ = cheerio.load(data);
     this.$ = $;
     return this;
@@ -22,6 +63,38 @@ class Scraper {
     });
     this.total = total;
   }
+
+  /**
+   * Parse a number printed in the Brazilian format (1.234,56)
+   * @param {string} text
+   * @returns {number|null}
+   */
+  // eslint-disable-next-line class-methods-use-this
+  parseNumber(text) {
+    if (!text) {
+      return null;
+    }
+    let cleaned = String(text).replace(/[^\d,.-]/g, '');
+    if (cleaned.includes(',')) {
+      cleaned = cleaned.replace(/\./g, '').replace(',', '.');
+    }
+    const value = parseFloat(cleaned);
+    return Number.isNaN(value) ? null : value;
+  }
+
+  /**
+   * Read the unit an item was sold in ("UN: KG" -> 'KG')
+   * @param {string} text
+   * @returns {string|null}
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getUnit(text) {
+    const unit = String(text || '')
+      .replace(/^\s*UN\s*:/i, '')
+      .trim()
+      .toUpperCase();
+    return unit || null;
+  }
 }
 
 module.exports = { Scraper };
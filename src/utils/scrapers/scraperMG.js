@@ -0,0 +1,124 @@
+/* eslint-disable class-methods-use-this */
+const dayjs = require('dayjs');
+const customParseFormat = require('dayjs/plugin/customParseFormat');
+const { Scraper } = require('./scraper');
+
+dayjs.extend(customParseFormat);
+
+/**
+ * MG NFC-e consultation (portalsped.fazenda.mg.gov.br). The page does not use the shared
+ * portal layout: the vendor is a striped table header and every item is a #myTable row
+ * with the description, quantity, unit and total price in separate cells.
+ */
+class ScraperMG extends Scraper {
+  async readNota(existingNota) {
+    this.getGeneralInfo();
+    this.vendor = this.getVendor();
+    this.nf = existingNota.id;
+    this.id = existingNota._id;
+
+    this.getItems();
+    this.getTotal();
+    return this;
+  }
+
+  getItems() {
+    this.$('#myTable tr').each((index, element) => {
+      const cells = this.$(element).find('td');
+      if (cells.length < 4) {
+        return;
+      }
+
+      const description = cells.eq(0).text();
+      const quantity = this.getQuantity(cells.eq(1).text());
+      const totalPrice = this.getTotalPrice(cells.eq(3).text());
+
+      this.items.push({
+        product: this.getProductName(description),
+        code: this.getProductCode(description),
+        quantity,
+        unit: this.getUnit(cells.eq(2).text()),
+        // MG only prints the line total, so the unit price is derived from it
+        unitPrice: quantity ? Math.round((totalPrice / quantity) * 100) / 100 : null,
+        totalPrice,
+        purchaseDate: this.purchaseDate,
+        notaId: this.id,
+        vendor: this.CNPJ,
+      });
+    });
+  }
+
+  getVendor() {
+    const header = this.$('table').first();
+    const rows = header.find('tbody tr');
+    this.vendor = {
+      name: header.find('thead b').first().text().trim(),
+      CNPJ: this.getCNPJ(rows.eq(0).text()),
+      address: this.getAddress(rows.eq(1).text()),
+    };
+    return this.vendor;
+  }
+
+  getCNPJ(text) {
+    const match = text.match(/CNPJ:\s*([\d./-]+)/);
+    this.CNPJ = match ? match[1].replace(/[,.]$/, '') : null;
+    return this.CNPJ;
+  }
+
+  /**
+   * MG prints "street, number, neighborhood, city, UF" without a complement
+   * @param {string} text
+   * @returns {Object|null}
+   */
+  getAddress(text) {
+    const parts = text
+      .replace(/\s+/g, ' ')
+      .split(',')
+      .map((part) => part.trim());
+
+    if (parts.length < 5) {
+      return null;
+    }
+
+    const [street, number] = parts;
+    const [neighborhood, city, state] = parts.slice(-3);
+    this.address = {
+      street,
+      number,
+      neighborhood,
+      city,
+      state: state || 'MG',
+    };
+    return this.address;
+  }
+
+  getGeneralInfo() {
+    const match = this.$('body')
+      .text()
+      .match(/(\d{2}\/\d{2}\/\d{4}\s+\d{2}:\d{2}:\d{2})/);
+    this.purchaseDate = match ? dayjs(match[1].replace(/\s+/, ' '), 'DD/MM/YYYY HH:mm:ss').toDate() : null;
+    return this.purchaseDate;
+  }
+
+  getProductCode(text) {
+    const match = text.match(/C[óo]digo:\s*(\d+)/);
+    return match ? match[1] : null;
+  }
+
+  getProductName(text) {
+    const name = text.replace(/\(C[óo]digo:[^)]*\)/, '').trim();
+    return name || null;
+  }
+
+  getQuantity(text) {
+    const match = text.match(/Qtde total de [íi]tens:\s*([\d.,]+)/);
+    return match ? this.parseNumber(match[1]) : null;
+  }
+
+  getTotalPrice(text) {
+    const match = text.match(/R\$\s*([\d.,]+)\s*$/);
+    return match ? this.parseNumber(match[1]) : null;
+  }
+}
+
+module.exports = { ScraperMG };
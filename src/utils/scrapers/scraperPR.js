@@ -0,0 +1,12 @@
+const { ScraperPortal } = require('./scraperPortal');
+
+/**
+ * PR NFC-e consultation (www.fazenda.pr.gov.br), printed in the shared portal layout
+ */
+class ScraperPR extends ScraperPortal {
+  constructor(url) {
+    super(url, 'PR');
+  }
+}
+
+module.exports = { ScraperPR };
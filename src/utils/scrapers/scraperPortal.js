@@ -0,0 +1,131 @@
+/* eslint-disable class-methods-use-this */
+const dayjs = require('dayjs');
+const customParseFormat = require('dayjs/plugin/customParseFormat');
+const { Scraper } = require('./scraper');
+
+dayjs.extend(customParseFormat);
+
+/**
+ * Scraper for the NFC-e consultation page shared by most SEFAZ portals
+ * (#conteudo header, #tabResult items table and #infos block).
+ * State scrapers extend it and only override what their page prints differently.
+ */
+class ScraperPortal extends Scraper {
+  constructor(url, state = null) {
+    super(url);
+    this.state = state;
+  }
+
+  async readNota(existingNota) {
+    this.getGeneralInfo();
+    this.vendor = this.getVendor();
+    this.nf = existingNota.id;
+    this.id = existingNota._id;
+
+    this.getItems();
+    this.getTotal();
+    return this;
+  }
+
+  getItems() {
+    this.$('#tabResult tr').each((index, element) => {
+      const row = this.$(element);
+      const product = this.getProductName(row.find('.txtTit').first().text().trim());
+      if (!product) {
+        return;
+      }
+
+      this.items.push({
+        product,
+        code: this.getProductCode(row.find('.RCod').text().trim()),
+        quantity: this.getQuantity(row.find('.Rqtd').text().trim()),
+        unit: this.getUnit(row.find('.RUN').text()),
+        unitPrice: this.getUnitPrice(row.find('.RvlUnit').text().trim()),
+        totalPrice: this.getTotalPrice(row.find('.valor').text().trim()),
+        purchaseDate: this.purchaseDate,
+        notaId: this.id,
+        vendor: this.CNPJ,
+      });
+    });
+  }
+
+  getVendor() {
+    const texts = this.$('#conteudo div.text');
+    this.vendor = {
+      name: this.$('#conteudo .txtTopo').first().text().trim(),
+      CNPJ: this.getCNPJ(texts.first().text()),
+      address: this.getAddress(texts.last().text()),
+    };
+    return this.vendor;
+  }
+
+  getCNPJ(text) {
+    const match = text.match(/CNPJ:\s*([\d./-]+)/);
+    this.CNPJ = match ? match[1] : null;
+    return this.CNPJ;
+  }
+
+  /**
+   * The address is printed as "street, number, complement, neighborhood, city, UF",
+   * with arbitrary whitespace and line breaks between the parts
+   * @param {string} text
+   * @returns {Object|null}
+   */
+  getAddress(text) {
+    const parts = text
+      .replace(/\s+/g, ' ')
+      .split(',')
+      .map((part) => part.trim());
+
+    if (parts.length < 5) {
+      return null;
+    }
+
+    // the complement is optional: without it the neighborhood follows the number
+    const [street, number] = parts;
+    const [neighborhood, city, state] = parts.length >= 6 ? parts.slice(3, 6) : parts.slice(2, 5);
+
+    this.address = {
+      street,
+      number,
+      neighborhood,
+      city,
+      state: state || this.state,
+    };
+    return this.address;
+  }
+
+  getGeneralInfo() {
+    const match = this.$('#infos')
+      .text()
+      .match(/Emiss[ãa]o:\s*(\d{2}\/\d{2}\/\d{4}\s+\d{2}:\d{2}:\d{2})/);
+    this.purchaseDate = match ? dayjs(match[1].replace(/\s+/, ' '), 'DD/MM/YYYY HH:mm:ss').toDate() : null;
+    return this.purchaseDate;
+  }
+
+  getProductCode(text) {
+    const match = text.match(/C[óo]digo:\s*(\d+)/);
+    return match ? match[1] : null;
+  }
+
+  getProductName(text) {
+    const match = text.match(/^[^\n]+/);
+    return match ? match[0].trim() : null;
+  }
+
+  getQuantity(text) {
+    const match = text.match(/Qtde\.:\s*([\d.,]+)/);
+    return match ? this.parseNumber(match[1]) : null;
+  }
+
+  getUnitPrice(text) {
+    const match = text.match(/Vl\. Unit\.:\s*([\d.,]+)/);
+    return match ? this.parseNumber(match[1]) : null;
+  }
+
+  getTotalPrice(text) {
+    return this.parseNumber(text);
+  }
+}
+
+module.exports = { ScraperPortal };
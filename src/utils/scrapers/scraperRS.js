@@ -23,6 +23,7 @@ class ScraperRS extends Scraper {
         product: this.getProductName(this.$(element).find('.txtTit').text().trim()),
         code: this.getProductCode(this.$(element).find('.RCod').text().trim()),
         quantity: this.getQuantity(this.$(element).find('.Rqtd').text().trim()),
+        unit: this.getUnit(this.$(element).find('.RUN').text()),
         unitPrice: this.getUnitPrice(this.$(element).find('.RvlUnit').text().trim()),
         totalPrice: this.getTotalPrice(this.$(element).find('.valor').text().trim()),
         purchaseDate: this.purchaseDate,
@@ -72,10 +73,10 @@ class ScraperRS extends Scraper {
   }
 
   getGeneralInfo() {
+    // the emission date is not always on the first line of the block, so search the whole text
     const info = this.$('#infos li').text();
-    const infos = info.split('\n');
-    const emissao = infos[0].split('Emissão: ');
-    this.purchaseDate = dayjs(emissao[1], 'DD/MM/YYYY HH:mm:ss').toDate();
+    const match = info.match(/Emissão:\s*(\d{2}\/\d{2}\/\d{4}\s+\d{2}:\d{2}:\d{2})/);
+    this.purchaseDate = match ? dayjs(match[1].replace(/\s+/, ' '), 'DD/MM/YYYY HH:mm:ss').toDate() : null;
     return this.purchaseDate;
   }
 
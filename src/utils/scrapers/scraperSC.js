@@ -0,0 +1,12 @@
+const { ScraperPortal } = require('./scraperPortal');
+
+/**
+ * SC NFC-e consultation (sat.sef.sc.gov.br), printed in the shared portal layout
+ */
+class ScraperSC extends ScraperPortal {
+  constructor(url) {
+    super(url, 'SC');
+  }
+}
+
+module.exports = { ScraperSC };
@@ -0,0 +1,12 @@
+const { ScraperPortal } = require('./scraperPortal');
+
+/**
+ * SP NFC-e consultation (www.nfce.fazenda.sp.gov.br), printed in the shared portal layout
+ */
+class ScraperSP extends ScraperPortal {
+  constructor(url) {
+    super(url, 'SP');
+  }
+}
+
+module.exports = { ScraperSP };
@@ -1,25 +1,116 @@
+const httpStatus = require('http-status');
+const ApiError = require('../ApiError');
+const { UF_CODES, extractAccessKey } = require('../accessKey');
 const { ScraperRS } = require('./scraperRS');
+const { ScraperSP } = require('./scraperSP');
+const { ScraperSC } = require('./scraperSC');
+const { ScraperPR } = require('./scraperPR');
+const { ScraperMG } = require('./scraperMG');
+
+// state (UF) -> { hosts, ScraperClass, consultationUrl }
+const registry = {};
+
+/**
+ * Register the scraper used for the notas of a state
+ * @param {string} state - UF, e.g. 'RS'
+ * @param {string[]} hosts - SEFAZ hosts serving that state's NFC-e consultation
+ * @param {Function} ScraperClass - Scraper subclass able to read those pages
+ * @param {string} [consultationUrl] - QR code consultation page, used for keys typed without a URL
+ */
+const registerScraper = (state, hosts, ScraperClass, consultationUrl = null) => {
+  registry[state] = {
+    hosts: hosts.map((host) => host.toLowerCase()),
+    ScraperClass,
+    consultationUrl,
+  };
+};
+
+registerScraper(
+  'RS',
+  ['www.sefaz.rs.gov.br', 'dfe-portal.svrs.rs.gov.br'],
+  ScraperRS,
+  'https://www.sefaz.rs.gov.br/NFCE/NFCE-COM.aspx'
+);
+registerScraper(
+  'SP',
+  ['www.nfce.fazenda.sp.gov.br', 'nfce.fazenda.sp.gov.br'],
+  ScraperSP,
+  'https://www.nfce.fazenda.sp.gov.br/NFCeConsultaPublica/Paginas/ConsultaQRCode.aspx'
+);
+registerScraper('SC', ['sat.sef.sc.gov.br'], ScraperSC, 'https://sat.sef.sc.gov.br/nfce/consulta');
+registerScraper(
+  'PR',
+  ['www.fazenda.pr.gov.br', 'www.sped.fazenda.pr.gov.br'],
+  ScraperPR,
+  'http://www.fazenda.pr.gov.br/nfce/qrcode'
+);
+registerScraper(
+  'MG',
+  ['portalsped.fazenda.mg.gov.br', 'nfce.fazenda.mg.gov.br'],
+  ScraperMG,
+  'https://portalsped.fazenda.mg.gov.br/portalnfce/sistema/qrcode.xhtml'
+);
+
+/**
+ * List the states that have a registered scraper
+ * @returns {string[]}
+ */
+const getSupportedStates = () => Object.keys(registry);
+
+/**
+ * Build the QR code consultation URL of a manually typed access key
+ * @param {string} accessKey - 44-digit access key
+ * @returns {string|null} null when the key's state has no registered consultation page
+ */
+const buildConsultationUrl = (accessKey) => {
+  const entry = registry[UF_CODES[String(accessKey).slice(0, 2)]];
+  if (!entry || !entry.consultationUrl) {
+    return null;
+  }
+  return `${entry.consultationUrl}?p=${accessKey}|2|1`;
+};
 
 class SelectStateScraper {
   constructor(url) {
-    const { host } = new URL(url);
-    const parts = host.split('/');
-
     this.url = url;
-    // eslint-disable-next-line prefer-destructuring
-    this.origin = parts[2];
+    try {
+      this.host = new URL(url).host.toLowerCase();
+    } catch (err) {
+      this.host = null;
+    }
+    this.state = this.getStateFromHost() || this.getStateFromAccessKey();
 
     return this;
   }
 
+  getStateFromHost() {
+    if (!this.host) {
+      return null;
+    }
+    return Object.keys(registry).find((state) => registry[state].hosts.includes(this.host)) || null;
+  }
+
+  // the QR code URL carries the access key (p=<44 digits>|...), whose first two digits are the UF code
+  getStateFromAccessKey() {
+    const accessKey = extractAccessKey(this.url);
+    if (!accessKey) {
+      return null;
+    }
+    return UF_CODES[accessKey.slice(0, 2)] || null;
+  }
+
   async select() {
-    try {
-      this.notaData = new ScraperRS(this.url);
-    } catch (err) {
-      throw new Error(`Invalid URL or state not supported: ${err.message}`);
+    const entry = this.state ? registry[this.state] : null;
+    if (!entry) {
+      const origin = this.state || this.host || 'unknown';
+      throw new ApiError(
+        httpStatus.UNPROCESSABLE_ENTITY,
+        `State not supported: ${origin}. Supported states: ${getSupportedStates().join(', ')}`
+      );
     }
+    this.notaData = new entry.ScraperClass(this.url);
     return this.notaData;
   }
 }
 
-module.exports = { SelectStateScraper };
+module.exports = { SelectStateScraper, registerScraper, getSupportedStates, buildConsultationUrl };
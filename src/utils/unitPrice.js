@@ -0,0 +1,74 @@
+// unit -> [base unit, factor to the base unit]
+const UNIT_CONVERSIONS = {
+  kg: ['kg', 1],
+  g: ['kg', 0.001],
+  l: ['L', 1],
+  lt: ['L', 1],
+  ml: ['L', 0.001],
+};
+
+// package size printed in the description, e.g. "ARROZ TIO JOAO 5KG", "CERVEJA LATA 350ML"
+const PACKAGE_SIZE_REGEX = /(\d+[.,]\d+|\d+)\s*(KG|G|ML|LT|L)\b/i;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get the base unit a weight or volume unit converts to
+ * @param {string} unit - kg, g, L, lt or mL, in any case
+ * @returns {[string, number]|null} [base unit (kg or L), factor to the base unit], null for other units
+ */
+const getUnitConversion = (unit) => UNIT_CONVERSIONS[String(unit || '').toLowerCase()] || null;
+
+/**
+ * Read the package size from a product description
+ * @param {string} description
+ * @returns {{quantity: number, unit: string}|null}
+ */
+const parsePackageSize = (description) => {
+  const match = String(description || '').match(PACKAGE_SIZE_REGEX);
+  if (!match) {
+    return null;
+  }
+  return { quantity: parseFloat(match[1].replace(',', '.')), unit: match[2] };
+};
+
+/**
+ * Convert the price paid for an item into a price per kg or per L
+ * Items sold by weight/volume (unit KG, L...) already carry that price; packaged items are converted
+ * with the package size printed in the description, or else the one of their canonical product
+ * @param {Object} item
+ * @param {number} item.unitPrice - Price of one sold unit
+ * @param {string} [item.unit] - Unit the item was sold in (UN, KG, L...)
+ * @param {string} [item.description] - Product description from the nota
+ * @param {Object} [packageSize] - Package size of the canonical product
+ * @param {number} [packageSize.quantity]
+ * @param {string} [packageSize.unit] - kg, g, L or mL
+ * @returns {{normalizedUnit: string, normalizedPrice: number}|null} null when the price cannot be normalized
+ */
+const normalizeUnitPrice = ({ unitPrice, unit, description }, packageSize = {}) => {
+  if (typeof unitPrice !== 'number' || Number.isNaN(unitPrice)) {
+    return null;
+  }
+
+  const soldBy = getUnitConversion(unit);
+  if (soldBy) {
+    const [normalizedUnit, factor] = soldBy;
+    return { normalizedUnit, normalizedPrice: round(unitPrice / factor) };
+  }
+
+  // the description is what was printed for this purchase, the canonical package size is a classification guess
+  const size =
+    parsePackageSize(description) || (packageSize.quantity && getUnitConversion(packageSize.unit) ? packageSize : null);
+  const conversion = size ? getUnitConversion(size.unit) : null;
+  if (!conversion || !size.quantity) {
+    return null;
+  }
+  const [normalizedUnit, factor] = conversion;
+  return { normalizedUnit, normalizedPrice: round(unitPrice / (size.quantity * factor)) };
+};
+
+module.exports = {
+  getUnitConversion,
+  parsePackageSize,
+  normalizeUnitPrice,
+};
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { objectId } = require('./custom.validation');
 
 const createCanonicalProduct = {
   body: Joi.object().keys({
@@ -56,39 +57,41 @@ const updateCanonicalProduct = {
   params: Joi.object().keys({
     id: Joi.string().required(),
   }),
-  body: Joi.object().keys({
-    canonical_name: Joi.string(),
-    canonical_name_normalized: Joi.string(),
-    brand: Joi.string().allow(null),
-    brand_normalized: Joi.string().allow(null),
-    category: Joi.string().allow(null),
-    subcategory: Joi.string().allow(null),
-    category_key: Joi.string().allow(null),
-    package_size: Joi.string().allow(null),
-    unit: Joi.string().allow(null),
-    quantity: Joi.number().allow(null),
-    package_description: Joi.string().allow(null),
-    gtin: Joi.string().allow(null),
-    ncm: Joi.string().allow(null),
-    origin: Joi.string().allow(null),
-    synonyms: Joi.array().items(Joi.string()),
-    synonyms_normalized: Joi.array().items(Joi.string()),
-    synonyms_stats: Joi.array().items(
-      Joi.object().keys({
-        synonym: Joi.string().required(),
-        count: Joi.number().default(1),
-      })
-    ),
-    is_alcoholic: Joi.boolean().allow(null),
-    is_fresh_produce: Joi.boolean().allow(null),
-    is_bulk: Joi.boolean().allow(null),
-    confidence: Joi.number().min(0).max(1),
-    source: Joi.string(),
-    embedding: Joi.array().items(Joi.number()).allow(null),
-    scope: Joi.string().valid('global', 'group'),
-    group_id: Joi.string().allow(null),
-    updated_by: Joi.string(),
-  }).min(1),
+  body: Joi.object()
+    .keys({
+      canonical_name: Joi.string(),
+      canonical_name_normalized: Joi.string(),
+      brand: Joi.string().allow(null),
+      brand_normalized: Joi.string().allow(null),
+      category: Joi.string().allow(null),
+      subcategory: Joi.string().allow(null),
+      category_key: Joi.string().allow(null),
+      package_size: Joi.string().allow(null),
+      unit: Joi.string().allow(null),
+      quantity: Joi.number().allow(null),
+      package_description: Joi.string().allow(null),
+      gtin: Joi.string().allow(null),
+      ncm: Joi.string().allow(null),
+      origin: Joi.string().allow(null),
+      synonyms: Joi.array().items(Joi.string()),
+      synonyms_normalized: Joi.array().items(Joi.string()),
+      synonyms_stats: Joi.array().items(
+        Joi.object().keys({
+          synonym: Joi.string().required(),
+          count: Joi.number().default(1),
+        })
+      ),
+      is_alcoholic: Joi.boolean().allow(null),
+      is_fresh_produce: Joi.boolean().allow(null),
+      is_bulk: Joi.boolean().allow(null),
+      confidence: Joi.number().min(0).max(1),
+      source: Joi.string(),
+      embedding: Joi.array().items(Joi.number()).allow(null),
+      scope: Joi.string().valid('global', 'group'),
+      group_id: Joi.string().allow(null),
+      updated_by: Joi.string(),
+    })
+    .min(1),
 };
 
 const deleteCanonicalProduct = {
@@ -97,6 +100,18 @@ const deleteCanonicalProduct = {
   }),
 };
 
+const getPriceHistory = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+  query: Joi.object().keys({
+    groupId: Joi.string().required().custom(objectId),
+    vendorId: Joi.string().custom(objectId),
+    startDate: Joi.date(),
+    endDate: Joi.date(),
+  }),
+};
+
 const search = {
   query: Joi.object().keys({
     q: Joi.string().required(),
@@ -106,14 +121,16 @@ const search = {
 
 const createFromNotaItem = {
   body: Joi.object().keys({
-    productData: Joi.object().keys({
-      product: Joi.string(),
-      name: Joi.string(),
-      code: Joi.string().allow(null),
-      quantity: Joi.number().allow(null),
-      unitPrice: Joi.number().allow(null),
-      totalPrice: Joi.number().allow(null),
-    }).required(),
+    productData: Joi.object()
+      .keys({
+        product: Joi.string(),
+        name: Joi.string(),
+        code: Joi.string().allow(null),
+        quantity: Joi.number().allow(null),
+        unitPrice: Joi.number().allow(null),
+        totalPrice: Joi.number().allow(null),
+      })
+      .required(),
     userId: Joi.string(),
     groupId: Joi.string().allow(null),
     useOpenAI: Joi.boolean().default(true),
@@ -126,7 +143,7 @@ module.exports = {
   getCanonicalProduct,
   updateCanonicalProduct,
   deleteCanonicalProduct,
+  getPriceHistory,
   search,
   createFromNotaItem,
 };
-
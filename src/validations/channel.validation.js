@@ -0,0 +1,13 @@
+const Joi = require('joi');
+
+const handleWebhook = {
+  params: Joi.object().keys({
+    channel: Joi.string().required(),
+  }),
+  // each provider has its own payload, parsed by the channel
+  body: Joi.object().unknown(true),
+};
+
+module.exports = {
+  handleWebhook,
+};
@@ -4,6 +4,11 @@ const checkNotas = {
   params: Joi.object().keys(),
 };
 
+const runListSchedules = {
+  query: Joi.object().keys(),
+};
+
 module.exports = {
   checkNotas,
+  runListSchedules,
 };
@@ -11,10 +11,12 @@ const createGroup = {
   body: Joi.object().keys({
     name: Joi.string().required().min(1).max(100),
     description: Joi.string().optional().max(500),
-    settings: Joi.object().keys({
-      allowInvitations: Joi.boolean().default(true),
-      requireApproval: Joi.boolean().default(false),
-    }).optional(),
+    settings: Joi.object()
+      .keys({
+        allowInvitations: Joi.boolean().default(true),
+        requireApproval: Joi.boolean().default(false),
+      })
+      .optional(),
   }),
 };
 
@@ -22,10 +24,12 @@ const updateGroup = {
   params: Joi.object().keys({
     groupId: Joi.string().custom(objectId).required(),
   }),
-  body: Joi.object().keys({
-    name: Joi.string().optional().min(1).max(100),
-    description: Joi.string().optional().max(500),
-  }).min(1),
+  body: Joi.object()
+    .keys({
+      name: Joi.string().optional().min(1).max(100),
+      description: Joi.string().optional().max(500),
+    })
+    .min(1),
 };
 
 const deleteGroup = {
@@ -38,10 +42,13 @@ const updateGroupSettings = {
   params: Joi.object().keys({
     groupId: Joi.string().custom(objectId).required(),
   }),
-  body: Joi.object().keys({
-    allowInvitations: Joi.boolean().optional(),
-    requireApproval: Joi.boolean().optional(),
-  }).min(1),
+  body: Joi.object()
+    .keys({
+      allowInvitations: Joi.boolean().optional(),
+      requireApproval: Joi.boolean().optional(),
+      aisleOrder: Joi.array().items(Joi.string()).unique().optional(),
+    })
+    .min(1),
 };
 
 module.exports = {
@@ -90,6 +90,66 @@ const getListItems = {
   }),
 };
 
+const getListSections = {
+  params: Joi.object().keys({
+    listId: Joi.string().custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    vendorId: Joi.string().custom(objectId).optional(),
+  }),
+};
+
+const streamListEvents = {
+  params: Joi.object().keys({
+    listId: Joi.string().custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    access_token: Joi.string().optional(),
+  }),
+};
+
+const streamGroupListEvents = {
+  params: Joi.object().keys({
+    groupId: Joi.string().custom(objectId).required(),
+  }),
+  query: Joi.object().keys({
+    access_token: Joi.string().optional(),
+  }),
+};
+
+const syncList = {
+  params: Joi.object().keys({
+    listId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    syncToken: Joi.string().optional(),
+    operations: Joi.array()
+      .items(
+        Joi.object()
+          .keys({
+            type: Joi.string().valid('add', 'update', 'delete').required(),
+            itemId: Joi.string().custom(objectId).when('type', { is: 'add', then: Joi.forbidden() }),
+            // id the client gave an item it added offline, until it learns the item's id
+            clientId: Joi.string().max(100).when('type', { is: 'add', then: Joi.required() }),
+            text: Joi.string().trim().max(500).when('type', { is: 'add', then: Joi.required(), otherwise: Joi.forbidden() }),
+            fields: Joi.object()
+              .keys({
+                text: Joi.string().trim().max(500),
+                isCompleted: Joi.boolean(),
+                order: Joi.number().integer().min(0),
+              })
+              .min(1)
+              .when('type', { is: 'update', then: Joi.required(), otherwise: Joi.forbidden() }),
+            at: Joi.date().iso().required(),
+            baseVersion: Joi.number().integer().min(0),
+          })
+          .or('itemId', 'clientId')
+      )
+      .max(500)
+      .default([]),
+  }),
+};
+
 const updateListItem = {
   params: Joi.object().keys({
     itemId: Joi.string().custom(objectId).required(),
@@ -117,6 +177,10 @@ module.exports = {
   deleteList,
   createListItem,
   getListItems,
+  getListSections,
+  streamListEvents,
+  streamGroupListEvents,
+  syncList,
   updateListItem,
   deleteListItem,
 };
@@ -0,0 +1,27 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+
+const getListSuggestions = {
+  query: Joi.object().keys({
+    groupId: Joi.string().custom(objectId).required(),
+    limit: Joi.number().integer().min(1).max(50).optional(),
+  }),
+};
+
+const acceptListSuggestion = {
+  params: Joi.object().keys({
+    suggestionId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const dismissListSuggestion = {
+  params: Joi.object().keys({
+    suggestionId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+module.exports = {
+  getListSuggestions,
+  acceptListSuggestion,
+  dismissListSuggestion,
+};
@@ -0,0 +1,85 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+
+const schedule = Joi.object()
+  .keys({
+    frequency: Joi.string().valid('weekly', 'biweekly', 'monthly').required(),
+    dayOfWeek: Joi.number().integer().min(0).max(6).when('frequency', {
+      is: 'monthly',
+      then: Joi.forbidden(),
+      otherwise: Joi.required(),
+    }),
+    dayOfMonth: Joi.number().integer().min(1).max(28).when('frequency', {
+      is: 'monthly',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
+    isActive: Joi.boolean().optional().default(true),
+  })
+  .allow(null);
+
+const items = Joi.array().items(Joi.string().trim().max(500)).max(200);
+
+const createListTemplate = {
+  body: Joi.object().keys({
+    name: Joi.string().required().trim().max(100),
+    description: Joi.string().optional().trim().max(500),
+    groupId: Joi.string().custom(objectId).required(),
+    items: items.min(1).required(),
+    schedule: schedule.optional(),
+  }),
+};
+
+const getListTemplates = {
+  query: Joi.object().keys({
+    groupId: Joi.string().custom(objectId).required(),
+    sortBy: Joi.string().optional(),
+    limit: Joi.number().integer().min(1).max(100).optional().default(10),
+    page: Joi.number().integer().min(1).optional().default(1),
+  }),
+};
+
+const getListTemplate = {
+  params: Joi.object().keys({
+    templateId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const updateListTemplate = {
+  params: Joi.object().keys({
+    templateId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      name: Joi.string().optional().trim().max(100),
+      description: Joi.string().optional().trim().max(500),
+      items: items.min(1).optional(),
+      schedule: schedule.optional(),
+    })
+    .min(1),
+};
+
+const deleteListTemplate = {
+  params: Joi.object().keys({
+    templateId: Joi.string().custom(objectId).required(),
+  }),
+};
+
+const instantiateListTemplate = {
+  params: Joi.object().keys({
+    templateId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    name: Joi.string().optional().trim().max(100),
+    description: Joi.string().optional().trim().max(500),
+  }),
+};
+
+module.exports = {
+  createListTemplate,
+  getListTemplates,
+  getListTemplate,
+  updateListTemplate,
+  deleteListTemplate,
+  instantiateListTemplate,
+};
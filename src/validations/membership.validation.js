@@ -87,6 +87,15 @@ const updateRole = {
   }),
 };
 
+const updateNotifications = {
+  params: Joi.object().keys({
+    membershipId: Joi.string().required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    muted: Joi.boolean().required(),
+  }),
+};
+
 const removeMember = {
   params: Joi.object().keys({
     membershipId: Joi.string().required().custom(objectId),
@@ -114,5 +123,6 @@ module.exports = {
   getMembership,
   updateRole,
   removeMember,
+  updateNotifications,
   getPendingInvitations,
 };
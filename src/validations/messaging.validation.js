@@ -14,6 +14,17 @@ const confirmCode = {
   }),
 };
 
+const getLockouts = {
+  query: Joi.object().keys({
+    phoneNumber: Joi.string(),
+    ip: Joi.string(),
+    reason: Joi.string().valid('daily_limit', 'failed_attempts'),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
 const getAvailable = {
   query: Joi.object().keys({
     brand: Joi.string(),
@@ -104,6 +115,7 @@ const deleteGarantia = {
 module.exports = {
   sendCodeWhatsApp,
   confirmCode,
+  getLockouts,
   getAvailable,
   getGarantias,
   getGarantia,
@@ -1,10 +1,36 @@
 const Joi = require('joi');
-// const { objectId } = require('./custom.validation');
+const { objectId } = require('./custom.validation');
 
 const checkNota = {
+  body: Joi.object()
+    .keys({
+      notaUrl: Joi.string(),
+      accessKey: Joi.string(),
+      userId: Joi.string(),
+    })
+    .or('notaUrl', 'accessKey'),
+};
+
+const createManualNota = {
   body: Joi.object().keys({
-    notaUrl: Joi.string(),
-    userId: Joi.string(),
+    vendorName: Joi.string().trim().max(200).required(),
+    vendorCNPJ: Joi.string().trim(),
+    purchaseDate: Joi.date().max('now').required(),
+    items: Joi.array()
+      .items(
+        Joi.object()
+          .keys({
+            product: Joi.string().trim().max(500).required(),
+            code: Joi.string().trim(),
+            quantity: Joi.number().positive().default(1),
+            unit: Joi.string().trim().max(10),
+            unitPrice: Joi.number().min(0),
+            totalPrice: Joi.number().min(0),
+          })
+          .or('unitPrice', 'totalPrice')
+      )
+      .min(1)
+      .required(),
   }),
 };
 
@@ -32,6 +58,46 @@ const loadNota = {
   }),
 };
 
+const getNotaJobs = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+};
+
+const flagNota = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    reason: Joi.string().trim().max(500).required(),
+  }),
+};
+
+const cancelNota = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    reason: Joi.string().trim().max(500),
+  }),
+};
+
+const correctNotaItem = {
+  params: Joi.object().keys({
+    id: Joi.string().required().custom(objectId),
+    itemIndex: Joi.number().integer().min(0).required(),
+  }),
+  body: Joi.object()
+    .keys({
+      product: Joi.string().trim().max(500),
+      quantity: Joi.number().positive(),
+      unitPrice: Joi.number().min(0),
+      totalPrice: Joi.number().min(0),
+      reason: Joi.string().trim().max(500),
+    })
+    .or('product', 'quantity', 'unitPrice', 'totalPrice'),
+};
+
 const getSpendingStatistics = {
   query: Joi.object().keys({
     userId: Joi.string().required(),
@@ -39,6 +105,13 @@ const getSpendingStatistics = {
   }),
 };
 
+const getSpendingByCategory = {
+  query: Joi.object().keys({
+    groupId: Joi.string().custom(objectId).optional(),
+    month: Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/),
+  }),
+};
+
 const getLast30DaysNotas = {
   query: Joi.object().keys({
     userId: Joi.string().required(),
@@ -48,9 +121,15 @@ const getLast30DaysNotas = {
 
 module.exports = {
   checkNota,
+  createManualNota,
   getAll,
   loadNota,
   get,
+  getNotaJobs,
+  flagNota,
+  cancelNota,
+  correctNotaItem,
   getSpendingStatistics,
+  getSpendingByCategory,
   getLast30DaysNotas,
 };
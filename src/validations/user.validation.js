@@ -91,6 +91,32 @@ const setActiveGroup = {
   }),
 };
 
+const updateNotificationSettings = {
+  params: Joi.object().keys({
+    userId: Joi.string().required().custom(objectId),
+  }),
+  body: Joi.object()
+    .keys({
+      whatsapp: Joi.boolean(),
+      quietHoursStart: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/),
+      quietHoursEnd: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/),
+    })
+    .min(1),
+};
+
+const createChannelLinkCode = {
+  params: Joi.object().keys({
+    userId: Joi.string().required().custom(objectId),
+  }),
+};
+
+const unlinkChannel = {
+  params: Joi.object().keys({
+    userId: Joi.string().required().custom(objectId),
+    linkId: Joi.string().required().custom(objectId),
+  }),
+};
+
 module.exports = {
   createUser,
   getUsers,
@@ -100,4 +126,7 @@ module.exports = {
   getUserMemberships,
   getUserGroups,
   setActiveGroup,
+  updateNotificationSettings,
+  createChannelLinkCode,
+  unlinkChannel,
 };
@@ -0,0 +1,36 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+
+const compareVendors = {
+  body: Joi.object()
+    .keys({
+      listId: Joi.string().custom(objectId),
+      groupId: Joi.string().custom(objectId),
+      products: Joi.array()
+        .items(
+          Joi.object().keys({
+            canonicalProductId: Joi.string().required().custom(objectId),
+            quantity: Joi.number().positive().default(1),
+            // kg, g, L or mL make the quantity an amount by weight or volume
+            unit: Joi.string().valid('kg', 'g', 'L', 'mL'),
+          })
+        )
+        .min(1),
+    })
+    .xor('listId', 'products')
+    .with('products', 'groupId'),
+};
+
+const updateAisleOrder = {
+  params: Joi.object().keys({
+    vendorId: Joi.string().custom(objectId).required(),
+  }),
+  body: Joi.object().keys({
+    aisleOrder: Joi.array().items(Joi.string()).unique().required(),
+  }),
+};
+
+module.exports = {
+  compareVendors,
+  updateAisleOrder,
+};
@@ -0,0 +1,85 @@
+const httpStatus = require('http-status');
+const httpMocks = require('node-mocks-http');
+const twilio = require('twilio');
+const config = require('../../../src/config/config');
+const verifyChannelSignature = require('../../../src/middlewares/channelSignature');
+const ApiError = require('../../../src/utils/ApiError');
+const logger = require('../../../src/config/logger');
+
+describe('Channel signature middleware', () => {
+  const { twilio: twilioConfig, telegram: telegramConfig } = config;
+  const savedConfig = { twilio: { ...twilioConfig }, telegram: { ...telegramConfig } };
+  const url = 'https://api.example.com/v1/whatsapp/webhook';
+  const body = { MessageSid: 'SM123', From: 'whatsapp:+5551999999999', Body: 'adicionar arroz' };
+
+  const buildRequest = (headers, params = {}) =>
+    httpMocks.createRequest({ method: 'POST', originalUrl: '/v1/whatsapp/webhook', headers, params, body });
+
+  const expectRejected = (next, statusCode) => {
+    const [error] = next.mock.calls[next.mock.calls.length - 1];
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.statusCode).toBe(statusCode);
+  };
+
+  beforeEach(() => {
+    Object.assign(config.twilio, {
+      authToken: 'twilio-auth-token',
+      webhookBaseUrl: 'https://api.example.com/',
+      validateSignature: true,
+    });
+    config.telegram.webhookSecret = 'telegram-secret';
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    Object.assign(config.twilio, savedConfig.twilio);
+    Object.assign(config.telegram, savedConfig.telegram);
+    jest.restoreAllMocks();
+  });
+
+  test('should accept a Twilio request signed with the auth token', () => {
+    const next = jest.fn();
+    const signature = twilio.getExpectedTwilioSignature('twilio-auth-token', url, body);
+
+    verifyChannelSignature('whatsapp')(buildRequest({ 'X-Twilio-Signature': signature }), httpMocks.createResponse(), next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test('should reject a Twilio request with a missing or forged signature', () => {
+    const next = jest.fn();
+    const forged = twilio.getExpectedTwilioSignature('another-token', url, body);
+
+    verifyChannelSignature('whatsapp')(buildRequest({}), httpMocks.createResponse(), next);
+    expectRejected(next, httpStatus.FORBIDDEN);
+    verifyChannelSignature('whatsapp')(buildRequest({ 'X-Twilio-Signature': forged }), httpMocks.createResponse(), next);
+    expectRejected(next, httpStatus.FORBIDDEN);
+  });
+
+  test('should check the Telegram secret token of the channel in the route', () => {
+    const next = jest.fn();
+    const params = { channel: 'telegram' };
+
+    verifyChannelSignature()(
+      buildRequest({ 'X-Telegram-Bot-Api-Secret-Token': 'telegram-secret' }, params),
+      httpMocks.createResponse(),
+      next
+    );
+    expect(next).toHaveBeenLastCalledWith();
+
+    verifyChannelSignature()(
+      buildRequest({ 'X-Telegram-Bot-Api-Secret-Token': 'wrong' }, params),
+      httpMocks.createResponse(),
+      next
+    );
+    expectRejected(next, httpStatus.FORBIDDEN);
+  });
+
+  test('should answer 404 for an unknown channel', () => {
+    const next = jest.fn();
+
+    verifyChannelSignature()(buildRequest({}, { channel: 'fax' }), httpMocks.createResponse(), next);
+
+    expectRejected(next, httpStatus.NOT_FOUND);
+  });
+});
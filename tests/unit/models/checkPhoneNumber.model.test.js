@@ -0,0 +1,41 @@
+const bcrypt = require('bcryptjs');
+const { CheckPhoneNumber } = require('../../../src/models');
+
+describe('CheckPhoneNumber model', () => {
+  const buildCheck = async (codeExpiresAt) =>
+    new CheckPhoneNumber({ phoneNumber: 5551999999999, codeHash: await bcrypt.hash('12345', 8), codeExpiresAt });
+
+  test('should match the hashed code until it expires', async () => {
+    const check = await buildCheck(new Date(Date.now() + 60 * 1000));
+
+    await expect(check.isCodeMatch(12345)).resolves.toBe(true);
+    await expect(check.isCodeMatch('54321')).resolves.toBe(false);
+
+    check.codeExpiresAt = new Date(Date.now() - 1000);
+    await expect(check.isCodeMatch(12345)).resolves.toBe(false);
+  });
+
+  test('should reserve each attempt before comparing the code, up to the attempts allowed', async () => {
+    const check = await buildCheck(new Date(Date.now() + 60 * 1000));
+    const findOneAndUpdate = jest.spyOn(CheckPhoneNumber, 'findOneAndUpdate').mockResolvedValueOnce(check);
+    jest.spyOn(check, 'isCodeMatch');
+
+    await expect(CheckPhoneNumber.confirmCodeLogin('12345', '5551999999999', 3)).resolves.toBe(true);
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { phoneNumber: 5551999999999, confirmed: { $ne: true }, count: { $lt: 3 } },
+      { $inc: { count: 1 } },
+      { new: true }
+    );
+
+    // no attempt left: the code is not compared at all
+    findOneAndUpdate.mockResolvedValueOnce(null);
+    await expect(CheckPhoneNumber.confirmCodeLogin('12345', '5551999999999', 3)).resolves.toBe(false);
+    expect(check.isCodeMatch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not expose the code hash in JSON output', async () => {
+    const check = await buildCheck(new Date());
+
+    expect(check.toJSON()).not.toHaveProperty('codeHash');
+  });
+});
@@ -0,0 +1,51 @@
+const { ConversationSession } = require('../../../src/models');
+const config = require('../../../src/config/config');
+const conversationSessionService = require('../../../src/services/conversationSession.service');
+
+describe('Conversation session service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should recognize the reset commands in English and Portuguese', () => {
+    expect(conversationSessionService.isResetCommand('Forget')).toBe(true);
+    expect(conversationSessionService.isResetCommand('esqueça!')).toBe(true);
+    expect(conversationSessionService.isResetCommand('Nova conversa')).toBe(true);
+    expect(conversationSessionService.isResetCommand('forget the milk')).toBe(false);
+  });
+
+  test('should replay the messages of an active session', async () => {
+    const messages = [
+      { role: 'user', text: 'add milk', at: new Date() },
+      { role: 'assistant', text: "I've added milk to your list!", at: new Date() },
+    ];
+    jest.spyOn(ConversationSession, 'findOne').mockResolvedValue({ lastActivityAt: new Date(), messages });
+
+    await expect(conversationSessionService.getSessionHistory(5551999999999)).resolves.toEqual(messages);
+  });
+
+  test('should discard a session inactive for longer than the timeout', async () => {
+    const lastActivityAt = new Date(Date.now() - (config.whatsapp.sessionTimeoutMinutes + 1) * 60 * 1000);
+    jest
+      .spyOn(ConversationSession, 'findOne')
+      .mockResolvedValue({ _id: 'session', lastActivityAt, messages: [{ role: 'user', text: 'add milk' }] });
+    const deleteOne = jest.spyOn(ConversationSession, 'deleteOne').mockResolvedValue({});
+
+    await expect(conversationSessionService.getSessionHistory(5551999999999)).resolves.toEqual([]);
+    expect(deleteOne).toHaveBeenCalledWith({ _id: 'session' });
+  });
+
+  test('should keep only the most recent messages', async () => {
+    const findOneAndUpdate = jest.spyOn(ConversationSession, 'findOneAndUpdate').mockResolvedValue({});
+
+    await conversationSessionService.appendToSession(5551999999999, [
+      { role: 'user', text: 'actually make it two' },
+      { role: 'assistant', text: 'Done!' },
+    ]);
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ phoneNumber: 5551999999999 });
+    expect(update.$push.messages.$each).toHaveLength(2);
+    expect(update.$push.messages.$slice).toBe(-config.whatsapp.sessionMaxMessages);
+  });
+});
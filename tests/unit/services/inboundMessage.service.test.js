@@ -0,0 +1,51 @@
+const { InboundMessage } = require('../../../src/models');
+const inboundMessageService = require('../../../src/services/inboundMessage.service');
+
+describe('Inbound message service', () => {
+  const duplicateKeyError = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should process a message received for the first time', async () => {
+    const record = { messageSid: 'SM123', status: 'processing' };
+    jest.spyOn(InboundMessage, 'create').mockResolvedValue(record);
+
+    await expect(inboundMessageService.claimMessage('whatsapp', 'SM123', '+5551999999999')).resolves.toEqual({
+      record,
+      isReplay: false,
+    });
+  });
+
+  test('should report a message already processed as a replay', async () => {
+    const record = { messageSid: 'SM123', status: 'completed', responseText: 'Added arroz to Mercado.' };
+    jest.spyOn(InboundMessage, 'create').mockRejectedValue(duplicateKeyError);
+    jest.spyOn(InboundMessage, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(InboundMessage, 'findOne').mockResolvedValue(record);
+
+    await expect(inboundMessageService.claimMessage('whatsapp', 'SM123', '+5551999999999')).resolves.toEqual({
+      record,
+      isReplay: true,
+    });
+  });
+
+  test('should process again a message whose processing failed or was abandoned', async () => {
+    const record = { messageSid: 'SM123', status: 'processing' };
+    jest.spyOn(InboundMessage, 'create').mockRejectedValue(duplicateKeyError);
+    const findOneAndUpdate = jest.spyOn(InboundMessage, 'findOneAndUpdate').mockResolvedValue(record);
+    const before = Date.now();
+
+    const result = await inboundMessageService.claimMessage('whatsapp', 'SM123', '+5551999999999');
+
+    expect(result.isReplay).toBe(false);
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ channel: 'whatsapp', messageSid: 'SM123' });
+    const [failed, abandoned] = filter.$or;
+    expect(failed).toEqual({ status: 'failed' });
+    expect(abandoned.status).toBe('processing');
+    // abandoned after the 5 minutes of processing timeout
+    expect(before - abandoned.processingStartedAt.$lt.getTime()).toBeGreaterThanOrEqual(5 * 60 * 1000);
+    expect(update.$set.processingStartedAt.getTime()).toBeGreaterThanOrEqual(before);
+  });
+});
@@ -0,0 +1,76 @@
+const httpStatus = require('http-status');
+const { Job } = require('../../../src/models');
+const ApiError = require('../../../src/utils/ApiError');
+const jobService = require('../../../src/services/job.service');
+
+jest.mock('../../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const buildJob = (attempts, maxAttempts = 3) => {
+  const job = new Job({ type: 'testJob', status: 'running', attempts, maxAttempts, lockedAt: new Date() });
+  job.save = jest.fn(() => Promise.resolve(job));
+  return job;
+};
+
+describe('Job service', () => {
+  let handler;
+  let onFailed;
+
+  beforeEach(() => {
+    handler = jest.fn();
+    onFailed = jest.fn();
+    jobService.registerJobHandler('testJob', handler, { onFailed });
+  });
+
+  test('should double the retry delay on every attempt, up to one hour', () => {
+    expect(jobService.getRetryDelay(1)).toBe(30 * 1000);
+    expect(jobService.getRetryDelay(2)).toBe(60 * 1000);
+    expect(jobService.getRetryDelay(3)).toBe(120 * 1000);
+    expect(jobService.getRetryDelay(20)).toBe(60 * 60 * 1000);
+  });
+
+  test('should complete the job and keep the handler result', async () => {
+    handler.mockResolvedValue({ items: 3 });
+
+    const job = await jobService.runJob(buildJob(1));
+
+    expect(job.status).toBe('completed');
+    expect(job.result).toEqual({ items: 3 });
+    expect(job.lockedAt).toBeNull();
+  });
+
+  test('should queue the job again with a backoff when an attempt fails', async () => {
+    handler.mockRejectedValue(new Error('SEFAZ timeout'));
+    const before = Date.now();
+
+    const job = await jobService.runJob(buildJob(2));
+
+    expect(job.status).toBe('queued');
+    expect(job.lastError).toBe('SEFAZ timeout');
+    expect(job.runAt.getTime()).toBeGreaterThanOrEqual(before + jobService.getRetryDelay(2));
+    expect(onFailed).not.toHaveBeenCalled();
+  });
+
+  test('should fail the job once it has no attempts left', async () => {
+    const error = new Error('SEFAZ timeout');
+    handler.mockRejectedValue(error);
+
+    const job = await jobService.runJob(buildJob(3));
+
+    expect(job.status).toBe('failed');
+    expect(onFailed).toHaveBeenCalledWith(job, error);
+  });
+
+  test('should not retry client errors', async () => {
+    handler.mockRejectedValue(new ApiError(httpStatus.UNPROCESSABLE_ENTITY, 'State not supported: RJ'));
+
+    const job = await jobService.runJob(buildJob(1));
+
+    expect(job.status).toBe('failed');
+    expect(job.lastError).toBe('State not supported: RJ');
+    expect(onFailed).toHaveBeenCalled();
+  });
+
+  test('should refuse to queue a job type without a handler', async () => {
+    await expect(jobService.enqueueJob('unknownJob')).rejects.toThrow('Unknown job type: unknownJob');
+  });
+});
@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const { CanonicalProduct, List, Membership, User } = require('../../../src/models');
+const canonicalProductService = require('../../../src/services/canonicalProduct.service');
+const listEventsService = require('../../../src/services/listEvents.service');
+const listNotificationService = require('../../../src/services/listNotification.service');
+const listService = require('../../../src/services/list.service');
+
+jest.mock('../../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+// the Twilio client cannot be created without credentials
+jest.mock('../../../src/services/messaging.service', () => ({ sendWhatsAppMessage: jest.fn() }));
+
+describe('List item parsing and merging', () => {
+  const rice = {
+    _id: mongoose.Types.ObjectId(),
+    canonical_name_normalized: 'arroz',
+    category: 'Mercearia',
+    category_key: 'grocery',
+  };
+  const buildList = (items) =>
+    new List({ name: 'Compras', groupId: mongoose.Types.ObjectId(), createdBy: mongoose.Types.ObjectId(), items });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should link items to the canonical product they name and take its category', async () => {
+    jest
+      .spyOn(canonicalProductService, 'findCanonicalProductForItem')
+      .mockImplementation((product) =>
+        Promise.resolve(product === 'arroz' ? { product: rice, isExact: true } : { product: rice, isExact: false })
+      );
+
+    const [item, partial] = await listService.parseListItems(['2kg de arroz', 'arroz integral'], mongoose.Types.ObjectId());
+
+    expect(item).toEqual({
+      text: '2kg de arroz',
+      quantity: 2,
+      unit: 'kg',
+      product: 'arroz',
+      canonicalProductId: rice._id,
+      category: 'Mercearia',
+      categoryKey: 'grocery',
+    });
+    // a partial match gives the category but does not link the item
+    expect(partial.canonicalProductId).toBeUndefined();
+    expect(partial.categoryKey).toBe('grocery');
+  });
+
+  test('should add up the quantities of an open item of the same product', () => {
+    const list = buildList([{ text: '2kg de arroz', quantity: 2, unit: 'kg', product: 'arroz', addedBy: 'Ana' }]);
+
+    const { changedItems, ...result } = listService.mergeListItems(
+      list,
+      [{ text: '1 kg de Arroz', quantity: 1, unit: 'kg', product: 'Arroz' }],
+      'João'
+    );
+
+    expect(result).toEqual({ added: [], merged: ['1 kg de Arroz'], duplicates: [] });
+    expect(changedItems).toEqual({ added: [], merged: [list.items[0]] });
+    expect(list.items).toHaveLength(1);
+    expect(list.items[0]).toMatchObject({ text: '3 kg arroz', quantity: 3, unit: 'kg' });
+  });
+
+  test('should merge items linked to the same canonical product and skip items already on the list', () => {
+    const list = buildList([
+      { text: 'arroz branco', product: 'arroz branco', canonicalProductId: rice._id, addedBy: 'Ana' },
+      { text: 'feijão', product: 'feijão', addedBy: 'Ana', isCompleted: true },
+    ]);
+
+    const { changedItems, ...result } = listService.mergeListItems(
+      list,
+      [
+        { text: '5kg de arroz', quantity: 5, unit: 'kg', product: 'arroz', canonicalProductId: rice._id },
+        { text: 'feijao', quantity: null, unit: null, product: 'feijao' },
+        { text: 'leite', quantity: null, unit: null, product: 'leite' },
+      ],
+      'João'
+    );
+
+    expect(result).toEqual({ added: ['leite'], merged: ['5kg de arroz'], duplicates: ['feijao'] });
+    expect(changedItems).toEqual({ added: [list.items[2]], merged: [list.items[0]] });
+    expect(list.items[0]).toMatchObject({ text: '5kg de arroz', quantity: 5, unit: 'kg' });
+    expect(list.items[2]).toMatchObject({ text: 'leite', addedBy: 'João', order: 1 });
+  });
+
+  test('should match an item by its text or its product', () => {
+    const item = { text: '2kg de arroz', product: 'arroz' };
+
+    expect(listService.isSameItem(item, '2KG de arroz')).toBe(true);
+    expect(listService.isSameItem(item, 'arroz')).toBe(true);
+    expect(listService.isSameItem(item, 'feijão')).toBe(false);
+  });
+
+  test('should group the open items by section in the aisle order, with uncategorized items last', () => {
+    const items = [
+      { text: 'sabão', categoryKey: 'cleaning', order: 1 },
+      { text: 'pilhas', order: 2 },
+      { text: 'leite', categoryKey: 'dairy', order: 3 },
+      { text: 'banana', categoryKey: 'produce', order: 4 },
+      { text: 'iogurte', categoryKey: 'dairy', order: 5, isCompleted: true },
+      { text: 'queijo', categoryKey: 'dairy', order: 0 },
+    ];
+
+    const sections = listService.groupItemsBySection(items, ['cleaning', 'dairy']);
+
+    expect(sections.map((section) => [section.label, section.items.map((item) => item.text)])).toEqual([
+      ['Limpeza', ['sabão']],
+      ['Laticínios', ['queijo', 'leite']],
+      ['Hortifruti', ['banana']],
+      ['Outros', ['pilhas']],
+    ]);
+  });
+
+  test('should complete the items bought in a nota and leave the ambiguous ones open', async () => {
+    const product = (name, synonyms = []) =>
+      new CanonicalProduct({
+        canonical_name: name,
+        canonical_name_normalized: name.toLowerCase(),
+        synonyms_normalized: synonyms,
+      });
+    const coffee = product('Café Pilão', ['cafe']);
+    const wholeMilk = product('Leite Integral');
+    const skimmedMilk = product('Leite Desnatado');
+    const flour = product('Farinha de Arroz');
+    const nota = {
+      user: mongoose.Types.ObjectId(),
+      groupId: mongoose.Types.ObjectId(),
+      purchaseDate: new Date('2026-10-18T15:00:00.000Z'),
+      items: [coffee, wholeMilk, skimmedMilk, flour].map((canonical) => ({ canonicalProductId: canonical._id })),
+    };
+    const list = buildList([
+      { text: 'café', addedBy: 'Ana' },
+      { text: 'leite', addedBy: 'Ana' },
+      { text: 'arroz', addedBy: 'Ana' },
+      { text: 'Leite integral', addedBy: 'Ana' },
+      { text: 'sabão', addedBy: 'Ana' },
+    ]);
+    list.save = jest.fn(() => Promise.resolve(list));
+    jest.spyOn(CanonicalProduct, 'find').mockResolvedValue([coffee, wholeMilk, skimmedMilk, flour]);
+    jest.spyOn(List, 'find').mockResolvedValue([list]);
+    const notifyListChange = jest.spyOn(listNotificationService, 'notifyListChange').mockResolvedValue(0);
+
+    const { completed, ambiguous } = await listService.completeItemsFromNota(nota);
+
+    expect(completed.map((entry) => [entry.text, entry.products])).toEqual([
+      ['café', ['Café Pilão']],
+      ['Leite integral', ['Leite Integral']],
+    ]);
+    expect(ambiguous.map((entry) => [entry.text, entry.products])).toEqual([
+      ['leite', ['Leite Integral', 'Leite Desnatado']],
+      ['arroz', ['Farinha de Arroz']],
+    ]);
+    expect(list.items[0]).toMatchObject({ isCompleted: true, completedBy: nota.user, completedAt: nota.purchaseDate });
+    expect(list.items[1].isCompleted).toBe(false);
+    expect(notifyListChange).toHaveBeenCalledWith(list, nota.user, 'completed', ['café', 'Leite integral']);
+  });
+});
+
+describe('Concurrent list changes', () => {
+  let stored;
+
+  const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+  const setPath = (doc, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((parent, key) => {
+      parent[key] = parent[key] || {}; // eslint-disable-line no-param-reassign
+      return parent[key];
+    }, doc)[last] = value;
+  };
+  const copy = (value) => JSON.parse(JSON.stringify(value));
+
+  beforeEach(() => {
+    stored = copy(
+      new List({
+        name: 'Compras',
+        groupId: mongoose.Types.ObjectId(),
+        createdBy: mongoose.Types.ObjectId(),
+        version: 1,
+      }).toObject()
+    );
+    // a collection that, like MongoDB, only updates the list when the whole filter (with its version) matches
+    jest.spyOn(List.collection, 'updateOne').mockImplementation((where, update, options, callback) => {
+      if (!Object.keys(where).every((key) => String(getPath(stored, key)) === String(where[key]))) {
+        return callback(null, { result: { n: 0 } });
+      }
+      const { $set = {}, $push = {}, $inc = {} } = copy(update);
+      Object.keys($set).forEach((path) => setPath(stored, path, $set[path]));
+      Object.keys($push).forEach((path) => getPath(stored, path).push(...$push[path].$each));
+      Object.keys($inc).forEach((path) => setPath(stored, path, (getPath(stored, path) || 0) + $inc[path]));
+      return callback(null, { result: { n: 1 } });
+    });
+    jest.spyOn(List, 'findById').mockImplementation(() => {
+      const query = {
+        populate: () => query,
+        then: (resolve, reject) => Promise.resolve(List.hydrate(copy(stored))).then(resolve, reject),
+      };
+      return query;
+    });
+    jest.spyOn(Membership, 'findOne').mockResolvedValue({ role: 'member' });
+    jest.spyOn(User, 'findById').mockResolvedValue(new User({ firstName: 'Ana' }));
+    jest.spyOn(listEventsService, 'publishListEvent').mockReturnValue();
+    jest.spyOn(listNotificationService, 'notifyListChange').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should keep both items added by two members at the same time', async () => {
+    // both members load the list before either one saves it
+    let releaseLookups;
+    const bothLoaded = new Promise((resolve) => {
+      releaseLookups = resolve;
+    });
+    const lookup = jest.spyOn(canonicalProductService, 'findCanonicalProductForItem').mockImplementation(async () => {
+      if (lookup.mock.calls.length === 2) {
+        releaseLookups();
+      }
+      await bothLoaded;
+      return null;
+    });
+    const userId = mongoose.Types.ObjectId();
+
+    const [first, second] = await Promise.all([
+      listService.createListItem({ listId: stored._id, text: 'leite' }, userId),
+      listService.createListItem({ listId: stored._id, text: 'café' }, userId),
+    ]);
+
+    expect(stored.items.map((item) => item.text)).toEqual(['leite', 'café']);
+    expect(stored.version).toBe(3);
+    // the later save lost the race, and was applied again to the list saved by the first
+    expect(List.findById).toHaveBeenCalledTimes(3);
+    expect(first.version).toBe(2);
+    expect(Array.from(second.items, (item) => item.text)).toEqual(['leite', 'café']);
+  });
+});
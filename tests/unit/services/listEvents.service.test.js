@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { List } = require('../../../src/models');
+const listEventsService = require('../../../src/services/listEvents.service');
+
+describe('List events service', () => {
+  const groupId = mongoose.Types.ObjectId();
+  const buildList = () =>
+    new List({
+      name: 'Mercado',
+      groupId,
+      createdBy: mongoose.Types.ObjectId(),
+      items: [{ text: 'arroz', addedBy: 'Ana' }],
+    });
+
+  test('should push the events of a list to its subscribers and to the subscribers of its group', () => {
+    const list = buildList();
+    const other = buildList();
+    const actorId = mongoose.Types.ObjectId();
+    const onList = jest.fn();
+    const onGroup = jest.fn();
+    const unsubscribeList = listEventsService.subscribe({ listId: list._id }, onList);
+    const unsubscribeGroup = listEventsService.subscribe({ groupId: groupId.toString() }, onGroup);
+
+    listEventsService.publishListEvent(list, 'item.completed', [list.items[0]], actorId);
+    listEventsService.publishListEvent(other, 'item.added', [other.items[0]], actorId);
+    unsubscribeList();
+    unsubscribeGroup();
+
+    expect(onList).toHaveBeenCalledTimes(1);
+    expect(onList).toHaveBeenCalledWith(
+      expect.objectContaining({
+        type: 'item.completed',
+        listId: list.id,
+        groupId: groupId.toString(),
+        actorId: actorId.toString(),
+        items: [expect.objectContaining({ id: list.items[0].id, text: 'arroz' })],
+      })
+    );
+    expect(onGroup).toHaveBeenCalledTimes(2);
+  });
+
+  test('should stop pushing events once unsubscribed and skip changes without items', () => {
+    const list = buildList();
+    const listener = jest.fn();
+    const unsubscribe = listEventsService.subscribe({ listId: list._id }, listener);
+
+    expect(listEventsService.publishListEvent(list, 'item.deleted', [], null)).toBeNull();
+    unsubscribe();
+    listEventsService.publishListEvent(list, 'item.deleted', [list.items[0]], null);
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { Job, List, ListNotification, Membership, User } = require('../../../src/models');
+const jobService = require('../../../src/services/job.service');
+const messagingService = require('../../../src/services/messaging.service');
+const listNotificationService = require('../../../src/services/listNotification.service');
+
+jest.mock('../../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+// the Twilio client cannot be created without credentials
+jest.mock('../../../src/services/messaging.service', () => ({ sendWhatsAppMessage: jest.fn() }));
+
+const buildDigestJob = (notificationId) => {
+  const job = new Job({ type: 'sendListDigest', payload: { notificationId }, status: 'running', attempts: 1 });
+  job.save = jest.fn(() => Promise.resolve(job));
+  return job;
+};
+
+describe('List notification service', () => {
+  const list = {
+    _id: mongoose.Types.ObjectId(),
+    name: 'Mercado',
+    groupId: { _id: mongoose.Types.ObjectId(), name: 'Casa' },
+  };
+  const notification = {
+    _id: mongoose.Types.ObjectId(),
+    listId: list._id,
+    recipientId: mongoose.Types.ObjectId(),
+    groupId: list.groupId._id,
+    changes: [
+      { type: 'added', text: 'arroz', by: 'Ana' },
+      { type: 'added', text: 'feijão', by: 'Ana' },
+      { type: 'completed', text: 'leite', by: 'João' },
+    ],
+  };
+  // quiet hours starting and ending at the same time never apply
+  const recipient = {
+    _id: notification.recipientId,
+    phoneNumber: 5551999999999,
+    notificationSettings: { whatsapp: true, quietHoursStart: '00:00', quietHoursEnd: '00:00' },
+  };
+
+  beforeEach(() => {
+    jest.spyOn(ListNotification, 'findById').mockResolvedValue(notification);
+    jest.spyOn(User, 'findById').mockResolvedValue(recipient);
+    jest.spyOn(List, 'findById').mockReturnValue({ populate: jest.fn().mockResolvedValue(list) });
+    jest.spyOn(ListNotification, 'deleteOne').mockResolvedValue({});
+    jest.spyOn(ListNotification, 'findOneAndDelete').mockResolvedValue(notification);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    messagingService.sendWhatsAppMessage.mockReset();
+  });
+
+  test('should postpone digests that fall within the quiet hours to their end', () => {
+    // 23:00 and 12:00 in São Paulo (UTC-3), with the default quiet hours (22:00 to 08:00)
+    const night = new Date('2026-10-19T02:00:00.000Z');
+    const noon = new Date('2026-10-19T15:00:00.000Z');
+
+    expect(listNotificationService.getNextSendTime({}, night)).toEqual(new Date('2026-10-19T11:00:00.000Z'));
+    expect(listNotificationService.getNextSendTime({}, noon)).toEqual(noon);
+  });
+
+  test('should send the changes of other members as one digest', async () => {
+    jest.spyOn(Membership, 'findOne').mockResolvedValue({ notifications_muted: false });
+    const job = buildDigestJob(notification._id);
+
+    const result = await listNotificationService.sendListDigest(job);
+
+    expect(result).toEqual({ sent: true, changes: 3 });
+    expect(messagingService.sendWhatsAppMessage).toHaveBeenCalledWith(
+      5551999999999,
+      '*Mercado* (Casa) was updated:\n• Ana added arroz, feijão\n• João bought leite'
+    );
+    // a retry sends the same digest instead of losing the changes already taken
+    expect(job.payload.message).toBe(messagingService.sendWhatsAppMessage.mock.calls[0][1]);
+  });
+
+  test('should drop the digest of a member who muted the group', async () => {
+    jest.spyOn(Membership, 'findOne').mockResolvedValue({ notifications_muted: true });
+
+    const result = await listNotificationService.sendListDigest(buildDigestJob(notification._id));
+
+    expect(result).toEqual({ sent: false });
+    expect(ListNotification.deleteOne).toHaveBeenCalledWith({ _id: notification._id });
+    expect(messagingService.sendWhatsAppMessage).not.toHaveBeenCalled();
+  });
+
+  test('should queue one job per digest and add later changes to it', async () => {
+    jest.spyOn(Membership, 'find').mockResolvedValue([{ user_id: recipient._id }]);
+    jest.spyOn(User, 'find').mockResolvedValue([recipient]);
+    const enqueueJob = jest.spyOn(jobService, 'enqueueJob').mockResolvedValue({});
+    jest
+      .spyOn(ListNotification, 'findOneAndUpdate')
+      .mockResolvedValueOnce({ value: notification, lastErrorObject: { updatedExisting: false } })
+      .mockResolvedValueOnce({ value: notification, lastErrorObject: { updatedExisting: true } });
+
+    await listNotificationService.notifyListChange(list, mongoose.Types.ObjectId(), 'added', ['arroz']);
+    await listNotificationService.notifyListChange(list, mongoose.Types.ObjectId(), 'completed', ['arroz']);
+
+    expect(Membership.find).toHaveBeenCalledWith(expect.objectContaining({ group_id: list.groupId._id, status: 'active' }));
+    expect(enqueueJob).toHaveBeenCalledTimes(1);
+    expect(enqueueJob).toHaveBeenCalledWith('sendListDigest', { notificationId: notification._id }, expect.any(Object));
+  });
+});
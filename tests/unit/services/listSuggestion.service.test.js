@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { CanonicalProduct, List, ListSuggestion, Membership, PriceObservation } = require('../../../src/models');
+const listSuggestionService = require('../../../src/services/listSuggestion.service');
+
+jest.mock('../../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+// the Twilio client cannot be created without credentials
+jest.mock('../../../src/services/messaging.service', () => ({ sendWhatsAppMessage: jest.fn() }));
+
+const daysAgo = (now, days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+describe('List suggestion service', () => {
+  const now = new Date('2026-10-19T12:00:00.000Z');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should estimate the purchase interval as the median of the days between purchases', () => {
+    // weekly, with one late purchase and two notas on the same day
+    const dates = [35, 28, 28, 21, 14, 0].map((days) => daysAgo(now, days));
+
+    const estimate = listSuggestionService.estimatePurchaseInterval(dates);
+
+    expect(estimate).toMatchObject({ intervalDays: 7, intervals: 4, lastPurchaseAt: new Date('2026-10-19T00:00:00.000Z') });
+    expect(estimate.regularity).toBeCloseTo(0.74);
+    expect(listSuggestionService.estimatePurchaseInterval([daysAgo(now, 7), now])).toBeNull();
+  });
+
+  test('should raise the confidence with accepted suggestions and lower it with dismissed ones', () => {
+    const estimate = { intervals: 5, regularity: 0.8 };
+
+    expect(listSuggestionService.getConfidence(estimate)).toBe(0.8);
+    expect(listSuggestionService.getConfidence(estimate, { accepted: 3 })).toBe(1);
+    expect(listSuggestionService.getConfidence(estimate, { dismissed: 3 })).toBe(0.32);
+  });
+
+  test('should suggest the due products that are not on the default list yet', async () => {
+    const groupId = mongoose.Types.ObjectId();
+    const coffee = new CanonicalProduct({ canonical_name: 'Café', category: 'Mercearia' });
+    const rice = new CanonicalProduct({ canonical_name: 'Arroz', category: 'Mercearia' });
+    const milk = new CanonicalProduct({ canonical_name: 'Leite', category: 'Laticínios' });
+    const observe = (product, days) =>
+      days.map((day) => ({ canonicalProduct: product._id, purchaseDate: daysAgo(now, day) }));
+    jest.spyOn(Membership, 'findOne').mockResolvedValue({ role: 'member' });
+    jest.spyOn(PriceObservation, 'find').mockReturnValue({
+      select: jest
+        .fn()
+        .mockResolvedValue([
+          ...observe(coffee, [40, 30, 20, 10]),
+          ...observe(rice, [42, 28, 14]),
+          ...observe(milk, [9, 6, 3]),
+        ]),
+    });
+    jest.spyOn(ListSuggestion, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(CanonicalProduct, 'find').mockResolvedValue([coffee, rice]);
+    jest
+      .spyOn(List, 'findOne')
+      .mockResolvedValue(
+        new List({ name: 'Compras', groupId, items: [{ text: '2kg de arroz', product: 'arroz', addedBy: 'Ana' }] })
+      );
+    jest.spyOn(ListSuggestion, 'find').mockResolvedValue([]);
+    const findOneAndUpdate = jest
+      .spyOn(ListSuggestion, 'findOneAndUpdate')
+      .mockImplementation(() => Promise.resolve({ id: 'suggestion-id' }));
+    const userId = mongoose.Types.ObjectId();
+
+    const suggestions = await listSuggestionService.getListSuggestions(groupId, userId, { now });
+
+    // milk was bought 3 days ago, on its interval, and rice is already on the list
+    expect(suggestions).toEqual([
+      {
+        id: 'suggestion-id',
+        canonicalProductId: coffee.id,
+        name: 'Café',
+        category: 'Mercearia',
+        lastPurchaseAt: new Date('2026-10-09T00:00:00.000Z'),
+        intervalDays: 10,
+        daysSinceLastPurchase: 10,
+        confidence: 0.6,
+      },
+    ]);
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ canonicalProductId: coffee._id }),
+      expect.objectContaining({ $addToSet: { shownTo: userId } }),
+      expect.any(Object)
+    );
+  });
+});
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const { List } = require('../../../src/models');
+const listSyncService = require('../../../src/services/listSync.service');
+
+jest.mock('../../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+// the Twilio client cannot be created without credentials
+jest.mock('../../../src/services/messaging.service', () => ({ sendWhatsAppMessage: jest.fn() }));
+
+describe('List sync service', () => {
+  const user = { id: mongoose.Types.ObjectId().toString(), firstName: 'Ana' };
+  const now = new Date('2026-10-19T15:00:00.000Z');
+  const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+  const buildList = (fields) =>
+    new List({ name: 'Compras', groupId: mongoose.Types.ObjectId(), createdBy: mongoose.Types.ObjectId(), ...fields });
+
+  test('should keep the latest change of each field and leave the server value on a tie', () => {
+    const list = buildList({
+      version: 4,
+      items: [
+        {
+          text: 'leite',
+          addedBy: 'Bia',
+          version: 4,
+          fieldUpdatedAt: { text: minutesAgo(10), isCompleted: minutesAgo(60), order: minutesAgo(60) },
+        },
+      ],
+    });
+    const item = list.items[0];
+
+    const { results, changes } = listSyncService.applySyncOperations(
+      list,
+      [
+        // made offline before the online rename, but after the item was last checked
+        {
+          type: 'update',
+          itemId: item.id,
+          fields: { text: '2 leite', isCompleted: true },
+          at: minutesAgo(30),
+          baseVersion: 3,
+        },
+        { type: 'update', itemId: item.id, fields: { text: 'leite integral' }, at: minutesAgo(10) },
+        // a client clock ahead of the server counts as now
+        { type: 'update', itemId: item.id, fields: { order: 3 }, at: new Date(now.getTime() + 60 * 60 * 1000) },
+      ],
+      user,
+      now
+    );
+
+    expect(results).toEqual([
+      { type: 'update', status: 'partial', itemId: item.id, rejectedFields: ['text'], conflict: true },
+      { type: 'update', status: 'ignored', itemId: item.id, rejectedFields: ['text'], conflict: false },
+      { type: 'update', status: 'applied', itemId: item.id, conflict: false },
+    ]);
+    expect(item).toMatchObject({ text: 'leite', isCompleted: true, completedAt: minutesAgo(30), order: 3 });
+    expect(String(item.completedBy)).toBe(user.id);
+    expect(item.fieldUpdatedAt.order).toEqual(now);
+    expect(changes.completed).toEqual([item]);
+    expect(changes.updated).toEqual([]);
+  });
+
+  test('should add an offline item once and keep a deleted item deleted', () => {
+    const list = buildList({ items: [{ text: 'café', product: 'café', addedBy: 'Bia' }] });
+    const coffee = list.items[0];
+    const add = { type: 'add', clientId: 'c1', text: 'pão', parsed: { text: 'pão', product: 'pão' }, at: minutesAgo(20) };
+
+    const first = listSyncService.applySyncOperations(list, [add], user, now);
+    const bread = list.items.find((item) => item.text === 'pão');
+    expect(first.results).toEqual([{ type: 'add', clientId: 'c1', status: 'added', itemId: bread.id }]);
+    expect(bread.addedBy).toBe('Ana');
+
+    const { results, changes } = listSyncService.applySyncOperations(
+      list,
+      [
+        // the batch is retried after its response was lost
+        add,
+        { type: 'delete', itemId: coffee.id, at: minutesAgo(15) },
+        { type: 'update', itemId: coffee.id, fields: { isCompleted: true }, at: minutesAgo(5) },
+        { type: 'delete', clientId: 'c1', at: minutesAgo(5) },
+        add,
+      ],
+      user,
+      now
+    );
+
+    expect(results.map((result) => result.status)).toEqual(['existing', 'applied', 'deleted', 'applied', 'deleted']);
+    expect(list.items).toHaveLength(0);
+    const tombstones = list.deletedItems.toObject();
+    expect(tombstones.map((tombstone) => String(tombstone.itemId))).toEqual([coffee.id, bread.id]);
+    expect(tombstones[1].clientIds).toEqual(['c1']);
+    expect(changes.deleted).toEqual([coffee, bread]);
+  });
+
+  test('should return the items and deletions after the sync token version', () => {
+    const itemIds = [mongoose.Types.ObjectId(), mongoose.Types.ObjectId()];
+    const list = buildList({
+      version: 7,
+      syncHorizon: 2,
+      items: [
+        { text: 'arroz', addedBy: 'Bia', version: 3, order: 2 },
+        { text: 'feijão', addedBy: 'Bia', version: 6, order: 1 },
+      ],
+      deletedItems: [
+        { itemId: itemIds[0], deletedAt: minutesAgo(90), version: 4 },
+        { itemId: itemIds[1], deletedAt: minutesAgo(30), version: 7 },
+      ],
+    });
+
+    const delta = listSyncService.getSyncDelta(list, 4);
+    expect(delta).toMatchObject({ fullSync: false, list: { id: list.id, name: 'Compras', version: 7 } });
+    expect(delta.items.map((item) => item.text)).toEqual(['feijão']);
+    expect(delta.deletedItemIds).toEqual([String(itemIds[1])]);
+    expect(Buffer.from(delta.syncToken, 'base64url').toString()).toBe(`${list.id}:7`);
+
+    // synced before the pruned tombstones, or never
+    [1, null].forEach((sinceVersion) => {
+      const full = listSyncService.getSyncDelta(list, sinceVersion);
+      expect(full.fullSync).toBe(true);
+      expect(full.items.map((item) => item.text)).toEqual(['feijão', 'arroz']);
+      expect(full.deletedItemIds).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { Job, List, ListTemplate, User } = require('../../../src/models');
+const jobService = require('../../../src/services/job.service');
+const listService = require('../../../src/services/list.service');
+const listNotificationService = require('../../../src/services/listNotification.service');
+const listTemplateService = require('../../../src/services/listTemplate.service');
+
+jest.mock('../../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+// the Twilio client cannot be created without credentials
+jest.mock('../../../src/services/messaging.service', () => ({ sendWhatsAppMessage: jest.fn() }));
+
+describe('List template service', () => {
+  const template = new ListTemplate({
+    name: 'Básicos da semana',
+    groupId: mongoose.Types.ObjectId(),
+    createdBy: mongoose.Types.ObjectId(),
+    items: [{ text: 'arroz' }, { text: '2 leite' }, { text: 'café' }],
+    schedule: { frequency: 'weekly', dayOfWeek: 1, nextRunAt: new Date('2026-10-19T03:00:00.000Z') },
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should run schedules at the start of their day in the notifications timezone', () => {
+    // Monday 19 October 2026, 12:00 in São Paulo (UTC-3)
+    const monday = new Date('2026-10-19T15:00:00.000Z');
+
+    expect(listTemplateService.getNextRunAt({ frequency: 'weekly', dayOfWeek: 1 }, monday, { inclusive: true })).toEqual(
+      new Date('2026-10-19T03:00:00.000Z')
+    );
+    expect(listTemplateService.getNextRunAt({ frequency: 'weekly', dayOfWeek: 1 }, monday)).toEqual(
+      new Date('2026-10-26T03:00:00.000Z')
+    );
+    expect(listTemplateService.getNextRunAt({ frequency: 'biweekly', dayOfWeek: 3 }, monday)).toEqual(
+      new Date('2026-10-21T03:00:00.000Z')
+    );
+    expect(listTemplateService.getNextRunAt({ frequency: 'biweekly', dayOfWeek: 1 }, monday)).toEqual(
+      new Date('2026-11-02T03:00:00.000Z')
+    );
+    expect(listTemplateService.getNextRunAt({ frequency: 'monthly', dayOfMonth: 19 }, monday)).toEqual(
+      new Date('2026-11-19T03:00:00.000Z')
+    );
+  });
+
+  test('should queue a due run once and move the schedule to the next one', async () => {
+    const now = new Date('2026-10-19T10:00:00.000Z');
+    jest.spyOn(ListTemplate, 'find').mockReturnValue({
+      sort: jest.fn().mockReturnValue({ limit: jest.fn().mockResolvedValue([template, template]) }),
+    });
+    // the second claim finds the schedule already moved by the first one
+    const findOneAndUpdate = jest
+      .spyOn(ListTemplate, 'findOneAndUpdate')
+      .mockResolvedValueOnce(template)
+      .mockResolvedValueOnce(null);
+    const enqueueJob = jest.spyOn(jobService, 'enqueueJob').mockResolvedValue({});
+    jest.spyOn(jobService, 'processJobs').mockResolvedValue({ processed: 1 });
+
+    const result = await listTemplateService.runDueListTemplates(now);
+
+    expect(result.queued).toBe(1);
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: template._id, 'schedule.nextRunAt': template.schedule.nextRunAt },
+      { $set: { 'schedule.nextRunAt': new Date('2026-10-26T03:00:00.000Z'), 'schedule.lastRunAt': now } }
+    );
+    expect(enqueueJob).toHaveBeenCalledTimes(1);
+    expect(enqueueJob).toHaveBeenCalledWith('runListTemplate', {
+      templateId: template._id,
+      runKey: `${template._id}:2026-10-19T03:00:00.000Z`,
+    });
+  });
+
+  test('should add the missing items to the default list, reopen bought ones and apply a run once', async () => {
+    let stored = new List({
+      name: 'Default List',
+      groupId: template.groupId,
+      createdBy: template.createdBy,
+      isDefault: true,
+      items: [
+        { text: 'arroz', product: 'arroz', addedBy: 'Ana' },
+        { text: 'café', product: 'café', addedBy: 'Ana', isCompleted: true },
+      ],
+    }).toObject();
+    const save = jest.fn(function save() {
+      stored = this.toObject();
+      return Promise.resolve(this);
+    });
+    // each run loads the list as the previous one saved it
+    jest.spyOn(List, 'findOne').mockImplementation(async () => Object.assign(List.hydrate(stored), { save }));
+    jest.spyOn(ListTemplate, 'findById').mockResolvedValue(template);
+    jest.spyOn(User, 'findById').mockResolvedValue({ firstName: 'Ana' });
+    jest
+      .spyOn(listService, 'parseListItems')
+      .mockImplementation((texts) => Promise.resolve(texts.map((text) => ({ text, product: text.replace(/^\d+ /, '') }))));
+    jest.spyOn(listNotificationService, 'notifyListChange').mockResolvedValue(0);
+    const job = new Job({ type: 'runListTemplate', payload: { templateId: template._id, runKey: 'run-1' } });
+
+    const result = await listTemplateService.runListTemplate(job);
+    const retry = await listTemplateService.runListTemplate(job);
+
+    expect(result).toEqual({ listId: stored._id, added: 1, reopened: 1, skipped: 1 });
+    expect(retry).toEqual({ listId: stored._id, added: 0, reopened: 0, skipped: 3 });
+    expect(stored.items.map((item) => [item.text, item.isCompleted])).toEqual([
+      ['arroz', false],
+      ['café', false],
+      ['2 leite', false],
+    ]);
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+});
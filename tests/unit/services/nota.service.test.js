@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const { Membership, Nota, PriceObservation, User, Vendor } = require('../../../src/models');
+const jobService = require('../../../src/services/job.service');
+const notaService = require('../../../src/services/nota.service');
+const priceObservationService = require('../../../src/services/priceObservation.service');
+
+jest.mock('../../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+// the Twilio client cannot be created without credentials
+jest.mock('../../../src/services/messaging.service', () => ({ sendWhatsAppMessage: jest.fn() }));
+
+describe('Nota service', () => {
+  const userId = mongoose.Types.ObjectId().toString();
+  const buildNota = (fields) => {
+    const nota = new Nota({
+      url: 'https://www.sefaz.rs.gov.br/NFCE/NFCE-COM.aspx?p=1',
+      user: userId,
+      groupId: mongoose.Types.ObjectId(),
+      purchaseDate: new Date('2026-10-10'),
+      status: 'classified',
+      total: 25,
+      items: [
+        { product: 'LEITE INTEGRAL 1L', quantity: 2, unit: 'UN', unitPrice: 5, totalPrice: 10, canonicalProductId: 'a' },
+        { product: 'CAFE 500G', quantity: 1, unit: 'UN', unitPrice: 15, totalPrice: 15, canonicalProductId: 'b' },
+      ],
+      ...fields,
+    });
+    jest.spyOn(Nota, 'findById').mockResolvedValue(nota);
+    jest.spyOn(nota, 'save').mockResolvedValue(nota);
+    return nota;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(priceObservationService, 'recordNotaObservations').mockResolvedValue(2);
+    jest.spyOn(priceObservationService, 'deleteItemObservation').mockResolvedValue();
+    jest.spyOn(priceObservationService, 'deleteNotaObservations').mockResolvedValue();
+    jest.spyOn(jobService, 'enqueueJob').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createManualNota', () => {
+    test('should read units that are not strings, as the OCR may return them', async () => {
+      const vendor = new Vendor({ name: 'Feira do bairro' });
+      jest.spyOn(User, 'findById').mockResolvedValue(new User({ _id: userId, activeGroupId: mongoose.Types.ObjectId() }));
+      jest.spyOn(Vendor, 'findOne').mockReturnValue({ collation: jest.fn().mockResolvedValue(vendor) });
+      jest.spyOn(Nota, 'create').mockImplementation(async (notaBody) => new Nota(notaBody));
+
+      const nota = await notaService.createManualNota(
+        {
+          vendorName: 'Feira do bairro',
+          purchaseDate: '2026-10-10',
+          items: [
+            { product: 'tomate', quantity: 2, unit: 'kg', unitPrice: 7.5 },
+            { product: 'ovos', unit: 12, totalPrice: 14 },
+          ],
+        },
+        userId
+      );
+
+      expect(nota.items.map(({ unit, totalPrice }) => [unit, totalPrice])).toEqual([
+        ['KG', 15],
+        ['12', 14],
+      ]);
+      expect(nota.total).toBe(29);
+      expect(jobService.enqueueJob).toHaveBeenCalledWith('classifyItems', {}, { notaId: nota._id });
+    });
+  });
+
+  describe('correctNotaItem', () => {
+    test('should recompute the item and nota totals and record the corrected price', async () => {
+      const nota = buildNota();
+
+      await notaService.correctNotaItem(nota.id, 0, { quantity: 3, reason: 'leva 3' }, userId);
+
+      expect(nota.items[0]).toMatchObject({ quantity: 3, totalPrice: 15, canonicalProductId: 'a' });
+      expect(nota.total).toBe(30);
+      expect(nota.auditTrail[0]).toMatchObject({ action: 'correctItem', user: userId, reason: 'leva 3' });
+      expect(nota.auditTrail[0].changes.toObject().map(({ field, from, to }) => [field, from, to])).toEqual([
+        ['items.0.quantity', 2, 3],
+        ['items.0.totalPrice', 10, 15],
+        ['total', 25, 30],
+      ]);
+      expect(priceObservationService.recordNotaObservations).toHaveBeenCalledWith(nota);
+      expect(priceObservationService.deleteItemObservation).not.toHaveBeenCalled();
+    });
+
+    test('should drop the price of the old product and classify the item again when the product changes', async () => {
+      const nota = buildNota();
+
+      await notaService.correctNotaItem(nota.id, 1, { product: 'CAFE SOLUVEL 200G' }, userId);
+
+      expect(nota.items[1].product).toBe('CAFE SOLUVEL 200G');
+      expect(nota.items[1].canonicalProductId).toBeUndefined();
+      expect(priceObservationService.deleteItemObservation).toHaveBeenCalledWith(nota._id, 1);
+      expect(jobService.enqueueJob).toHaveBeenCalledWith('classifyItems', {}, { notaId: nota._id });
+      expect(priceObservationService.recordNotaObservations).not.toHaveBeenCalled();
+    });
+
+    test('should not let users outside the group correct a nota', async () => {
+      const nota = buildNota({ user: mongoose.Types.ObjectId().toString() });
+      jest.spyOn(Membership, 'findOne').mockResolvedValue(null);
+
+      await expect(notaService.correctNotaItem(nota.id, 0, { quantity: 3 }, userId)).rejects.toThrow(
+        'You cannot access this nota'
+      );
+      expect(nota.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('flagNota', () => {
+    test('should flag a read nota and keep its prices', async () => {
+      const nota = buildNota();
+
+      await notaService.flagNota(nota.id, 'total errado', userId);
+
+      expect(nota).toMatchObject({ status: 'flagged', flagReason: 'total errado' });
+      expect(nota.auditTrail[0].changes.toObject().map(({ field, to }) => [field, to])).toEqual([
+        ['status', 'flagged'],
+        ['flagReason', 'total errado'],
+      ]);
+      expect(priceObservationService.deleteNotaObservations).not.toHaveBeenCalled();
+    });
+
+    test('should not flag a nota that has not been read yet', async () => {
+      const nota = buildNota({ status: 'scraping' });
+
+      await expect(notaService.flagNota(nota.id, 'total errado', userId)).rejects.toThrow('Nota has not been read yet');
+    });
+  });
+
+  describe('cancelNota', () => {
+    test('should cancel the nota, drop its prices and refuse later changes', async () => {
+      const nota = buildNota({ status: 'flagged' });
+
+      await notaService.cancelNota(nota.id, 'duplicada', userId);
+
+      expect(nota.status).toBe('canceled');
+      expect(nota.canceledAt).toBeInstanceOf(Date);
+      expect(nota.auditTrail[0]).toMatchObject({ action: 'cancel', reason: 'duplicada' });
+      expect(priceObservationService.deleteNotaObservations).toHaveBeenCalledWith(nota._id);
+      await expect(notaService.correctNotaItem(nota.id, 0, { quantity: 3 }, userId)).rejects.toThrow('Nota is canceled');
+      await expect(notaService.flagNota(nota.id, 'total errado', userId)).rejects.toThrow('Nota is canceled');
+    });
+  });
+  describe('spending', () => {
+    const now = new Date();
+    const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    const buildNotas = (purchaseDates) =>
+      [
+        { status: 'classified', total: 10, vendorName: 'Mercado' },
+        { status: 'flagged', total: 20, vendorName: 'Padaria' },
+        { status: 'canceled', total: 40, vendorName: 'Feira' },
+      ].map((nota, index) => ({ _id: mongoose.Types.ObjectId(), ...nota, purchaseDate: purchaseDates[index] }));
+
+    // reads only the status and purchase date filters, the ones the spending depends on here
+    const mockNotaQuery = (notas) => {
+      jest.spyOn(Nota, 'find').mockImplementation((filter) => {
+        const { $gte, $lte } = filter.purchaseDate;
+        const result = notas.filter(
+          (nota) => filter.status.$in.includes(nota.status) && nota.purchaseDate >= $gte && nota.purchaseDate <= $lte
+        );
+        const query = {
+          select: () => query,
+          populate: () => query,
+          sort: () => query,
+          lean: () => query,
+          then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+        };
+        return query;
+      });
+    };
+
+    test('should count flagged notas and leave canceled ones out of the spending by category', async () => {
+      mockNotaQuery(buildNotas([new Date(2026, 8, 5), new Date(2026, 8, 12), new Date(2026, 8, 20)]));
+      jest.spyOn(PriceObservation, 'aggregate').mockResolvedValue([]);
+
+      const spending = await notaService.getSpendingByCategory({ userId, month: '2026-09' });
+
+      expect(spending).toMatchObject({ month: '2026-09', total: 30, previousTotal: 0 });
+      expect(spending.categories).toEqual([expect.objectContaining({ category_key: null, total: 30, share: 100 })]);
+    });
+
+    test('should count flagged notas and leave canceled ones out of the last 30 days', async () => {
+      mockNotaQuery(buildNotas([daysAgo(1), daysAgo(2), daysAgo(3)]));
+
+      const last30Days = await notaService.getLast30DaysNotas({ userId });
+
+      expect(last30Days.map((nota) => [nota.vendor, nota.total])).toEqual([
+        ['Mercado', 10],
+        ['Padaria', 20],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const httpStatus = require('http-status');
+const { OtpThrottle, OtpLockout } = require('../../../src/models');
+const otpThrottleService = require('../../../src/services/otpThrottle.service');
+
+jest.mock('../../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+describe('OTP throttle service', () => {
+  const now = new Date('2026-10-19T12:00:00.000Z');
+  const buildThrottle = (kind, fields) =>
+    new OtpThrottle({ kind, value: kind === 'phone' ? '5551999999999' : '10.0.0.1', windowStartedAt: now, ...fields });
+
+  beforeEach(() => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(now);
+    jest.spyOn(OtpThrottle, 'updateOne').mockResolvedValue({});
+    jest.spyOn(OtpLockout, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should count the code for the phone number and the IP address', async () => {
+    jest.spyOn(OtpThrottle, 'findOne').mockResolvedValue(null);
+
+    await otpThrottleService.reserveCodeSend('+55 51 99999-9999', '10.0.0.1');
+
+    expect(OtpThrottle.updateOne).toHaveBeenCalledWith(
+      { kind: 'phone', value: '5551999999999' },
+      {
+        $inc: { sentCount: 1 },
+        $setOnInsert: { windowStartedAt: now },
+        $set: { nextSendAt: new Date('2026-10-19T12:00:30.000Z') },
+      },
+      { upsert: true }
+    );
+    expect(OtpThrottle.updateOne).toHaveBeenCalledWith(
+      { kind: 'ip', value: '10.0.0.1' },
+      { $inc: { sentCount: 1 }, $setOnInsert: { windowStartedAt: now } },
+      { upsert: true }
+    );
+  });
+
+  test('should double the cooldown after each code of the day and refuse codes within it', async () => {
+    const throttle = buildThrottle('phone', { sentCount: 2, nextSendAt: now });
+    jest.spyOn(OtpThrottle, 'findOne').mockResolvedValue(throttle);
+
+    await otpThrottleService.reserveCodeSend('+5551999999999');
+
+    // third code of the day: 30 seconds doubled twice
+    const { $set } = OtpThrottle.updateOne.mock.calls[0][1];
+    expect($set.nextSendAt).toEqual(new Date('2026-10-19T12:02:00.000Z'));
+
+    throttle.nextSendAt = $set.nextSendAt;
+    OtpThrottle.updateOne.mockClear();
+    await expect(otpThrottleService.reserveCodeSend('+5551999999999')).rejects.toThrow(
+      'Too many codes requested, please try again in 2 minutes.'
+    );
+    expect(OtpThrottle.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('should lock out and record an IP address over its daily limit', async () => {
+    const windowStartedAt = new Date('2026-10-19T09:00:00.000Z');
+    jest
+      .spyOn(OtpThrottle, 'findOne')
+      .mockImplementation(({ kind }) =>
+        Promise.resolve(kind === 'ip' ? buildThrottle('ip', { sentCount: 20, windowStartedAt }) : null)
+      );
+
+    await expect(otpThrottleService.reserveCodeSend('+5551999999999', '10.0.0.1')).rejects.toMatchObject({
+      statusCode: httpStatus.TOO_MANY_REQUESTS,
+    });
+
+    const lockedUntil = new Date('2026-10-20T09:00:00.000Z');
+    expect(OtpLockout.create).toHaveBeenCalledWith({
+      kind: 'ip',
+      value: '10.0.0.1',
+      reason: 'daily_limit',
+      phoneNumber: '5551999999999',
+      ip: '10.0.0.1',
+      lockedUntil,
+    });
+    expect(OtpThrottle.updateOne).toHaveBeenCalledTimes(1);
+    expect(OtpThrottle.updateOne).toHaveBeenCalledWith({ _id: expect.anything() }, { $set: { lockedUntil } });
+  });
+});
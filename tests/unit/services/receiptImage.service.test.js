@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const QRCode = require('qrcode');
+const { Nota, User } = require('../../../src/models');
+const jobService = require('../../../src/services/job.service');
+const notaService = require('../../../src/services/nota.service');
+const receiptImageService = require('../../../src/services/receiptImage.service');
+
+jest.mock('../../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('openai', () => ({ OpenAI: jest.fn() }));
+// the Twilio client cannot be created without credentials
+jest.mock('../../../src/services/messaging.service', () => ({ sendWhatsAppMessage: jest.fn() }));
+
+const notaUrl =
+  'https://www.sefaz.rs.gov.br/NFCE/NFCE-COM.aspx?p=43240192016757008900651210004117911101432178|2|1|1|4B4C1E2F7D5A2B9C';
+
+describe('Receipt image service', () => {
+  describe('decodeQRCode', () => {
+    test('should read the NFC-e URL from a PNG photo', async () => {
+      const image = await QRCode.toBuffer(notaUrl, { type: 'png', margin: 4, scale: 4 });
+
+      expect(receiptImageService.decodeQRCode(image, 'image/png')).toBe(notaUrl);
+    });
+
+    test('should return null when the image has no QR code or cannot be decoded', () => {
+      expect(receiptImageService.decodeQRCode(Buffer.from('not an image'), 'image/png')).toBeNull();
+      expect(receiptImageService.decodeQRCode(Buffer.from('webp'), 'image/webp')).toBeNull();
+    });
+  });
+
+  describe('processReceiptImage', () => {
+    // an access key with a valid check digit
+    const scannedUrl =
+      'https://www.sefaz.rs.gov.br/NFCE/NFCE-COM.aspx?p=43241012345678000190650010000000011000123450|2|1|1|4B4C1E2F7D5A2B9C';
+    const user = new User({ firstName: 'Ana', phoneNumber: 5551999999999 });
+    let image;
+
+    beforeAll(async () => {
+      image = await QRCode.toBuffer(scannedUrl, { type: 'png', margin: 4, scale: 4 });
+    });
+
+    beforeEach(() => {
+      jest.spyOn(User, 'getUserByPhoneNumber').mockResolvedValue(user);
+      jest.spyOn(jobService, 'processJobs');
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should queue the reading of a new nota and answer that it is pending', async () => {
+      const nota = new Nota({ url: scannedUrl, user: user.id, status: 'pending' });
+      jest.spyOn(Nota, 'findOne').mockResolvedValue(null);
+      jest.spyOn(notaService, 'checkNota').mockResolvedValue(nota);
+
+      const result = await receiptImageService.processReceiptImage(image, 'image/png', '5551999999999');
+
+      expect(result).toEqual({ nota, duplicate: false, via: 'qrcode' });
+      expect(jobService.processJobs).not.toHaveBeenCalled();
+      expect(receiptImageService.formatReceiptConfirmation(result)).toMatch(/will show up in the app/);
+    });
+
+    test('should not show a nota registered by someone else', async () => {
+      const nota = new Nota({ url: scannedUrl, user: mongoose.Types.ObjectId().toString(), status: 'read', total: 50 });
+      jest.spyOn(Nota, 'findOne').mockResolvedValue(nota);
+      jest.spyOn(notaService, 'checkNota');
+
+      const result = await receiptImageService.processReceiptImage(image, 'image/png', '5551999999999');
+
+      expect(result).toEqual({ nota: null, duplicate: true, via: 'qrcode' });
+      expect(notaService.checkNota).not.toHaveBeenCalled();
+      expect(receiptImageService.formatReceiptConfirmation(result)).toBe('This receipt was already registered.');
+    });
+  });
+
+  describe('formatReceiptConfirmation', () => {
+    test('should confirm the total and item count of a read nota', () => {
+      const nota = { status: 'read', vendorName: 'Zaffari', total: 123.4, items: [{}, {}, {}] };
+
+      expect(receiptImageService.formatReceiptConfirmation({ nota, duplicate: false, via: 'qrcode' })).toBe(
+        'Receipt registered! Zaffari: 3 item(s), total R$ 123,40.'
+      );
+    });
+
+    test('should tell the user when the nota is still being read', () => {
+      const nota = { status: 'pending', items: [] };
+
+      expect(receiptImageService.formatReceiptConfirmation({ nota, duplicate: false, via: 'qrcode' })).toMatch(
+        /will show up in the app/
+      );
+    });
+  });
+});
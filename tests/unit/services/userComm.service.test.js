@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { List, User } = require('../../../src/models');
+const listService = require('../../../src/services/list.service');
+const listEventsService = require('../../../src/services/listEvents.service');
+const listNotificationService = require('../../../src/services/listNotification.service');
+const userCommService = require('../../../src/services/userComm.service');
+
+jest.mock('../../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+// user.service pulls in modules jest cannot load (node: imports)
+jest.mock('../../../src/services/user.service', () => ({ setActiveGroup: jest.fn() }));
+// the Twilio client cannot be created without credentials
+jest.mock('../../../src/services/messaging.service', () => ({ sendWhatsAppMessage: jest.fn() }));
+
+describe('User communication service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('markItemsAsBought', () => {
+    test('should complete the matched items in one save, with one event and one notification', async () => {
+      const user = new User({ firstName: 'Ana', phoneNumber: 5511999998888 });
+      const list = new List({
+        name: 'Compras',
+        groupId: mongoose.Types.ObjectId(),
+        items: [
+          { text: 'leite', product: 'leite', addedBy: 'Bia' },
+          { text: '2 pães', product: 'pães', addedBy: 'Bia' },
+          { text: 'café', product: 'café', addedBy: 'Bia' },
+        ],
+      });
+      jest.spyOn(User, 'getUserByPhoneNumber').mockResolvedValue(user);
+      jest.spyOn(listService, 'getListById').mockResolvedValue(list);
+      jest.spyOn(list, 'save').mockResolvedValue(list);
+      jest.spyOn(list, 'populate').mockResolvedValue(list);
+      jest.spyOn(listEventsService, 'publishListEvent').mockReturnValue();
+      jest.spyOn(listNotificationService, 'notifyListChange').mockResolvedValue();
+
+      const result = await userCommService.markItemsAsBought(list.id, '5511999998888', ['Leite', 'pães', 'azeite']);
+
+      expect(result).toMatchObject({ markedCount: 2, markedItems: ['leite', '2 pães'], notFound: ['azeite'] });
+      expect(Array.from(list.items, (item) => item.isCompleted)).toEqual([true, true, false]);
+      expect(String(list.items[0].completedBy)).toBe(user.id);
+      expect(list.save).toHaveBeenCalledTimes(1);
+      expect(listEventsService.publishListEvent).toHaveBeenCalledTimes(1);
+      expect(listEventsService.publishListEvent).toHaveBeenCalledWith(
+        list,
+        'item.completed',
+        [list.items[0], list.items[1]],
+        user._id
+      );
+      expect(listNotificationService.notifyListChange).toHaveBeenCalledTimes(1);
+      expect(listNotificationService.notifyListChange).toHaveBeenCalledWith(list, user._id, 'completed', [
+        'leite',
+        '2 pães',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { CanonicalProduct, List, PriceObservation } = require('../../../src/models');
+const canonicalProductService = require('../../../src/services/canonicalProduct.service');
+const listService = require('../../../src/services/list.service');
+const vendorService = require('../../../src/services/vendor.service');
+
+jest.mock('../../../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+// the Twilio client cannot be created without credentials
+jest.mock('../../../src/services/messaging.service', () => ({ sendWhatsAppMessage: jest.fn() }));
+
+describe('Vendor service', () => {
+  const groupId = mongoose.Types.ObjectId();
+  const market = mongoose.Types.ObjectId();
+  const bakery = mongoose.Types.ObjectId();
+  const milk = new CanonicalProduct({ canonical_name: 'Leite', category: 'Laticínios' });
+  const cheese = new CanonicalProduct({ canonical_name: 'Queijo', category: 'Laticínios' });
+  const banana = new CanonicalProduct({ canonical_name: 'Banana', category: 'Hortifruti' });
+  const price = (vendor, product, fields) => ({ _id: { vendor, canonicalProduct: product._id }, ...fields });
+
+  const mockPurchases = (latestPrices, purchases = [], products = [milk, cheese, banana]) => {
+    jest.spyOn(CanonicalProduct, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue(products) });
+    jest
+      .spyOn(PriceObservation, 'aggregate')
+      .mockResolvedValueOnce([
+        { _id: market, name: 'Mercado', lastPurchase: new Date('2026-10-10') },
+        { _id: bakery, name: 'Padaria', lastPurchase: new Date('2026-10-12') },
+      ])
+      .mockResolvedValueOnce(latestPrices);
+    jest.spyOn(PriceObservation, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue(purchases) });
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should price amounts per kg and units by the piece or by the weight usually bought', async () => {
+    mockPurchases(
+      [
+        price(market, milk, { unitPrice: 5, unit: 'UN', normalizedUnit: 'L', normalizedPrice: 5 }),
+        price(market, cheese, { unitPrice: 40, unit: 'KG', normalizedUnit: 'kg', normalizedPrice: 40 }),
+        price(market, banana, { unitPrice: 6, unit: 'KG', normalizedUnit: 'kg', normalizedPrice: 6 }),
+        price(bakery, milk, { unitPrice: 4.5, unit: 'UN', normalizedUnit: null, normalizedPrice: null }),
+        // sold by the piece at the bakery: a price per unit cannot be compared with an amount in kg
+        price(bakery, cheese, { unitPrice: 12, unit: 'UN', normalizedUnit: null, normalizedPrice: null }),
+      ],
+      [
+        { canonicalProduct: banana._id, quantity: 1.2, unit: 'KG' },
+        { canonicalProduct: banana._id, quantity: 800, unit: 'G' },
+        { canonicalProduct: banana._id, quantity: 1, unit: 'KG' },
+        { canonicalProduct: banana._id, quantity: 6, unit: 'UN' },
+      ]
+    );
+
+    const { products, vendors } = await vendorService.estimateBasket({
+      groupId,
+      products: [
+        { canonicalProductId: milk._id, quantity: 2 },
+        { canonicalProductId: cheese._id, quantity: 500, unit: 'g' },
+        { canonicalProductId: banana._id, quantity: 6, unit: 'un' },
+      ],
+    });
+
+    expect(products).toEqual([
+      { canonicalProduct: milk.id, name: 'Leite', quantity: 2 },
+      { canonicalProduct: cheese.id, name: 'Queijo', quantity: 0, amount: 0.5, amountUnit: 'kg' },
+      { canonicalProduct: banana.id, name: 'Banana', quantity: 6, usualAmount: 1 },
+    ]);
+    const [first, second] = vendors;
+    expect(first).toMatchObject({ name: 'Mercado', estimatedTotal: 36, complete: true, missingCount: 0 });
+    expect(first.items.map((item) => item.total)).toEqual([10, 20, 6]);
+    expect(second).toMatchObject({ name: 'Padaria', estimatedTotal: 9, pricedCount: 1, missingCount: 2 });
+    expect(second.missingProducts.map((product) => product.name)).toEqual(['Queijo', 'Banana']);
+  });
+
+  test('should compare the open list items by their linked product, quantity and unit', async () => {
+    mockPurchases([], [], [milk, cheese]);
+    const list = new List({
+      name: 'Compras',
+      groupId,
+      items: [
+        { text: '2 leite', product: 'leite', quantity: 2, canonicalProductId: milk._id, addedBy: 'Ana' },
+        { text: '500g de queijo', product: 'queijo', quantity: 500, unit: 'g', addedBy: 'Ana' },
+        { text: 'banana', product: 'banana', isCompleted: true, addedBy: 'Ana' },
+        { text: 'fósforo', product: 'fósforo', addedBy: 'Ana' },
+      ],
+    });
+    jest.spyOn(listService, 'getListById').mockResolvedValue(list);
+    // "fósforo" only appears in the name of another product
+    jest
+      .spyOn(canonicalProductService, 'findCanonicalProductForItem')
+      .mockImplementation(async (text) =>
+        text === 'queijo' ? { product: cheese, isExact: true } : { product: banana, isExact: false }
+      );
+
+    const comparison = await vendorService.compareVendors({ listId: list.id }, mongoose.Types.ObjectId());
+
+    expect(canonicalProductService.findCanonicalProductForItem.mock.calls.map(([text]) => text)).toEqual([
+      'queijo',
+      'fósforo',
+    ]);
+    expect(CanonicalProduct.find).toHaveBeenCalledWith({ _id: { $in: [milk.id, cheese.id] } });
+    expect(comparison).toMatchObject({
+      listId: list.id,
+      products: [
+        { canonicalProduct: milk.id, quantity: 2 },
+        { canonicalProduct: cheese.id, quantity: 0, amount: 0.5, amountUnit: 'kg' },
+      ],
+      unmatchedItems: ['fósforo'],
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const { User } = require('../../../src/models');
+const userCommService = require('../../../src/services/userComm.service');
+const conversationSessionService = require('../../../src/services/conversationSession.service');
+const inboundMessageService = require('../../../src/services/inboundMessage.service');
+const channelLinkService = require('../../../src/services/channelLink.service');
+const { getChannel } = require('../../../src/services/channels');
+const { receiveMessage } = require('../../../src/services/whatsappWebhook.service');
+
+// the full services index and user.service pull in modules jest cannot load (node: imports)
+jest.mock('../../../src/services/index', () => ({
+  userCommService: jest.requireActual('../../../src/services/userComm.service'),
+  conversationSessionService: jest.requireActual('../../../src/services/conversationSession.service'),
+  whatsappCommandService: jest.requireActual('../../../src/services/whatsappCommand.service'),
+  guardrailsService: jest.requireActual('../../../src/services/guardrails.service'),
+}));
+jest.mock('../../../src/services/user.service', () => ({ setActiveGroup: jest.fn() }));
+jest.mock('../../../src/services/messaging.service', () => ({ sendWhatsAppMessage: jest.fn() }));
+jest.mock('../../../src/services/receiptImage.service', () => ({
+  processReceiptImage: jest.fn(),
+  formatReceiptConfirmation: jest.fn(),
+}));
+jest.mock('openai', () => ({ OpenAI: jest.fn() }));
+jest.mock('@openai/agents', () => ({
+  tool: (definition) => definition,
+  Agent: jest.fn(),
+  Runner: jest.fn(),
+  withTrace: (name, fn) => fn(),
+}));
+
+const phoneNumber = 5551999999999;
+const userContext = {
+  user: { id: 'user', firstName: 'Ana', lastName: 'Silva', phoneNumber },
+  groups: [{ id: 'group', name: 'Casa', isDefault: true }],
+  lists: [{ id: 'list', name: 'Compras', groupId: 'group', groupName: 'Casa', isDefault: true }],
+};
+
+describe('Inbound messages on the memory channel', () => {
+  const channel = getChannel('memory');
+  const { OPENAI_API_KEY } = process.env;
+  const record = { _id: 'record', messageSid: 'm1', status: 'processing' };
+
+  beforeEach(() => {
+    delete process.env.OPENAI_API_KEY;
+    channel.clear();
+    jest.spyOn(User, 'getUserByChannel').mockResolvedValue(null);
+    jest.spyOn(userCommService, 'getUserContext').mockResolvedValue(userContext);
+    jest.spyOn(conversationSessionService, 'appendToSession').mockResolvedValue({});
+    jest.spyOn(inboundMessageService, 'completeMessage').mockResolvedValue({});
+    jest.spyOn(inboundMessageService, 'markResponseSent').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    process.env.OPENAI_API_KEY = OPENAI_API_KEY;
+    jest.restoreAllMocks();
+  });
+
+  test('should run the workflow and answer on the same channel', async () => {
+    jest.spyOn(inboundMessageService, 'claimMessage').mockResolvedValue({ record, isReplay: false });
+    jest.spyOn(userCommService, 'addItemsToList').mockResolvedValue({ itemsAdded: 1, itemsSkipped: 0 });
+
+    await receiveMessage(channel, { id: 'm1', from: '+5551999999999', text: 'adicionar arroz' });
+
+    expect(userCommService.addItemsToList).toHaveBeenCalledWith('list', phoneNumber, ['arroz']);
+    expect(channel.outbox).toEqual([
+      expect.objectContaining({ address: '+5551999999999', text: 'Added arroz to Compras.' }),
+    ]);
+    expect(inboundMessageService.completeMessage).toHaveBeenCalledWith(record, {
+      responseText: 'Added arroz to Compras.',
+      responseSent: true,
+    });
+  });
+
+  test('should answer a replayed message without running the workflow again', async () => {
+    const completed = { ...record, status: 'completed', responseText: 'Added arroz to Compras.', responseSent: false };
+    jest.spyOn(inboundMessageService, 'claimMessage').mockResolvedValue({ record: completed, isReplay: true });
+    jest.spyOn(userCommService, 'addItemsToList');
+
+    const result = await receiveMessage(channel, { id: 'm1', from: '+5551999999999', text: 'adicionar arroz' });
+
+    expect(result.replay).toBe(true);
+    expect(userCommService.addItemsToList).not.toHaveBeenCalled();
+    expect(channel.outbox.map((message) => message.text)).toEqual(['Added arroz to Compras.']);
+    expect(inboundMessageService.markResponseSent).toHaveBeenCalledWith(completed);
+  });
+
+  test('should not answer a replayed message that is still being processed', async () => {
+    jest.spyOn(inboundMessageService, 'claimMessage').mockResolvedValue({ record, isReplay: true });
+    jest.spyOn(userCommService, 'addItemsToList');
+
+    const result = await receiveMessage(channel, { id: 'm1', from: '+5551999999999', text: 'adicionar arroz' });
+
+    expect(result).toEqual({ success: true, replay: true, status: 'processing' });
+    expect(userCommService.addItemsToList).not.toHaveBeenCalled();
+    expect(channel.outbox).toEqual([]);
+  });
+
+  test('should link the channel to the account of a link code', async () => {
+    jest.spyOn(inboundMessageService, 'claimMessage').mockResolvedValue({ record, isReplay: false });
+    const linkChannel = jest.spyOn(channelLinkService, 'linkChannel').mockResolvedValue({ firstName: 'Ana' });
+
+    await receiveMessage(channel, { id: 'm2', from: 'chat-42', text: 'link abc123' });
+
+    expect(linkChannel).toHaveBeenCalledWith('ABC123', 'memory', 'chat-42');
+    expect(channel.outbox[0].text).toMatch(/^Done, Ana! This test account is now linked/);
+  });
+});
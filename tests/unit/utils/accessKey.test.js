@@ -0,0 +1,57 @@
+const { extractAccessKey, isValidAccessKey, parseAccessKey } = require('../../../src/utils/accessKey');
+const ApiError = require('../../../src/utils/ApiError');
+
+const accessKey = '43240312345678000190650010000123451000123451';
+
+describe('Access key utils', () => {
+  describe('extractAccessKey', () => {
+    test('should read the key from the p parameter of a QR code URL', () => {
+      const url = `https://www.sefaz.rs.gov.br/NFCE/NFCE-COM.aspx?p=${accessKey}|2|1|1|ABCDEF0123456789`;
+      expect(extractAccessKey(url)).toBe(accessKey);
+    });
+
+    test('should read a key typed in blocks of 4 digits', () => {
+      const typed = accessKey.match(/.{1,4}/g).join(' ');
+      expect(extractAccessKey(typed)).toBe(accessKey);
+    });
+
+    test('should return null when there is no 44-digit key', () => {
+      expect(extractAccessKey('https://www.sefaz.rs.gov.br/NFCE/NFCE-COM.aspx?p=123|2|1')).toBeNull();
+      expect(extractAccessKey(undefined)).toBeNull();
+    });
+  });
+
+  describe('isValidAccessKey', () => {
+    test('should accept a key with a matching check digit', () => {
+      expect(isValidAccessKey(accessKey)).toBe(true);
+    });
+
+    test('should reject a key with a wrong check digit', () => {
+      expect(isValidAccessKey(`${accessKey.slice(0, 43)}9`)).toBe(false);
+    });
+  });
+
+  describe('parseAccessKey', () => {
+    test('should decode every part of the key', () => {
+      expect(parseAccessKey(accessKey)).toEqual({
+        accessKey,
+        ufCode: '43',
+        uf: 'RS',
+        year: 2024,
+        month: 3,
+        cnpj: '12345678000190',
+        model: '65',
+        series: 1,
+        number: 12345,
+        emissionType: 1,
+        numericCode: '00012345',
+        checkDigit: 1,
+      });
+    });
+
+    test('should throw an ApiError when the check digit does not match', () => {
+      expect(() => parseAccessKey(`${accessKey.slice(0, 43)}9`)).toThrow(ApiError);
+      expect(() => parseAccessKey(`${accessKey.slice(0, 43)}9`)).toThrow('check digit does not match');
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const { parseIntent } = require('../../../src/utils/intentParser');
+
+describe('Intent parser', () => {
+  test('should split the items of an add command', () => {
+    expect(parseIntent('adicionar arroz e feijão')).toEqual({
+      intents: [{ intent: 'add_to_list', items: ['arroz', 'feijão'], listName: null }],
+      confidence: 1,
+    });
+  });
+
+  test('should read the list named in the command', () => {
+    const { intents } = parseIntent('Adiciona 2kg de açúcar, café e pão na lista do mercado por favor');
+    expect(intents).toEqual([{ intent: 'add_to_list', items: ['2kg de açúcar', 'café', 'pão'], listName: 'mercado' }]);
+
+    expect(parseIntent('add eggs and milk to the party list').intents).toEqual([
+      { intent: 'add_to_list', items: ['eggs', 'milk'], listName: 'party' },
+    ]);
+  });
+
+  test('should recognize remove and show commands', () => {
+    expect(parseIntent('tirar leite').intents).toEqual([{ intent: 'remove_from_list', items: ['leite'], listName: null }]);
+    expect(parseIntent('mostrar lista').intents).toEqual([{ intent: 'show_list', items: [], listName: null }]);
+    expect(parseIntent('lista do mercado').intents).toEqual([{ intent: 'show_list', items: [], listName: 'mercado' }]);
+  });
+
+  test('should recognize the list management commands', () => {
+    expect(parseIntent('comprei arroz e leite').intents).toEqual([
+      { intent: 'mark_bought', items: ['arroz', 'leite'], listName: null },
+    ]);
+    expect(parseIntent('marcar arroz como comprado').intents[0].items).toEqual(['arroz']);
+    expect(parseIntent('limpa os itens comprados da lista do mercado').intents).toEqual([
+      { intent: 'clear_completed', items: [], listName: 'mercado' },
+    ]);
+    expect(parseIntent('cria uma lista pra churrasco').intents).toEqual([
+      { intent: 'create_list', items: [], listName: 'Churrasco' },
+    ]);
+    expect(parseIntent('mudar para o grupo Trabalho').intents).toEqual([
+      { intent: 'switch_group', items: [], listName: null, groupName: 'Trabalho' },
+    ]);
+  });
+
+  test('should keep several commands in message order, with a partial confidence', () => {
+    expect(parseIntent('oi, adicionar ovos e remover leite')).toEqual({
+      intents: [
+        { intent: 'add_to_list', items: ['ovos'], listName: null },
+        { intent: 'remove_from_list', items: ['leite'], listName: null },
+      ],
+      confidence: 0.6,
+    });
+  });
+
+  test('should not trust a verb that may be part of an item name', () => {
+    // "tira manchas" is a stain remover, not a removal
+    expect(parseIntent('adicionar papel toalha e tira manchas').confidence).toBeLessThan(0.9);
+    expect(parseIntent('adicionar papel toalha, tira manchas').confidence).toBeLessThan(0.9);
+    // no separator before the verb
+    expect(parseIntent('adicionar tira manchas').confidence).toBeLessThan(0.9);
+    expect(parseIntent('adicionar massa de tomate ponha').confidence).toBeLessThan(0.9);
+  });
+
+  test('should have a low confidence for follow-ups and messages it does not understand', () => {
+    expect(parseIntent('tira isso').confidence).toBeLessThan(0.5);
+    expect(parseIntent('acho que vou adicionar arroz').confidence).toBeLessThan(1);
+    expect(parseIntent('actually make it two')).toEqual({ intents: [], confidence: 0 });
+  });
+});
@@ -0,0 +1,32 @@
+const { parseListItem, formatListItem } = require('../../../src/utils/listItemParser');
+
+describe('List item parser', () => {
+  test('should read a leading quantity and unit', () => {
+    expect(parseListItem('2kg de arroz tio joão')).toEqual({ quantity: 2, unit: 'kg', product: 'arroz tio joão' });
+    expect(parseListItem('1,5 L leite')).toEqual({ quantity: 1.5, unit: 'L', product: 'leite' });
+    expect(parseListItem('3 latas de cerveja')).toEqual({ quantity: 3, unit: 'lata', product: 'cerveja' });
+    expect(parseListItem('meia dúzia de ovos')).toEqual({ quantity: 0.5, unit: 'dúzia', product: 'ovos' });
+  });
+
+  test('should count a quantity without unit in units', () => {
+    expect(parseListItem('2 leites')).toEqual({ quantity: 2, unit: 'un', product: 'leites' });
+    expect(parseListItem('3x sabão')).toEqual({ quantity: 3, unit: 'un', product: 'sabão' });
+    expect(parseListItem('Um abacate')).toEqual({ quantity: 1, unit: 'un', product: 'abacate' });
+  });
+
+  test('should read a trailing package size', () => {
+    expect(parseListItem('arroz tio joão 5kg')).toEqual({ quantity: 5, unit: 'kg', product: 'arroz tio joão' });
+  });
+
+  test('should keep items without a quantity as the product', () => {
+    expect(parseListItem('arroz')).toEqual({ quantity: null, unit: null, product: 'arroz' });
+    expect(parseListItem('umbu')).toEqual({ quantity: null, unit: null, product: 'umbu' });
+    expect(parseListItem('2')).toEqual({ quantity: null, unit: null, product: '2' });
+  });
+
+  test('should write a parsed item back as text', () => {
+    expect(formatListItem({ quantity: 3, unit: 'kg', product: 'arroz' })).toBe('3 kg arroz');
+    expect(formatListItem({ quantity: 2, unit: 'un', product: 'leite' })).toBe('2 leite');
+    expect(formatListItem({ quantity: null, unit: null, product: 'arroz' })).toBe('arroz');
+  });
+});
@@ -0,0 +1,221 @@
+const path = require('path');
+const { SelectStateScraper } = require('../../../src/utils/scrapers/selectStateScraper');
+
+// Synthetic SEFAZ pages written for these tests, named after the access key of the nota. They check that each
+// scraper parses the markup it expects, not that it parses the live pages of its state (see the fixtures README)
+const fixturesDir = path.join(__dirname, '../../fixtures/sefaz');
+
+const fixtureNotas = [
+  {
+    state: 'RS',
+    scraper: 'ScraperRS',
+    url: 'https://www.sefaz.rs.gov.br/NFCE/NFCE-COM.aspx?p=43240311222333000181650010000123451000123450|2|1|1|ABC123',
+    vendor: {
+      name: 'SUPERMERCADO GAUCHO LTDA',
+      CNPJ: '11.222.333/0001-81',
+      address: { street: 'AV. IPIRANGA', number: '6681', neighborhood: 'PARTENON', city: 'PORTO ALEGRE', state: 'RS' },
+    },
+    purchaseDate: new Date(2024, 2, 1, 10, 22, 11),
+    total: 63.27,
+    items: [
+      { product: 'ARROZ TIO JOAO 5KG', code: '7893500020134', quantity: 1, unit: 'UN', unitPrice: 25.9, totalPrice: 25.9 },
+      {
+        product: 'LEITE UHT INTEGRAL ITALAC 1L',
+        code: '7898080640017',
+        quantity: 6,
+        unit: 'UN',
+        unitPrice: 4.79,
+        totalPrice: 28.74,
+      },
+      { product: 'BANANA PRATA KG', code: '2000123000005', quantity: 1.235, unit: 'KG', unitPrice: 6.99, totalPrice: 8.63 },
+    ],
+  },
+  {
+    state: 'SP',
+    scraper: 'ScraperSP',
+    url: 'https://www.nfce.fazenda.sp.gov.br/NFCeConsultaPublica/Paginas/ConsultaQRCode.aspx?p=35240322333444000190650010000123451000123454|2|1|1|ABC123',
+    vendor: {
+      name: 'MERCADO PAULISTA COMERCIO DE ALIMENTOS LTDA',
+      CNPJ: '22.333.444/0001-90',
+      address: { street: 'RUA AUGUSTA', number: '1500', neighborhood: 'CONSOLACAO', city: 'SAO PAULO', state: 'SP' },
+    },
+    purchaseDate: new Date(2024, 2, 15, 18, 5, 43),
+    total: 1146.76,
+    items: [
+      {
+        product: 'CAFE PILAO TRADICIONAL 500G',
+        code: '7896089011983',
+        quantity: 2,
+        unit: 'UN',
+        unitPrice: 18.49,
+        totalPrice: 36.98,
+      },
+      {
+        product: 'CERVEJA HEINEKEN LATA 350ML',
+        code: '7896045506873',
+        quantity: 12,
+        unit: 'UN',
+        unitPrice: 4.99,
+        totalPrice: 59.88,
+      },
+      {
+        product: 'AZEITE GALLO EXTRA VIRGEM 500ML',
+        code: '5601252106134',
+        quantity: 1,
+        unit: 'UN',
+        unitPrice: 1049.9,
+        totalPrice: 1049.9,
+      },
+    ],
+  },
+  {
+    state: 'SC',
+    scraper: 'ScraperSC',
+    url: 'https://sat.sef.sc.gov.br/nfce/consulta?p=42240333444555000100650010000123451000123455|2|1|1|ABC123',
+    vendor: {
+      name: 'ATACADO CATARINENSE S.A.',
+      CNPJ: '33.444.555/0001-00',
+      address: { street: 'RUA FELIPE SCHMIDT', number: '300', neighborhood: 'CENTRO', city: 'FLORIANOPOLIS', state: 'SC' },
+    },
+    purchaseDate: new Date(2024, 2, 20, 9, 10, 0),
+    total: 33.6,
+    items: [
+      {
+        product: 'FEIJAO PRETO CAMIL 1KG',
+        code: '7896006711117',
+        quantity: 3,
+        unit: 'UN',
+        unitPrice: 8.29,
+        totalPrice: 24.87,
+      },
+      {
+        product: 'TOMATE ITALIANO KG',
+        code: '2000456000007',
+        quantity: 0.875,
+        unit: 'KG',
+        unitPrice: 9.98,
+        totalPrice: 8.73,
+      },
+    ],
+  },
+  {
+    state: 'PR',
+    scraper: 'ScraperPR',
+    url: 'http://www.fazenda.pr.gov.br/nfce/qrcode?p=41240344555666000110650010000123451000123456|2|1|1|ABC123',
+    vendor: {
+      name: 'SUPERMERCADOS PARANAENSES LTDA',
+      CNPJ: '44.555.666/0001-10',
+      address: { street: 'AV. SETE DE SETEMBRO', number: '2775', neighborhood: 'REBOUCAS', city: 'CURITIBA', state: 'PR' },
+    },
+    purchaseDate: new Date(2024, 2, 28, 20, 45, 30),
+    total: 31.86,
+    items: [
+      {
+        product: 'DETERGENTE YPE NEUTRO 500ML',
+        code: '7896098900208',
+        quantity: 4,
+        unit: 'UN',
+        unitPrice: 2.49,
+        totalPrice: 9.96,
+      },
+      {
+        product: 'PAPEL HIGIENICO NEVE 12 ROLOS',
+        code: '7891172422253',
+        quantity: 1,
+        unit: 'PCT',
+        unitPrice: 21.9,
+        totalPrice: 21.9,
+      },
+    ],
+  },
+  {
+    state: 'MG',
+    scraper: 'ScraperMG',
+    url: 'https://portalsped.fazenda.mg.gov.br/portalnfce/sistema/qrcode.xhtml?p=31240355666777000120650010000123451000123458|2|1|1|ABC123',
+    vendor: {
+      name: 'SUPERMERCADO MINEIRO LTDA',
+      CNPJ: '55.666.777/0001-20',
+      address: { street: 'AV. AFONSO PENA', number: '1212', neighborhood: 'CENTRO', city: 'BELO HORIZONTE', state: 'MG' },
+    },
+    purchaseDate: new Date(2024, 3, 5, 12, 30, 15),
+    total: 63.76,
+    items: [
+      {
+        product: 'PAO DE QUEIJO FORNO DE MINAS 1KG',
+        code: '7896183901012',
+        quantity: 2,
+        unit: 'PCT',
+        unitPrice: 22.9,
+        totalPrice: 45.8,
+      },
+      {
+        product: 'QUEIJO MINAS FRESCAL KG',
+        code: '2000789000001',
+        quantity: 0.45,
+        unit: 'KG',
+        unitPrice: 39.91,
+        totalPrice: 17.96,
+      },
+    ],
+  },
+];
+
+const readFixtureNota = async (url) => {
+  const scraper = await new SelectStateScraper(url).select();
+  scraper.useFixtures(fixturesDir);
+  await scraper.readUrl();
+  await scraper.readNota({ id: 'nota-id', _id: 'nota-id' });
+  return scraper;
+};
+
+describe('State scrapers', () => {
+  describe.each(fixtureNotas.map((nota) => [nota.state, nota]))('%s', (state, expected) => {
+    let scraper;
+
+    beforeAll(async () => {
+      scraper = await readFixtureNota(expected.url);
+    });
+
+    test('should select the state scraper', () => {
+      expect(scraper.constructor.name).toBe(expected.scraper);
+    });
+
+    test('should extract the vendor name, CNPJ and address', () => {
+      expect(scraper.vendor).toEqual(expected.vendor);
+    });
+
+    test('should extract the emission date', () => {
+      expect(scraper.purchaseDate).toEqual(expected.purchaseDate);
+    });
+
+    test('should extract every item', () => {
+      expect(scraper.items).toHaveLength(expected.items.length);
+      expected.items.forEach((item, index) => {
+        expect(scraper.items[index]).toMatchObject({
+          ...item,
+          purchaseDate: expected.purchaseDate,
+          notaId: 'nota-id',
+          vendor: expected.vendor.CNPJ,
+        });
+      });
+    });
+
+    test('should compute the total', () => {
+      expect(scraper.total).toBeCloseTo(expected.total, 2);
+    });
+  });
+
+  test('should fail when there is no recorded page for the nota', async () => {
+    await expect(
+      readFixtureNota('https://www.sefaz.rs.gov.br/NFCE/NFCE-COM.aspx?p=43240311222333000181650010000999991000999993|2|1')
+    ).rejects.toThrow('No recorded page');
+  });
+
+  test('should reject states without a scraper', async () => {
+    await expect(
+      new SelectStateScraper(
+        'https://www.fazenda.rj.gov.br/nfce/consulta?p=33240311222333000181650010000123451000123459'
+      ).select()
+    ).rejects.toThrow('State not supported: RJ');
+  });
+});
@@ -0,0 +1,44 @@
+const { parsePackageSize, normalizeUnitPrice } = require('../../../src/utils/unitPrice');
+
+describe('Unit price', () => {
+  test('should read the package size printed in the description', () => {
+    expect(parsePackageSize('ARROZ TIO JOAO 5KG')).toEqual({ quantity: 5, unit: 'KG' });
+    expect(parsePackageSize('CERVEJA HEINEKEN LATA 350ML')).toEqual({ quantity: 350, unit: 'ML' });
+    expect(parsePackageSize('AGUA MINERAL 1,5L')).toEqual({ quantity: 1.5, unit: 'L' });
+    expect(parsePackageSize('PAPEL HIGIENICO NEVE 12 ROLOS')).toBeNull();
+  });
+
+  test('should keep the price of items sold by weight as the price per kg', () => {
+    expect(normalizeUnitPrice({ unitPrice: 6.99, unit: 'KG', description: 'BANANA PRATA KG' })).toEqual({
+      normalizedUnit: 'kg',
+      normalizedPrice: 6.99,
+    });
+  });
+
+  test('should divide the price of packaged items by the package size', () => {
+    expect(normalizeUnitPrice({ unitPrice: 4.99, unit: 'UN', description: 'CERVEJA HEINEKEN LATA 350ML' })).toEqual({
+      normalizedUnit: 'L',
+      normalizedPrice: 14.26,
+    });
+    expect(normalizeUnitPrice({ unitPrice: 18.49, unit: 'UN', description: 'CAFE PILAO TRADICIONAL 500G' })).toEqual({
+      normalizedUnit: 'kg',
+      normalizedPrice: 36.98,
+    });
+  });
+
+  test('should fall back to the package size of the canonical product', () => {
+    expect(
+      normalizeUnitPrice({ unitPrice: 4.79, unit: 'UN', description: 'LEITE INTEGRAL ITALAC' }, { quantity: 1, unit: 'L' })
+    ).toEqual({
+      normalizedUnit: 'L',
+      normalizedPrice: 4.79,
+    });
+  });
+
+  test('should not normalize items without a known size', () => {
+    expect(
+      normalizeUnitPrice({ unitPrice: 21.9, unit: 'PCT', description: 'PAPEL HIGIENICO NEVE 12 ROLOS' }, {})
+    ).toBeNull();
+    expect(normalizeUnitPrice({ unitPrice: 21.9, unit: 'PCT' }, { quantity: 12, unit: 'un' })).toBeNull();
+  });
+});